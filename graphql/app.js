@@ -2,22 +2,28 @@ const express = require('express');
 const { ApolloServer } = require('apollo-server-express');
 const typeDefs = require('./schema');
 const resolvers = require('./resolvers');
+const { buildAuthContext } = require('./auth');
+const localizeErrors = require('./localizeErrors');
+const { resolveLocale } = require('../src/i18n');
 
 const app = express();
-const userService = require('../src/services/userService');
+const keyService = require('../src/services/keyService');
+
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.json(keyService.getJwks());
+});
 
 const server = new ApolloServer({
   typeDefs,
   resolvers,
-  context: ({ req }) => {
-    const auth = req.headers.authorization || '';
-    let userData = null;
-    if (auth.startsWith('Bearer ')) {
-      const token = auth.replace('Bearer ', '');
-      userData = userService.verifyToken(token);
-    }
-    return { userData };
-  }
+  plugins: [localizeErrors],
+  // clientIp alimenta o limite de tentativas de login por IP e locale define o
+  // idioma das mensagens de erro (Accept-Language)
+  context: ({ req, res }) => ({
+    ...buildAuthContext({ req, res }),
+    clientIp: req.ip,
+    locale: resolveLocale(req.headers['accept-language'])
+  })
 });
 
 async function startApollo() {
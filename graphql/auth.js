@@ -0,0 +1,33 @@
+const authService = require('../src/services/authService');
+const AuthenticationError = require('../src/errors/AuthenticationError');
+const AuthorizationError = require('../src/errors/AuthorizationError');
+
+// A autenticação é opcional no contexto: consultas públicas funcionam sem token e
+// o erro de um token inválido só é lançado quando um resolver exige autenticação
+function buildAuthContext({ req, res }) {
+  try {
+    return { userData: authService.authenticateHeader(req.headers.authorization, { optional: true }), authError: null, res };
+  } catch (err) {
+    if (!(err instanceof AuthenticationError)) throw err;
+    return { userData: null, authError: err, res };
+  }
+}
+
+// Mesmas regras, códigos (extensions.code) e cabeçalho WWW-Authenticate do
+// middleware REST; a mensagem é traduzida pelo plugin localizeErrors
+function requireAuth(context, options = {}) {
+  if (!context.userData) {
+    const err = context.authError || new AuthenticationError('TOKEN_MISSING');
+    if (context.res) context.res.set('WWW-Authenticate', authService.wwwAuthenticate(err));
+    throw err;
+  }
+  try {
+    return authService.authorize(context.userData, options);
+  } catch (err) {
+    if (!(err instanceof AuthorizationError)) throw err;
+    if (context.res) context.res.set('WWW-Authenticate', authService.wwwAuthenticate(err));
+    throw err;
+  }
+}
+
+module.exports = { buildAuthContext, requireAuth };
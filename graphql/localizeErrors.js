@@ -0,0 +1,22 @@
+const DomainError = require('../src/errors/DomainError');
+const { translate, localizeDetails } = require('../src/i18n');
+
+// Traduz os erros de domínio para o idioma do contexto antes da resposta;
+// extensions.code continua o mesmo em qualquer idioma
+const localizeErrors = {
+  async requestDidStart() {
+    return {
+      async willSendResponse({ response, context }) {
+        if (context.locale) response.http.headers.set('Content-Language', context.locale);
+        for (const error of response.errors || []) {
+          const original = error.originalError;
+          if (!(original instanceof DomainError)) continue;
+          error.message = translate(context.locale, `errors.${original.code}`);
+          error.extensions = { ...error.extensions, ...localizeDetails(original.details, context.locale) };
+        }
+      }
+    };
+  }
+};
+
+module.exports = localizeErrors;
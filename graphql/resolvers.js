@@ -1,27 +1,183 @@
-const users = require('../src/models/user');
+const { requireAuth } = require('./auth');
 const userService = require('../src/services/userService');
+const passwordResetService = require('../src/services/passwordResetService');
+const emailVerificationService = require('../src/services/emailVerificationService');
 const checkoutService = require('../src/services/checkoutService');
+const orderService = require('../src/services/orderService');
+const productService = require('../src/services/productService');
+const shippingService = require('../src/services/shippingService');
+const cartService = require('../src/services/cartService');
+const DomainError = require('../src/errors/DomainError');
+const NotFoundError = require('../src/errors/NotFoundError');
+const RateLimitedError = require('../src/errors/RateLimitedError');
+const { describeDiscount } = require('../src/i18n');
+
+// Erros de domínio chegam ao cliente com extensions.code e os detalhes do erro
+// (veja DomainError), então os resolvers só precisam lançá-los
+
+// Autorização por campo: dados pessoais de um User só saem para o próprio
+// usuário ou para um admin, qualquer que seja a consulta que o devolveu
+function readOwnUserField(field) {
+  return (user, _, context) => {
+    requireAuth(context, { roles: ['admin'], owner: user.id });
+    return user[field];
+  };
+}
+
+function withValorFinal(result) {
+  return { ...result, valorFinal: result.total };
+}
 
 module.exports = {
   Query: {
-    users: () => users
+    users: (_, args, context) => {
+      requireAuth(context, { roles: ['admin'] });
+      return userService.listUsers(args);
+    },
+    user: (_, { id }, context) => {
+      requireAuth(context, { roles: ['admin'], owner: id });
+      const user = userService.getProfile(id);
+      if (!user) throw new NotFoundError('USER_NOT_FOUND');
+      return user;
+    },
+    me: (_, __, context) => {
+      const userData = requireAuth(context);
+      const user = userService.getProfile(userData.id);
+      if (!user) throw new NotFoundError('USER_NOT_FOUND');
+      return user;
+    },
+    orders: (_, __, context) => {
+      const userData = requireAuth(context);
+      return orderService.listOrders(userData.id);
+    },
+    order: (_, { id }, context) => {
+      const userData = requireAuth(context);
+      const order = orderService.findOrder(userData.id, id);
+      if (!order) throw new NotFoundError('ORDER_NOT_FOUND');
+      return order;
+    },
+    products: (_, args) => productService.listProducts(args),
+    product: (_, { id }) => {
+      const product = productService.findProductById(id);
+      if (!product) throw new NotFoundError('PRODUCT_NOT_FOUND');
+      return product;
+    },
+    shippingQuote: (_, { postalCode, items }) => shippingService.quote(postalCode, items),
+    cart: (_, { postalCode }, context) => cartService.getCart(requireAuth(context).id, postalCode ?? undefined)
   },
   Mutation: {
-    register: (_, { name, email, password }) => {
-      const user = userService.registerUser(name, email, password);
-      if (!user) throw new Error('Email já cadastrado');
+    register: (_, { name, email, password }, context) => {
+      const user = userService.registerUser(name, email, password, context.locale);
+      if (!user) throw new DomainError('EMAIL_ALREADY_REGISTERED');
       return user;
     },
-    login: (_, { email, password }) => {
-      const result = userService.authenticate(email, password);
-      if (!result) throw new Error('Credenciais inválidas');
+    login: (_, { email, password }, context) => {
+      let result;
+      try {
+        result = userService.authenticate(email, password, context.clientIp);
+      } catch (err) {
+        if (err instanceof RateLimitedError && context.res) context.res.set('Retry-After', String(err.retryAfter));
+        throw err;
+      }
+      if (!result) throw new DomainError('INVALID_CREDENTIALS', { status: 401 });
       return result;
     },
-    checkout: (_, { items, freight, paymentMethod, cardData }, context) => {
-      const { userData } = context;
-      if (!userData) throw new Error('Token inválido');
-      const result = checkoutService.checkout(userData.id, items, freight, paymentMethod, cardData);
-      return { ...result, valorFinal: result.total };
+    refresh: (_, { refreshToken }) => userService.refresh(refreshToken),
+    logout: (_, __, context) => {
+      userService.logout(requireAuth(context));
+      return true;
+    },
+    forgotPassword: (_, { email }, context) => {
+      passwordResetService.requestPasswordReset(email, context.locale);
+      return true;
+    },
+    resetPassword: (_, { token, newPassword }) => {
+      passwordResetService.resetPassword(token, newPassword);
+      return true;
+    },
+    verifyEmail: (_, { token }) => {
+      emailVerificationService.verifyEmail(token);
+      return true;
+    },
+    resendVerificationEmail: (_, __, context) => {
+      const userData = requireAuth(context);
+      if (!emailVerificationService.resendVerification(userData.id, context.locale)) throw new DomainError('EMAIL_ALREADY_VERIFIED');
+      return true;
+    },
+    updateProfile: (_, args, context) => {
+      const userData = requireAuth(context);
+      const user = userService.updateProfile(userData.id, args, context.locale);
+      if (!user) throw new NotFoundError('USER_NOT_FOUND');
+      return user;
+    },
+    changePassword: (_, { currentPassword, newPassword }, context) => {
+      const userData = requireAuth(context);
+      const changed = userService.changePassword(userData.id, currentPassword, newPassword, userData.sid);
+      if (!changed) throw new NotFoundError('USER_NOT_FOUND');
+      return true;
+    },
+    deleteAccount: (_, { password }, context) => {
+      const userData = requireAuth(context);
+      const deleted = userService.deleteAccount(userData.id, password);
+      if (!deleted) throw new NotFoundError('USER_NOT_FOUND');
+      return true;
+    },
+    checkout: (_, { items, postalCode, paymentMethod, cardData, couponCode }, context) => {
+      const userData = requireAuth(context);
+      return withValorFinal(checkoutService.checkout(userData.id, items, postalCode, paymentMethod, cardData, couponCode));
+    },
+    checkoutCart: (_, { postalCode, paymentMethod, cardData, couponCode }, context) => {
+      const { id } = requireAuth(context);
+      return withValorFinal(checkoutService.checkoutCart(id, postalCode, paymentMethod, cardData, couponCode));
+    },
+    addToCart: (_, { productId, quantity }, context) =>
+      cartService.addItem(requireAuth(context).id, productId, quantity),
+    updateCartItem: (_, { productId, quantity }, context) =>
+      cartService.updateItem(requireAuth(context).id, productId, quantity),
+    removeFromCart: (_, { productId }, context) =>
+      cartService.removeItem(requireAuth(context).id, productId),
+    clearCart: (_, __, context) => cartService.clearCart(requireAuth(context).id),
+    cancelOrder: (_, { id }, context) => {
+      const userData = requireAuth(context);
+      const order = orderService.cancelOrder(userData.id, id);
+      if (!order) throw new NotFoundError('ORDER_NOT_FOUND');
+      return order;
+    },
+    createProduct: (_, { name, price, stock, weight, dimensions }, context) => {
+      requireAuth(context, { roles: ['admin'] });
+      return productService.createProduct({
+        name,
+        price,
+        stock: stock ?? undefined,
+        weight: weight ?? undefined,
+        dimensions: dimensions ?? undefined
+      });
+    },
+    updateProduct: (_, { id, name, price, stock, weight, dimensions }, context) => {
+      requireAuth(context, { roles: ['admin'] });
+      const product = productService.updateProduct(id, {
+        name: name ?? undefined,
+        price: price ?? undefined,
+        stock: stock ?? undefined,
+        weight: weight ?? undefined,
+        dimensions: dimensions ?? undefined
+      });
+      if (!product) throw new NotFoundError('PRODUCT_NOT_FOUND');
+      return product;
+    },
+    deleteProduct: (_, { id }, context) => {
+      requireAuth(context, { roles: ['admin'] });
+      const product = productService.deleteProduct(id);
+      if (!product) throw new NotFoundError('PRODUCT_NOT_FOUND');
+      return product;
     }
+  },
+  User: {
+    email: readOwnUserField('email'),
+    role: readOwnUserField('role'),
+    verified: readOwnUserField('verified')
+  },
+  Discount: {
+    description: (discount, _, context) => describeDiscount(discount, context.locale)
   }
 };
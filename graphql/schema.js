@@ -2,36 +2,220 @@ const { gql } = require('apollo-server-express');
 
 module.exports = gql`
   type User {
+    id: Int!
     name: String!
     email: String!
+    role: String!
+    verified: Boolean!
+  }
+  type RegisteredUser {
+    name: String!
+    email: String!
+  }
+  type UserPage {
+    users: [User!]!
+    page: Int!
+    limit: Int!
+    total: Int!
+    totalPages: Int!
+  }
+  type Profile {
+    id: Int!
+    name: String!
+    email: String!
+    role: String!
+    verified: Boolean!
   }
   type AuthPayload {
     user: User!
     token: String!
+    refreshToken: String!
   }
   type CheckoutResult {
+    orderId: ID!
     userId: ID!
     valorFinal: Float!
-    paymentMethod: String!
+    paymentMethod: PaymentMethod!
     freight: Float!
+    shipping: ShippingQuote!
     items: [CheckoutItem!]!
+    lines: [CheckoutLine!]!
+    subtotal: Float!
+    couponCode: String
+    discounts: [Discount!]!
+    discountTotal: Float!
+    total: Float!
+    payment: Payment
+    card: CardSummary
+    boleto: Boleto
+    pix: PixCharge
+    status: String!
+    createdAt: String!
+  }
+  type Payment {
+    provider: String!
+    transactionId: String!
+    status: String!
+    amount: Float!
+  }
+  type CardSummary {
+    brand: String!
+    last4: String!
+  }
+  enum PaymentMethod {
+    boleto
+    credit_card
+    pix
+  }
+  type PixCharge {
+    txid: ID!
+    orderId: ID!
+    status: String!
+    amount: Float!
+    brCode: String!
+    createdAt: String!
+    expiresAt: String!
+    paidAt: String
+  }
+  type Boleto {
+    id: ID!
+    orderId: ID!
+    status: String!
+    bankCode: String!
+    nossoNumero: String!
+    amount: Float!
+    issueDate: String!
+    dueDate: String!
+    barcode: String!
+    digitableLine: String!
+    beneficiary: BoletoBeneficiary!
+    payer: BoletoPayer
+  }
+  type BoletoBeneficiary {
+    name: String!
+    document: String!
+    agency: String!
+    account: String!
+  }
+  type BoletoPayer {
+    name: String!
+    email: String!
+  }
+  type Discount {
+    code: String!
+    type: String!
+    description: String!
+    amount: Float!
+  }
+  type Order {
+    id: ID!
+    userId: ID!
+    items: [CheckoutItem!]!
+    lines: [CheckoutLine!]!
+    subtotal: Float!
+    freight: Float!
+    shipping: ShippingQuote
+    paymentMethod: PaymentMethod!
+    couponCode: String
+    discounts: [Discount!]!
+    discountTotal: Float!
+    total: Float!
+    payment: Payment
+    card: CardSummary
+    status: String!
+    createdAt: String!
+    updatedAt: String!
+  }
+  type Product {
+    id: Int!
+    name: String!
+    price: Float!
+    stock: Int!
+    weight: Float!
+    dimensions: Dimensions!
+  }
+  type Dimensions {
+    length: Float!
+    width: Float!
+    height: Float!
+  }
+  type ShippingQuote {
+    postalCode: String!
+    zone: String!
+    weight: Float!
+    freight: Float!
+    deliveryDays: Int!
+  }
+  type ProductPage {
+    products: [Product!]!
+    page: Int!
+    limit: Int!
+    total: Int!
+    totalPages: Int!
   }
   type CheckoutItem {
     productId: Int!
     quantity: Int!
   }
+  type CheckoutLine {
+    productId: Int!
+    name: String!
+    unitPrice: Float!
+    quantity: Int!
+    subtotal: Float!
+  }
+  type Cart {
+    userId: ID!
+    items: [CheckoutLine!]!
+    itemCount: Int!
+    subtotal: Float!
+    shipping: ShippingQuote
+    total: Float
+    updatedAt: String!
+  }
   type Query {
-    users: [User!]!
+    users(page: Int, limit: Int, name: String, email: String): UserPage!
+    user(id: Int!): User!
+    me: Profile!
+    orders: [Order!]!
+    order(id: ID!): Order!
+    products(page: Int, limit: Int, sort: String, order: String, search: String): ProductPage!
+    product(id: Int!): Product!
+    shippingQuote(postalCode: String!, items: [CheckoutItemInput!]!): ShippingQuote!
+    cart(postalCode: String): Cart!
   }
   type Mutation {
-    register(name: String!, email: String!, password: String!): User!
+    register(name: String!, email: String!, password: String!): RegisteredUser!
     login(email: String!, password: String!): AuthPayload!
-    checkout(items: [CheckoutItemInput!]!, freight: Float!, paymentMethod: String!, cardData: CardDataInput): CheckoutResult!
+    refresh(refreshToken: String!): AuthPayload!
+    logout: Boolean!
+    forgotPassword(email: String!): Boolean!
+    resetPassword(token: String!, newPassword: String!): Boolean!
+    verifyEmail(token: String!): Boolean!
+    resendVerificationEmail: Boolean!
+    updateProfile(name: String, email: String, currentPassword: String): Profile!
+    changePassword(currentPassword: String!, newPassword: String!): Boolean!
+    deleteAccount(password: String!): Boolean!
+    checkout(items: [CheckoutItemInput!]!, postalCode: String!, paymentMethod: PaymentMethod!, cardData: CardDataInput, couponCode: String): CheckoutResult!
+    checkoutCart(postalCode: String!, paymentMethod: PaymentMethod!, cardData: CardDataInput, couponCode: String): CheckoutResult!
+    addToCart(productId: Int!, quantity: Int!): Cart!
+    updateCartItem(productId: Int!, quantity: Int!): Cart!
+    removeFromCart(productId: Int!): Cart!
+    clearCart: Cart!
+    cancelOrder(id: ID!): Order!
+    createProduct(name: String!, price: Float!, stock: Int, weight: Float, dimensions: DimensionsInput): Product!
+    updateProduct(id: Int!, name: String, price: Float, stock: Int, weight: Float, dimensions: DimensionsInput): Product!
+    deleteProduct(id: Int!): Product!
   }
   input CheckoutItemInput {
     productId: Int!
     quantity: Int!
   }
+  input DimensionsInput {
+    length: Float!
+    width: Float!
+    height: Float!
+  }
   input CardDataInput {
     number: String!
     name: String!
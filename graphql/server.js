@@ -1,6 +1,11 @@
 const app = require('./app');
+const pixService = require('../src/services/pixService');
 
 const PORT = process.env.PORT || 4000;
+const PIX_EXPIRATION_SWEEP_MS = 60 * 1000;
 app.listen(PORT, () => {
   console.log(`GraphQL server running on port ${PORT}`);
 });
+
+// Cobranças Pix vencidas devolvem o estoque mesmo sem novas requisições
+setInterval(() => pixService.expireCharges(), PIX_EXPIRATION_SWEEP_MS).unref();
@@ -3,12 +3,41 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerDocument = require('./swagger');
 const userRoutes = require('./routes/userRoutes');
 const checkoutRoutes = require('./routes/checkoutRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const boletoRoutes = require('./routes/boletoRoutes');
+const pixRoutes = require('./routes/pixRoutes');
+const productRoutes = require('./routes/productRoutes');
+const shippingRoutes = require('./routes/shippingRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const wellKnownRoutes = require('./routes/wellKnownRoutes');
+const { validateBeforeControllers, assertRoutesDocumented } = require('./middlewares/validateRequest');
+const { errorHandler } = require('./middlewares/errorHandler');
+const { locale } = require('./middlewares/locale');
+
+const routes = {
+  '/api/users': userRoutes,
+  '/api/checkout': checkoutRoutes,
+  '/api/orders': orderRoutes,
+  '/api/boletos': boletoRoutes,
+  '/api/pix': pixRoutes,
+  '/api/products': productRoutes,
+  '/api/shipping': shippingRoutes,
+  '/api/cart': cartRoutes,
+  '/.well-known': wellKnownRoutes
+};
+
+// Falha na subida se alguma rota não estiver documentada em swagger.js
+assertRoutesDocumented(swaggerDocument, routes);
+validateBeforeControllers(swaggerDocument, routes);
 
 const app = express();
+app.use(locale);
 app.use(express.json());
 
-app.use('/api/users', userRoutes);
-app.use('/api/checkout', checkoutRoutes);
+for (const [prefix, router] of Object.entries(routes)) {
+  app.use(prefix, router);
+}
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
+app.use(errorHandler);
 
 module.exports = app;
@@ -0,0 +1,15 @@
+const boletoService = require('../../src/services/boletoService');
+const NotFoundError = require('../../src/errors/NotFoundError');
+const { sendError } = require('../middlewares/errorHandler');
+const { renderBoletoPage } = require('../views/boletoPage');
+
+// JSON por padrão; quem pede text/html (ex.: o navegador) recebe a página para impressão
+exports.getById = (req, res) => {
+  const boleto = boletoService.findBoleto(req.user.id, req.params.id);
+  if (!boleto) return sendError(res, new NotFoundError('BOLETO_NOT_FOUND'));
+  res.format({
+    'application/json': () => res.json(boleto),
+    'text/html': () => res.send(renderBoletoPage(boleto)),
+    default: () => res.json(boleto)
+  });
+};
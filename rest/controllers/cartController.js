@@ -0,0 +1,40 @@
+const cartService = require('../../src/services/cartService');
+const { sendError } = require('../middlewares/errorHandler');
+
+exports.get = (req, res) => {
+  try {
+    res.json(cartService.getCart(req.user.id, req.query.postalCode));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.addItem = (req, res) => {
+  const { productId, quantity } = req.body;
+  try {
+    res.status(201).json(cartService.addItem(req.user.id, productId, quantity));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.updateItem = (req, res) => {
+  try {
+    res.json(cartService.updateItem(req.user.id, req.params.productId, req.body.quantity));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.removeItem = (req, res) => {
+  try {
+    res.json(cartService.removeItem(req.user.id, req.params.productId));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.clear = (req, res) => {
+  cartService.clearCart(req.user.id);
+  res.status(204).end();
+};
@@ -1,16 +1,28 @@
 const checkoutService = require('../../src/services/checkoutService');
-const userService = require('../../src/services/userService');
+const { localizeDiscounts } = require('../../src/i18n');
+const { sendError } = require('../middlewares/errorHandler');
+const { localeOf } = require('../middlewares/locale');
+
+function checkoutResponse(result, res) {
+  return { valorFinal: result.total, ...result, discounts: localizeDiscounts(result.discounts, localeOf(res)) };
+}
 
 exports.checkout = (req, res) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  const userData = userService.verifyToken(token);
-  if (!userData) return res.status(401).json({ error: 'Token inválido' });
+  const { items, postalCode, paymentMethod, cardData, couponCode } = req.body;
+  try {
+    const result = checkoutService.checkout(req.user.id, items, postalCode, paymentMethod, cardData, couponCode);
+    res.json(checkoutResponse(result, res));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
 
-  const { items, freight, paymentMethod, cardData } = req.body;
+exports.checkoutCart = (req, res) => {
+  const { postalCode, paymentMethod, cardData, couponCode } = req.body;
   try {
-    const result = checkoutService.checkout(userData.id, items, freight, paymentMethod, cardData);
-    res.json({ valorFinal: result.total, ...result });
+    const result = checkoutService.checkoutCart(req.user.id, postalCode, paymentMethod, cardData, couponCode);
+    res.json(checkoutResponse(result, res));
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    sendError(res, err);
   }
 };
@@ -0,0 +1,5 @@
+const keyService = require('../../src/services/keyService');
+
+exports.get = (req, res) => {
+  res.json(keyService.getJwks());
+};
@@ -0,0 +1,29 @@
+const orderService = require('../../src/services/orderService');
+const NotFoundError = require('../../src/errors/NotFoundError');
+const { localizeDiscounts } = require('../../src/i18n');
+const { sendError } = require('../middlewares/errorHandler');
+const { localeOf } = require('../middlewares/locale');
+
+function orderResponse(order, res) {
+  return { ...order, discounts: localizeDiscounts(order.discounts, localeOf(res)) };
+}
+
+exports.list = (req, res) => {
+  res.json(orderService.listOrders(req.user.id).map(order => orderResponse(order, res)));
+};
+
+exports.getById = (req, res) => {
+  const order = orderService.findOrder(req.user.id, req.params.id);
+  if (!order) return sendError(res, new NotFoundError('ORDER_NOT_FOUND'));
+  res.json(orderResponse(order, res));
+};
+
+exports.cancel = (req, res) => {
+  try {
+    const order = orderService.cancelOrder(req.user.id, req.params.id);
+    if (!order) return sendError(res, new NotFoundError('ORDER_NOT_FOUND'));
+    res.json(orderResponse(order, res));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
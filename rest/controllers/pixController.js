@@ -0,0 +1,17 @@
+const pixService = require('../../src/services/pixService');
+const { sendError } = require('../middlewares/errorHandler');
+
+// Formato do webhook da API Pix: { pix: [{ endToEndId, txid, valor, horario }] }
+exports.webhook = (req, res) => {
+  try {
+    const charges = req.body.pix.map(payment => pixService.confirmPayment({
+      txid: payment.txid,
+      endToEndId: payment.endToEndId,
+      amount: Number(payment.valor),
+      paidAt: payment.horario
+    }));
+    res.json({ charges });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -0,0 +1,44 @@
+const productService = require('../../src/services/productService');
+const NotFoundError = require('../../src/errors/NotFoundError');
+const { sendError } = require('../middlewares/errorHandler');
+
+exports.list = (req, res) => {
+  const { page, limit, sort, order, search } = req.query;
+  try {
+    res.json(productService.listProducts({ page, limit, sort, order, search }));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.getById = (req, res) => {
+  const product = productService.findProductById(req.params.id);
+  if (!product) return sendError(res, new NotFoundError('PRODUCT_NOT_FOUND'));
+  res.json(product);
+};
+
+exports.create = (req, res) => {
+  const { name, price, stock, weight, dimensions } = req.body;
+  try {
+    res.status(201).json(productService.createProduct({ name, price, stock, weight, dimensions }));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.update = (req, res) => {
+  const { name, price, stock, weight, dimensions } = req.body;
+  try {
+    const product = productService.updateProduct(req.params.id, { name, price, stock, weight, dimensions });
+    if (!product) return sendError(res, new NotFoundError('PRODUCT_NOT_FOUND'));
+    res.json(product);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.remove = (req, res) => {
+  const product = productService.deleteProduct(req.params.id);
+  if (!product) return sendError(res, new NotFoundError('PRODUCT_NOT_FOUND'));
+  res.status(204).end();
+};
@@ -0,0 +1,11 @@
+const shippingService = require('../../src/services/shippingService');
+const { sendError } = require('../middlewares/errorHandler');
+
+exports.quote = (req, res) => {
+  const { postalCode, items } = req.body;
+  try {
+    res.json(shippingService.quote(postalCode, items));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
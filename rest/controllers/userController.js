@@ -1,15 +1,137 @@
 const userService = require('../../src/services/userService');
+const passwordResetService = require('../../src/services/passwordResetService');
+const emailVerificationService = require('../../src/services/emailVerificationService');
+const DomainError = require('../../src/errors/DomainError');
+const NotFoundError = require('../../src/errors/NotFoundError');
+const ValidationError = require('../../src/errors/ValidationError');
+const { translate } = require('../../src/i18n');
+const { sendError } = require('../middlewares/errorHandler');
+const { localeOf } = require('../middlewares/locale');
 
 exports.register = (req, res) => {
   const { name, email, password } = req.body;
-  const user = userService.registerUser(name, email, password);
-  if (!user) return res.status(400).json({ error: 'Email já cadastrado' });
+  let user;
+  try {
+    user = userService.registerUser(name, email, password, localeOf(res));
+  } catch (err) {
+    return sendError(res, err);
+  }
+  if (!user) return sendError(res, new DomainError('EMAIL_ALREADY_REGISTERED'));
   res.status(201).json({ user });
 };
 
 exports.login = (req, res) => {
   const { email, password } = req.body;
-  const result = userService.authenticate(email, password);
-  if (!result) return res.status(401).json({ error: 'Credenciais inválidas' });
+  let result;
+  try {
+    result = userService.authenticate(email, password, req.ip);
+  } catch (err) {
+    return sendError(res, err);
+  }
+  if (!result) return sendError(res, new DomainError('INVALID_CREDENTIALS', { status: 401 }));
   res.json(result);
 };
+
+exports.refresh = (req, res) => {
+  try {
+    res.json(userService.refresh(req.body.refreshToken));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.logout = (req, res) => {
+  userService.logout(req.user);
+  res.status(204).end();
+};
+
+exports.forgotPassword = (req, res) => {
+  const { email } = req.body;
+  if (typeof email !== 'string' || !email) {
+    return sendError(res, new ValidationError([{ field: 'email', code: 'EMAIL_REQUIRED' }]));
+  }
+  passwordResetService.requestPasswordReset(email, localeOf(res));
+  res.status(202).json({ message: translate(localeOf(res), 'messages.PASSWORD_RESET_REQUESTED') });
+};
+
+exports.resetPassword = (req, res) => {
+  const { token, newPassword } = req.body;
+  try {
+    passwordResetService.resetPassword(token, newPassword);
+  } catch (err) {
+    return sendError(res, err);
+  }
+  res.status(204).end();
+};
+
+exports.verifyEmail = (req, res) => {
+  try {
+    emailVerificationService.verifyEmail(req.body.token);
+  } catch (err) {
+    return sendError(res, err);
+  }
+  res.status(204).end();
+};
+
+exports.resendVerification = (req, res) => {
+  if (!emailVerificationService.resendVerification(req.user.id, localeOf(res))) {
+    return sendError(res, new DomainError('EMAIL_ALREADY_VERIFIED'));
+  }
+  res.status(202).end();
+};
+
+exports.list = (req, res) => {
+  const { page, limit, name, email } = req.query;
+  try {
+    res.json(userService.listUsers({ page, limit, name, email }));
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.getById = (req, res) => {
+  const user = userService.getProfile(Number(req.params.id));
+  if (!user) return sendError(res, new NotFoundError('USER_NOT_FOUND'));
+  res.json({ user });
+};
+
+exports.getProfile = (req, res) => {
+  const user = userService.getProfile(req.user.id);
+  if (!user) return sendError(res, new NotFoundError('USER_NOT_FOUND'));
+  res.json({ user });
+};
+
+exports.updateProfile = (req, res) => {
+  const { name, email, currentPassword } = req.body;
+  let user;
+  try {
+    user = userService.updateProfile(req.user.id, { name, email, currentPassword }, localeOf(res));
+  } catch (err) {
+    return sendError(res, err);
+  }
+  if (!user) return sendError(res, new NotFoundError('USER_NOT_FOUND'));
+  res.json({ user });
+};
+
+exports.changePassword = (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  let changed;
+  try {
+    changed = userService.changePassword(req.user.id, currentPassword, newPassword, req.user.sid);
+  } catch (err) {
+    return sendError(res, err);
+  }
+  if (!changed) return sendError(res, new NotFoundError('USER_NOT_FOUND'));
+  res.status(204).end();
+};
+
+exports.deleteAccount = (req, res) => {
+  let deleted;
+  try {
+    deleted = userService.deleteAccount(req.user.id, req.body.password);
+  } catch (err) {
+    return sendError(res, err);
+  }
+  if (!deleted) return sendError(res, new NotFoundError('USER_NOT_FOUND'));
+  res.status(204).end();
+};
@@ -0,0 +1,40 @@
+const authService = require('../../src/services/authService');
+const AuthenticationError = require('../../src/errors/AuthenticationError');
+const AuthorizationError = require('../../src/errors/AuthorizationError');
+const { sendError } = require('./errorHandler');
+
+function sendAuthError(res, err) {
+  res.set('WWW-Authenticate', authService.wwwAuthenticate(err));
+  sendError(res, err);
+}
+
+function ownerFromParams(req, { ownerParam }) {
+  if (!ownerParam) return undefined;
+  return Number(req.params[ownerParam]);
+}
+
+function authenticate(options) {
+  return (req, res, next) => {
+    try {
+      req.user = authService.authenticateHeader(req.headers.authorization, options);
+      if (req.user) authService.authorize(req.user, { ...options, owner: ownerFromParams(req, options) });
+    } catch (err) {
+      if (err instanceof AuthenticationError || err instanceof AuthorizationError) return sendAuthError(res, err);
+      return next(err);
+    }
+    next();
+  };
+}
+
+// Exige token válido; aceita { roles, scopes, ownerParam }, onde ownerParam é o
+// parâmetro da rota com o id do usuário que pode acessar sem ter a role
+function requireAuth(options = {}) {
+  return authenticate({ ...options, optional: false });
+}
+
+// req.user fica null sem token, mas um token inválido ainda retorna 401
+function optionalAuth(options = {}) {
+  return authenticate({ ...options, optional: true });
+}
+
+module.exports = { requireAuth, optionalAuth };
@@ -0,0 +1,29 @@
+const DomainError = require('../../src/errors/DomainError');
+const RateLimitedError = require('../../src/errors/RateLimitedError');
+const { translate, localizeDetails } = require('../../src/i18n');
+const { localeOf } = require('./locale');
+
+// Corpo padrão dos erros: { error, code, ...detalhes }, com o status do erro e
+// as mensagens no idioma da requisição
+function sendError(res, err) {
+  if (!(err instanceof DomainError)) throw err;
+  const locale = localeOf(res);
+  if (err instanceof RateLimitedError) res.set('Retry-After', String(err.retryAfter));
+  res.status(err.status).json({
+    error: translate(locale, `errors.${err.code}`),
+    code: err.code,
+    ...localizeDetails(err.details, locale)
+  });
+}
+
+// Último middleware do app: erros lançados fora dos controllers também saem no
+// formato padrão, e erros inesperados viram 500 sem expor detalhes internos.
+// O Express só trata como middleware de erro funções com quatro parâmetros
+function errorHandler(err, req, res, next) {
+  if (err instanceof DomainError) return sendError(res, err);
+  if (err.type === 'entity.parse.failed') return sendError(res, new DomainError('INVALID_JSON'));
+  console.error(err);
+  sendError(res, new DomainError('INTERNAL_ERROR', { status: 500 }));
+}
+
+module.exports = { sendError, errorHandler };
@@ -0,0 +1,15 @@
+const { DEFAULT_LOCALE, resolveLocale } = require('../../src/i18n');
+
+// Idioma das mensagens da resposta, escolhido pelo cabeçalho Accept-Language
+function locale(req, res, next) {
+  res.locals.locale = resolveLocale(req.headers['accept-language']);
+  res.set('Content-Language', res.locals.locale);
+  res.vary('Accept-Language');
+  next();
+}
+
+function localeOf(res) {
+  return (res.locals && res.locals.locale) || DEFAULT_LOCALE;
+}
+
+module.exports = { locale, localeOf };
@@ -0,0 +1,82 @@
+const { validateSchema } = require('../validation/schemaValidator');
+const ValidationError = require('../../src/errors/ValidationError');
+const { sendError } = require('./errorHandler');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// '/api/users/{id}' vira uma expressão regular; caminhos sem parâmetros vêm
+// primeiro para que '/api/users/me' não seja confundido com '/api/users/{id}'
+function compileOperations(document) {
+  const operations = [];
+  for (const [path, item] of Object.entries(document.paths)) {
+    const pattern = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '[^/]+');
+    const params = (path.match(/\{/g) || []).length;
+    for (const method of METHODS) {
+      if (item[method]) operations.push({ method, path, params, regexp: new RegExp(`^${pattern}/?$`), operation: item[method] });
+    }
+  }
+  return operations.sort((a, b) => a.params - b.params);
+}
+
+function bodySchema(operation) {
+  const content = operation.requestBody && operation.requestBody.content['application/json'];
+  return content && content.schema;
+}
+
+function validateRequest(document) {
+  const operations = compileOperations(document);
+  return (req, res, next) => {
+    const method = req.method.toLowerCase();
+    const path = (req.baseUrl || '') + req.path;
+    const match = operations.find(o => o.method === method && o.regexp.test(path));
+    const schema = match && bodySchema(match.operation);
+    if (!schema) return next();
+
+    const fields = validateSchema(schema, req.body, document);
+    if (!fields.length) return next();
+    sendError(res, new ValidationError(fields));
+  };
+}
+
+function routeLayers(routes) {
+  return Object.entries(routes).flatMap(([prefix, router]) => router.stack
+    .filter(layer => layer.route)
+    .map(layer => ({ prefix, route: layer.route })));
+}
+
+function routeList(routes) {
+  const list = [];
+  for (const { prefix, route } of routeLayers(routes)) {
+    const path = (prefix + (route.path === '/' ? '' : route.path)).replace(/:(\w+)/g, '{$1}');
+    for (const method of Object.keys(route.methods)) list.push({ method, path });
+  }
+  return list;
+}
+
+// O corpo é validado logo antes do controller, depois dos middlewares da rota
+// (token, perfil, segredo do webhook): quem não pode chamar a rota recebe 401
+// ou 403, e não os detalhes do esquema
+function validateBeforeControllers(document, routes) {
+  const validate = validateRequest(document);
+  for (const { route } of routeLayers(routes)) {
+    const controller = route.stack[route.stack.length - 1];
+    const handle = controller.handle;
+    controller.handle = (req, res, next) => validate(req, res, () => handle(req, res, next));
+  }
+}
+
+// Chamado na subida do servidor: toda rota precisa estar descrita no documento
+// OpenAPI, e um requestBody declarado precisa trazer o esquema JSON
+function assertRoutesDocumented(document, routes) {
+  const missing = routeList(routes).filter(({ method, path }) => {
+    const operation = document.paths[path] && document.paths[path][method];
+    if (!operation) return true;
+    return operation.requestBody !== undefined && !bodySchema(operation);
+  });
+  if (missing.length) {
+    const names = missing.map(({ method, path }) => `${method.toUpperCase()} ${path}`).join(', ');
+    throw new Error(`Rotas sem esquema na documentação OpenAPI: ${names}`);
+  }
+}
+
+module.exports = { validateRequest, validateBeforeControllers, assertRoutesDocumented };
@@ -0,0 +1,14 @@
+const pixService = require('../../src/services/pixService');
+const { sendError } = require('./errorHandler');
+
+// O provedor Pix se autentica com o cabeçalho X-Webhook-Secret
+function requirePixWebhookSecret(req, res, next) {
+  try {
+    pixService.assertWebhookSecret(req.get('X-Webhook-Secret'));
+  } catch (err) {
+    return sendError(res, err);
+  }
+  next();
+}
+
+module.exports = { requirePixWebhookSecret };
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const boletoController = require('../controllers/boletoController');
+const { requireAuth } = require('../middlewares/auth');
+
+router.use(requireAuth());
+router.get('/:id', boletoController.getById);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const cartController = require('../controllers/cartController');
+const { requireAuth } = require('../middlewares/auth');
+
+router.use(requireAuth());
+router.get('/', cartController.get);
+router.delete('/', cartController.clear);
+router.post('/items', cartController.addItem);
+router.put('/items/:productId', cartController.updateItem);
+router.delete('/items/:productId', cartController.removeItem);
+
+module.exports = router;
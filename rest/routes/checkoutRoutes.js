@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const checkoutController = require('../controllers/checkoutController');
+const { requireAuth } = require('../middlewares/auth');
 
+router.use(requireAuth());
 router.post('/', checkoutController.checkout);
+router.post('/cart', checkoutController.checkoutCart);
 
 module.exports = router;
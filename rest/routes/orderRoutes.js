@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const orderController = require('../controllers/orderController');
+const { requireAuth } = require('../middlewares/auth');
+
+router.use(requireAuth());
+router.get('/', orderController.list);
+router.get('/:id', orderController.getById);
+router.post('/:id/cancel', orderController.cancel);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const pixController = require('../controllers/pixController');
+const { requirePixWebhookSecret } = require('../middlewares/webhookSecret');
+
+// Chamado pelo provedor Pix, que se autentica com o cabeçalho X-Webhook-Secret
+router.post('/webhook', requirePixWebhookSecret, pixController.webhook);
+
+module.exports = router;
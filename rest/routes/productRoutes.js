@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const productController = require('../controllers/productController');
+const { requireAuth } = require('../middlewares/auth');
+
+router.get('/', productController.list);
+router.get('/:id', productController.getById);
+router.post('/', requireAuth({ roles: ['admin'] }), productController.create);
+router.put('/:id', requireAuth({ roles: ['admin'] }), productController.update);
+router.delete('/:id', requireAuth({ roles: ['admin'] }), productController.remove);
+
+module.exports = router;
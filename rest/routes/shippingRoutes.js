@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+const shippingController = require('../controllers/shippingController');
+
+router.post('/quote', shippingController.quote);
+
+module.exports = router;
@@ -1,8 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const { requireAuth } = require('../middlewares/auth');
 
 router.post('/register', userController.register);
 router.post('/login', userController.login);
+router.post('/refresh', userController.refresh);
+router.post('/logout', requireAuth(), userController.logout);
+router.post('/forgot-password', userController.forgotPassword);
+router.post('/reset-password', userController.resetPassword);
+router.post('/verify-email', userController.verifyEmail);
+router.post('/me/verification', requireAuth(), userController.resendVerification);
+router.get('/me', requireAuth(), userController.getProfile);
+router.patch('/me', requireAuth(), userController.updateProfile);
+router.put('/me/password', requireAuth(), userController.changePassword);
+router.delete('/me', requireAuth(), userController.deleteAccount);
+router.get('/', requireAuth({ roles: ['admin'] }), userController.list);
+router.get('/:id', requireAuth({ roles: ['admin'], ownerParam: 'id' }), userController.getById);
 
 module.exports = router;
@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+const jwksController = require('../controllers/jwksController');
+
+router.get('/jwks.json', jwksController.get);
+
+module.exports = router;
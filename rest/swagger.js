@@ -1,9 +1,25 @@
+const errorCodes = Object.keys(require('../src/i18n/pt-BR').errors);
+const paymentMethods = ['boleto', 'credit_card', 'pix'];
+
+// Resposta no formato padrão de erro { error, code }
+function errorResponse(description) {
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: { $ref: '#/components/schemas/Error' }
+      }
+    }
+  };
+}
+
 module.exports = {
   openapi: '3.0.0',
   info: {
     title: 'API Checkout Demo',
     version: '1.0.0',
-    description: 'API para registro, login e checkout com boleto ou cartão.'
+    description: 'API para registro, login e checkout com boleto, cartão ou Pix. ' +
+      'As mensagens de erro seguem o cabeçalho Accept-Language (pt-BR ou en-US, padrão pt-BR); o campo code não muda com o idioma.'
   },
   paths: {
     '/api/users/register': {
@@ -18,7 +34,7 @@ module.exports = {
                 properties: {
                   name: { type: 'string' },
                   email: { type: 'string' },
-                  password: { type: 'string' }
+                  password: { type: 'string', description: 'Deve seguir a política de senha (padrão: mínimo de 8 caracteres, com letras e números, e fora da lista de senhas comuns)' }
                 },
                 required: ['name', 'email', 'password']
               }
@@ -27,7 +43,14 @@ module.exports = {
         },
         responses: {
           201: { description: 'Usuário registrado' },
-          400: { description: 'Email já cadastrado' }
+          400: {
+            description: 'Email já cadastrado, email em formato inválido ou senha fora da política',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ValidationError' }
+              }
+            }
+          }
         }
       }
     },
@@ -50,8 +73,376 @@ module.exports = {
           }
         },
         responses: {
-          200: { description: 'Login bem-sucedido' },
-          401: { description: 'Credenciais inválidas' }
+          200: {
+            description: 'Login bem-sucedido',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/TokenPair' }
+              }
+            }
+          },
+          401: errorResponse('Credenciais inválidas'),
+          429: {
+            description: 'Muitas tentativas com falha para o email ou IP; aguarde o tempo indicado em Retry-After',
+            headers: {
+              'Retry-After': { description: 'Segundos até a próxima tentativa', schema: { type: 'integer' } }
+            },
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/RateLimitedError' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/users/refresh': {
+      post: {
+        summary: 'Renovar tokens',
+        description: 'Cada refresh token vale uma vez; reutilizar um token já trocado revoga a sessão inteira',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  refreshToken: { type: 'string' }
+                },
+                required: ['refreshToken']
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Novo par de tokens',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/TokenPair' }
+              }
+            }
+          },
+          401: errorResponse('Refresh token inválido ou expirado')
+        }
+      }
+    },
+    '/api/users/logout': {
+      post: {
+        summary: 'Encerrar a sessão do token atual',
+        security: [{ bearerAuth: [] }],
+        responses: {
+          204: { description: 'Sessão encerrada' },
+          401: { $ref: '#/components/responses/Unauthorized' }
+        }
+      }
+    },
+    '/api/users/forgot-password': {
+      post: {
+        summary: 'Pedir a redefinição de senha',
+        description: 'Envia por email um token de uso único. A resposta é a mesma para emails cadastrados ou não',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  email: { type: 'string' }
+                },
+                required: ['email']
+              }
+            }
+          }
+        },
+        responses: {
+          202: { description: 'Pedido recebido' },
+          400: {
+            description: 'Email não informado',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ValidationError' }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/api/users/reset-password': {
+      post: {
+        summary: 'Redefinir a senha com o token recebido por email',
+        description: 'O token vale uma única vez e expira (padrão: 30 minutos). Todas as sessões do usuário são encerradas',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  token: { type: 'string' },
+                  newPassword: { type: 'string', description: 'Deve seguir a política de senha' }
+                },
+                required: ['token', 'newPassword']
+              }
+            }
+          }
+        },
+        responses: {
+          204: { description: 'Senha redefinida' },
+          400: errorResponse('Token inválido, já usado ou expirado, ou nova senha fora da política')
+        }
+      }
+    },
+    '/api/users/verify-email': {
+      post: {
+        summary: 'Confirmar o email com o token recebido',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  token: { type: 'string' }
+                },
+                required: ['token']
+              }
+            }
+          }
+        },
+        responses: {
+          204: { description: 'Email confirmado' },
+          400: errorResponse('Token inválido ou expirado')
+        }
+      }
+    },
+    '/api/users/me/verification': {
+      post: {
+        summary: 'Reenviar o email de confirmação',
+        description: 'Gera um novo token; o anterior deixa de valer',
+        security: [{ bearerAuth: [] }],
+        responses: {
+          202: { description: 'Email reenviado' },
+          400: errorResponse('Email já verificado'),
+          401: { $ref: '#/components/responses/Unauthorized' }
+        }
+      }
+    },
+    '/api/users': {
+      get: {
+        summary: 'Listar usuários (admin)',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 } },
+          { name: 'name', in: 'query', description: 'Busca por parte do nome, sem diferenciar maiúsculas', schema: { type: 'string' } },
+          { name: 'email', in: 'query', description: 'Busca por parte do email, sem diferenciar maiúsculas', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: {
+            description: 'Página de usuários',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    users: { type: 'array', items: { $ref: '#/components/schemas/Profile' } },
+                    page: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    total: { type: 'integer' },
+                    totalPages: { type: 'integer' }
+                  }
+                }
+              }
+            }
+          },
+          400: errorResponse('Parâmetros de consulta inválidos'),
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' }
+        }
+      }
+    },
+    '/api/users/{id}': {
+      get: {
+        summary: 'Consultar um usuário',
+        description: 'Admins consultam qualquer usuário; os demais, apenas o próprio registro',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        responses: {
+          200: {
+            description: 'Usuário',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    user: { $ref: '#/components/schemas/Profile' }
+                  }
+                }
+              }
+            }
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: errorResponse('Usuário não encontrado')
+        }
+      }
+    },
+    '/api/users/me': {
+      get: {
+        summary: 'Consultar o perfil do usuário autenticado',
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Perfil do usuário',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    user: { $ref: '#/components/schemas/Profile' }
+                  }
+                }
+              }
+            }
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          404: errorResponse('Usuário não encontrado')
+        }
+      },
+      patch: {
+        summary: 'Atualizar nome e/ou email do usuário autenticado',
+        description: 'Trocar o email exige a senha atual em currentPassword; o novo email não pode pertencer a outra conta',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  email: { type: 'string' },
+                  currentPassword: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Perfil atualizado',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    user: { $ref: '#/components/schemas/Profile' }
+                  }
+                }
+              }
+            }
+          },
+          400: {
+            description: 'Nome vazio, email já cadastrado ou senha atual incorreta',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ValidationError' }
+              }
+            }
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          404: errorResponse('Usuário não encontrado')
+        }
+      },
+      delete: {
+        summary: 'Excluir a conta do usuário autenticado',
+        description: 'Exige a senha da conta; remove o carrinho e encerra todas as sessões. Os pedidos já feitos são mantidos',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  password: { type: 'string' }
+                },
+                required: ['password']
+              }
+            }
+          }
+        },
+        responses: {
+          204: { description: 'Conta excluída' },
+          400: {
+            description: 'Senha incorreta',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ValidationError' }
+              }
+            }
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          404: errorResponse('Usuário não encontrado')
+        }
+      }
+    },
+    '/api/users/me/password': {
+      put: {
+        summary: 'Trocar a senha do usuário autenticado',
+        description: 'As demais sessões do usuário são encerradas; a sessão que fez a troca continua válida',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  currentPassword: { type: 'string' },
+                  newPassword: { type: 'string', description: 'Deve seguir a política de senha' }
+                },
+                required: ['currentPassword', 'newPassword']
+              }
+            }
+          }
+        },
+        responses: {
+          204: { description: 'Senha alterada' },
+          400: {
+            description: 'Senha atual incorreta ou nova senha fora da política',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ValidationError' }
+              }
+            }
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          404: errorResponse('Usuário não encontrado')
+        }
+      }
+    },
+    '/.well-known/jwks.json': {
+      get: {
+        summary: 'Chaves públicas para verificar os tokens emitidos (JWKS)',
+        description: 'Lista apenas chaves RS256/ES256; segredos HS256 nunca são publicados',
+        responses: {
+          200: {
+            description: 'JSON Web Key Set',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    keys: { type: 'array', items: { type: 'object' } }
+                  }
+                }
+              }
+            }
+          }
         }
       }
     },
@@ -68,6 +459,7 @@ module.exports = {
                 properties: {
                   items: {
                     type: 'array',
+                    minItems: 1,
                     items: {
                       type: 'object',
                       properties: {
@@ -77,32 +469,862 @@ module.exports = {
                       required: ['productId', 'quantity']
                     }
                   },
-                  freight: { type: 'number' },
-                  paymentMethod: { type: 'string', enum: ['boleto', 'credit_card'] },
-                  cardData: {
-                    type: 'object',
-                    properties: {
-                      number: { type: 'string' },
-                      name: { type: 'string' },
-                      expiry: { type: 'string' },
-                      cvv: { type: 'string' }
+                  postalCode: { type: 'string', example: '01310-100', description: 'CEP de entrega; o frete é calculado pelo servidor' },
+                  paymentMethod: { type: 'string', enum: paymentMethods },
+                  cardData: { $ref: '#/components/schemas/CardData' },
+                  couponCode: { type: 'string', description: 'Cupom promocional opcional' }
+                },
+                required: ['items', 'postalCode', 'paymentMethod']
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Checkout realizado',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/CheckoutResult' }
+              }
+            }
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          400: errorResponse('Erro no checkout (inclui cupom inválido, expirado, abaixo do valor mínimo ou com limite de uso atingido)'),
+          403: {
+            description: 'Email do usuário ainda não verificado',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/EmailNotVerifiedError' }
+              }
+            }
+          },
+          402: errorResponse('Pagamento com cartão recusado (PAYMENT_DECLINED ou PAYMENT_INSUFFICIENT_FUNDS)'),
+          409: {
+            description: 'Estoque insuficiente',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/InsufficientStockError' }
+              }
+            }
+          },
+          504: errorResponse('O processador de pagamento não respondeu (PAYMENT_GATEWAY_TIMEOUT)')
+        }
+      }
+    },
+    '/api/checkout/cart': {
+      post: {
+        summary: 'Realizar checkout do carrinho do usuário autenticado',
+        description: 'Usa os itens do carrinho salvo e esvazia o carrinho quando o pedido é criado',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  postalCode: { type: 'string', example: '01310-100' },
+                  paymentMethod: { type: 'string', enum: paymentMethods },
+                  cardData: { $ref: '#/components/schemas/CardData' },
+                  couponCode: { type: 'string' }
+                },
+                required: ['postalCode', 'paymentMethod']
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Checkout realizado',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/CheckoutResult' }
+              }
+            }
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          400: errorResponse('Carrinho vazio ou erro no checkout'),
+          403: {
+            description: 'Email do usuário ainda não verificado',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/EmailNotVerifiedError' }
+              }
+            }
+          },
+          402: errorResponse('Pagamento com cartão recusado (PAYMENT_DECLINED ou PAYMENT_INSUFFICIENT_FUNDS)'),
+          409: {
+            description: 'Estoque insuficiente',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/InsufficientStockError' }
+              }
+            }
+          },
+          504: errorResponse('O processador de pagamento não respondeu (PAYMENT_GATEWAY_TIMEOUT)')
+        }
+      }
+    },
+    '/api/cart': {
+      get: {
+        summary: 'Consultar carrinho do usuário autenticado',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'postalCode', in: 'query', description: 'CEP para incluir cotação de frete e total estimado', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: {
+            description: 'Carrinho com totais calculados pelos preços atuais',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Cart' }
+              }
+            }
+          },
+          400: errorResponse('CEP inválido ou fora da área de entrega'),
+          401: { $ref: '#/components/responses/Unauthorized' }
+        }
+      },
+      delete: {
+        summary: 'Esvaziar carrinho',
+        security: [{ bearerAuth: [] }],
+        responses: {
+          204: { description: 'Carrinho esvaziado' },
+          401: { $ref: '#/components/responses/Unauthorized' }
+        }
+      }
+    },
+    '/api/cart/items': {
+      post: {
+        summary: 'Adicionar item ao carrinho',
+        description: 'Se o produto já estiver no carrinho, a quantidade é somada',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  productId: { type: 'integer' },
+                  quantity: { type: 'integer', minimum: 1 }
+                },
+                required: ['productId', 'quantity']
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Item adicionado',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Cart' }
+              }
+            }
+          },
+          400: errorResponse('Produto não encontrado ou quantidade inválida'),
+          401: { $ref: '#/components/responses/Unauthorized' }
+        }
+      }
+    },
+    '/api/cart/items/{productId}': {
+      put: {
+        summary: 'Alterar quantidade de um item do carrinho',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'productId', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  quantity: { type: 'integer', minimum: 1 }
+                },
+                required: ['quantity']
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Item atualizado',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Cart' }
+              }
+            }
+          },
+          400: errorResponse('Quantidade inválida'),
+          401: { $ref: '#/components/responses/Unauthorized' },
+          404: errorResponse('Item não encontrado no carrinho')
+        }
+      },
+      delete: {
+        summary: 'Remover item do carrinho',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'productId', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        responses: {
+          200: {
+            description: 'Item removido',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Cart' }
+              }
+            }
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          404: errorResponse('Item não encontrado no carrinho')
+        }
+      }
+    },
+    '/api/products': {
+      get: {
+        summary: 'Listar produtos',
+        parameters: [
+          { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 } },
+          { name: 'sort', in: 'query', schema: { type: 'string', enum: ['price', 'name'] } },
+          { name: 'order', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'], default: 'asc' } },
+          { name: 'search', in: 'query', description: 'Busca pelo nome do produto', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: {
+            description: 'Página de produtos',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    products: { type: 'array', items: { $ref: '#/components/schemas/Product' } },
+                    page: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    total: { type: 'integer' },
+                    totalPages: { type: 'integer' }
+                  }
+                }
+              }
+            }
+          },
+          400: errorResponse('Parâmetros de consulta inválidos')
+        }
+      },
+      post: {
+        summary: 'Cadastrar produto (admin)',
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  price: { type: 'number' },
+                  stock: { type: 'integer', minimum: 0, default: 0 },
+                  weight: { type: 'number', minimum: 0, default: 0 },
+                  dimensions: { $ref: '#/components/schemas/Dimensions' }
+                },
+                required: ['name', 'price']
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Produto cadastrado',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Product' }
+              }
+            }
+          },
+          400: errorResponse('Dados do produto inválidos'),
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' }
+        }
+      }
+    },
+    '/api/products/{id}': {
+      get: {
+        summary: 'Consultar produto',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        responses: {
+          200: {
+            description: 'Produto encontrado',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Product' }
+              }
+            }
+          },
+          404: errorResponse('Produto não encontrado')
+        }
+      },
+      put: {
+        summary: 'Atualizar produto (admin)',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  price: { type: 'number' },
+                  stock: { type: 'integer', minimum: 0 },
+                  weight: { type: 'number', minimum: 0 },
+                  dimensions: { $ref: '#/components/schemas/Dimensions' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Produto atualizado',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Product' }
+              }
+            }
+          },
+          400: errorResponse('Dados do produto inválidos'),
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: errorResponse('Produto não encontrado')
+        }
+      },
+      delete: {
+        summary: 'Remover produto (admin)',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        responses: {
+          204: { description: 'Produto removido' },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          403: { $ref: '#/components/responses/Forbidden' },
+          404: errorResponse('Produto não encontrado')
+        }
+      }
+    },
+    '/api/shipping/quote': {
+      post: {
+        summary: 'Cotar frete por CEP e itens',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  postalCode: { type: 'string', example: '01310-100' },
+                  items: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        productId: { type: 'integer' },
+                        quantity: { type: 'integer' }
+                      },
+                      required: ['productId', 'quantity']
+                    }
+                  }
+                },
+                required: ['postalCode', 'items']
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Cotação de frete',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ShippingQuote' }
+              }
+            }
+          },
+          400: errorResponse('CEP inválido, fora da área de entrega ou itens inválidos')
+        }
+      }
+    },
+    '/api/orders': {
+      get: {
+        summary: 'Listar pedidos do usuário autenticado',
+        security: [{ bearerAuth: [] }],
+        responses: {
+          200: {
+            description: 'Lista de pedidos',
+            content: {
+              'application/json': {
+                schema: { type: 'array', items: { $ref: '#/components/schemas/Order' } }
+              }
+            }
+          },
+          401: { $ref: '#/components/responses/Unauthorized' }
+        }
+      }
+    },
+    '/api/orders/{id}': {
+      get: {
+        summary: 'Consultar pedido do usuário autenticado',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        responses: {
+          200: {
+            description: 'Pedido encontrado',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Order' }
+              }
+            }
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          404: errorResponse('Pedido não encontrado')
+        }
+      }
+    },
+    '/api/orders/{id}/cancel': {
+      post: {
+        summary: 'Cancelar pedido e devolver itens ao estoque',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        responses: {
+          200: {
+            description: 'Pedido cancelado',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Order' }
+              }
+            }
+          },
+          400: errorResponse('Pedido já cancelado'),
+          401: { $ref: '#/components/responses/Unauthorized' },
+          404: errorResponse('Pedido não encontrado')
+        }
+      }
+    },
+    '/api/boletos/{id}': {
+      get: {
+        summary: 'Consultar boleto de um pedido do usuário autenticado',
+        description: 'Devolve JSON por padrão; com Accept: text/html devolve a página do boleto pronta para impressão',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        responses: {
+          200: {
+            description: 'Boleto encontrado',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Boleto' }
+              },
+              'text/html': {
+                schema: { type: 'string' }
+              }
+            }
+          },
+          401: { $ref: '#/components/responses/Unauthorized' },
+          404: errorResponse('Boleto não encontrado')
+        }
+      }
+    },
+    '/api/pix/webhook': {
+      post: {
+        summary: 'Receber a confirmação de pagamentos Pix do provedor',
+        description: 'Marca a cobrança e o pedido como pagos. Reenvios com o mesmo endToEndId são ignorados',
+        parameters: [
+          { name: 'X-Webhook-Secret', in: 'header', required: true, schema: { type: 'string' }, description: 'Segredo compartilhado com o provedor (PIX_WEBHOOK_SECRET)' }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  pix: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        endToEndId: { type: 'string', example: 'E12345678202610191200abcdef12345' },
+                        txid: { type: 'string' },
+                        valor: { type: 'string', example: '120.00' },
+                        horario: { type: 'string', format: 'date-time' }
+                      },
+                      required: ['endToEndId', 'txid', 'valor']
                     }
                   }
                 },
-                required: ['items', 'freight', 'paymentMethod']
+                required: ['pix']
               }
             }
           }
         },
         responses: {
-          200: { description: 'Checkout realizado' },
-          401: { description: 'Token inválido' },
-          400: { description: 'Erro no checkout' }
+          200: {
+            description: 'Pagamentos confirmados',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    charges: { type: 'array', items: { $ref: '#/components/schemas/PixCharge' } }
+                  }
+                }
+              }
+            }
+          },
+          400: errorResponse('Cobrança expirada ou valor diferente do cobrado'),
+          401: errorResponse('Segredo do webhook inválido'),
+          404: errorResponse('Cobrança Pix não encontrada'),
+          409: errorResponse('Cobrança cancelada ou já paga com outro endToEndId')
         }
       }
     }
   },
   components: {
+    responses: {
+      Unauthorized: {
+        description: 'Token ausente, malformado, expirado, revogado ou inválido',
+        headers: {
+          'WWW-Authenticate': {
+            description: 'Desafio Bearer (RFC 6750), ex.: Bearer realm="api", error="invalid_token", error_description="The access token expired"',
+            schema: { type: 'string' }
+          }
+        },
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/AuthError' }
+          }
+        }
+      },
+      Forbidden: {
+        description: 'Perfil ou escopo insuficiente',
+        headers: {
+          'WWW-Authenticate': {
+            description: 'Bearer realm="api", error="insufficient_scope"',
+            schema: { type: 'string' }
+          }
+        },
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/AuthError' }
+          }
+        }
+      }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        properties: {
+          error: { type: 'string', description: 'Mensagem para exibição, no idioma do Accept-Language; pode mudar', example: 'Produto não encontrado' },
+          code: { type: 'string', description: 'Código estável do erro', enum: errorCodes, example: 'PRODUCT_NOT_FOUND' }
+        }
+      },
+      AuthError: {
+        type: 'object',
+        properties: {
+          error: { type: 'string', example: 'Token inválido' },
+          code: { type: 'string', enum: ['TOKEN_MISSING', 'TOKEN_MALFORMED', 'TOKEN_EXPIRED', 'TOKEN_REVOKED', 'TOKEN_INVALID', 'FORBIDDEN'] }
+        }
+      },
+      Product: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          price: { type: 'number' },
+          stock: { type: 'integer' },
+          weight: { type: 'number', description: 'Peso em kg' },
+          dimensions: { $ref: '#/components/schemas/Dimensions' }
+        }
+      },
+      Dimensions: {
+        type: 'object',
+        description: 'Dimensões em cm',
+        properties: {
+          length: { type: 'number' },
+          width: { type: 'number' },
+          height: { type: 'number' }
+        }
+      },
+      ShippingQuote: {
+        type: 'object',
+        properties: {
+          postalCode: { type: 'string' },
+          zone: { type: 'string' },
+          weight: { type: 'number', description: 'Peso tarifável em kg (maior entre peso real e cúbico)' },
+          freight: { type: 'number' },
+          deliveryDays: { type: 'integer' }
+        }
+      },
+      Order: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          userId: { type: 'integer' },
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                productId: { type: 'integer' },
+                quantity: { type: 'integer' }
+              }
+            }
+          },
+          freight: { type: 'number' },
+          lines: { type: 'array', items: { $ref: '#/components/schemas/CheckoutLine' } },
+          subtotal: { type: 'number' },
+          shipping: { $ref: '#/components/schemas/ShippingQuote' },
+          paymentMethod: { type: 'string', enum: paymentMethods },
+          couponCode: { type: 'string', nullable: true },
+          discounts: { type: 'array', items: { $ref: '#/components/schemas/Discount' } },
+          discountTotal: { type: 'number' },
+          total: { type: 'number' },
+          payment: { $ref: '#/components/schemas/Payment' },
+          card: { $ref: '#/components/schemas/CardSummary' },
+          status: { type: 'string', enum: ['pending', 'paid', 'cancelled'] },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Payment: {
+        type: 'object',
+        nullable: true,
+        description: 'Cobrança no processador de pagamento; null para boleto',
+        properties: {
+          provider: { type: 'string', example: 'mock' },
+          transactionId: { type: 'string' },
+          status: { type: 'string', enum: ['captured', 'refunded'], description: 'refunded depois do cancelamento do pedido' },
+          amount: { type: 'number' }
+        }
+      },
+      Boleto: {
+        type: 'object',
+        nullable: true,
+        description: 'Boleto de cobrança no padrão FEBRABAN; null para cartão',
+        properties: {
+          id: { type: 'integer' },
+          orderId: { type: 'integer' },
+          userId: { type: 'integer' },
+          status: { type: 'string', enum: ['pending', 'cancelled'], description: 'cancelled depois do cancelamento do pedido' },
+          bankCode: { type: 'string', example: '237' },
+          nossoNumero: { type: 'string', example: '00000000001' },
+          amount: { type: 'number' },
+          issueDate: { type: 'string', format: 'date' },
+          dueDate: { type: 'string', format: 'date', description: 'Emissão + BOLETO_DUE_BUSINESS_DAYS dias úteis' },
+          barcode: { type: 'string', description: 'Os 44 dígitos representados no código de barras' },
+          digitableLine: { type: 'string', description: 'Linha digitável com 47 dígitos, sem pontuação' },
+          beneficiary: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              document: { type: 'string' },
+              agency: { type: 'string' },
+              account: { type: 'string' }
+            }
+          },
+          payer: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              name: { type: 'string' },
+              email: { type: 'string' }
+            }
+          },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      PixCharge: {
+        type: 'object',
+        nullable: true,
+        description: 'Cobrança Pix; null para boleto e cartão',
+        properties: {
+          txid: { type: 'string' },
+          orderId: { type: 'integer' },
+          userId: { type: 'integer' },
+          amount: { type: 'number' },
+          status: { type: 'string', enum: ['pending', 'paid', 'expired', 'cancelled', 'refund_pending'] },
+          brCode: { type: 'string', description: 'Payload "copia e cola" (EMV) com CRC16, também usado para gerar o QR Code' },
+          createdAt: { type: 'string', format: 'date-time' },
+          expiresAt: { type: 'string', format: 'date-time', description: 'Depois disso a cobrança não aceita confirmação' },
+          endToEndId: { type: 'string', nullable: true },
+          paidAt: { type: 'string', format: 'date-time', nullable: true }
+        }
+      },
+      CardData: {
+        type: 'object',
+        description: 'Obrigatório para credit_card. O número passa pelo dígito verificador (Luhn) e precisa ser de uma bandeira aceita: Visa, Mastercard, Elo, Amex ou Hipercard',
+        properties: {
+          number: { type: 'string', example: '4111111111111111' },
+          name: { type: 'string', example: 'Julio Costa' },
+          expiry: { type: 'string', example: '12/30', description: 'MM/AA; cartões vencidos são recusados' },
+          cvv: { type: 'string', example: '123', description: '4 dígitos para Amex, 3 para as demais bandeiras' }
+        },
+        required: ['number', 'name', 'expiry', 'cvv']
+      },
+      CardSummary: {
+        type: 'object',
+        nullable: true,
+        description: 'Bandeira e últimos dígitos do cartão; o número completo nunca é devolvido. null para boleto',
+        properties: {
+          brand: { type: 'string', enum: ['visa', 'mastercard', 'elo', 'amex', 'hipercard'] },
+          last4: { type: 'string', example: '1111' }
+        }
+      },
+      CheckoutLine: {
+        type: 'object',
+        properties: {
+          productId: { type: 'integer' },
+          name: { type: 'string' },
+          unitPrice: { type: 'number' },
+          quantity: { type: 'integer' },
+          subtotal: { type: 'number', description: 'Preço unitário x quantidade' }
+        }
+      },
+      CheckoutResult: {
+        type: 'object',
+        properties: {
+          orderId: { type: 'integer' },
+          userId: { type: 'integer' },
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                productId: { type: 'integer' },
+                quantity: { type: 'integer' }
+              }
+            }
+          },
+          lines: { type: 'array', items: { $ref: '#/components/schemas/CheckoutLine' } },
+          subtotal: { type: 'number', description: 'Soma dos subtotais das linhas' },
+          freight: { type: 'number' },
+          shipping: { $ref: '#/components/schemas/ShippingQuote' },
+          paymentMethod: { type: 'string', enum: paymentMethods },
+          couponCode: { type: 'string', nullable: true },
+          discounts: { type: 'array', items: { $ref: '#/components/schemas/Discount' } },
+          discountTotal: { type: 'number', description: 'subtotal + freight - total' },
+          total: { type: 'number' },
+          valorFinal: { type: 'number' },
+          payment: { $ref: '#/components/schemas/Payment' },
+          card: { $ref: '#/components/schemas/CardSummary' },
+          boleto: { $ref: '#/components/schemas/Boleto' },
+          pix: { $ref: '#/components/schemas/PixCharge' },
+          status: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Cart: {
+        type: 'object',
+        properties: {
+          userId: { type: 'integer' },
+          items: { type: 'array', items: { $ref: '#/components/schemas/CheckoutLine' } },
+          itemCount: { type: 'integer', description: 'Soma das quantidades' },
+          subtotal: { type: 'number' },
+          shipping: { $ref: '#/components/schemas/ShippingQuote' },
+          total: { type: 'number', description: 'subtotal + frete, presente apenas quando postalCode é informado' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Discount: {
+        type: 'object',
+        properties: {
+          code: { type: 'string' },
+          type: { type: 'string', enum: ['percentage', 'fixed', 'free_freight', 'payment_method'] },
+          description: { type: 'string' },
+          amount: { type: 'number' }
+        }
+      },
+      Profile: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          email: { type: 'string' },
+          role: { type: 'string', enum: ['user', 'admin'] },
+          verified: { type: 'boolean', description: 'Se o email já foi confirmado; o checkout exige email verificado' }
+        }
+      },
+      TokenPair: {
+        type: 'object',
+        properties: {
+          token: { type: 'string', description: 'JWT de acesso' },
+          refreshToken: { type: 'string' }
+        }
+      },
+      ValidationError: {
+        type: 'object',
+        properties: {
+          error: { type: 'string', example: 'Dados inválidos' },
+          code: { type: 'string', enum: ['VALIDATION_ERROR'] },
+          fields: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string', example: 'password' },
+                code: { type: 'string', example: 'PASSWORD_TOO_SHORT' },
+                message: { type: 'string', example: 'A senha deve ter pelo menos 8 caracteres' }
+              }
+            }
+          }
+        }
+      },
+      EmailNotVerifiedError: {
+        type: 'object',
+        properties: {
+          error: { type: 'string', example: 'Email não verificado' },
+          code: { type: 'string', enum: ['EMAIL_NOT_VERIFIED'] }
+        }
+      },
+      RateLimitedError: {
+        type: 'object',
+        properties: {
+          error: { type: 'string' },
+          code: { type: 'string', enum: ['RATE_LIMITED'] },
+          retryAfter: { type: 'integer', description: 'Segundos até a próxima tentativa' }
+        }
+      },
+      InsufficientStockError: {
+        type: 'object',
+        properties: {
+          error: { type: 'string' },
+          code: { type: 'string', enum: ['INSUFFICIENT_STOCK'] },
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                productId: { type: 'integer' },
+                requested: { type: 'integer' },
+                available: { type: 'integer' }
+              }
+            }
+          }
+        }
+      }
+    },
     securitySchemes: {
       bearerAuth: {
         type: 'http',
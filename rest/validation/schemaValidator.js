@@ -0,0 +1,79 @@
+// Validador do subconjunto de JSON Schema usado em rest/swagger.js: type,
+// properties, required, items, minItems, enum, minimum, maximum, minLength,
+// nullable e $ref
+const TYPE_CODES = {
+  object: 'MUST_BE_OBJECT',
+  array: 'MUST_BE_ARRAY',
+  string: 'MUST_BE_STRING',
+  integer: 'MUST_BE_INTEGER',
+  number: 'MUST_BE_NUMBER',
+  boolean: 'MUST_BE_BOOLEAN'
+};
+
+function resolveRef(schema, document) {
+  if (!schema.$ref) return schema;
+  const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, part) => node && node[part], document);
+  if (!target) throw new Error(`Referência de esquema não encontrada: ${schema.$ref}`);
+  return resolveRef(target, document);
+}
+
+function matchesType(type, value) {
+  if (type === 'object') return typeof value === 'object' && value !== null && !Array.isArray(value);
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeof value === type;
+}
+
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function check(schema, value, path, document, errors) {
+  schema = resolveRef(schema, document);
+  const field = path || 'body';
+  if (value === null) {
+    if (!schema.nullable) errors.push({ field, code: TYPE_CODES[schema.type] || 'INVALID_VALUE' });
+    return;
+  }
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push({ field, code: TYPE_CODES[schema.type] });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, code: 'NOT_IN_ENUM', params: { values: schema.enum.join(', ') } });
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ field, code: 'BELOW_MINIMUM', params: { minimum: schema.minimum } });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ field, code: 'ABOVE_MAXIMUM', params: { maximum: schema.maximum } });
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ field, code: 'TOO_SHORT', params: { minLength: schema.minLength } });
+  }
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ field, code: 'TOO_FEW_ITEMS', params: { minItems: schema.minItems } });
+  }
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => check(schema.items, item, childPath(path, index), document, errors));
+  }
+  if (schema.type === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push({ field: childPath(path, name), code: 'REQUIRED' });
+    }
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined) check(propertySchema, value[name], childPath(path, name), document, errors);
+    }
+  }
+}
+
+// Devolve todos os problemas encontrados, no formato { field, code, params } de ValidationError
+function validateSchema(schema, value, document) {
+  const errors = [];
+  check(schema, value, '', document, errors);
+  return errors;
+}
+
+module.exports = { validateSchema };
@@ -0,0 +1,73 @@
+const { bankCheckDigit, formatDigitableLine, interleaved2of5 } = require('../../src/payments/febraban');
+
+const NARROW = 1;
+const WIDE = 3;
+const BAR_HEIGHT = 50;
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function formatDate(date) {
+  return date.split('-').reverse().join('/');
+}
+
+function formatAmount(amount) {
+  return amount.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+}
+
+// Desenha as barras em SVG: posições pares do padrão são barras, ímpares espaços
+function barcodeSvg(barcode) {
+  const pattern = interleaved2of5(barcode);
+  let x = 0;
+  const rects = [];
+  for (let i = 0; i < pattern.length; i++) {
+    const width = pattern[i] === 'w' ? WIDE : NARROW;
+    if (i % 2 === 0) rects.push(`<rect x="${x}" y="0" width="${width}" height="${BAR_HEIGHT}"/>`);
+    x += width;
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${x}" height="${BAR_HEIGHT}" viewBox="0 0 ${x} ${BAR_HEIGHT}" role="img" aria-label="${barcode}">${rects.join('')}</svg>`;
+}
+
+function renderBoletoPage(boleto) {
+  const { beneficiary, payer } = boleto;
+  const line = formatDigitableLine(boleto.digitableLine);
+  const rows = [
+    ['Beneficiário', `${beneficiary.name} — ${beneficiary.document}`],
+    ['Agência / Código do beneficiário', `${beneficiary.agency} / ${beneficiary.account}`],
+    ['Pagador', payer ? `${payer.name} — ${payer.email}` : ''],
+    ['Nosso número', boleto.nossoNumero],
+    ['Número do documento', boleto.orderId],
+    ['Data do documento', formatDate(boleto.issueDate)],
+    ['Vencimento', formatDate(boleto.dueDate)],
+    ['Valor do documento', formatAmount(boleto.amount)]
+  ];
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>Boleto ${escapeHtml(boleto.nossoNumero)}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 24px; color: #000; }
+  .line { font-size: 18px; font-weight: bold; letter-spacing: 1px; text-align: right; border-bottom: 2px solid #000; padding-bottom: 4px; }
+  .bank { font-size: 20px; font-weight: bold; }
+  table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+  th, td { border: 1px solid #000; padding: 4px 8px; text-align: left; font-size: 13px; }
+  th { width: 35%; font-weight: normal; color: #333; }
+  .cancelled { color: #b00; font-weight: bold; }
+  @media print { .no-print { display: none; } }
+</style>
+</head>
+<body>
+<div class="line"><span class="bank">${escapeHtml(boleto.bankCode)}-${bankCheckDigit(boleto.bankCode)}</span> ${escapeHtml(line)}</div>
+${boleto.status === 'cancelled' ? '<p class="cancelled">Boleto cancelado: não efetue o pagamento.</p>\n' : ''}<table>
+${rows.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+${barcodeSvg(boleto.barcode)}
+<p class="no-print"><button onclick="window.print()">Imprimir</button></p>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderBoletoPage };
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+// Chaves de assinatura dos tokens: JSON em JWT_KEYS ou em um arquivo apontado por
+// JWT_KEYS_FILE. Sem configuração, usa uma única chave HS256 para desenvolvimento
+function loadJwtKeys() {
+  if (process.env.JWT_KEYS) return JSON.parse(process.env.JWT_KEYS);
+  if (process.env.JWT_KEYS_FILE) return JSON.parse(fs.readFileSync(process.env.JWT_KEYS_FILE, 'utf8'));
+  return [{ kid: 'dev', alg: 'HS256', secret: process.env.JWT_SECRET || 'supersecret' }];
+}
+
+module.exports = {
+  store: {
+    // 'memory' (padrão) ou 'file'
+    driver: process.env.STORE_DRIVER || 'memory',
+    file: process.env.STORE_FILE || path.join(__dirname, '..', 'data', 'store.json')
+  },
+  auth: {
+    // Lista de chaves ativas; tokens assinados por qualquer uma delas são aceitos
+    keys: loadJwtKeys(),
+    // Chave usada para assinar novos tokens (padrão: a primeira da lista)
+    signingKeyId: process.env.JWT_SIGNING_KEY_ID,
+    accessTokenTtl: '1h',
+    refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7
+  },
+  payment: {
+    // 'mock' (padrão) aprova ou recusa conforme os cartões de teste de src/payments/mockGateway.js
+    driver: process.env.PAYMENT_DRIVER || 'mock'
+  },
+  boleto: {
+    // Dados da conta de cobrança do cedente impressos no boleto
+    bankCode: process.env.BOLETO_BANK_CODE || '237',
+    agency: process.env.BOLETO_AGENCY || '1234',
+    account: process.env.BOLETO_ACCOUNT || '0012345',
+    wallet: process.env.BOLETO_WALLET || '09',
+    beneficiary: {
+      name: process.env.BOLETO_BENEFICIARY_NAME || 'Loja PGATS Ltda',
+      document: process.env.BOLETO_BENEFICIARY_DOCUMENT || '12.345.678/0001-95'
+    },
+    // Vencimento em dias úteis a partir da emissão; sábados, domingos e os
+    // feriados nacionais (MM-DD) não contam
+    dueBusinessDays: Number(process.env.BOLETO_DUE_BUSINESS_DAYS) || 3,
+    holidays: ['01-01', '04-21', '05-01', '09-07', '10-12', '11-02', '11-15', '11-20', '12-25']
+  },
+  pix: {
+    // Chave Pix e dados do recebedor gravados no BR Code
+    key: process.env.PIX_KEY || 'pagamentos@loja.local',
+    merchantName: process.env.PIX_MERCHANT_NAME || 'Loja PGATS',
+    merchantCity: process.env.PIX_MERCHANT_CITY || 'Sao Paulo',
+    // Depois do prazo a cobrança não aceita mais confirmação
+    expirationMinutes: Number(process.env.PIX_EXPIRATION_MINUTES) || 30,
+    // Segredo que o provedor Pix envia no cabeçalho X-Webhook-Secret
+    webhookSecret: process.env.PIX_WEBHOOK_SECRET || 'pix-webhook-dev'
+  },
+  mail: {
+    // 'memory' (padrão) guarda os emails em memória; 'file' grava cada um em outboxDir
+    driver: process.env.MAIL_DRIVER || 'memory',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'data', 'outbox'),
+    from: process.env.MAIL_FROM || 'nao-responda@loja.local'
+  },
+  passwordReset: {
+    tokenTtlMinutes: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30
+  },
+  emailVerification: {
+    tokenTtlHours: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24
+  },
+  loginThrottle: {
+    // Falhas mais antigas que a janela são esquecidas
+    windowMinutes: Number(process.env.LOGIN_WINDOW_MINUTES) || 15,
+    // Depois das tentativas livres, cada nova falha dobra a espera (até maxDelaySeconds)
+    baseDelaySeconds: 1,
+    maxDelaySeconds: 30,
+    lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    email: {
+      freeAttempts: 3,
+      lockoutThreshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10
+    },
+    // Vários usuários podem compartilhar o mesmo IP, por isso os limites são maiores
+    ip: {
+      freeAttempts: 10,
+      lockoutThreshold: Number(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 50
+    }
+  },
+  passwordHash: {
+    // Parâmetros do scrypt usados em novos hashes; hashes antigos guardam os próprios parâmetros
+    cost: Number(process.env.PASSWORD_HASH_COST) || 16384,
+    blockSize: 8,
+    parallelization: 1,
+    keyLength: 64
+  },
+  passwordPolicy: {
+    minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+    requireLetter: true,
+    requireDigit: true,
+    requireUppercase: false,
+    requireSymbol: false,
+    bannedPasswords: [
+      '12345678', '123456789', '1234567890', '87654321', '11111111',
+      'password', 'password1', 'senha123', 'senha1234', 'qwerty123',
+      'abc12345', 'abcd1234', 'a1b2c3d4', 'iloveyou1', 'admin123'
+    ]
+  }
+};
@@ -0,0 +1,11 @@
+const DomainError = require('./DomainError');
+
+// code: TOKEN_MISSING, TOKEN_MALFORMED, TOKEN_EXPIRED, TOKEN_REVOKED ou TOKEN_INVALID
+class AuthenticationError extends DomainError {
+  constructor(code) {
+    super(code, { status: 401 });
+    this.name = 'AuthenticationError';
+  }
+}
+
+module.exports = AuthenticationError;
@@ -0,0 +1,11 @@
+const DomainError = require('./DomainError');
+
+class AuthorizationError extends DomainError {
+  constructor(scopes = []) {
+    super('FORBIDDEN', { status: 403 });
+    this.name = 'AuthorizationError';
+    this.scopes = scopes;
+  }
+}
+
+module.exports = AuthorizationError;
@@ -0,0 +1,22 @@
+const { DEFAULT_LOCALE, translate } = require('../i18n');
+
+// Base dos erros de negócio: code é estável para os clientes, status é o HTTP
+// usado pela API REST e details segue junto no corpo da resposta. A mensagem
+// fica em português; as APIs traduzem pelo code no idioma de cada requisição
+class DomainError extends Error {
+  constructor(code, { status = 400, details = {} } = {}) {
+    super(translate(DEFAULT_LOCALE, `errors.${code}`));
+    this.name = 'DomainError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  // O GraphQL usa as extensions do erro original: o cliente recebe
+  // extensions.code e os detalhes
+  get extensions() {
+    return { code: this.code, ...this.details };
+  }
+}
+
+module.exports = DomainError;
@@ -0,0 +1,10 @@
+const DomainError = require('./DomainError');
+
+class EmailNotVerifiedError extends DomainError {
+  constructor() {
+    super('EMAIL_NOT_VERIFIED', { status: 403 });
+    this.name = 'EmailNotVerifiedError';
+  }
+}
+
+module.exports = EmailNotVerifiedError;
@@ -0,0 +1,11 @@
+const DomainError = require('./DomainError');
+
+class InsufficientStockError extends DomainError {
+  constructor(items) {
+    super('INSUFFICIENT_STOCK', { status: 409, details: { items } });
+    this.name = 'InsufficientStockError';
+    this.items = items;
+  }
+}
+
+module.exports = InsufficientStockError;
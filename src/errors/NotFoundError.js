@@ -0,0 +1,10 @@
+const DomainError = require('./DomainError');
+
+class NotFoundError extends DomainError {
+  constructor(code) {
+    super(code, { status: 404 });
+    this.name = 'NotFoundError';
+  }
+}
+
+module.exports = NotFoundError;
@@ -0,0 +1,11 @@
+const DomainError = require('./DomainError');
+
+class RateLimitedError extends DomainError {
+  constructor(retryAfter) {
+    super('RATE_LIMITED', { status: 429, details: { retryAfter } });
+    this.name = 'RateLimitedError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = RateLimitedError;
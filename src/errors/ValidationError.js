@@ -0,0 +1,11 @@
+const DomainError = require('./DomainError');
+
+class ValidationError extends DomainError {
+  constructor(fields) {
+    super('VALIDATION_ERROR', { details: { fields } });
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
+
+module.exports = ValidationError;
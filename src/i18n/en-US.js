@@ -0,0 +1,129 @@
+module.exports = {
+  errors: {
+    VALIDATION_ERROR: 'Invalid data',
+    INVALID_JSON: 'Invalid JSON',
+    INTERNAL_ERROR: 'Internal error',
+
+    TOKEN_MISSING: 'Invalid token',
+    TOKEN_MALFORMED: 'Invalid token',
+    TOKEN_EXPIRED: 'Invalid token',
+    TOKEN_REVOKED: 'Invalid token',
+    TOKEN_INVALID: 'Invalid token',
+    FORBIDDEN: 'Access denied',
+    INVALID_CREDENTIALS: 'Invalid credentials',
+    RATE_LIMITED: 'Too many login attempts. Try again later',
+    INVALID_REFRESH_TOKEN: 'Invalid refresh token',
+    REFRESH_TOKEN_EXPIRED: 'Refresh token expired',
+
+    USER_NOT_FOUND: 'User not found',
+    EMAIL_ALREADY_REGISTERED: 'Email already registered',
+    EMAIL_NOT_VERIFIED: 'Email not verified',
+    EMAIL_ALREADY_VERIFIED: 'Email already verified',
+    INVALID_RESET_TOKEN: 'Invalid password reset token',
+    RESET_TOKEN_EXPIRED: 'Password reset token expired',
+    INVALID_VERIFICATION_TOKEN: 'Invalid verification token',
+    VERIFICATION_TOKEN_EXPIRED: 'Verification token expired',
+
+    INVALID_PAGE: 'Invalid page',
+    INVALID_LIMIT: 'Invalid limit',
+    INVALID_SORT_FIELD: 'Invalid sort field',
+    INVALID_SORT_ORDER: 'Invalid sort order',
+
+    PRODUCT_NOT_FOUND: 'Product not found',
+    PRODUCT_NAME_REQUIRED: 'Product name is required',
+    INVALID_PRODUCT_PRICE: 'Invalid product price',
+    INVALID_PRODUCT_STOCK: 'Invalid product stock',
+    INVALID_PRODUCT_WEIGHT: 'Invalid product weight',
+    INVALID_PRODUCT_DIMENSIONS: 'Invalid product dimensions',
+    INSUFFICIENT_STOCK: 'Insufficient stock',
+
+    INVALID_QUANTITY: 'Invalid quantity',
+    CART_ITEM_NOT_FOUND: 'Item not found in cart',
+    CART_EMPTY: 'Cart is empty',
+
+    INVALID_POSTAL_CODE: 'Invalid postal code',
+    POSTAL_CODE_NOT_SERVED: 'Postal code outside the delivery area',
+    ITEMS_REQUIRED: 'Items are required',
+
+    CARD_DATA_REQUIRED: 'Card data is required for credit card payments',
+    PAYMENT_DECLINED: 'Payment declined',
+    PAYMENT_INSUFFICIENT_FUNDS: 'Payment declined due to insufficient funds',
+    PAYMENT_GATEWAY_TIMEOUT: 'The payment processor did not respond. Please try again',
+    PAYMENT_TRANSACTION_NOT_FOUND: 'Payment transaction not found at the processor',
+    PAYMENT_TRANSACTION_INVALID_STATE: 'The payment transaction does not allow this operation',
+    INVALID_COUPON: 'Invalid coupon',
+    COUPON_EXPIRED: 'Coupon expired',
+    COUPON_MIN_ORDER_NOT_REACHED: 'Order total below the coupon minimum',
+    COUPON_USAGE_LIMIT_REACHED: 'Coupon usage limit reached',
+
+    ORDER_NOT_FOUND: 'Order not found',
+    ORDER_ALREADY_CANCELLED: 'Order already cancelled',
+    BOLETO_NOT_FOUND: 'Boleto not found',
+    BOLETO_AMOUNT_TOO_HIGH: 'Amount exceeds the boleto limit',
+    PIX_CHARGE_NOT_FOUND: 'Pix charge not found',
+    PIX_CHARGE_NOT_PENDING: 'Pix charge is not pending',
+    PIX_CHARGE_EXPIRED: 'Pix charge has expired',
+    PIX_INVALID_PAID_AT: 'Invalid Pix payment time',
+    PIX_AMOUNT_MISMATCH: 'Amount paid differs from the Pix charge amount',
+    INVALID_WEBHOOK_SECRET: 'Invalid webhook secret'
+  },
+  fields: {
+    REQUIRED: 'Required field',
+    MUST_BE_OBJECT: 'Must be an object',
+    MUST_BE_ARRAY: 'Must be a list',
+    MUST_BE_STRING: 'Must be a string',
+    MUST_BE_INTEGER: 'Must be an integer',
+    MUST_BE_NUMBER: 'Must be a number',
+    MUST_BE_BOOLEAN: 'Must be true or false',
+    INVALID_VALUE: 'Invalid value',
+    NOT_IN_ENUM: 'Must be one of: {values}',
+    BELOW_MINIMUM: 'Must be greater than or equal to {minimum}',
+    ABOVE_MAXIMUM: 'Must be less than or equal to {maximum}',
+    TOO_SHORT: 'Must be at least {minLength} characters long',
+    TOO_FEW_ITEMS: 'Must have at least {minItems} item(s)',
+
+    NAME_REQUIRED: 'Name is required',
+    EMAIL_REQUIRED: 'Email is required',
+    INVALID_EMAIL: 'Invalid email',
+    EMAIL_ALREADY_REGISTERED: 'Email already registered',
+    INCORRECT_CURRENT_PASSWORD: 'Current password is incorrect',
+    INCORRECT_PASSWORD: 'Incorrect password',
+    PASSWORD_REQUIRED: 'Password is required',
+    PASSWORD_TOO_SHORT: 'Password must be at least {minLength} characters long',
+    PASSWORD_MISSING_LETTER: 'Password must contain at least one letter',
+    PASSWORD_MISSING_DIGIT: 'Password must contain at least one number',
+    PASSWORD_MISSING_UPPERCASE: 'Password must contain at least one uppercase letter',
+    PASSWORD_MISSING_SYMBOL: 'Password must contain at least one special character',
+    PASSWORD_TOO_COMMON: 'Password is too common',
+
+    INVALID_CARD_NUMBER: 'Invalid card number',
+    UNSUPPORTED_CARD_BRAND: 'Card brand not accepted',
+    CARD_HOLDER_REQUIRED: 'Cardholder name is required',
+    INVALID_CARD_EXPIRY: 'Expiry date must be in MM/YY format',
+    CARD_EXPIRED: 'Card has expired',
+    INVALID_CVV: 'Invalid CVV',
+    INVALID_CVV_LENGTH: 'CVV must have {length} digits'
+  },
+  messages: {
+    PASSWORD_RESET_REQUESTED: 'If the email is registered, we will send instructions to reset the password'
+  },
+  emails: {
+    PASSWORD_RESET_SUBJECT: 'Password reset',
+    PASSWORD_RESET_TEXT: 'Hello, {name}.\n\n' +
+      'Use the code below to reset your password. It is valid for {ttlMinutes} minutes and can be used only once.\n\n' +
+      '{token}\n\n' +
+      'If you did not request a password reset, ignore this email.',
+    EMAIL_VERIFICATION_SUBJECT: 'Confirm your email',
+    EMAIL_VERIFICATION_TEXT: 'Hello, {name}.\n\n' +
+      'Use the code below to confirm your email. It is valid for {ttlHours} hours.\n\n' +
+      '{token}\n\n' +
+      'If you did not create an account, ignore this email.'
+  },
+  discounts: {
+    DESCONTO10: '10% off products',
+    MENOS50: 'R$ 50 off orders of R$ 200 or more',
+    FRETEGRATIS: 'Free shipping on orders of R$ 100 or more',
+    BLACKFRIDAY: '30% off for Black Friday',
+    CARTAO5: '5% off when paying by credit card'
+  }
+};
@@ -0,0 +1,71 @@
+const bundles = {
+  'pt-BR': require('./pt-BR'),
+  'en-US': require('./en-US')
+};
+
+const DEFAULT_LOCALE = 'pt-BR';
+const LOCALES = Object.keys(bundles);
+
+function findLocale(tag) {
+  const lower = tag.toLowerCase();
+  return LOCALES.find(l => l.toLowerCase() === lower) ||
+    LOCALES.find(l => l.split('-')[0].toLowerCase() === lower.split('-')[0]);
+}
+
+// Escolhe o idioma pelo cabeçalho Accept-Language (ex.: 'en-US,en;q=0.9'),
+// respeitando os pesos q; 'en' vale como en-US e 'pt' como pt-BR
+function resolveLocale(acceptLanguage) {
+  if (typeof acceptLanguage !== 'string') return DEFAULT_LOCALE;
+  const tags = acceptLanguage.split(',')
+    .map(part => {
+      const [tag, ...attributes] = part.trim().split(';');
+      const quality = attributes.map(a => a.trim()).find(a => a.startsWith('q='));
+      return { tag, q: quality ? Number(quality.slice(2)) : 1 };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q);
+  for (const { tag } of tags) {
+    const locale = findLocale(tag);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// key no formato 'secao.CODIGO' (ex.: 'errors.PRODUCT_NOT_FOUND'); textos sem
+// tradução caem no português e chaves desconhecidas voltam como estão
+function findTemplate(locale, key) {
+  const [section, code] = key.split('.');
+  const lookup = bundle => bundle[section] && bundle[section][code];
+  return lookup(bundles[locale] || {}) || lookup(bundles[DEFAULT_LOCALE]);
+}
+
+function translate(locale, key, params = {}) {
+  const template = findTemplate(locale, key) || key.split('.')[1];
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Detalhes de um erro de domínio no idioma pedido: os campos de
+// ValidationError ganham a mensagem correspondente ao código
+function localizeDetails(details, locale) {
+  if (!details.fields) return details;
+  return {
+    ...details,
+    fields: details.fields.map(({ field, code, params }) => ({
+      field,
+      code,
+      message: translate(locale, `fields.${code}`, params)
+    }))
+  };
+}
+
+// Descrição de um desconto pelo código da promoção; promoções sem texto nos
+// pacotes ficam com a descrição gravada no pedido, se houver
+function describeDiscount(discount, locale) {
+  return findTemplate(locale, `discounts.${discount.code}`) || discount.description || discount.code;
+}
+
+function localizeDiscounts(discounts = [], locale) {
+  return discounts.map(discount => ({ ...discount, description: describeDiscount(discount, locale) }));
+}
+
+module.exports = { DEFAULT_LOCALE, LOCALES, resolveLocale, translate, localizeDetails, describeDiscount, localizeDiscounts };
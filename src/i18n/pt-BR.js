@@ -0,0 +1,134 @@
+// Textos em português (idioma padrão). As chaves de errors são os códigos
+// estáveis devolvidos em code; fields são os motivos de ValidationError e
+// discounts as descrições dos descontos, pelo código do cupom ou da promoção;
+// emails traz os assuntos e textos dos emails enviados aos usuários
+module.exports = {
+  errors: {
+    VALIDATION_ERROR: 'Dados inválidos',
+    INVALID_JSON: 'JSON inválido',
+    INTERNAL_ERROR: 'Erro interno',
+
+    TOKEN_MISSING: 'Token inválido',
+    TOKEN_MALFORMED: 'Token inválido',
+    TOKEN_EXPIRED: 'Token inválido',
+    TOKEN_REVOKED: 'Token inválido',
+    TOKEN_INVALID: 'Token inválido',
+    FORBIDDEN: 'Acesso negado',
+    INVALID_CREDENTIALS: 'Credenciais inválidas',
+    RATE_LIMITED: 'Muitas tentativas de login. Tente novamente mais tarde',
+    INVALID_REFRESH_TOKEN: 'Refresh token inválido',
+    REFRESH_TOKEN_EXPIRED: 'Refresh token expirado',
+
+    USER_NOT_FOUND: 'Usuário não encontrado',
+    EMAIL_ALREADY_REGISTERED: 'Email já cadastrado',
+    EMAIL_NOT_VERIFIED: 'Email não verificado',
+    EMAIL_ALREADY_VERIFIED: 'Email já verificado',
+    INVALID_RESET_TOKEN: 'Token de redefinição inválido',
+    RESET_TOKEN_EXPIRED: 'Token de redefinição expirado',
+    INVALID_VERIFICATION_TOKEN: 'Token de verificação inválido',
+    VERIFICATION_TOKEN_EXPIRED: 'Token de verificação expirado',
+
+    INVALID_PAGE: 'Página inválida',
+    INVALID_LIMIT: 'Limite inválido',
+    INVALID_SORT_FIELD: 'Campo de ordenação inválido',
+    INVALID_SORT_ORDER: 'Direção de ordenação inválida',
+
+    PRODUCT_NOT_FOUND: 'Produto não encontrado',
+    PRODUCT_NAME_REQUIRED: 'Nome do produto obrigatório',
+    INVALID_PRODUCT_PRICE: 'Preço do produto inválido',
+    INVALID_PRODUCT_STOCK: 'Estoque do produto inválido',
+    INVALID_PRODUCT_WEIGHT: 'Peso do produto inválido',
+    INVALID_PRODUCT_DIMENSIONS: 'Dimensões do produto inválidas',
+    INSUFFICIENT_STOCK: 'Estoque insuficiente',
+
+    INVALID_QUANTITY: 'Quantidade inválida',
+    CART_ITEM_NOT_FOUND: 'Item não encontrado no carrinho',
+    CART_EMPTY: 'Carrinho vazio',
+
+    INVALID_POSTAL_CODE: 'CEP inválido',
+    POSTAL_CODE_NOT_SERVED: 'CEP fora da área de entrega',
+    ITEMS_REQUIRED: 'Itens obrigatórios',
+
+    CARD_DATA_REQUIRED: 'Dados do cartão obrigatórios para pagamento com cartão',
+    PAYMENT_DECLINED: 'Pagamento recusado',
+    PAYMENT_INSUFFICIENT_FUNDS: 'Pagamento recusado por saldo insuficiente',
+    PAYMENT_GATEWAY_TIMEOUT: 'O processador de pagamento não respondeu. Tente novamente',
+    PAYMENT_TRANSACTION_NOT_FOUND: 'Transação de pagamento não encontrada no processador',
+    PAYMENT_TRANSACTION_INVALID_STATE: 'A transação de pagamento não permite esta operação',
+    INVALID_COUPON: 'Cupom inválido',
+    COUPON_EXPIRED: 'Cupom expirado',
+    COUPON_MIN_ORDER_NOT_REACHED: 'Valor mínimo do pedido não atingido para o cupom',
+    COUPON_USAGE_LIMIT_REACHED: 'Limite de uso do cupom atingido',
+
+    ORDER_NOT_FOUND: 'Pedido não encontrado',
+    ORDER_ALREADY_CANCELLED: 'Pedido já cancelado',
+    BOLETO_NOT_FOUND: 'Boleto não encontrado',
+    BOLETO_AMOUNT_TOO_HIGH: 'Valor acima do limite do boleto',
+    PIX_CHARGE_NOT_FOUND: 'Cobrança Pix não encontrada',
+    PIX_CHARGE_NOT_PENDING: 'Cobrança Pix não está pendente',
+    PIX_CHARGE_EXPIRED: 'Cobrança Pix expirada',
+    PIX_INVALID_PAID_AT: 'Horário do pagamento Pix inválido',
+    PIX_AMOUNT_MISMATCH: 'Valor pago diferente do valor da cobrança Pix',
+    INVALID_WEBHOOK_SECRET: 'Segredo do webhook inválido'
+  },
+  fields: {
+    REQUIRED: 'Campo obrigatório',
+    MUST_BE_OBJECT: 'Deve ser um objeto',
+    MUST_BE_ARRAY: 'Deve ser uma lista',
+    MUST_BE_STRING: 'Deve ser um texto',
+    MUST_BE_INTEGER: 'Deve ser um número inteiro',
+    MUST_BE_NUMBER: 'Deve ser um número',
+    MUST_BE_BOOLEAN: 'Deve ser verdadeiro ou falso',
+    INVALID_VALUE: 'Valor inválido',
+    NOT_IN_ENUM: 'Deve ser um dos valores: {values}',
+    BELOW_MINIMUM: 'Deve ser maior ou igual a {minimum}',
+    ABOVE_MAXIMUM: 'Deve ser menor ou igual a {maximum}',
+    TOO_SHORT: 'Deve ter pelo menos {minLength} caracteres',
+    TOO_FEW_ITEMS: 'Deve ter pelo menos {minItems} item(ns)',
+
+    NAME_REQUIRED: 'Nome obrigatório',
+    EMAIL_REQUIRED: 'Email obrigatório',
+    INVALID_EMAIL: 'Email inválido',
+    EMAIL_ALREADY_REGISTERED: 'Email já cadastrado',
+    INCORRECT_CURRENT_PASSWORD: 'Senha atual incorreta',
+    INCORRECT_PASSWORD: 'Senha incorreta',
+    PASSWORD_REQUIRED: 'Senha obrigatória',
+    PASSWORD_TOO_SHORT: 'A senha deve ter pelo menos {minLength} caracteres',
+    PASSWORD_MISSING_LETTER: 'A senha deve conter pelo menos uma letra',
+    PASSWORD_MISSING_DIGIT: 'A senha deve conter pelo menos um número',
+    PASSWORD_MISSING_UPPERCASE: 'A senha deve conter pelo menos uma letra maiúscula',
+    PASSWORD_MISSING_SYMBOL: 'A senha deve conter pelo menos um caractere especial',
+    PASSWORD_TOO_COMMON: 'A senha é muito comum',
+
+    INVALID_CARD_NUMBER: 'Número do cartão inválido',
+    UNSUPPORTED_CARD_BRAND: 'Bandeira do cartão não aceita',
+    CARD_HOLDER_REQUIRED: 'Nome do titular obrigatório',
+    INVALID_CARD_EXPIRY: 'Validade deve estar no formato MM/AA',
+    CARD_EXPIRED: 'Cartão vencido',
+    INVALID_CVV: 'CVV inválido',
+    INVALID_CVV_LENGTH: 'O CVV deve ter {length} dígitos'
+  },
+  messages: {
+    PASSWORD_RESET_REQUESTED: 'Se o email estiver cadastrado, enviaremos as instruções para redefinir a senha'
+  },
+  // O código enviado fica sempre no terceiro parágrafo do texto
+  emails: {
+    PASSWORD_RESET_SUBJECT: 'Redefinição de senha',
+    PASSWORD_RESET_TEXT: 'Olá, {name}.\n\n' +
+      'Use o código abaixo para redefinir sua senha. Ele vale por {ttlMinutes} minutos e pode ser usado uma única vez.\n\n' +
+      '{token}\n\n' +
+      'Se você não pediu a redefinição, ignore este email.',
+    EMAIL_VERIFICATION_SUBJECT: 'Confirme seu email',
+    EMAIL_VERIFICATION_TEXT: 'Olá, {name}.\n\n' +
+      'Use o código abaixo para confirmar seu email. Ele vale por {ttlHours} horas.\n\n' +
+      '{token}\n\n' +
+      'Se você não criou uma conta, ignore este email.'
+  },
+  discounts: {
+    DESCONTO10: '10% de desconto nos produtos',
+    MENOS50: 'R$ 50 de desconto em pedidos a partir de R$ 200',
+    FRETEGRATIS: 'Frete grátis em pedidos a partir de R$ 100',
+    BLACKFRIDAY: '30% de desconto na Black Friday',
+    CARTAO5: '5% de desconto no cartão de crédito'
+  }
+};
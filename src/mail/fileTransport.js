@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+// Cada email vira um arquivo JSON na pasta de saída, para ser aberto à mão
+// durante o desenvolvimento; os nomes começam pela data para manter a ordem
+function createFileTransport(dir) {
+  function files() {
+    try {
+      return fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort();
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  return {
+    send(message) {
+      fs.mkdirSync(dir, { recursive: true });
+      const name = `${message.sentAt.replace(/[:.]/g, '-')}-${message.id}.json`;
+      fs.writeFileSync(path.join(dir, name), JSON.stringify(message, null, 2));
+    },
+    messages() {
+      return files().map(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+    },
+    clear() {
+      for (const name of files()) fs.rmSync(path.join(dir, name));
+    }
+  };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,10 @@
+const { createMemoryTransport } = require('./memoryTransport');
+const { createFileTransport } = require('./fileTransport');
+
+function createTransport({ driver, outboxDir }) {
+  if (driver === 'memory') return createMemoryTransport();
+  if (driver === 'file') return createFileTransport(outboxDir);
+  throw new Error(`Driver de email desconhecido: ${driver}`);
+}
+
+module.exports = { createTransport };
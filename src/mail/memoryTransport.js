@@ -0,0 +1,18 @@
+const { clone } = require('../utils/clone');
+
+function createMemoryTransport() {
+  let sent = [];
+  return {
+    send(message) {
+      sent.push(clone(message));
+    },
+    messages() {
+      return clone(sent);
+    },
+    clear() {
+      sent = [];
+    }
+  };
+}
+
+module.exports = { createMemoryTransport };
@@ -0,0 +1,8 @@
+const coupons = [
+  { code: 'DESCONTO10', type: 'percentage', value: 10 },
+  { code: 'MENOS50', type: 'fixed', value: 50, minOrderValue: 200, maxUsesPerUser: 1 },
+  { code: 'FRETEGRATIS', type: 'free_freight', minOrderValue: 100 },
+  { code: 'BLACKFRIDAY', type: 'percentage', value: 30, expiresAt: '2024-11-30T23:59:59.000Z' }
+];
+
+module.exports = coupons;
@@ -1,6 +1,6 @@
 const products = [
-  { id: 1, name: 'Produto A', price: 100 },
-  { id: 2, name: 'Produto B', price: 200 }
+  { id: 1, name: 'Produto A', price: 100, stock: 100, weight: 0.5, dimensions: { length: 20, width: 15, height: 10 } },
+  { id: 2, name: 'Produto B', price: 200, stock: 100, weight: 1.2, dimensions: { length: 30, width: 20, height: 15 } }
 ];
 
 module.exports = products;
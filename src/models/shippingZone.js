@@ -0,0 +1,12 @@
+// Faixas de CEP (8 dígitos, inclusivas) com tarifa base, valor por kg e prazo
+const shippingZones = [
+  { name: 'SP - Capital', from: '01000000', to: '05999999', baseRate: 15, perKg: 5, deliveryDays: 2 },
+  { name: 'SP - Grande SP e Interior', from: '06000000', to: '19999999', baseRate: 20, perKg: 6, deliveryDays: 3 },
+  { name: 'Sudeste', from: '20000000', to: '39999999', baseRate: 25, perKg: 7, deliveryDays: 4 },
+  { name: 'Nordeste', from: '40000000', to: '65999999', baseRate: 35, perKg: 9, deliveryDays: 7 },
+  { name: 'Norte', from: '66000000', to: '69999999', baseRate: 45, perKg: 11, deliveryDays: 10 },
+  { name: 'Centro-Oeste', from: '70000000', to: '79999999', baseRate: 30, perKg: 8, deliveryDays: 5 },
+  { name: 'Sul', from: '80000000', to: '99999999', baseRate: 28, perKg: 7, deliveryDays: 5 }
+];
+
+module.exports = shippingZones;
@@ -1,6 +1,21 @@
+// Senha dos usuários semente: 123456 (hash scrypt gerado por passwordService.hashPassword)
 const users = [
-  { id: 1, name: 'Alice', email: 'alice@email.com', password: '123456' },
-  { id: 2, name: 'Bob', email: 'bob@email.com', password: '123456' }
+  {
+    id: 1,
+    name: 'Alice',
+    email: 'alice@email.com',
+    passwordHash: 'scrypt$16384$8$1$gpG5H/sEciTUktKgEVNBUg==$GcKBaN5qNWOnexB8L+Hz8xq0035xy5HQigZL4Smea+Wnw1niAmcx7bI456/cKAX/ytLeWTZ8dpJK3TEOJ/uV2w==',
+    role: 'admin',
+    verified: true
+  },
+  {
+    id: 2,
+    name: 'Bob',
+    email: 'bob@email.com',
+    passwordHash: 'scrypt$16384$8$1$Jvlc/pdqHwVsmTYfaF26Bw==$jYua5jUDP+FDK0Rjpgcy1RsK5pIKJ8be49uJHnN78kwTxQ5x4AKQXi2dgy4g5UOW5DKvz7CwGcnLpv4A/OzDrQ==',
+    role: 'user',
+    verified: true
+  }
 ];
 
 module.exports = users;
@@ -0,0 +1,117 @@
+// Código de barras e linha digitável de boletos de cobrança no layout FEBRABAN:
+// banco(3) moeda(1) DV(1) fator de vencimento(4) valor(10) campo livre(25)
+
+const DomainError = require('../errors/DomainError');
+
+const CURRENCY_CODE = '9';
+// O valor ocupa 10 dígitos, em centavos
+const MAX_AMOUNT = 99999999.99;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FACTOR_BASE = Date.UTC(1997, 9, 7);
+
+function pad(value, length) {
+  return String(value).padStart(length, '0');
+}
+
+// Módulo 10: pesos 2, 1, 2, 1... da direita para a esquerda, somando os
+// dígitos de cada produto
+function mod10(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    const product = Number(digits[digits.length - 1 - i]) * (i % 2 === 0 ? 2 : 1);
+    sum += Math.floor(product / 10) + (product % 10);
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+// Módulo 11: pesos 2 a 9 da direita para a esquerda
+function mod11Remainder(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    sum += Number(digits[digits.length - 1 - i]) * (2 + (i % 8));
+  }
+  return 11 - (sum % 11);
+}
+
+// DV geral do código de barras: restos que dariam 0, 10 ou 11 viram 1
+function mod11(digits) {
+  const dv = mod11Remainder(digits);
+  return dv === 0 || dv > 9 ? 1 : dv;
+}
+
+// DV do código do banco impresso ao lado dele (237-2, 001-9): 10 e 11 viram 0
+function bankCheckDigit(bankCode) {
+  const dv = mod11Remainder(pad(bankCode, 3));
+  return dv > 9 ? 0 : dv;
+}
+
+// Dias desde 07/10/1997. O fator chegou a 9999 em 21/02/2025 e recomeça em
+// 1000 a cada 9000 dias
+function dueDateFactor(dueDate) {
+  const [year, month, day] = dueDate.split('-').map(Number);
+  const days = Math.round((Date.UTC(year, month - 1, day) - FACTOR_BASE) / DAY_MS);
+  return days > 9999 ? 1000 + ((days - 10000) % 9000) : days;
+}
+
+function assertAmount(amount) {
+  if (Math.round(amount * 100) > Math.round(MAX_AMOUNT * 100)) {
+    throw new DomainError('BOLETO_AMOUNT_TOO_HIGH', { details: { maxAmount: MAX_AMOUNT } });
+  }
+}
+
+function buildBarcode({ bankCode, dueDate, amount, freeField }) {
+  assertAmount(amount);
+  const cents = Math.round(amount * 100);
+  if (!/^\d{25}$/.test(freeField)) throw new Error('O campo livre do boleto deve ter 25 dígitos');
+  const body = pad(bankCode, 3) + CURRENCY_CODE + pad(dueDateFactor(dueDate), 4) + pad(cents, 10) + freeField;
+  return body.slice(0, 4) + mod11(body) + body.slice(4);
+}
+
+// Linha digitável (47 dígitos): três campos com DV módulo 10, o DV geral e
+// fator + valor
+function digitableLine(barcode) {
+  const fields = [
+    barcode.slice(0, 4) + barcode.slice(19, 24),
+    barcode.slice(24, 34),
+    barcode.slice(34, 44)
+  ];
+  return fields.map(field => field + mod10(field)).join('') + barcode[4] + barcode.slice(5, 19);
+}
+
+// AAAAA.AAAAA BBBBB.BBBBBB CCCCC.CCCCCC D EEEEEEEEEEEEEE
+function formatDigitableLine(line) {
+  return [
+    `${line.slice(0, 5)}.${line.slice(5, 10)}`,
+    `${line.slice(10, 15)}.${line.slice(15, 21)}`,
+    `${line.slice(21, 26)}.${line.slice(26, 32)}`,
+    line[32],
+    line.slice(33)
+  ].join(' ');
+}
+
+const ITF_DIGITS = ['nnwwn', 'wnnnw', 'nwnnw', 'wwnnn', 'nnwnw', 'wnwnn', 'nwwnn', 'nnnww', 'wnnwn', 'nwnwn'];
+
+// Barras do código Intercalado 2 de 5 usado no boleto impresso: cada letra é
+// uma barra ou espaço estreito (n) ou largo (w), alternando a partir de uma barra
+function interleaved2of5(digits) {
+  let pattern = 'nnnn';
+  for (let i = 0; i < digits.length; i += 2) {
+    const bars = ITF_DIGITS[digits[i]];
+    const spaces = ITF_DIGITS[digits[i + 1]];
+    for (let j = 0; j < 5; j++) pattern += bars[j] + spaces[j];
+  }
+  return pattern + 'wnn';
+}
+
+module.exports = {
+  MAX_AMOUNT,
+  mod10,
+  mod11,
+  bankCheckDigit,
+  dueDateFactor,
+  assertAmount,
+  buildBarcode,
+  digitableLine,
+  formatDigitableLine,
+  interleaved2of5
+};
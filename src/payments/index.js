@@ -0,0 +1,9 @@
+const { createMockGateway } = require('./mockGateway');
+const { paymentTransactions } = require('../repositories');
+
+function createGateway({ driver }) {
+  if (driver === 'mock') return createMockGateway(paymentTransactions);
+  throw new Error(`Gateway de pagamento desconhecido: ${driver}`);
+}
+
+module.exports = { createGateway };
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { createRepository } = require('../repositories/repository');
+const { createMemoryStore } = require('../repositories/memoryStore');
+const DomainError = require('../errors/DomainError');
+
+// Cartões de teste que forçam cada resultado da autorização; qualquer outro
+// número é aprovado
+const MAGIC_CARDS = {
+  '4000000000000002': { status: 'declined', reason: 'card_declined' },
+  '4000000000009995': { status: 'declined', reason: 'insufficient_funds' },
+  '4000000000000119': { status: 'failed', reason: 'timeout' }
+};
+
+function digits(number) {
+  return String(number || '').replace(/\D/g, '');
+}
+
+// Processador local e determinístico que segue o ciclo authorize -> capture ->
+// refund (ou authorize -> void). As transações ficam no repositório recebido,
+// para sobreviver a reinícios e valer para os servidores REST e GraphQL;
+// sem repositório, ficam só em memória
+function createMockGateway(transactions = createRepository(createMemoryStore(), 'paymentTransactions')) {
+  function transition(id, from, changes) {
+    const transaction = transactions.findById(id);
+    if (!transaction) {
+      throw new DomainError('PAYMENT_TRANSACTION_NOT_FOUND', { status: 409, details: { transactionId: id } });
+    }
+    if (transaction.status !== from) {
+      throw new DomainError('PAYMENT_TRANSACTION_INVALID_STATE', {
+        status: 409,
+        details: { transactionId: id, transactionStatus: transaction.status }
+      });
+    }
+    return transactions.update(id, { ...changes, updatedAt: new Date().toISOString() });
+  }
+
+  return {
+    name: 'mock',
+    authorize({ amount, card }) {
+      const now = new Date().toISOString();
+      const outcome = MAGIC_CARDS[digits(card && card.number)] || { status: 'authorized' };
+      const transaction = { id: crypto.randomUUID(), amount, ...outcome, createdAt: now, updatedAt: now };
+      return transactions.insert(transaction);
+    },
+    capture(id) {
+      return transition(id, 'authorized', { status: 'captured' });
+    },
+    void(id) {
+      return transition(id, 'authorized', { status: 'voided' });
+    },
+    refund(id) {
+      return transition(id, 'captured', { status: 'refunded' });
+    },
+    transactions() {
+      return transactions.findAll();
+    },
+    clear() {
+      transactions.reset([]);
+    }
+  };
+}
+
+module.exports = { createMockGateway, MAGIC_CARDS };
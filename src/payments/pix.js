@@ -0,0 +1,60 @@
+// BR Code do Pix ("copia e cola"): campos EMV no formato ID(2) tamanho(2) valor,
+// terminados pelo CRC16 do próprio payload
+
+const GUI = 'br.gov.bcb.pix';
+const MAX_NAME_LENGTH = 25;
+const MAX_CITY_LENGTH = 15;
+
+function field(id, value) {
+  return id + String(value.length).padStart(2, '0') + value;
+}
+
+// CRC-16/CCITT-FALSE (polinômio 0x1021, valor inicial 0xFFFF), em 4 dígitos
+// hexadecimais maiúsculos
+function crc16(payload) {
+  let crc = 0xffff;
+  for (const byte of Buffer.from(payload, 'utf8')) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+      crc &= 0xffff;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+// Nome e cidade do recebedor só aceitam caracteres sem acento
+function plain(text, maxLength) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '').slice(0, maxLength);
+}
+
+function buildBrCode({ key, merchantName, merchantCity, amount, txid = '***' }) {
+  const payload = [
+    field('00', '01'),
+    field('26', field('00', GUI) + field('01', key)),
+    field('52', '0000'),
+    field('53', '986'),
+    amount === undefined ? '' : field('54', amount.toFixed(2)),
+    field('58', 'BR'),
+    field('59', plain(merchantName, MAX_NAME_LENGTH)),
+    field('60', plain(merchantCity, MAX_CITY_LENGTH)),
+    field('62', field('05', txid))
+  ].join('') + '6304';
+  return payload + crc16(payload);
+}
+
+// Lê os campos de primeiro nível do payload e confere o CRC
+function parseBrCode(brCode) {
+  const fields = {};
+  let position = 0;
+  while (position < brCode.length) {
+    const id = brCode.slice(position, position + 2);
+    const length = Number(brCode.slice(position + 2, position + 4));
+    fields[id] = brCode.slice(position + 4, position + 4 + length);
+    position += 4 + length;
+  }
+  const valid = fields['63'] === crc16(brCode.slice(0, -4));
+  return { fields, valid };
+}
+
+module.exports = { crc16, buildBrCode, parseBrCode };
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+// Todas as coleções ficam em um único arquivo JSON. O arquivo é relido sempre
+// que muda em disco, para que os servidores REST e GraphQL compartilhem os dados
+function createFileStore(filePath) {
+  let data = {};
+  let version = null;
+
+  function refresh() {
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      data = {};
+      version = null;
+      return;
+    }
+    const current = `${stat.mtimeMs}:${stat.size}`;
+    if (current === version) return;
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    version = current;
+  }
+
+  return {
+    load(name) {
+      refresh();
+      return data[name];
+    },
+    save(name, records) {
+      refresh();
+      data[name] = records;
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Escreve em arquivo temporário e renomeia para nunca deixar JSON pela metade
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, filePath);
+      const stat = fs.statSync(filePath);
+      version = `${stat.mtimeMs}:${stat.size}`;
+    }
+  };
+}
+
+module.exports = { createFileStore };
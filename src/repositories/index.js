@@ -0,0 +1,32 @@
+const config = require('../config');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+const { createRepository } = require('./repository');
+const initialUsers = require('../models/user');
+const initialProducts = require('../models/product');
+
+function createStore({ driver, file }) {
+  if (driver === 'memory') return createMemoryStore();
+  if (driver === 'file') return createFileStore(file);
+  throw new Error(`Driver de armazenamento desconhecido: ${driver}`);
+}
+
+const store = createStore(config.store);
+
+module.exports = {
+  users: createRepository(store, 'users', { seed: initialUsers }),
+  products: createRepository(store, 'products', { seed: initialProducts }),
+  orders: createRepository(store, 'orders'),
+  boletos: createRepository(store, 'boletos'),
+  pixCharges: createRepository(store, 'pixCharges', { key: 'txid' }),
+  paymentTransactions: createRepository(store, 'paymentTransactions'),
+  carts: createRepository(store, 'carts', { key: 'userId' }),
+  sessions: createRepository(store, 'sessions'),
+  refreshTokens: createRepository(store, 'refreshTokens'),
+  revokedTokens: createRepository(store, 'revokedTokens'),
+  passwordResetTokens: createRepository(store, 'passwordResetTokens'),
+  emailVerificationTokens: createRepository(store, 'emailVerificationTokens'),
+  loginAttempts: createRepository(store, 'loginAttempts'),
+  securityEvents: createRepository(store, 'securityEvents'),
+  createStore
+};
@@ -0,0 +1,13 @@
+function createMemoryStore() {
+  const collections = new Map();
+  return {
+    load(name) {
+      return collections.get(name);
+    },
+    save(name, records) {
+      collections.set(name, records);
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,85 @@
+const { clone } = require('../utils/clone');
+
+// Coleção reservada com o maior id já usado em cada coleção
+const SEQUENCES = '_sequences';
+
+function highestId(records, key) {
+  return records.reduce((max, r) => (Number.isInteger(r[key]) ? Math.max(max, r[key]) : max), 0);
+}
+
+// Os registros devolvidos são cópias: alterações só são gravadas via insert,
+// update ou remove, igual ao que acontece com o armazenamento em arquivo
+function createRepository(store, name, { key = 'id', seed = [] } = {}) {
+  if (store.load(name) === undefined) store.save(name, clone(seed));
+
+  function records() {
+    return store.load(name) || [];
+  }
+
+  function setSequence(value) {
+    store.save(SEQUENCES, { ...store.load(SEQUENCES), [name]: value });
+  }
+
+  function sequence() {
+    const sequences = store.load(SEQUENCES) || {};
+    return Math.max(sequences[name] || 0, highestId(records(), key));
+  }
+
+  return {
+    findAll() {
+      return clone(records());
+    },
+    find(predicate) {
+      return clone(records().find(predicate));
+    },
+    filter(predicate) {
+      return clone(records().filter(predicate));
+    },
+    findById(id) {
+      return clone(records().find(r => r[key] === id));
+    },
+    count() {
+      return records().length;
+    },
+    // Ids nunca são reaproveitados: remover o registro de maior id não faz a
+    // sequência voltar, então um novo registro não herda referências ao antigo
+    nextId() {
+      return sequence() + 1;
+    },
+    insert(record) {
+      const all = records();
+      const current = sequence();
+      all.push(clone(record));
+      store.save(name, all);
+      if (Number.isInteger(record[key]) && record[key] > current) setSequence(record[key]);
+      return clone(record);
+    },
+    update(id, changes) {
+      const all = records();
+      const record = all.find(r => r[key] === id);
+      if (!record) return null;
+      // Campos com valor undefined saem do registro, como aconteceria ao gravar em JSON
+      for (const [field, value] of Object.entries(changes)) {
+        if (value === undefined) delete record[field];
+        else record[field] = clone(value);
+      }
+      store.save(name, all);
+      return clone(record);
+    },
+    remove(id) {
+      const all = records();
+      const index = all.findIndex(r => r[key] === id);
+      if (index === -1) return null;
+      const [removed] = all.splice(index, 1);
+      store.save(name, all);
+      return removed;
+    },
+    // Recomeça a coleção, inclusive a sequência de ids
+    reset(initial = seed) {
+      store.save(name, clone(initial));
+      setSequence(highestId(initial, key));
+    }
+  };
+}
+
+module.exports = { createRepository };
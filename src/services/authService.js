@@ -0,0 +1,58 @@
+const tokenService = require('./tokenService');
+const AuthenticationError = require('../errors/AuthenticationError');
+const AuthorizationError = require('../errors/AuthorizationError');
+
+const REALM = 'api';
+
+// Descrições enviadas em WWW-Authenticate (RFC 6750); ficam em ASCII por serem cabeçalho HTTP
+const DESCRIPTIONS = {
+  TOKEN_MALFORMED: 'The access token is malformed',
+  TOKEN_EXPIRED: 'The access token expired',
+  TOKEN_REVOKED: 'The access token was revoked',
+  TOKEN_INVALID: 'The access token is invalid'
+};
+
+// Retorna null quando o cabeçalho não foi enviado
+function parseAuthorizationHeader(header) {
+  if (header === undefined || header === null || header === '') return null;
+  const match = /^Bearer +(\S+)$/i.exec(header);
+  if (!match) throw new AuthenticationError('TOKEN_MALFORMED');
+  return match[1];
+}
+
+// Regra única de autenticação para REST e GraphQL. Com optional, a ausência de
+// token resulta em null; um token enviado e inválido é sempre rejeitado
+function authenticateHeader(header, { optional = false } = {}) {
+  const token = parseAuthorizationHeader(header);
+  if (!token) {
+    if (optional) return null;
+    throw new AuthenticationError('TOKEN_MISSING');
+  }
+  const { payload, reason } = tokenService.checkAccessToken(token);
+  if (!payload) throw new AuthenticationError(reason);
+  return payload;
+}
+
+// roles: o usuário precisa ter um dos perfis; scopes: o token precisa conter todos
+// `owner` é o id do usuário dono do recurso: ele acessa o próprio registro
+// mesmo sem ter uma das roles exigidas
+function authorize(userData, { roles, scopes, owner } = {}) {
+  const isOwner = owner !== undefined && userData.id === owner;
+  if (roles && !isOwner && !roles.includes(userData.role)) throw new AuthorizationError();
+  if (scopes) {
+    const granted = String(userData.scope || '').split(' ');
+    if (!scopes.every(scope => granted.includes(scope))) throw new AuthorizationError(scopes);
+  }
+  return userData;
+}
+
+function wwwAuthenticate(err) {
+  if (err instanceof AuthorizationError) {
+    const scope = err.scopes.length ? `, scope="${err.scopes.join(' ')}"` : '';
+    return `Bearer realm="${REALM}", error="insufficient_scope"${scope}`;
+  }
+  if (err.code === 'TOKEN_MISSING') return `Bearer realm="${REALM}"`;
+  return `Bearer realm="${REALM}", error="invalid_token", error_description="${DESCRIPTIONS[err.code]}"`;
+}
+
+module.exports = { authenticateHeader, authorize, wwwAuthenticate };
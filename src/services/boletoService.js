@@ -0,0 +1,95 @@
+const config = require('../config');
+const { boletos } = require('../repositories');
+const febraban = require('../payments/febraban');
+
+function pad(value, length) {
+  return String(value).padStart(length, '0');
+}
+
+function toDateString(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1, 2)}-${pad(date.getDate(), 2)}`;
+}
+
+function isBusinessDay(date, holidays = config.boleto.holidays) {
+  const weekday = date.getDay();
+  if (weekday === 0 || weekday === 6) return false;
+  return !holidays.includes(toDateString(date).slice(5));
+}
+
+// Devolve a data (YYYY-MM-DD) que fica `days` dias úteis depois de `from`
+function addBusinessDays(from, days, holidays = config.boleto.holidays) {
+  const date = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  let remaining = days;
+  while (remaining > 0) {
+    date.setDate(date.getDate() + 1);
+    if (isBusinessDay(date, holidays)) remaining--;
+  }
+  return toDateString(date);
+}
+
+// Campo livre no layout de cobrança da carteira: agência(4) carteira(2)
+// nosso número(11) conta(7) e um zero
+function freeField({ agency, wallet, account }, nossoNumero) {
+  return pad(agency, 4) + pad(wallet, 2) + nossoNumero + pad(account, 7) + '0';
+}
+
+// Chamado antes de criar o pedido, para que um valor que não cabe no código de
+// barras não deixe pedido pendente nem estoque reservado
+function assertCanIssue(amount) {
+  febraban.assertAmount(amount);
+}
+
+function issueBoleto({ orderId, userId, amount, payer = null }, now = new Date()) {
+  const settings = config.boleto;
+  const id = boletos.nextId();
+  const nossoNumero = pad(id, 11);
+  const dueDate = addBusinessDays(now, settings.dueBusinessDays);
+  const barcode = febraban.buildBarcode({
+    bankCode: settings.bankCode,
+    dueDate,
+    amount,
+    freeField: freeField(settings, nossoNumero)
+  });
+  return boletos.insert({
+    id,
+    orderId,
+    userId,
+    status: 'pending',
+    bankCode: settings.bankCode,
+    nossoNumero,
+    amount,
+    issueDate: toDateString(now),
+    dueDate,
+    barcode,
+    digitableLine: febraban.digitableLine(barcode),
+    beneficiary: { ...settings.beneficiary, agency: settings.agency, account: settings.account },
+    payer,
+    createdAt: now.toISOString()
+  });
+}
+
+function findBoleto(userId, boletoId) {
+  return boletos.find(b => b.id === Number(boletoId) && b.userId === userId);
+}
+
+// Boleto de pedido cancelado não deve mais ser pago
+function cancelOrderBoleto(orderId) {
+  const boleto = boletos.find(b => b.orderId === orderId && b.status === 'pending');
+  return boleto ? boletos.update(boleto.id, { status: 'cancelled' }) : null;
+}
+
+function anonymizeUserBoletos(userId) {
+  for (const boleto of boletos.filter(b => b.userId === userId)) {
+    boletos.update(boleto.id, { userId: null, payer: null });
+  }
+}
+
+module.exports = {
+  isBusinessDay,
+  addBusinessDays,
+  assertCanIssue,
+  issueBoleto,
+  findBoleto,
+  cancelOrderBoleto,
+  anonymizeUserBoletos
+};
@@ -0,0 +1,98 @@
+// Faixas de BIN por bandeira, comparando os primeiros dígitos do número.
+// Elo e Hipercard vêm antes porque parte dos seus BINs cai nas faixas de
+// Visa e Mastercard
+const BRANDS = [
+  {
+    name: 'elo',
+    ranges: [
+      [401178, 401179], [431274, 431274], [438935, 438935], [451416, 451416], [457393, 457393],
+      [457631, 457632], [504175, 504175], [506699, 506778], [509000, 509999], [627780, 627780],
+      [636297, 636297], [636368, 636368], [650031, 650033], [650035, 650051], [650405, 650439],
+      [650485, 650538], [650541, 650598], [650700, 650718], [650720, 650727], [650901, 650978],
+      [651652, 651679], [655000, 655019], [655021, 655058]
+    ],
+    lengths: [16],
+    cvvLength: 3
+  },
+  { name: 'hipercard', ranges: [[606282, 606282], [3841, 3841]], lengths: [16, 19], cvvLength: 3 },
+  { name: 'amex', ranges: [[34, 34], [37, 37]], lengths: [15], cvvLength: 4 },
+  { name: 'mastercard', ranges: [[51, 55], [2221, 2720]], lengths: [16], cvvLength: 3 },
+  { name: 'visa', ranges: [[4, 4]], lengths: [13, 16, 19], cvvLength: 3 }
+];
+
+// Aceita espaços e hífens entre os grupos de dígitos
+function normalizeNumber(number) {
+  return typeof number === 'string' ? number.replace(/[\s-]/g, '') : '';
+}
+
+function isValidLuhn(number) {
+  if (!/^\d+$/.test(number)) return false;
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = Number(number[number.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function findBrand(number) {
+  return BRANDS.find(brand => brand.ranges.some(([from, to]) => {
+    const prefix = Number(number.slice(0, String(from).length));
+    return prefix >= from && prefix <= to;
+  }));
+}
+
+function detectBrand(number) {
+  const brand = findBrand(normalizeNumber(number));
+  return brand ? brand.name : null;
+}
+
+// MM/AA: o cartão vale até o último dia do mês de validade
+function checkExpiry(expiry, now) {
+  const match = typeof expiry === 'string' && expiry.trim().match(/^(\d{2})\/(\d{2})$/);
+  const month = match ? Number(match[1]) : 0;
+  if (month < 1 || month > 12) return 'INVALID_CARD_EXPIRY';
+  const expiresAt = new Date(2000 + Number(match[2]), month, 1);
+  return expiresAt <= now ? 'CARD_EXPIRED' : null;
+}
+
+// Devolve a lista de violações (vazia quando o cartão é aceito)
+function checkCard(cardData, now = new Date()) {
+  const violations = [];
+  const number = normalizeNumber(cardData.number);
+  const brand = findBrand(number);
+  if (!/^\d{12,19}$/.test(number) || !isValidLuhn(number)) {
+    violations.push({ field: 'cardData.number', code: 'INVALID_CARD_NUMBER' });
+  } else if (!brand) {
+    violations.push({ field: 'cardData.number', code: 'UNSUPPORTED_CARD_BRAND' });
+  } else if (!brand.lengths.includes(number.length)) {
+    violations.push({ field: 'cardData.number', code: 'INVALID_CARD_NUMBER' });
+  }
+
+  if (typeof cardData.name !== 'string' || !cardData.name.trim()) {
+    violations.push({ field: 'cardData.name', code: 'CARD_HOLDER_REQUIRED' });
+  }
+
+  const expiryCode = checkExpiry(cardData.expiry, now);
+  if (expiryCode) violations.push({ field: 'cardData.expiry', code: expiryCode });
+
+  const cvv = typeof cardData.cvv === 'string' ? cardData.cvv : '';
+  if (brand && !new RegExp(`^\\d{${brand.cvvLength}}$`).test(cvv)) {
+    violations.push({ field: 'cardData.cvv', code: 'INVALID_CVV_LENGTH', params: { length: brand.cvvLength } });
+  } else if (!brand && !/^\d{3,4}$/.test(cvv)) {
+    violations.push({ field: 'cardData.cvv', code: 'INVALID_CVV' });
+  }
+  return violations;
+}
+
+// O que pode ser guardado e devolvido ao cliente: nunca o número completo
+function summarizeCard(cardData) {
+  const number = normalizeNumber(cardData.number);
+  return { brand: detectBrand(number), last4: number.slice(-4) };
+}
+
+module.exports = { isValidLuhn, detectBrand, checkCard, summarizeCard };
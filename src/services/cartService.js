@@ -0,0 +1,102 @@
+const { carts } = require('../repositories');
+const productService = require('./productService');
+const shippingService = require('./shippingService');
+const DomainError = require('../errors/DomainError');
+const NotFoundError = require('../errors/NotFoundError');
+
+function findOrCreateCart(userId) {
+  return carts.findById(userId) || carts.insert({ userId, items: [], updatedAt: new Date().toISOString() });
+}
+
+function saveItems(userId, items) {
+  carts.update(userId, { items, updatedAt: new Date().toISOString() });
+}
+
+function validateQuantity(quantity) {
+  if (!Number.isInteger(quantity) || quantity <= 0) throw new DomainError('INVALID_QUANTITY');
+}
+
+function findCartItem(cart, productId) {
+  const item = cart.items.find(i => i.productId === Number(productId));
+  if (!item) throw new NotFoundError('CART_ITEM_NOT_FOUND');
+  return item;
+}
+
+// Preços e nomes vêm sempre do catálogo atual; itens de produtos removidos do
+// catálogo saem do carrinho
+function getCart(userId, postalCode) {
+  const cart = findOrCreateCart(userId);
+  const available = cart.items.filter(i => productService.findProductById(i.productId));
+  if (available.length !== cart.items.length) carts.update(userId, { items: available });
+
+  let subtotal = 0;
+  const items = available.map(({ productId, quantity }) => {
+    const product = productService.findProductById(productId);
+    subtotal += product.price * quantity;
+    return {
+      productId,
+      name: product.name,
+      unitPrice: product.price,
+      quantity,
+      subtotal: parseFloat((product.price * quantity).toFixed(2))
+    };
+  });
+
+  const view = {
+    userId,
+    items,
+    itemCount: available.reduce((sum, i) => sum + i.quantity, 0),
+    subtotal: parseFloat(subtotal.toFixed(2)),
+    updatedAt: cart.updatedAt
+  };
+  if (postalCode) {
+    view.shipping = shippingService.quote(postalCode, available);
+    view.total = parseFloat((subtotal + view.shipping.freight).toFixed(2));
+  }
+  return view;
+}
+
+function getCartItems(userId) {
+  return getCart(userId).items.map(({ productId, quantity }) => ({ productId, quantity }));
+}
+
+function addItem(userId, productId, quantity) {
+  if (!productService.findProductById(productId)) throw new DomainError('PRODUCT_NOT_FOUND');
+  validateQuantity(quantity);
+  const cart = findOrCreateCart(userId);
+  const item = cart.items.find(i => i.productId === Number(productId));
+  if (item) {
+    item.quantity += quantity;
+  } else {
+    cart.items.push({ productId: Number(productId), quantity });
+  }
+  saveItems(userId, cart.items);
+  return getCart(userId);
+}
+
+function updateItem(userId, productId, quantity) {
+  validateQuantity(quantity);
+  const cart = findOrCreateCart(userId);
+  findCartItem(cart, productId).quantity = quantity;
+  saveItems(userId, cart.items);
+  return getCart(userId);
+}
+
+function removeItem(userId, productId) {
+  const cart = findOrCreateCart(userId);
+  const item = findCartItem(cart, productId);
+  saveItems(userId, cart.items.filter(i => i !== item));
+  return getCart(userId);
+}
+
+function clearCart(userId) {
+  findOrCreateCart(userId);
+  saveItems(userId, []);
+  return getCart(userId);
+}
+
+function deleteCart(userId) {
+  carts.remove(userId);
+}
+
+module.exports = { getCart, getCartItems, addItem, updateItem, removeItem, clearCart, deleteCart };
@@ -1,27 +1,145 @@
-const products = require('../models/product');
-const users = require('../models/user');
-
-function calculateTotal(items, freight, paymentMethod) {
-  let total = 0;
-  for (const item of items) {
-    const product = products.find(p => p.id === item.productId);
-    if (!product) throw new Error('Produto não encontrado');
-    total += product.price * item.quantity;
+const { users, products } = require('../repositories');
+const orderService = require('./orderService');
+const inventoryService = require('./inventoryService');
+const promotionService = require('./promotionService');
+const shippingService = require('./shippingService');
+const cartService = require('./cartService');
+const emailVerificationService = require('./emailVerificationService');
+const paymentService = require('./paymentService');
+const cardService = require('./cardService');
+const boletoService = require('./boletoService');
+const pixService = require('./pixService');
+const EmailNotVerifiedError = require('../errors/EmailNotVerifiedError');
+const DomainError = require('../errors/DomainError');
+const ValidationError = require('../errors/ValidationError');
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+function buildLines(items) {
+  return items.map(item => {
+    const product = products.findById(item.productId);
+    if (!product) throw new DomainError('PRODUCT_NOT_FOUND');
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) throw new DomainError('INVALID_QUANTITY');
+    return {
+      productId: product.id,
+      name: product.name,
+      unitPrice: product.price,
+      quantity: item.quantity,
+      subtotal: product.price * item.quantity
+    };
+  });
+}
+
+function calculateSubtotal(items) {
+  return buildLines(items).reduce((sum, line) => sum + line.subtotal, 0);
+}
+
+function calculatePricing(items, freight, paymentMethod, coupon) {
+  const lines = buildLines(items);
+  const subtotal = lines.reduce((sum, line) => sum + line.subtotal, 0);
+  const { total, discounts } = promotionService.applyPromotions({ subtotal, freight, paymentMethod, coupon });
+  const finalTotal = round(total);
+  return {
+    lines: lines.map(line => ({ ...line, subtotal: round(line.subtotal) })),
+    subtotal: round(subtotal),
+    freight,
+    discounts,
+    discountTotal: round(subtotal + freight - finalTotal),
+    total: finalTotal
+  };
+}
+
+function calculateTotal(items, freight, paymentMethod, coupon) {
+  return calculatePricing(items, freight, paymentMethod, coupon).total;
+}
+
+function checkout(userId, items, postalCode, paymentMethod, cardData, couponCode) {
+  if (!Array.isArray(items) || !items.length) throw new DomainError('ITEMS_REQUIRED');
+  const user = users.findById(userId);
+  if (user && !emailVerificationService.isVerified(user)) throw new EmailNotVerifiedError();
+  let card = null;
+  if (paymentMethod === 'credit_card') {
+    if (!cardData) throw new DomainError('CARD_DATA_REQUIRED');
+    const violations = cardService.checkCard(cardData);
+    if (violations.length) throw new ValidationError(violations);
+    card = cardService.summarizeCard(cardData);
   }
-  total += freight;
+  const shipping = shippingService.quote(postalCode, items);
+  const { freight } = shipping;
+  const coupon = couponCode
+    ? promotionService.validateCoupon(userId, couponCode, calculateSubtotal(items))
+    : undefined;
+  const { lines, subtotal, discounts, discountTotal, total } = calculatePricing(items, freight, paymentMethod, coupon);
+  if (paymentMethod === 'boleto') boletoService.assertCanIssue(total);
+  // Pedidos Pix vencidos devolvem o estoque antes da nova reserva
+  pixService.expireCharges();
+  inventoryService.reserveStock(items);
+  let payment = null;
   if (paymentMethod === 'credit_card') {
-    total *= 0.95; // 5% de desconto
+    // Pagamento recusado devolve o estoque reservado e não gera pedido
+    try {
+      payment = paymentService.charge({ amount: total, card: cardData });
+    } catch (err) {
+      inventoryService.releaseStock(items);
+      throw err;
+    }
   }
-  return parseFloat(total.toFixed(2));
+  const order = orderService.createOrder(userId, {
+    items,
+    lines,
+    subtotal,
+    freight,
+    shipping,
+    paymentMethod,
+    total,
+    couponCode: coupon ? coupon.code : null,
+    discounts,
+    discountTotal,
+    payment,
+    card
+  });
+  const boleto = paymentMethod === 'boleto'
+    ? boletoService.issueBoleto({
+      orderId: order.id,
+      userId,
+      amount: total,
+      payer: user ? { name: user.name, email: user.email } : null
+    })
+    : null;
+  // Pix fica pendente até o provedor confirmar o pagamento pelo webhook
+  const pix = paymentMethod === 'pix'
+    ? pixService.createCharge({ orderId: order.id, userId, amount: total })
+    : null;
+  return {
+    orderId: order.id,
+    userId,
+    items,
+    lines,
+    subtotal,
+    freight,
+    shipping,
+    paymentMethod,
+    couponCode: order.couponCode,
+    discounts,
+    discountTotal,
+    total,
+    payment,
+    card,
+    boleto,
+    pix,
+    status: order.status,
+    createdAt: order.createdAt
+  };
 }
 
-function checkout(userId, items, freight, paymentMethod, cardData) {
-  if (paymentMethod === 'credit_card' && !cardData) {
-    throw new Error('Dados do cartão obrigatórios para pagamento com cartão');
-  }
-  // Simula o registro do pedido
-  const total = calculateTotal(items, freight, paymentMethod);
-  return { userId, items, freight, paymentMethod, total };
+function checkoutCart(userId, postalCode, paymentMethod, cardData, couponCode) {
+  const items = cartService.getCartItems(userId);
+  if (!items.length) throw new DomainError('CART_EMPTY');
+  const result = checkout(userId, items, postalCode, paymentMethod, cardData, couponCode);
+  cartService.clearCart(userId);
+  return result;
 }
 
-module.exports = { calculateTotal, checkout };
+module.exports = { calculateTotal, calculatePricing, checkout, checkoutCart };
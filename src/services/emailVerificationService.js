@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { users, emailVerificationTokens } = require('../repositories');
+const mailService = require('./mailService');
+const DomainError = require('../errors/DomainError');
+const { DEFAULT_LOCALE, translate } = require('../i18n');
+
+const HOUR_MS = 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isValidEmail(email) {
+  return typeof email === 'string' && EMAIL_PATTERN.test(email);
+}
+
+// Usuários gravados antes da verificação não têm o campo e contam como verificados
+function isVerified(user) {
+  return user.verified !== false;
+}
+
+// O token fica preso ao email para o qual foi enviado: se o usuário trocar de
+// email antes de confirmar, o token antigo deixa de valer
+function sendVerification(user, locale = DEFAULT_LOCALE) {
+  for (const record of emailVerificationTokens.filter(r => r.userId === user.id)) {
+    emailVerificationTokens.remove(record.id);
+  }
+  const token = crypto.randomBytes(32).toString('base64url');
+  const ttlHours = config.emailVerification.tokenTtlHours;
+  emailVerificationTokens.insert({
+    id: hashToken(token),
+    userId: user.id,
+    email: user.email,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + ttlHours * HOUR_MS).toISOString()
+  });
+
+  mailService.sendMail({
+    to: user.email,
+    subject: translate(locale, 'emails.EMAIL_VERIFICATION_SUBJECT'),
+    text: translate(locale, 'emails.EMAIL_VERIFICATION_TEXT', { name: user.name, ttlHours, token })
+  });
+}
+
+function verifyEmail(token) {
+  const record = typeof token === 'string' ? emailVerificationTokens.findById(hashToken(token)) : undefined;
+  if (!record) throw new DomainError('INVALID_VERIFICATION_TOKEN');
+  if (Date.parse(record.expiresAt) <= Date.now()) throw new DomainError('VERIFICATION_TOKEN_EXPIRED');
+  const user = users.findById(record.userId);
+  if (!user || user.email !== record.email) throw new DomainError('INVALID_VERIFICATION_TOKEN');
+
+  emailVerificationTokens.remove(record.id);
+  users.update(user.id, { verified: true });
+}
+
+// Retorna false quando não há o que reenviar (usuário inexistente ou já verificado)
+function resendVerification(userId, locale = DEFAULT_LOCALE) {
+  const user = users.findById(userId);
+  if (!user || isVerified(user)) return false;
+  sendVerification(user, locale);
+  return true;
+}
+
+module.exports = { isValidEmail, isVerified, sendVerification, verifyEmail, resendVerification };
@@ -0,0 +1,37 @@
+const { products } = require('../repositories');
+const InsufficientStockError = require('../errors/InsufficientStockError');
+
+function groupQuantities(items) {
+  const quantities = new Map();
+  for (const item of items) {
+    quantities.set(item.productId, (quantities.get(item.productId) || 0) + item.quantity);
+  }
+  return quantities;
+}
+
+// Valida todos os itens antes de debitar qualquer estoque, para que a reserva
+// seja tudo-ou-nada
+function reserveStock(items) {
+  const quantities = groupQuantities(items);
+  const unavailable = [];
+  for (const [productId, requested] of quantities) {
+    const product = products.findById(productId);
+    const available = product ? product.stock : 0;
+    if (requested > available) unavailable.push({ productId, requested, available });
+  }
+  if (unavailable.length) throw new InsufficientStockError(unavailable);
+
+  for (const [productId, requested] of quantities) {
+    const product = products.findById(productId);
+    products.update(productId, { stock: product.stock - requested });
+  }
+}
+
+function releaseStock(items) {
+  for (const [productId, quantity] of groupQuantities(items)) {
+    const product = products.findById(productId);
+    if (product) products.update(productId, { stock: product.stock + quantity });
+  }
+}
+
+module.exports = { reserveStock, releaseStock };
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+const SUPPORTED_ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+
+function readPem(value, filePath) {
+  if (value) return value;
+  if (filePath) return fs.readFileSync(filePath, 'utf8');
+  return null;
+}
+
+function checkKeyType(kid, alg, publicKey) {
+  if (alg === 'RS256' && publicKey.asymmetricKeyType !== 'rsa') {
+    throw new Error(`Chave JWT ${kid} não é RSA`);
+  }
+  if (alg === 'ES256' && (publicKey.asymmetricKeyType !== 'ec' || publicKey.asymmetricKeyDetails.namedCurve !== 'prime256v1')) {
+    throw new Error(`Chave JWT ${kid} não é EC P-256`);
+  }
+}
+
+// Converte a configuração em chaves prontas para assinar/verificar. Chaves
+// assimétricas sem chave privada servem apenas para verificação
+function loadKey({ kid, alg, secret, privateKey, privateKeyPath, publicKey, publicKeyPath }) {
+  if (!kid) throw new Error('Chave JWT sem kid');
+  if (!SUPPORTED_ALGORITHMS.includes(alg)) throw new Error(`Algoritmo de chave JWT não suportado: ${alg}`);
+
+  if (alg === 'HS256') {
+    if (!secret) throw new Error(`Chave JWT ${kid} sem segredo`);
+    return { kid, alg, signingKey: secret, verificationKey: secret };
+  }
+
+  const privatePem = readPem(privateKey, privateKeyPath);
+  const publicPem = readPem(publicKey, publicKeyPath);
+  if (!privatePem && !publicPem) throw new Error(`Chave JWT ${kid} sem chave privada ou pública`);
+  const signingKey = privatePem ? crypto.createPrivateKey(privatePem) : null;
+  const verificationKey = crypto.createPublicKey(publicPem || signingKey);
+  checkKeyType(kid, alg, verificationKey);
+  return { kid, alg, signingKey, verificationKey };
+}
+
+function createKeyStore({ keys, signingKeyId }) {
+  const loaded = keys.map(loadKey);
+  const byKid = new Map();
+  for (const key of loaded) {
+    if (byKid.has(key.kid)) throw new Error(`Chave JWT duplicada: ${key.kid}`);
+    byKid.set(key.kid, key);
+  }
+  const signingKey = signingKeyId ? byKid.get(signingKeyId) : loaded[0];
+  if (!signingKey) throw new Error(`Chave de assinatura JWT não encontrada: ${signingKeyId}`);
+  if (!signingKey.signingKey) throw new Error(`Chave JWT ${signingKey.kid} sem chave privada`);
+
+  return {
+    sign(payload, options = {}) {
+      return jwt.sign(payload, signingKey.signingKey, { ...options, algorithm: signingKey.alg, keyid: signingKey.kid });
+    },
+    // Lança erro se o token for inválido. O algoritmo aceito é o da chave
+    // indicada no kid, nunca o informado no cabeçalho do token
+    verify(token) {
+      const decoded = jwt.decode(token, { complete: true });
+      if (!decoded) throw new jwt.JsonWebTokenError('jwt malformed');
+      const key = byKid.get(decoded.header.kid);
+      if (!key) throw new jwt.JsonWebTokenError('Chave do token desconhecida');
+      return jwt.verify(token, key.verificationKey, { algorithms: [key.alg] });
+    },
+    // Segredos HS256 nunca são publicados
+    jwks() {
+      return {
+        keys: loaded
+          .filter(key => key.alg !== 'HS256')
+          .map(key => ({ ...key.verificationKey.export({ format: 'jwk' }), kid: key.kid, alg: key.alg, use: 'sig' }))
+      };
+    }
+  };
+}
+
+const keyStore = createKeyStore(config.auth);
+
+module.exports = {
+  createKeyStore,
+  sign: (payload, options) => keyStore.sign(payload, options),
+  verify: token => keyStore.verify(token),
+  getJwks: () => keyStore.jwks()
+};
@@ -0,0 +1,91 @@
+const config = require('../config');
+const { loginAttempts, securityEvents } = require('../repositories');
+const RateLimitedError = require('../errors/RateLimitedError');
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+
+// As falhas são contadas por email (sem diferenciar maiúsculas) e por IP
+function attemptKeys(email, clientIp) {
+  const keys = [];
+  if (typeof email === 'string' && email.trim()) {
+    keys.push({ id: `email:${email.trim().toLowerCase()}`, limits: config.loginThrottle.email });
+  }
+  if (clientIp) keys.push({ id: `ip:${clientIp}`, limits: config.loginThrottle.ip });
+  return keys;
+}
+
+function recordEvent(type, key, details) {
+  securityEvents.insert({ id: securityEvents.nextId(), type, key, at: new Date().toISOString(), ...details });
+}
+
+// Devolve o registro ainda em vigor, descartando falhas fora da janela e
+// bloqueios já expirados
+function currentAttempts(key, now) {
+  const record = loginAttempts.findById(key);
+  if (!record) return null;
+  if (record.lockedUntil) {
+    if (Date.parse(record.lockedUntil) > now) return record;
+    loginAttempts.remove(key);
+    recordEvent('login_unlocked', key, { reason: 'expired' });
+    return null;
+  }
+  if (now - Date.parse(record.lastFailureAt) > config.loginThrottle.windowMinutes * MINUTE_MS) {
+    loginAttempts.remove(key);
+    return null;
+  }
+  return record;
+}
+
+function assertCanAttempt(email, clientIp) {
+  const now = Date.now();
+  let retryAfter = 0;
+  for (const { id } of attemptKeys(email, clientIp)) {
+    const record = currentAttempts(id, now);
+    const until = record && (record.lockedUntil || record.nextAttemptAt);
+    if (until && Date.parse(until) > now) {
+      retryAfter = Math.max(retryAfter, Math.ceil((Date.parse(until) - now) / SECOND_MS));
+    }
+  }
+  if (retryAfter) throw new RateLimitedError(retryAfter);
+}
+
+function recordFailure(email, clientIp) {
+  const now = Date.now();
+  const { baseDelaySeconds, maxDelaySeconds, lockoutMinutes } = config.loginThrottle;
+  for (const { id, limits } of attemptKeys(email, clientIp)) {
+    const record = currentAttempts(id, now);
+    const failures = (record ? record.failures : 0) + 1;
+    const changes = { failures, lastFailureAt: new Date(now).toISOString(), nextAttemptAt: null, lockedUntil: null };
+    if (failures >= limits.lockoutThreshold) {
+      changes.lockedUntil = new Date(now + lockoutMinutes * MINUTE_MS).toISOString();
+      recordEvent('login_locked', id, { failures, lockedUntil: changes.lockedUntil });
+    } else if (failures >= limits.freeAttempts) {
+      const delay = Math.min(baseDelaySeconds * 2 ** (failures - limits.freeAttempts), maxDelaySeconds);
+      changes.nextAttemptAt = new Date(now + delay * SECOND_MS).toISOString();
+    }
+    if (record) loginAttempts.update(id, changes);
+    else loginAttempts.insert({ id, ...changes });
+  }
+}
+
+// O acerto zera apenas o contador do email: o do IP continua valendo para
+// quem testa várias contas a partir do mesmo endereço
+function recordSuccess(email) {
+  for (const { id } of attemptKeys(email)) loginAttempts.remove(id);
+}
+
+function unlock(email, reason) {
+  for (const { id } of attemptKeys(email)) {
+    const record = loginAttempts.findById(id);
+    if (!record) continue;
+    loginAttempts.remove(id);
+    if (record.lockedUntil) recordEvent('login_unlocked', id, { reason });
+  }
+}
+
+function listEvents() {
+  return securityEvents.findAll();
+}
+
+module.exports = { assertCanAttempt, recordFailure, recordSuccess, unlock, listEvents };
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { createTransport } = require('../mail');
+
+// Qualquer objeto com send(message) serve de transporte; messages() e clear()
+// só são necessários para consultar a caixa de saída
+let transport = createTransport(config.mail);
+
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+function sendMail({ to, subject, text }) {
+  const message = {
+    id: crypto.randomUUID(),
+    from: config.mail.from,
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString()
+  };
+  transport.send(message);
+  return message;
+}
+
+function outbox() {
+  return transport.messages();
+}
+
+function clearOutbox() {
+  transport.clear();
+}
+
+module.exports = { sendMail, setTransport, outbox, clearOutbox };
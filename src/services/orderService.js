@@ -0,0 +1,73 @@
+const { orders } = require('../repositories');
+const inventoryService = require('./inventoryService');
+const paymentService = require('./paymentService');
+const boletoService = require('./boletoService');
+const pixService = require('./pixService');
+const DomainError = require('../errors/DomainError');
+
+function createOrder(userId, {
+  items,
+  lines = [],
+  subtotal = 0,
+  freight,
+  shipping = null,
+  paymentMethod,
+  total,
+  couponCode = null,
+  discounts = [],
+  discountTotal = 0,
+  payment = null,
+  card = null
+}) {
+  const now = new Date().toISOString();
+  return orders.insert({
+    id: orders.nextId(),
+    userId,
+    items,
+    lines,
+    subtotal,
+    freight,
+    shipping,
+    paymentMethod,
+    couponCode,
+    discounts,
+    discountTotal,
+    total,
+    payment,
+    card,
+    status: paymentMethod === 'credit_card' ? 'paid' : 'pending',
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+function listOrders(userId) {
+  pixService.expireCharges();
+  return orders.filter(o => o.userId === userId);
+}
+
+function findOrder(userId, orderId) {
+  pixService.expireCharges();
+  return orders.find(o => o.id === Number(orderId) && o.userId === userId);
+}
+
+function cancelOrder(userId, orderId) {
+  const order = findOrder(userId, orderId);
+  if (!order) return null;
+  if (order.status === 'cancelled') throw new DomainError('ORDER_ALREADY_CANCELLED');
+  const changes = { status: 'cancelled', updatedAt: new Date().toISOString() };
+  // Pedidos já cobrados no cartão são estornados
+  if (order.payment && order.payment.status === 'captured') changes.payment = paymentService.refund(order.payment);
+  const cancelled = orders.update(order.id, changes);
+  boletoService.cancelOrderBoleto(order.id);
+  pixService.cancelOrderCharge(order.id);
+  inventoryService.releaseStock(order.items);
+  return cancelled;
+}
+
+// Pedidos de contas excluídas continuam registrados, mas sem vínculo com o usuário
+function anonymizeUserOrders(userId) {
+  for (const order of listOrders(userId)) orders.update(order.id, { userId: null });
+}
+
+module.exports = { createOrder, listOrders, findOrder, cancelOrder, anonymizeUserOrders };
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { users, passwordResetTokens } = require('../repositories');
+const passwordService = require('./passwordService');
+const tokenService = require('./tokenService');
+const mailService = require('./mailService');
+const loginThrottleService = require('./loginThrottleService');
+const ValidationError = require('../errors/ValidationError');
+const DomainError = require('../errors/DomainError');
+const { DEFAULT_LOCALE, translate } = require('../i18n');
+
+const MINUTE_MS = 60 * 1000;
+
+// Assim como os refresh tokens, só o hash do token de redefinição é armazenado
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Não informa se o email existe: a resposta é a mesma nos dois casos. O email
+// sai no idioma da requisição que pediu a redefinição
+function requestPasswordReset(email, locale = DEFAULT_LOCALE) {
+  const user = users.find(u => u.email === email);
+  if (!user) return;
+
+  // Só o último token pedido continua válido
+  for (const record of passwordResetTokens.filter(r => r.userId === user.id)) {
+    passwordResetTokens.remove(record.id);
+  }
+  const token = crypto.randomBytes(32).toString('base64url');
+  const ttlMinutes = config.passwordReset.tokenTtlMinutes;
+  passwordResetTokens.insert({
+    id: hashToken(token),
+    userId: user.id,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + ttlMinutes * MINUTE_MS).toISOString(),
+    usedAt: null
+  });
+
+  mailService.sendMail({
+    to: user.email,
+    subject: translate(locale, 'emails.PASSWORD_RESET_SUBJECT'),
+    text: translate(locale, 'emails.PASSWORD_RESET_TEXT', { name: user.name, ttlMinutes, token })
+  });
+}
+
+function resetPassword(token, newPassword) {
+  const record = typeof token === 'string' ? passwordResetTokens.findById(hashToken(token)) : undefined;
+  if (!record || record.usedAt) throw new DomainError('INVALID_RESET_TOKEN');
+  if (Date.parse(record.expiresAt) <= Date.now()) throw new DomainError('RESET_TOKEN_EXPIRED');
+  const user = users.findById(record.userId);
+  if (!user) throw new DomainError('INVALID_RESET_TOKEN');
+
+  const violations = passwordService.checkPasswordPolicy(newPassword);
+  if (violations.length) throw new ValidationError(violations.map(v => ({ ...v, field: 'newPassword' })));
+
+  passwordResetTokens.update(record.id, { usedAt: new Date().toISOString() });
+  users.update(record.userId, { passwordHash: passwordService.hashPassword(newPassword), password: undefined });
+  tokenService.revokeUserSessions(record.userId, 'password_reset');
+  loginThrottleService.unlock(user.email, 'password_reset');
+}
+
+module.exports = { requestPasswordReset, resetPassword };
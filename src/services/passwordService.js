@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// Formato: scrypt$<N>$<r>$<p>$<salt>$<hash>, com salt e hash em base64
+function hashPassword(password, options = config.passwordHash) {
+  const { cost, blockSize, parallelization, keyLength } = options;
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, keyLength, { N: cost, r: blockSize, p: parallelization });
+  return ['scrypt', cost, blockSize, parallelization, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+function verifyPassword(password, passwordHash) {
+  if (typeof password !== 'string' || typeof passwordHash !== 'string') return false;
+  const [algorithm, cost, blockSize, parallelization, salt, hash] = passwordHash.split('$');
+  if (algorithm !== 'scrypt' || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(cost),
+    r: Number(blockSize),
+    p: Number(parallelization)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Devolve a lista de violações (vazia quando a senha é aceita)
+function checkPasswordPolicy(password, policy = config.passwordPolicy) {
+  if (typeof password !== 'string' || !password) {
+    return [{ field: 'password', code: 'PASSWORD_REQUIRED' }];
+  }
+  const violations = [];
+  if (password.length < policy.minLength) {
+    violations.push({ field: 'password', code: 'PASSWORD_TOO_SHORT', params: { minLength: policy.minLength } });
+  }
+  if (policy.requireLetter && !/\p{L}/u.test(password)) {
+    violations.push({ field: 'password', code: 'PASSWORD_MISSING_LETTER' });
+  }
+  if (policy.requireDigit && !/\d/.test(password)) {
+    violations.push({ field: 'password', code: 'PASSWORD_MISSING_DIGIT' });
+  }
+  if (policy.requireUppercase && !/\p{Lu}/u.test(password)) {
+    violations.push({ field: 'password', code: 'PASSWORD_MISSING_UPPERCASE' });
+  }
+  if (policy.requireSymbol && !/[^\p{L}\d]/u.test(password)) {
+    violations.push({ field: 'password', code: 'PASSWORD_MISSING_SYMBOL' });
+  }
+  if (policy.bannedPasswords.includes(password.toLowerCase())) {
+    violations.push({ field: 'password', code: 'PASSWORD_TOO_COMMON' });
+  }
+  return violations;
+}
+
+module.exports = { hashPassword, verifyPassword, checkPasswordPolicy };
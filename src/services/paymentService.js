@@ -0,0 +1,58 @@
+const config = require('../config');
+const { createGateway } = require('../payments');
+const DomainError = require('../errors/DomainError');
+
+// Qualquer objeto com authorize, capture, void e refund serve de gateway.
+// authorize devolve a transação com status 'authorized', 'declined' (com reason)
+// ou 'failed' (ex.: reason 'timeout'); as demais operações recebem o id dela
+let gateway = createGateway(config.payment);
+
+function setGateway(newGateway) {
+  gateway = newGateway;
+}
+
+const FAILURE_CODES = {
+  card_declined: ['PAYMENT_DECLINED', 402],
+  insufficient_funds: ['PAYMENT_INSUFFICIENT_FUNDS', 402],
+  timeout: ['PAYMENT_GATEWAY_TIMEOUT', 504]
+};
+
+function paymentError(transaction) {
+  const [code, status] = FAILURE_CODES[transaction.reason] || ['PAYMENT_DECLINED', 402];
+  return new DomainError(code, { status, details: { transactionId: transaction.id } });
+}
+
+function toPayment(transaction) {
+  return {
+    provider: gateway.name,
+    transactionId: transaction.id,
+    status: transaction.status,
+    amount: transaction.amount
+  };
+}
+
+// Autoriza e captura o valor; se a captura falhar a autorização é desfeita
+function charge({ amount, card }) {
+  const authorization = gateway.authorize({ amount, card });
+  if (authorization.status !== 'authorized') throw paymentError(authorization);
+  try {
+    return toPayment(gateway.capture(authorization.id));
+  } catch (err) {
+    gateway.void(authorization.id);
+    throw err;
+  }
+}
+
+function refund(payment) {
+  return { ...payment, status: gateway.refund(payment.transactionId).status };
+}
+
+function transactions() {
+  return gateway.transactions();
+}
+
+function clearTransactions() {
+  gateway.clear();
+}
+
+module.exports = { charge, refund, setGateway, transactions, clearTransactions };
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { orders, pixCharges } = require('../repositories');
+const pix = require('../payments/pix');
+const inventoryService = require('./inventoryService');
+const DomainError = require('../errors/DomainError');
+const NotFoundError = require('../errors/NotFoundError');
+
+const MINUTE_MS = 60 * 1000;
+
+// O txid identifica a cobrança no BR Code e no webhook (até 25 caracteres alfanuméricos)
+function newTxid() {
+  return crypto.randomBytes(16).toString('hex').slice(0, 25);
+}
+
+function createCharge({ orderId, userId, amount }, now = new Date()) {
+  const { key, merchantName, merchantCity, expirationMinutes } = config.pix;
+  const txid = newTxid();
+  return pixCharges.insert({
+    txid,
+    orderId,
+    userId,
+    amount,
+    status: 'pending',
+    brCode: pix.buildBrCode({ key, merchantName, merchantCity, amount, txid }),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + expirationMinutes * MINUTE_MS).toISOString(),
+    endToEndId: null,
+    paidAt: null
+  });
+}
+
+function assertWebhookSecret(secret) {
+  const expected = Buffer.from(config.pix.webhookSecret);
+  const actual = Buffer.from(typeof secret === 'string' ? secret : '');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new DomainError('INVALID_WEBHOOK_SECRET', { status: 401 });
+  }
+}
+
+// Cobrança vencida sem pagamento cancela o pedido e devolve o estoque reservado
+// no checkout
+function expireCharge(charge, now) {
+  const expired = pixCharges.update(charge.txid, { status: 'expired' });
+  const order = orders.findById(charge.orderId);
+  if (order && order.status === 'pending') {
+    orders.update(order.id, { status: 'cancelled', updatedAt: now.toISOString() });
+    inventoryService.releaseStock(order.items);
+  }
+  return expired;
+}
+
+// Não há agendador: a varredura roda antes de cada checkout, nas consultas de
+// pedidos e a cada minuto nos servidores
+function expireCharges(now = new Date()) {
+  const overdue = pixCharges.filter(c => c.status === 'pending' && Date.parse(c.expiresAt) < now.getTime());
+  return overdue.map(charge => expireCharge(charge, now));
+}
+
+// Notificação do provedor: marca a cobrança e o pedido como pagos. O provedor
+// reenvia a notificação até receber 2xx, então repetir o mesmo endToEndId não muda nada
+function confirmPayment({ txid, endToEndId, amount, paidAt = new Date().toISOString() }) {
+  const charge = pixCharges.findById(txid);
+  if (!charge) throw new NotFoundError('PIX_CHARGE_NOT_FOUND');
+  if (charge.status === 'paid' && charge.endToEndId === endToEndId) return charge;
+  if (charge.status === 'expired') throw new DomainError('PIX_CHARGE_EXPIRED');
+  if (charge.status !== 'pending') throw new DomainError('PIX_CHARGE_NOT_PENDING', { status: 409 });
+  // Horário ilegível daria NaN e passaria pela checagem de validade
+  const paidTime = Date.parse(paidAt);
+  if (!Number.isFinite(paidTime)) throw new DomainError('PIX_INVALID_PAID_AT');
+  if (paidTime > Date.parse(charge.expiresAt)) {
+    expireCharge(charge, new Date());
+    throw new DomainError('PIX_CHARGE_EXPIRED');
+  }
+  if (Math.round(amount * 100) !== Math.round(charge.amount * 100)) throw new DomainError('PIX_AMOUNT_MISMATCH');
+
+  const paid = pixCharges.update(txid, { status: 'paid', endToEndId, paidAt });
+  orders.update(charge.orderId, { status: 'paid', updatedAt: new Date().toISOString() });
+  return paid;
+}
+
+// Cancelar o pedido invalida a cobrança pendente. A já paga fica com a
+// devolução pendente: o estorno do Pix é feito no provedor, fora da loja
+function cancelOrderCharge(orderId) {
+  const charge = pixCharges.find(c => c.orderId === orderId && ['pending', 'paid'].includes(c.status));
+  if (!charge) return null;
+  return pixCharges.update(charge.txid, { status: charge.status === 'paid' ? 'refund_pending' : 'cancelled' });
+}
+
+function anonymizeUserCharges(userId) {
+  for (const charge of pixCharges.filter(c => c.userId === userId)) pixCharges.update(charge.txid, { userId: null });
+}
+
+module.exports = {
+  createCharge,
+  assertWebhookSecret,
+  expireCharges,
+  confirmPayment,
+  cancelOrderCharge,
+  anonymizeUserCharges
+};
@@ -0,0 +1,89 @@
+const { products } = require('../repositories');
+const { parsePagination, paginate } = require('../utils/pagination');
+const DomainError = require('../errors/DomainError');
+
+const SORT_FIELDS = ['price', 'name'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+function listProducts({ page, limit, sort, order, search } = {}) {
+  const pagination = parsePagination({ page, limit });
+  if (sort && !SORT_FIELDS.includes(sort)) throw new DomainError('INVALID_SORT_FIELD');
+  order = order || 'asc';
+  if (!SORT_ORDERS.includes(order)) throw new DomainError('INVALID_SORT_ORDER');
+
+  let result = products.findAll();
+  if (search) {
+    const term = String(search).toLowerCase();
+    result = result.filter(p => p.name.toLowerCase().includes(term));
+  }
+  if (sort) {
+    const direction = order === 'desc' ? -1 : 1;
+    result = result.sort((a, b) => {
+      if (sort === 'name') return a.name.localeCompare(b.name) * direction;
+      return (a[sort] - b[sort]) * direction;
+    });
+  }
+
+  const { items, ...meta } = paginate(result, pagination);
+  return { products: items, ...meta };
+}
+
+function findProductById(id) {
+  return products.findById(Number(id));
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function validateProductData({ name, price, stock, weight, dimensions }, partial) {
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) throw new DomainError('PRODUCT_NAME_REQUIRED');
+  }
+  if (!partial || price !== undefined) {
+    if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) throw new DomainError('INVALID_PRODUCT_PRICE');
+  }
+  if (stock !== undefined) {
+    if (!Number.isInteger(stock) || stock < 0) throw new DomainError('INVALID_PRODUCT_STOCK');
+  }
+  if (weight !== undefined && !isNonNegativeNumber(weight)) throw new DomainError('INVALID_PRODUCT_WEIGHT');
+  if (dimensions !== undefined) {
+    const valid = dimensions && ['length', 'width', 'height'].every(d => isNonNegativeNumber(dimensions[d]));
+    if (!valid) throw new DomainError('INVALID_PRODUCT_DIMENSIONS');
+  }
+}
+
+function createProduct({ name, price, stock, weight, dimensions } = {}) {
+  validateProductData({ name, price, stock, weight, dimensions }, false);
+  return products.insert({
+    id: products.nextId(),
+    name: name.trim(),
+    price,
+    stock: stock ?? 0,
+    weight: weight ?? 0,
+    dimensions: dimensions
+      ? { length: dimensions.length, width: dimensions.width, height: dimensions.height }
+      : { length: 0, width: 0, height: 0 }
+  });
+}
+
+function updateProduct(id, { name, price, stock, weight, dimensions } = {}) {
+  const product = findProductById(id);
+  if (!product) return null;
+  validateProductData({ name, price, stock, weight, dimensions }, true);
+  const changes = {};
+  if (name !== undefined) changes.name = name.trim();
+  if (price !== undefined) changes.price = price;
+  if (stock !== undefined) changes.stock = stock;
+  if (weight !== undefined) changes.weight = weight;
+  if (dimensions !== undefined) {
+    changes.dimensions = { length: dimensions.length, width: dimensions.width, height: dimensions.height };
+  }
+  return products.update(product.id, changes);
+}
+
+function deleteProduct(id) {
+  return products.remove(Number(id));
+}
+
+module.exports = { listProducts, findProductById, createProduct, updateProduct, deleteProduct };
@@ -0,0 +1,69 @@
+const coupons = require('../models/coupon');
+const orderService = require('./orderService');
+const DomainError = require('../errors/DomainError');
+
+// Cada tipo de promoção recebe o contexto do pedido (com o total acumulado até
+// então) e devolve o novo total
+const promotionTypes = new Map();
+
+function registerPromotionType(type, apply) {
+  promotionTypes.set(type, apply);
+}
+
+registerPromotionType('percentage', ({ total, subtotal }, promotion) => total - subtotal * promotion.value / 100);
+registerPromotionType('fixed', ({ total, subtotal }, promotion) => total - Math.min(promotion.value, subtotal));
+registerPromotionType('free_freight', ({ total, freight }) => total - Math.max(freight, 0));
+registerPromotionType('payment_method', ({ total, paymentMethod }, promotion) => {
+  if (paymentMethod !== promotion.paymentMethod) return total;
+  return total * (1 - promotion.value / 100);
+});
+
+// Promoções aplicadas sem cupom, sempre depois do cupom. As descrições ficam
+// nos pacotes de idioma, na seção discounts, pelo código
+const automaticPromotions = [
+  { code: 'CARTAO5', type: 'payment_method', paymentMethod: 'credit_card', value: 5 }
+];
+
+function findCoupon(code) {
+  return coupons.find(c => c.code === String(code).toUpperCase());
+}
+
+function countCouponUses(userId, code) {
+  return orderService.listOrders(userId)
+    .filter(o => o.couponCode === code && o.status !== 'cancelled')
+    .length;
+}
+
+function validateCoupon(userId, code, subtotal, now = new Date()) {
+  const coupon = findCoupon(code);
+  if (!coupon || !promotionTypes.has(coupon.type)) throw new DomainError('INVALID_COUPON');
+  if (coupon.expiresAt && new Date(coupon.expiresAt) < now) throw new DomainError('COUPON_EXPIRED');
+  if (coupon.minOrderValue && subtotal < coupon.minOrderValue) {
+    throw new DomainError('COUPON_MIN_ORDER_NOT_REACHED');
+  }
+  if (coupon.maxUsesPerUser && countCouponUses(userId, coupon.code) >= coupon.maxUsesPerUser) {
+    throw new DomainError('COUPON_USAGE_LIMIT_REACHED');
+  }
+  return coupon;
+}
+
+function applyPromotions({ subtotal, freight, paymentMethod, coupon }) {
+  const promotions = coupon ? [coupon, ...automaticPromotions] : automaticPromotions;
+  const discounts = [];
+  let total = subtotal + freight;
+  for (const promotion of promotions) {
+    const apply = promotionTypes.get(promotion.type);
+    const next = apply({ subtotal, freight, paymentMethod, total }, promotion);
+    if (next !== total) {
+      discounts.push({
+        code: promotion.code,
+        type: promotion.type,
+        amount: parseFloat((total - next).toFixed(2))
+      });
+      total = next;
+    }
+  }
+  return { total, discounts };
+}
+
+module.exports = { registerPromotionType, findCoupon, validateCoupon, applyPromotions };
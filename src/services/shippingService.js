@@ -0,0 +1,51 @@
+const shippingZones = require('../models/shippingZone');
+const productService = require('./productService');
+const DomainError = require('../errors/DomainError');
+
+// Divisor de peso cúbico (cm³/kg) usado pelas transportadoras
+const VOLUMETRIC_DIVISOR = 6000;
+
+function normalizePostalCode(postalCode) {
+  const digits = typeof postalCode === 'string' ? postalCode.replace('-', '') : '';
+  if (!/^\d{8}$/.test(digits)) throw new DomainError('INVALID_POSTAL_CODE');
+  return digits;
+}
+
+function findZone(postalCode) {
+  return shippingZones.find(z => postalCode >= z.from && postalCode <= z.to);
+}
+
+function billableWeight(product) {
+  const { length, width, height } = product.dimensions;
+  return Math.max(product.weight, (length * width * height) / VOLUMETRIC_DIVISOR);
+}
+
+function calculateWeight(items) {
+  let weight = 0;
+  for (const item of items) {
+    const product = productService.findProductById(item.productId);
+    if (!product) throw new DomainError('PRODUCT_NOT_FOUND');
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) throw new DomainError('INVALID_QUANTITY');
+    weight += billableWeight(product) * item.quantity;
+  }
+  return parseFloat(weight.toFixed(3));
+}
+
+// O frete é cobrado por kg iniciado, como nas tabelas dos Correios
+function quote(postalCode, items) {
+  const normalized = normalizePostalCode(postalCode);
+  const zone = findZone(normalized);
+  if (!zone) throw new DomainError('POSTAL_CODE_NOT_SERVED');
+  if (!Array.isArray(items)) throw new DomainError('ITEMS_REQUIRED');
+  const weight = calculateWeight(items);
+  const freight = zone.baseRate + zone.perKg * Math.ceil(weight);
+  return {
+    postalCode: normalized,
+    zone: zone.name,
+    weight,
+    freight: parseFloat(freight.toFixed(2)),
+    deliveryDays: zone.deliveryDays
+  };
+}
+
+module.exports = { normalizePostalCode, calculateWeight, quote };
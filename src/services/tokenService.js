@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const config = require('../config');
+const keyService = require('./keyService');
+const { users, sessions, refreshTokens, revokedTokens } = require('../repositories');
+const DomainError = require('../errors/DomainError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Refresh tokens são opacos; só o hash fica armazenado
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return keyService.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
+    { expiresIn: config.auth.accessTokenTtl, jwtid: crypto.randomUUID() }
+  );
+}
+
+function issueRefreshToken(userId, sessionId) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  refreshTokens.insert({
+    id: hashToken(refreshToken),
+    sessionId,
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + config.auth.refreshTokenTtlDays * DAY_MS).toISOString(),
+    usedAt: null
+  });
+  return refreshToken;
+}
+
+// Cada login abre uma sessão: a família de refresh tokens gerados a partir dele
+function createSession(user) {
+  const session = sessions.insert({
+    id: crypto.randomUUID(),
+    userId: user.id,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    revokedReason: null
+  });
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: issueRefreshToken(user.id, session.id)
+  };
+}
+
+function revokeSession(sessionId, reason) {
+  sessions.update(sessionId, { revokedAt: new Date().toISOString(), revokedReason: reason });
+}
+
+function revokeUserSessions(userId, reason, exceptSessionId) {
+  const active = sessions.filter(s => s.userId === userId && !s.revokedAt && s.id !== exceptSessionId);
+  for (const session of active) {
+    revokeSession(session.id, reason);
+  }
+}
+
+// Cada refresh token vale uma única vez. Reapresentar um token já trocado indica
+// que ele vazou, então a sessão inteira é revogada
+function refresh(refreshToken) {
+  const record = typeof refreshToken === 'string' ? refreshTokens.findById(hashToken(refreshToken)) : undefined;
+  if (!record) throw new DomainError('INVALID_REFRESH_TOKEN', { status: 401 });
+  const session = sessions.findById(record.sessionId);
+  if (!session || session.revokedAt) throw new DomainError('INVALID_REFRESH_TOKEN', { status: 401 });
+  if (record.usedAt) {
+    revokeSession(session.id, 'refresh_token_reuse');
+    throw new DomainError('INVALID_REFRESH_TOKEN', { status: 401 });
+  }
+  if (Date.parse(record.expiresAt) <= Date.now()) throw new DomainError('REFRESH_TOKEN_EXPIRED', { status: 401 });
+  const user = users.findById(record.userId);
+  if (!user) {
+    revokeSession(session.id, 'user_removed');
+    throw new DomainError('INVALID_REFRESH_TOKEN', { status: 401 });
+  }
+
+  refreshTokens.update(record.id, { usedAt: new Date().toISOString() });
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: issueRefreshToken(user.id, session.id)
+  };
+}
+
+function revokeAccessToken(payload) {
+  if (!payload.jti) return;
+  const now = Date.now();
+  for (const expired of revokedTokens.filter(t => Date.parse(t.expiresAt) <= now)) {
+    revokedTokens.remove(expired.id);
+  }
+  revokedTokens.insert({ id: payload.jti, expiresAt: new Date(payload.exp * 1000).toISOString() });
+}
+
+// Recebe o payload já verificado do access token
+function logout(payload) {
+  revokeAccessToken(payload);
+  if (payload.sid) revokeSession(payload.sid, 'logout');
+}
+
+// Retorna { payload } para tokens válidos ou { reason } com o motivo da recusa
+function checkAccessToken(token) {
+  let payload;
+  try {
+    payload = keyService.verify(token);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') return { reason: 'TOKEN_EXPIRED' };
+    if (err.message === 'jwt malformed') return { reason: 'TOKEN_MALFORMED' };
+    return { reason: 'TOKEN_INVALID' };
+  }
+  if (payload.jti && revokedTokens.findById(payload.jti)) return { reason: 'TOKEN_REVOKED' };
+  if (payload.sid) {
+    const session = sessions.findById(payload.sid);
+    if (!session || session.revokedAt) return { reason: 'TOKEN_REVOKED' };
+  }
+  return { payload };
+}
+
+function verifyAccessToken(token) {
+  return checkAccessToken(token).payload || null;
+}
+
+module.exports = { createSession, refresh, logout, revokeUserSessions, checkAccessToken, verifyAccessToken };
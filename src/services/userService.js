@@ -1,33 +1,182 @@
-const users = require('../models/user');
-const jwt = require('jsonwebtoken');
-const SECRET = 'supersecret';
+const crypto = require('crypto');
+const { users } = require('../repositories');
+const passwordService = require('./passwordService');
+const tokenService = require('./tokenService');
+const cartService = require('./cartService');
+const orderService = require('./orderService');
+const boletoService = require('./boletoService');
+const pixService = require('./pixService');
+const emailVerificationService = require('./emailVerificationService');
+const loginThrottleService = require('./loginThrottleService');
+const ValidationError = require('../errors/ValidationError');
+const { parsePagination, paginate } = require('../utils/pagination');
 
 function findUserByEmail(email) {
   return users.find(u => u.email === email);
 }
 
-function registerUser(name, email, password) {
+function registerUser(name, email, password, locale) {
   if (findUserByEmail(email)) return null;
-  const newUser = { id: users.length + 1, name, email, password };
-  users.push(newUser);
+  const violations = [];
+  if (!emailVerificationService.isValidEmail(email)) violations.push({ field: 'email', code: 'INVALID_EMAIL' });
+  violations.push(...passwordService.checkPasswordPolicy(password));
+  if (violations.length) throw new ValidationError(violations);
+  const newUser = users.insert({
+    id: users.nextId(),
+    name,
+    email,
+    passwordHash: passwordService.hashPassword(password),
+    role: 'user',
+    verified: false
+  });
+  emailVerificationService.sendVerification(newUser, locale);
   return { name: newUser.name, email: newUser.email };
 }
 
-function authenticate(email, password) {
+// Registros gravados antes do hash de senha guardam `password` em texto puro;
+// no primeiro login válido a senha é convertida para hash
+function checkCredentials(user, password) {
+  if (user.passwordHash) return passwordService.verifyPassword(password, user.passwordHash);
+  if (typeof user.password !== 'string' || user.password !== password) return false;
+  users.update(user.id, { passwordHash: passwordService.hashPassword(password), password: undefined });
+  return true;
+}
+
+// Emails desconhecidos também passam pelo scrypt, contra o hash de uma senha
+// aleatória, para que o tempo de resposta não revele quem tem conta
+let dummyPasswordHash;
+
+function verifyDummyPassword(password) {
+  dummyPasswordHash = dummyPasswordHash || passwordService.hashPassword(crypto.randomBytes(16).toString('hex'));
+  passwordService.verifyPassword(password, dummyPasswordHash);
+}
+
+// Lança RateLimitedError enquanto o email ou o IP estiverem em espera ou bloqueados
+function authenticate(email, password, clientIp) {
+  loginThrottleService.assertCanAttempt(email, clientIp);
   const user = findUserByEmail(email);
-  if (user && user.password === password) {
-    const token = jwt.sign({ id: user.id, email: user.email }, SECRET, { expiresIn: '1h' });
-    return { token };
+  if (!user) verifyDummyPassword(password);
+  if (user && checkCredentials(user, password)) {
+    loginThrottleService.recordSuccess(email);
+    return tokenService.createSession(user);
   }
+  loginThrottleService.recordFailure(email, clientIp);
   return null;
 }
 
-function verifyToken(token) {
-  try {
-    return jwt.verify(token, SECRET);
-  } catch {
-    return null;
+function toProfile(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    verified: emailVerificationService.isVerified(user)
+  };
+}
+
+function getProfile(userId) {
+  const user = users.findById(userId);
+  return user ? toProfile(user) : null;
+}
+
+// Trocar o email altera o login da conta, por isso exige a senha atual; o novo
+// email precisa ser confirmado antes do próximo checkout
+function updateProfile(userId, { name, email, currentPassword } = {}, locale) {
+  const user = users.findById(userId);
+  if (!user) return null;
+  const fields = [];
+  const changes = {};
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) fields.push({ field: 'name', code: 'NAME_REQUIRED' });
+    else changes.name = name.trim();
+  }
+  if (email !== undefined && email !== user.email) {
+    if (typeof email !== 'string' || !email.trim()) {
+      fields.push({ field: 'email', code: 'EMAIL_REQUIRED' });
+    } else if (!emailVerificationService.isValidEmail(email)) {
+      fields.push({ field: 'email', code: 'INVALID_EMAIL' });
+    } else if (!checkCredentials(user, currentPassword)) {
+      fields.push({ field: 'currentPassword', code: 'INCORRECT_CURRENT_PASSWORD' });
+    } else if (findUserByEmail(email)) {
+      fields.push({ field: 'email', code: 'EMAIL_ALREADY_REGISTERED' });
+    } else {
+      changes.email = email;
+      changes.verified = false;
+    }
+  }
+  if (fields.length) throw new ValidationError(fields);
+  const updated = users.update(userId, changes);
+  if (changes.email) emailVerificationService.sendVerification(updated, locale);
+  return toProfile(updated);
+}
+
+// Encerra as demais sessões do usuário, mantendo apenas a que fez a troca
+function changePassword(userId, currentPassword, newPassword, currentSessionId) {
+  const user = users.findById(userId);
+  if (!user) return false;
+  if (!checkCredentials(user, currentPassword)) {
+    throw new ValidationError([{ field: 'currentPassword', code: 'INCORRECT_CURRENT_PASSWORD' }]);
   }
+  const violations = passwordService.checkPasswordPolicy(newPassword);
+  if (violations.length) throw new ValidationError(violations.map(v => ({ ...v, field: 'newPassword' })));
+  users.update(userId, { passwordHash: passwordService.hashPassword(newPassword) });
+  tokenService.revokeUserSessions(userId, 'password_change', currentSessionId);
+  return true;
+}
+
+function deleteAccount(userId, password) {
+  const user = users.findById(userId);
+  if (!user) return false;
+  if (!checkCredentials(user, password)) {
+    throw new ValidationError([{ field: 'password', code: 'INCORRECT_PASSWORD' }]);
+  }
+  users.remove(userId);
+  cartService.deleteCart(userId);
+  // Pedidos e cobranças ficam para a contabilidade, sem dados do titular
+  orderService.anonymizeUserOrders(userId);
+  boletoService.anonymizeUserBoletos(userId);
+  pixService.anonymizeUserCharges(userId);
+  tokenService.revokeUserSessions(userId, 'account_deleted');
+  return true;
+}
+
+function listUsers({ page, limit, name, email } = {}) {
+  const pagination = parsePagination({ page, limit });
+  let result = users.findAll();
+  if (name) {
+    const term = String(name).toLowerCase();
+    result = result.filter(u => u.name.toLowerCase().includes(term));
+  }
+  if (email) {
+    const term = String(email).toLowerCase();
+    result = result.filter(u => u.email.toLowerCase().includes(term));
+  }
+  const { items, ...meta } = paginate(result, pagination);
+  return { users: items.map(toProfile), ...meta };
+}
+
+function refresh(refreshToken) {
+  return tokenService.refresh(refreshToken);
+}
+
+function logout(userData) {
+  tokenService.logout(userData);
+}
+
+function verifyToken(token) {
+  return tokenService.verifyAccessToken(token);
 }
 
-module.exports = { findUserByEmail, registerUser, authenticate, verifyToken };
+module.exports = {
+  findUserByEmail,
+  listUsers,
+  registerUser,
+  authenticate,
+  refresh,
+  logout,
+  verifyToken,
+  getProfile,
+  updateProfile,
+  changePassword,
+  deleteAccount
+};
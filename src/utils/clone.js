@@ -0,0 +1,7 @@
+// Cópia profunda de dados em formato JSON (registros, emails, transações).
+// JSON em vez de structuredClone para continuar rodando no Node 16
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { clone };
@@ -0,0 +1,31 @@
+const DomainError = require('../errors/DomainError');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+function parsePositiveInt(value, defaultValue, code) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new DomainError(code);
+  return number;
+}
+
+function parsePagination({ page, limit } = {}) {
+  return {
+    page: parsePositiveInt(page, 1, 'INVALID_PAGE'),
+    limit: Math.min(parsePositiveInt(limit, DEFAULT_LIMIT, 'INVALID_LIMIT'), MAX_LIMIT)
+  };
+}
+
+function paginate(items, { page, limit }) {
+  const start = (page - 1) * limit;
+  return {
+    items: items.slice(start, start + limit),
+    page,
+    limit,
+    total: items.length,
+    totalPages: Math.ceil(items.length / limit)
+  };
+}
+
+module.exports = { parsePagination, paginate };
@@ -1,17 +1,27 @@
-const jwt = require('jsonwebtoken');
+const keyService = require('../../src/services/keyService');
+const { hashPassword } = require('../../src/services/passwordService');
 
-const SECRET = 'supersecret';
+// Seeded users log in with password 123456
+const seedPasswordHash = hashPassword('123456');
+
+// A card expiry five years ahead, so card fixtures never expire as time passes
+const validCardExpiry = `12/${String((new Date().getFullYear() + 5) % 100).padStart(2, '0')}`;
 
 // Test helper functions
 const testHelper = {
   // Generate valid JWT token for testing
   generateValidToken(userData = { id: 1, email: 'alice@email.com' }) {
-    return jwt.sign(userData, SECRET, { expiresIn: '1h' });
+    return keyService.sign(userData, { expiresIn: '1h' });
+  },
+
+  // Generate valid JWT token for an admin user
+  generateAdminToken(userData = { id: 1, email: 'alice@email.com', role: 'admin' }) {
+    return keyService.sign(userData, { expiresIn: '1h' });
   },
 
   // Generate expired JWT token for testing
   generateExpiredToken(userData = { id: 1, email: 'alice@email.com' }) {
-    return jwt.sign(userData, SECRET, { expiresIn: '-1h' });
+    return keyService.sign(userData, { expiresIn: '-1h' });
   },
 
   // Generate invalid JWT token
@@ -19,19 +29,60 @@ const testHelper = {
     return 'invalid.jwt.token';
   },
 
-  // Reset user and product data to initial state
+  // Reset users, products, orders, carts and sessions to initial state
   resetTestData() {
-    const users = require('../../src/models/user');
-    const products = require('../../src/models/product');
-    
+    const {
+      users,
+      products,
+      orders,
+      boletos,
+      pixCharges,
+      carts,
+      sessions,
+      refreshTokens,
+      revokedTokens,
+      passwordResetTokens,
+      emailVerificationTokens,
+      loginAttempts,
+      securityEvents
+    } = require('../../src/repositories');
+
     // Reset users to initial state
-    users.splice(0, users.length);
-    users.push(
-      { id: 1, name: 'Alice', email: 'alice@email.com', password: '123456' },
-      { id: 2, name: 'Bob', email: 'bob@email.com', password: '123456' }
-    );
+    users.reset([
+      { id: 1, name: 'Alice', email: 'alice@email.com', passwordHash: seedPasswordHash, role: 'admin', verified: true },
+      { id: 2, name: 'Bob', email: 'bob@email.com', passwordHash: seedPasswordHash, role: 'user', verified: true }
+    ]);
+
+    // Reset products to initial catalog
+    products.reset([
+      { id: 1, name: 'Produto A', price: 100, stock: 100, weight: 0.5, dimensions: { length: 20, width: 15, height: 10 } },
+      { id: 2, name: 'Produto B', price: 200, stock: 100, weight: 1.2, dimensions: { length: 30, width: 20, height: 15 } }
+    ]);
+
+    // Orders, boletos, Pix charges and carts start empty
+    orders.reset([]);
+    boletos.reset([]);
+    pixCharges.reset([]);
+    carts.reset([]);
 
-    // Products are read-only, no need to reset
+    // No sessions or revoked tokens
+    sessions.reset([]);
+    refreshTokens.reset([]);
+    revokedTokens.reset([]);
+    passwordResetTokens.reset([]);
+    emailVerificationTokens.reset([]);
+    loginAttempts.reset([]);
+    securityEvents.reset([]);
+
+    // Empty mail outbox and payment gateway
+    require('../../src/services/mailService').clearOutbox();
+    require('../../src/services/paymentService').clearTransactions();
+  },
+
+  // Token sent in the last email (password reset or email verification)
+  tokenFromOutbox() {
+    const [message] = require('../../src/services/mailService').outbox().slice(-1);
+    return message.text.split('\n\n')[2];
   },
 
   // Sample test data
@@ -41,23 +92,29 @@ const testHelper = {
     password: 'testpass123'
   },
 
+  // Postal code in the 'SP - Capital' zone: freight = 15 + 5 per started kg
+  // (Produto A weighs 0.5 kg and Produto B 1.5 kg of billable weight)
+  samplePostalCode: '01310-100',
+
+  validCardExpiry,
+
   sampleCheckoutData: {
     items: [
       { productId: 1, quantity: 2 },
       { productId: 2, quantity: 1 }
     ],
-    freight: 20,
+    postalCode: '01310-100',
     paymentMethod: 'boleto'
   },
 
   sampleCheckoutWithCard: {
     items: [{ productId: 1, quantity: 1 }],
-    freight: 15,
+    postalCode: '01310-100',
     paymentMethod: 'credit_card',
     cardData: {
       number: '4111111111111111',
       name: 'Test User',
-      expiry: '12/30',
+      expiry: validCardExpiry,
       cvv: '123'
     }
   }
@@ -0,0 +1,42 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../graphql/app');
+const testHelper = require('../../helpers/testHelper');
+
+describe('GraphQL API - Authentication', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  it('should use the same error codes and challenge as REST', async () => {
+    const response = await request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${testHelper.generateExpiredToken()}`)
+      .send({ query: 'query { orders { id } }' })
+      .expect(200);
+
+    expect(response.headers['www-authenticate']).to.include('error_description="The access token expired"');
+    expect(response.body.errors[0].message).to.equal('Token inválido');
+    expect(response.body.errors[0].extensions.code).to.equal('TOKEN_EXPIRED');
+  });
+
+  it('should report a missing token', async () => {
+    const response = await request(app)
+      .post('/graphql')
+      .send({ query: 'query { cart { itemCount } }' })
+      .expect(200);
+
+    expect(response.headers['www-authenticate']).to.equal('Bearer realm="api"');
+    expect(response.body.errors[0].extensions.code).to.equal('TOKEN_MISSING');
+  });
+
+  it('should keep public queries available with an invalid token', async () => {
+    const response = await request(app)
+      .post('/graphql')
+      .set('Authorization', 'Bearer nao-e-jwt')
+      .send({ query: 'query { product(id: 1) { name } }' })
+      .expect(200);
+
+    expect(response.body.data.product).to.deep.equal({ name: 'Produto A' });
+  });
+});
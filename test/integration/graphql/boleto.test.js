@@ -0,0 +1,62 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../graphql/app');
+const testHelper = require('../../helpers/testHelper');
+const { boletos } = require('../../../src/repositories');
+
+describe('GraphQL API - Boletos', () => {
+  let token;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    token = testHelper.generateValidToken();
+  });
+
+  it('should return the boleto in the checkout result', async () => {
+    const response = await request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        query: `
+          mutation {
+            checkout(items: [{ productId: 1, quantity: 1 }], postalCode: "01310-100", paymentMethod: boleto) {
+              orderId
+              valorFinal
+              boleto {
+                id orderId status amount issueDate dueDate barcode digitableLine nossoNumero bankCode
+                beneficiary { name document agency account }
+                payer { name email }
+              }
+            }
+          }
+        `
+      })
+      .expect(200);
+
+    expect(response.body).to.not.have.property('errors');
+    const { orderId, valorFinal, boleto } = response.body.data.checkout;
+    const stored = boletos.findById(1);
+    expect(boleto).to.include({ id: '1', orderId: String(orderId), status: 'pending', amount: valorFinal });
+    expect(boleto).to.include({ barcode: stored.barcode, digitableLine: stored.digitableLine, dueDate: stored.dueDate });
+    expect(boleto.payer).to.deep.equal({ name: 'Alice', email: 'alice@email.com' });
+  });
+
+  it('should return a null boleto for card checkouts', async () => {
+    const response = await request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        query: `
+          mutation Checkout($cardData: CardDataInput) {
+            checkout(items: [{ productId: 1, quantity: 1 }], postalCode: "01310-100", paymentMethod: credit_card, cardData: $cardData) {
+              boleto { id }
+            }
+          }
+        `,
+        variables: { cardData: testHelper.sampleCheckoutWithCard.cardData }
+      })
+      .expect(200);
+
+    expect(response.body.data.checkout.boleto).to.equal(null);
+  });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../graphql/app');
+const testHelper = require('../../helpers/testHelper');
+
+describe('GraphQL API - Cart Operations', () => {
+  let aliceToken;
+
+  const addToCartMutation = `
+    mutation AddToCart($productId: Int!, $quantity: Int!) {
+      addToCart(productId: $productId, quantity: $quantity) {
+        itemCount
+        subtotal
+        items { productId name unitPrice quantity subtotal }
+      }
+    }
+  `;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    aliceToken = testHelper.generateValidToken({ id: 1, email: 'alice@email.com' });
+  });
+
+  function send(query, variables, token = aliceToken) {
+    const req = request(app).post('/graphql');
+    if (token) req.set('Authorization', `Bearer ${token}`);
+    return req.send({ query, variables }).expect(200);
+  }
+
+  it('should require authentication token', async () => {
+    const response = await send('query { cart { itemCount } }', {}, null);
+
+    expect(response.body.errors[0].message).to.equal('Token inválido');
+  });
+
+  it('should add items and query the cart with freight', async () => {
+    const added = await send(addToCartMutation, { productId: 1, quantity: 2 });
+    expect(added.body.data.addToCart).to.include({ itemCount: 2, subtotal: 200 });
+
+    const response = await send(`
+      query { cart(postalCode: "01310-100") { subtotal total shipping { freight } } }
+    `);
+
+    expect(response.body.data.cart).to.deep.equal({ subtotal: 200, total: 220, shipping: { freight: 20 } });
+  });
+
+  it('should update, remove and clear items', async () => {
+    await send(addToCartMutation, { productId: 1, quantity: 1 });
+    await send(addToCartMutation, { productId: 2, quantity: 1 });
+
+    const updated = await send('mutation { updateCartItem(productId: 1, quantity: 5) { itemCount } }');
+    expect(updated.body.data.updateCartItem.itemCount).to.equal(6);
+
+    const removed = await send('mutation { removeFromCart(productId: 2) { itemCount } }');
+    expect(removed.body.data.removeFromCart.itemCount).to.equal(5);
+
+    const cleared = await send('mutation { clearCart { itemCount items { productId } } }');
+    expect(cleared.body.data.clearCart).to.deep.equal({ itemCount: 0, items: [] });
+  });
+
+  it('should reject unknown products', async () => {
+    const response = await send(addToCartMutation, { productId: 999, quantity: 1 });
+
+    expect(response.body.errors[0].message).to.equal('Produto não encontrado');
+  });
+
+  describe('checkoutCart mutation', () => {
+    const checkoutCartMutation = `
+      mutation CheckoutCart($postalCode: String!, $paymentMethod: PaymentMethod!) {
+        checkoutCart(postalCode: $postalCode, paymentMethod: $paymentMethod) {
+          orderId
+          valorFinal
+          items { productId quantity }
+        }
+      }
+    `;
+
+    it('should checkout the cart and empty it', async () => {
+      await send(addToCartMutation, { productId: 1, quantity: 2 });
+
+      const response = await send(checkoutCartMutation, { postalCode: testHelper.samplePostalCode, paymentMethod: 'boleto' });
+
+      expect(response.body.data.checkoutCart).to.deep.equal({
+        orderId: '1',
+        valorFinal: 220,
+        items: [{ productId: 1, quantity: 2 }]
+      });
+      const cart = await send('query { cart { itemCount } }');
+      expect(cart.body.data.cart.itemCount).to.equal(0);
+    });
+
+    it('should reject an empty cart', async () => {
+      const response = await send(checkoutCartMutation, { postalCode: testHelper.samplePostalCode, paymentMethod: 'boleto' });
+
+      expect(response.body.errors[0].message).to.equal('Carrinho vazio');
+    });
+  });
+});
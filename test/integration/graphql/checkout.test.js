@@ -15,8 +15,8 @@ describe('GraphQL API - Checkout Operations', () => {
     describe('Authentication', () => {
       it('should require authentication token', async () => {
         const mutation = `
-          mutation Checkout($items: [CheckoutItemInput!]!, $freight: Float!, $paymentMethod: String!) {
-            checkout(items: $items, freight: $freight, paymentMethod: $paymentMethod) {
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod) {
               userId
               valorFinal
               paymentMethod
@@ -26,7 +26,7 @@ describe('GraphQL API - Checkout Operations', () => {
 
         const variables = {
           items: [{ productId: 1, quantity: 1 }],
-          freight: 10,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
@@ -44,8 +44,8 @@ describe('GraphQL API - Checkout Operations', () => {
 
       it('should reject invalid token', async () => {
         const mutation = `
-          mutation Checkout($items: [CheckoutItemInput!]!, $freight: Float!, $paymentMethod: String!) {
-            checkout(items: $items, freight: $freight, paymentMethod: $paymentMethod) {
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod) {
               userId
               valorFinal
               paymentMethod
@@ -55,7 +55,7 @@ describe('GraphQL API - Checkout Operations', () => {
 
         const variables = {
           items: [{ productId: 1, quantity: 1 }],
-          freight: 10,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
@@ -73,8 +73,8 @@ describe('GraphQL API - Checkout Operations', () => {
 
       it('should accept valid token', async () => {
         const mutation = `
-          mutation Checkout($items: [CheckoutItemInput!]!, $freight: Float!, $paymentMethod: String!) {
-            checkout(items: $items, freight: $freight, paymentMethod: $paymentMethod) {
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod) {
               userId
               valorFinal
               paymentMethod
@@ -89,7 +89,7 @@ describe('GraphQL API - Checkout Operations', () => {
 
         const variables = {
           items: [{ productId: 1, quantity: 1 }],
-          freight: 10,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
@@ -111,8 +111,8 @@ describe('GraphQL API - Checkout Operations', () => {
     describe('Boleto Payment', () => {
       it('should process boleto payment successfully', async () => {
         const mutation = `
-          mutation Checkout($items: [CheckoutItemInput!]!, $freight: Float!, $paymentMethod: String!) {
-            checkout(items: $items, freight: $freight, paymentMethod: $paymentMethod) {
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod) {
               userId
               valorFinal
               paymentMethod
@@ -130,7 +130,7 @@ describe('GraphQL API - Checkout Operations', () => {
             { productId: 1, quantity: 2 }, // 2 * 100 = 200
             { productId: 2, quantity: 1 }  // 1 * 200 = 200
           ],
-          freight: 20,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
@@ -147,16 +147,16 @@ describe('GraphQL API - Checkout Operations', () => {
         const checkout = response.body.data.checkout;
         
         expect(checkout).to.have.property('userId', '1');
-        expect(checkout).to.have.property('valorFinal', 420); // 200 + 200 + 20 = 420
+        expect(checkout).to.have.property('valorFinal', 430); // 200 + 200 + 30 = 430
         expect(checkout).to.have.property('paymentMethod', 'boleto');
-        expect(checkout).to.have.property('freight', 20);
+        expect(checkout).to.have.property('freight', 30); // 15 + 5 * 3 kg
         expect(checkout.items).to.deep.equal(variables.items);
       });
 
       it('should calculate total correctly for single item', async () => {
         const mutation = `
-          mutation Checkout($items: [CheckoutItemInput!]!, $freight: Float!, $paymentMethod: String!) {
-            checkout(items: $items, freight: $freight, paymentMethod: $paymentMethod) {
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod) {
               valorFinal
             }
           }
@@ -164,7 +164,7 @@ describe('GraphQL API - Checkout Operations', () => {
 
         const variables = {
           items: [{ productId: 2, quantity: 1 }], // 1 * 200 = 200
-          freight: 15,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
@@ -177,15 +177,15 @@ describe('GraphQL API - Checkout Operations', () => {
           })
           .expect(200);
 
-        expect(response.body.data.checkout).to.have.property('valorFinal', 215); // 200 + 15 = 215
+        expect(response.body.data.checkout).to.have.property('valorFinal', 225); // 200 + 25 = 225
       });
     });
 
     describe('Credit Card Payment', () => {
       it('should process credit card payment with 5% discount', async () => {
         const mutation = `
-          mutation Checkout($items: [CheckoutItemInput!]!, $freight: Float!, $paymentMethod: String!, $cardData: CardDataInput) {
-            checkout(items: $items, freight: $freight, paymentMethod: $paymentMethod, cardData: $cardData) {
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!, $cardData: CardDataInput) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod, cardData: $cardData) {
               userId
               valorFinal
               paymentMethod
@@ -200,12 +200,12 @@ describe('GraphQL API - Checkout Operations', () => {
 
         const variables = {
           items: [{ productId: 1, quantity: 1 }], // 1 * 100 = 100
-          freight: 20,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'credit_card',
           cardData: {
             number: '4111111111111111',
             name: 'Test User',
-            expiry: '12/30',
+            expiry: testHelper.validCardExpiry,
             cvv: '123'
           }
         };
@@ -228,8 +228,8 @@ describe('GraphQL API - Checkout Operations', () => {
 
       it('should require card data for credit card payment', async () => {
         const mutation = `
-          mutation Checkout($items: [CheckoutItemInput!]!, $freight: Float!, $paymentMethod: String!) {
-            checkout(items: $items, freight: $freight, paymentMethod: $paymentMethod) {
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod) {
               valorFinal
             }
           }
@@ -237,7 +237,7 @@ describe('GraphQL API - Checkout Operations', () => {
 
         const variables = {
           items: [{ productId: 1, quantity: 1 }],
-          freight: 15,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'credit_card'
           // Missing cardData
         };
@@ -257,8 +257,8 @@ describe('GraphQL API - Checkout Operations', () => {
 
       it('should calculate complex credit card scenario correctly', async () => {
         const mutation = `
-          mutation Checkout($items: [CheckoutItemInput!]!, $freight: Float!, $paymentMethod: String!, $cardData: CardDataInput) {
-            checkout(items: $items, freight: $freight, paymentMethod: $paymentMethod, cardData: $cardData) {
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!, $cardData: CardDataInput) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod, cardData: $cardData) {
               valorFinal
               paymentMethod
             }
@@ -270,12 +270,12 @@ describe('GraphQL API - Checkout Operations', () => {
             { productId: 1, quantity: 2 }, // 2 * 100 = 200
             { productId: 2, quantity: 1 }  // 1 * 200 = 200
           ],
-          freight: 50,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'credit_card',
           cardData: {
             number: '4111111111111111',
             name: 'Test User',
-            expiry: '12/30',
+            expiry: testHelper.validCardExpiry,
             cvv: '123'
           }
         };
@@ -291,15 +291,15 @@ describe('GraphQL API - Checkout Operations', () => {
 
         expect(response.body).to.not.have.property('errors');
         // (200 + 200 + 50) * 0.95 = 427.5
-        expect(response.body.data.checkout).to.have.property('valorFinal', 427.5);
+        expect(response.body.data.checkout).to.have.property('valorFinal', 408.5); // (400 + 30) * 0.95 = 408.5
       });
     });
 
     describe('Product Validation', () => {
       it('should return error for non-existent product', async () => {
         const mutation = `
-          mutation Checkout($items: [CheckoutItemInput!]!, $freight: Float!, $paymentMethod: String!) {
-            checkout(items: $items, freight: $freight, paymentMethod: $paymentMethod) {
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod) {
               valorFinal
             }
           }
@@ -307,7 +307,7 @@ describe('GraphQL API - Checkout Operations', () => {
 
         const variables = {
           items: [{ productId: 999, quantity: 1 }], // Non-existent product
-          freight: 10,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
@@ -326,8 +326,8 @@ describe('GraphQL API - Checkout Operations', () => {
 
       it('should validate all products in the list', async () => {
         const mutation = `
-          mutation Checkout($items: [CheckoutItemInput!]!, $freight: Float!, $paymentMethod: String!) {
-            checkout(items: $items, freight: $freight, paymentMethod: $paymentMethod) {
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod) {
               valorFinal
             }
           }
@@ -338,7 +338,7 @@ describe('GraphQL API - Checkout Operations', () => {
             { productId: 1, quantity: 1 }, // Valid
             { productId: 999, quantity: 1 } // Invalid
           ],
-          freight: 10,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
@@ -367,7 +367,7 @@ describe('GraphQL API - Checkout Operations', () => {
 
         const variables = {
           items: [{ productId: 1, quantity: 1 }]
-          // Missing required freight and paymentMethod
+          // Missing required postalCode and paymentMethod
         };
 
         const response = await request(app)
@@ -384,8 +384,8 @@ describe('GraphQL API - Checkout Operations', () => {
 
       it('should validate item input structure', async () => {
         const mutation = `
-          mutation Checkout($items: [CheckoutItemInput!]!, $freight: Float!, $paymentMethod: String!) {
-            checkout(items: $items, freight: $freight, paymentMethod: $paymentMethod) {
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod) {
               valorFinal
             }
           }
@@ -393,7 +393,7 @@ describe('GraphQL API - Checkout Operations', () => {
 
         const variables = {
           items: [{ productId: 'invalid', quantity: 1 }], // Invalid productId type
-          freight: 10,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
@@ -409,10 +409,10 @@ describe('GraphQL API - Checkout Operations', () => {
         expect(response.body).to.have.property('errors');
       });
 
-      it('should handle zero and negative quantities', async () => {
+      it('should reject zero and negative quantities', async () => {
         const mutation = `
-          mutation Checkout($items: [CheckoutItemInput!]!, $freight: Float!, $paymentMethod: String!) {
-            checkout(items: $items, freight: $freight, paymentMethod: $paymentMethod) {
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod) {
               valorFinal
             }
           }
@@ -420,10 +420,86 @@ describe('GraphQL API - Checkout Operations', () => {
 
         const variables = {
           items: [{ productId: 1, quantity: 0 }],
-          freight: 10,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
+        const response = await request(app)
+          .post('/graphql')
+          .set('Authorization', `Bearer ${validToken}`)
+          .send({
+            query: mutation,
+            variables: variables
+          })
+          .expect(200);
+
+        expect(response.body).to.have.property('errors');
+        expect(response.body.errors[0].message).to.equal('Quantidade inválida');
+      });
+    });
+
+    describe('Price Breakdown', () => {
+      it('should return an itemized receipt', async () => {
+        const mutation = `
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!, $couponCode: String) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod, couponCode: $couponCode) {
+              lines { productId name unitPrice quantity subtotal }
+              subtotal
+              freight
+              discountTotal
+              total
+              valorFinal
+            }
+          }
+        `;
+
+        const variables = {
+          items: [{ productId: 2, quantity: 2 }],
+          postalCode: testHelper.samplePostalCode,
+          paymentMethod: 'boleto',
+          couponCode: 'MENOS50'
+        };
+
+        const response = await request(app)
+          .post('/graphql')
+          .set('Authorization', `Bearer ${validToken}`)
+          .send({
+            query: mutation,
+            variables: variables
+          })
+          .expect(200);
+
+        expect(response.body).to.not.have.property('errors');
+        expect(response.body.data.checkout).to.deep.equal({
+          lines: [{ productId: 2, name: 'Produto B', unitPrice: 200, quantity: 2, subtotal: 400 }],
+          subtotal: 400,
+          freight: 30,
+          discountTotal: 50,
+          total: 380,
+          valorFinal: 380
+        });
+      });
+    });
+
+    describe('Coupons', () => {
+      it('should apply coupon and return discount breakdown', async () => {
+        const mutation = `
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!, $couponCode: String) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod, couponCode: $couponCode) {
+              valorFinal
+              couponCode
+              discounts { code type amount }
+            }
+          }
+        `;
+
+        const variables = {
+          items: [{ productId: 1, quantity: 1 }],
+          postalCode: testHelper.samplePostalCode,
+          paymentMethod: 'boleto',
+          couponCode: 'fretegratis'
+        };
+
         const response = await request(app)
           .post('/graphql')
           .set('Authorization', `Bearer ${validToken}`)
@@ -434,15 +510,73 @@ describe('GraphQL API - Checkout Operations', () => {
           .expect(200);
 
         expect(response.body).to.not.have.property('errors');
-        expect(response.body.data.checkout).to.have.property('valorFinal', 10); // Only freight
+        const { checkout } = response.body.data;
+        expect(checkout).to.have.property('valorFinal', 100);
+        expect(checkout).to.have.property('couponCode', 'FRETEGRATIS');
+        expect(checkout.discounts).to.deep.equal([{ code: 'FRETEGRATIS', type: 'free_freight', amount: 20 }]);
+      });
+
+      it('should return error for expired coupon', async () => {
+        const mutation = `
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!, $couponCode: String) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod, couponCode: $couponCode) {
+              valorFinal
+            }
+          }
+        `;
+
+        const response = await request(app)
+          .post('/graphql')
+          .set('Authorization', `Bearer ${validToken}`)
+          .send({
+            query: mutation,
+            variables: { ...testHelper.sampleCheckoutData, couponCode: 'BLACKFRIDAY' }
+          })
+          .expect(200);
+
+        expect(response.body).to.have.property('errors');
+        expect(response.body.errors[0].message).to.equal('Cupom expirado');
+      });
+    });
+
+    describe('Stock Validation', () => {
+      it('should return INSUFFICIENT_STOCK error listing the offending items', async () => {
+        const mutation = `
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod) {
+              valorFinal
+            }
+          }
+        `;
+
+        const variables = {
+          items: [{ productId: 2, quantity: 150 }],
+          postalCode: testHelper.samplePostalCode,
+          paymentMethod: 'boleto'
+        };
+
+        const response = await request(app)
+          .post('/graphql')
+          .set('Authorization', `Bearer ${validToken}`)
+          .send({
+            query: mutation,
+            variables: variables
+          })
+          .expect(200);
+
+        expect(response.body).to.have.property('errors');
+        const [error] = response.body.errors;
+        expect(error.message).to.equal('Estoque insuficiente');
+        expect(error.extensions).to.have.property('code', 'INSUFFICIENT_STOCK');
+        expect(error.extensions.items).to.deep.equal([{ productId: 2, requested: 150, available: 100 }]);
       });
     });
 
     describe('Response Structure', () => {
       it('should return all expected fields', async () => {
         const mutation = `
-          mutation Checkout($items: [CheckoutItemInput!]!, $freight: Float!, $paymentMethod: String!) {
-            checkout(items: $items, freight: $freight, paymentMethod: $paymentMethod) {
+          mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!) {
+            checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod) {
               userId
               valorFinal
               paymentMethod
@@ -457,7 +591,7 @@ describe('GraphQL API - Checkout Operations', () => {
 
         const variables = {
           items: [{ productId: 1, quantity: 1 }],
-          freight: 10,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
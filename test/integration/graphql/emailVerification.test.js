@@ -0,0 +1,67 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../graphql/app');
+const mailService = require('../../../src/services/mailService');
+const testHelper = require('../../helpers/testHelper');
+
+describe('GraphQL API - Email Verification', () => {
+  let token;
+
+  function send(query, variables, authToken = token) {
+    const req = request(app).post('/graphql');
+    if (authToken) req.set('Authorization', `Bearer ${authToken}`);
+    return req.send({ query, variables }).expect(200);
+  }
+
+  const checkout = `
+    mutation {
+      checkout(items: [{ productId: 1, quantity: 1 }], postalCode: "01310-100", paymentMethod: boleto) { valorFinal }
+    }
+  `;
+
+  beforeEach(async () => {
+    testHelper.resetTestData();
+    await send('mutation { register(name: "Carol", email: "carol@email.com", password: "minhaSenha9") { email } }', {}, null);
+    const login = await send('mutation { login(email: "carol@email.com", password: "minhaSenha9") { token } }', {}, null);
+    token = login.body.data.login.token;
+  });
+
+  it('should refuse checkout with EMAIL_NOT_VERIFIED until verified', async () => {
+    const refused = await send(checkout);
+    expect(refused.body.errors[0].message).to.equal('Email não verificado');
+    expect(refused.body.errors[0].extensions.code).to.equal('EMAIL_NOT_VERIFIED');
+
+    const verified = await send('mutation Verify($token: String!) { verifyEmail(token: $token) }', { token: testHelper.tokenFromOutbox() }, null);
+    expect(verified.body.data.verifyEmail).to.be.true;
+
+    const accepted = await send(checkout);
+    expect(accepted.body.data.checkout.valorFinal).to.be.a('number');
+  });
+
+  it('should expose the verified flag and resend the email', async () => {
+    const me = await send('query { me { verified } }');
+    expect(me.body.data.me.verified).to.be.false;
+
+    const resent = await send('mutation { resendVerificationEmail }');
+    expect(resent.body.data.resendVerificationEmail).to.be.true;
+    expect(mailService.outbox()).to.have.length(2);
+  });
+
+  it('should send the verification email in the language of the request', async () => {
+    await request(app)
+      .post('/graphql')
+      .set('Accept-Language', 'en')
+      .send({ query: 'mutation { register(name: "Dave", email: "dave@email.com", password: "Dave2026x") { email } }' })
+      .expect(200);
+
+    const [message] = mailService.outbox().slice(-1);
+    expect(message).to.include({ to: 'dave@email.com', subject: 'Confirm your email' });
+    expect(message.text).to.match(/^Hello, Dave\./);
+  });
+
+  it('should reject malformed emails on register', async () => {
+    const response = await send('mutation { register(name: "X", email: "x@", password: "minhaSenha9") { email } }', {}, null);
+
+    expect(response.body.errors[0].extensions.fields).to.deep.equal([{ field: 'email', code: 'INVALID_EMAIL', message: 'Email inválido' }]);
+  });
+});
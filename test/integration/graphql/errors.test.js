@@ -0,0 +1,53 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../graphql/app');
+const testHelper = require('../../helpers/testHelper');
+
+describe('GraphQL API - Error Codes', () => {
+  let token;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    token = testHelper.generateValidToken();
+  });
+
+  function send(query, variables) {
+    return request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ query, variables })
+      .expect(200);
+  }
+
+  it('should expose the code of a missing resource', async () => {
+    const response = await send('query { product(id: 999) { id } }');
+
+    expect(response.body.errors[0].message).to.equal('Produto não encontrado');
+    expect(response.body.errors[0].extensions.code).to.equal('PRODUCT_NOT_FOUND');
+  });
+
+  it('should expose the code of errors thrown by the services', async () => {
+    const response = await send(`
+      mutation {
+        checkout(items: [{ productId: 1, quantity: 1 }], postalCode: "01310-100", paymentMethod: boleto, couponCode: "NAOEXISTE") {
+          orderId
+        }
+      }
+    `);
+
+    expect(response.body.errors[0].extensions.code).to.equal('INVALID_COUPON');
+  });
+
+  it('should expose the code of cart errors', async () => {
+    const response = await send('mutation { removeFromCart(productId: 1) { itemCount } }');
+
+    expect(response.body.errors[0].extensions.code).to.equal('CART_ITEM_NOT_FOUND');
+  });
+
+  it('should expose the code of invalid credentials', async () => {
+    const response = await send('mutation { login(email: "alice@email.com", password: "errada123") { token } }');
+
+    expect(response.body.errors[0].message).to.equal('Credenciais inválidas');
+    expect(response.body.errors[0].extensions.code).to.equal('INVALID_CREDENTIALS');
+  });
+});
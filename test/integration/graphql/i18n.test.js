@@ -0,0 +1,66 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../graphql/app');
+const testHelper = require('../../helpers/testHelper');
+
+describe('GraphQL API - Localized Messages', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  function send(query, language) {
+    const req = request(app).post('/graphql');
+    if (language) req.set('Accept-Language', language);
+    return req.send({ query }).expect(200);
+  }
+
+  it('should answer in Portuguese by default', async () => {
+    const response = await send('query { product(id: 999) { id } }');
+
+    expect(response.body.errors[0].message).to.equal('Produto não encontrado');
+    expect(response.body.errors[0].extensions.code).to.equal('PRODUCT_NOT_FOUND');
+  });
+
+  it('should answer in English when the client accepts it', async () => {
+    const response = await send('query { product(id: 999) { id } }', 'en-US');
+
+    expect(response.headers['content-language']).to.equal('en-US');
+    expect(response.body.errors[0].message).to.equal('Product not found');
+    expect(response.body.errors[0].extensions.code).to.equal('PRODUCT_NOT_FOUND');
+  });
+
+  it('should translate validation fields', async () => {
+    const response = await send('mutation { register(name: "Bob", email: "bob", password: "abcdefgh1") { email } }', 'en');
+
+    expect(response.body.errors[0].message).to.equal('Invalid data');
+    expect(response.body.errors[0].extensions.fields).to.deep.equal([
+      { field: 'email', code: 'INVALID_EMAIL', message: 'Invalid email' }
+    ]);
+  });
+
+  it('should describe discounts in the requested language', async () => {
+    const response = await request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${testHelper.generateValidToken()}`)
+      .set('Accept-Language', 'en-US')
+      .send({
+        query: `mutation {
+          checkout(items: [{ productId: 1, quantity: 1 }], postalCode: "${testHelper.samplePostalCode}", paymentMethod: boleto, couponCode: "FRETEGRATIS") {
+            discounts { code description }
+          }
+        }`
+      })
+      .expect(200);
+
+    expect(response.body.data.checkout.discounts).to.deep.equal([
+      { code: 'FRETEGRATIS', description: 'Free shipping on orders of R$ 100 or more' }
+    ]);
+  });
+
+  it('should translate authentication errors', async () => {
+    const response = await send('query { me { id } }', 'en-US');
+
+    expect(response.body.errors[0].message).to.equal('Invalid token');
+    expect(response.body.errors[0].extensions.code).to.equal('TOKEN_MISSING');
+  });
+});
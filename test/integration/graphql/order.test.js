@@ -0,0 +1,152 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../graphql/app');
+const testHelper = require('../../helpers/testHelper');
+
+describe('GraphQL API - Order Operations', () => {
+  let aliceToken, bobToken;
+
+  const checkoutMutation = `
+    mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!) {
+      checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod) {
+        orderId
+        status
+        createdAt
+        valorFinal
+      }
+    }
+  `;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    aliceToken = testHelper.generateValidToken({ id: 1, email: 'alice@email.com' });
+    bobToken = testHelper.generateValidToken({ id: 2, email: 'bob@email.com' });
+  });
+
+  async function placeOrder(token) {
+    const response = await request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ query: checkoutMutation, variables: testHelper.sampleCheckoutData })
+      .expect(200);
+    return response.body.data.checkout;
+  }
+
+  describe('orders query', () => {
+    const query = `
+      query {
+        orders {
+          id
+          userId
+          total
+          status
+          createdAt
+          items { productId quantity }
+        }
+      }
+    `;
+
+    it('should require authentication token', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query })
+        .expect(200);
+
+      expect(response.body).to.have.property('errors');
+      expect(response.body.errors[0].message).to.equal('Token inválido');
+    });
+
+    it('should list only orders of the authenticated user', async () => {
+      const checkout = await placeOrder(aliceToken);
+      await placeOrder(bobToken);
+
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ query })
+        .expect(200);
+
+      expect(response.body).to.not.have.property('errors');
+      const { orders } = response.body.data;
+      expect(orders).to.have.length(1);
+      expect(orders[0]).to.have.property('id', checkout.orderId);
+      expect(orders[0]).to.have.property('userId', '1');
+      expect(orders[0]).to.have.property('total', checkout.valorFinal);
+      expect(orders[0]).to.have.property('status', 'pending');
+    });
+  });
+
+  describe('order query', () => {
+    const query = `
+      query Order($id: ID!) {
+        order(id: $id) {
+          id
+          total
+          status
+        }
+      }
+    `;
+
+    it('should return an order of the authenticated user', async () => {
+      const checkout = await placeOrder(aliceToken);
+
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ query, variables: { id: checkout.orderId } })
+        .expect(200);
+
+      expect(response.body).to.not.have.property('errors');
+      expect(response.body.data.order).to.have.property('id', checkout.orderId);
+    });
+
+    it('should not return orders of another user', async () => {
+      const checkout = await placeOrder(bobToken);
+
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ query, variables: { id: checkout.orderId } })
+        .expect(200);
+
+      expect(response.body).to.have.property('errors');
+      expect(response.body.errors[0].message).to.equal('Pedido não encontrado');
+    });
+  });
+
+  describe('cancelOrder mutation', () => {
+    const mutation = `
+      mutation CancelOrder($id: ID!) {
+        cancelOrder(id: $id) {
+          id
+          status
+        }
+      }
+    `;
+
+    it('should cancel an order of the authenticated user', async () => {
+      const checkout = await placeOrder(aliceToken);
+
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ query: mutation, variables: { id: checkout.orderId } })
+        .expect(200);
+
+      expect(response.body).to.not.have.property('errors');
+      expect(response.body.data.cancelOrder).to.deep.equal({ id: checkout.orderId, status: 'cancelled' });
+    });
+
+    it('should not cancel orders of another user', async () => {
+      const checkout = await placeOrder(bobToken);
+
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ query: mutation, variables: { id: checkout.orderId } })
+        .expect(200);
+
+      expect(response.body.errors[0].message).to.equal('Pedido não encontrado');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../graphql/app');
+const mailService = require('../../../src/services/mailService');
+const testHelper = require('../../helpers/testHelper');
+
+describe('GraphQL API - Password Reset', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  function send(query, variables) {
+    return request(app)
+      .post('/graphql')
+      .send({ query, variables })
+      .expect(200);
+  }
+
+  it('should send the reset email and accept the token once', async () => {
+    const forgot = await send('mutation { forgotPassword(email: "bob@email.com") }');
+    expect(forgot.body.data.forgotPassword).to.be.true;
+
+    const mutation = 'mutation Reset($token: String!) { resetPassword(token: $token, newPassword: "novaSenha1") }';
+    const token = testHelper.tokenFromOutbox();
+    const reset = await send(mutation, { token });
+    expect(reset.body.data.resetPassword).to.be.true;
+
+    const reused = await send(mutation, { token });
+    expect(reused.body.errors[0].message).to.equal('Token de redefinição inválido');
+  });
+
+  it('should return true for unknown emails without sending anything', async () => {
+    const response = await send('mutation { forgotPassword(email: "ninguem@email.com") }');
+
+    expect(response.body.data.forgotPassword).to.be.true;
+    expect(mailService.outbox()).to.be.empty;
+  });
+
+  it('should expose policy violations in extensions', async () => {
+    await send('mutation { forgotPassword(email: "bob@email.com") }');
+
+    const response = await send(
+      'mutation Reset($token: String!) { resetPassword(token: $token, newPassword: "curta") }',
+      { token: testHelper.tokenFromOutbox() }
+    );
+
+    expect(response.body.errors[0].extensions.code).to.equal('VALIDATION_ERROR');
+    expect(response.body.errors[0].extensions.fields[0]).to.have.property('field', 'newPassword');
+  });
+});
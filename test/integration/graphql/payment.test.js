@@ -0,0 +1,79 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../graphql/app');
+const testHelper = require('../../helpers/testHelper');
+const { orders } = require('../../../src/repositories');
+
+describe('GraphQL API - Card Payments', () => {
+  let token;
+
+  const checkoutMutation = `
+    mutation Checkout($cardData: CardDataInput) {
+      checkout(items: [{ productId: 1, quantity: 1 }], postalCode: "01310-100", paymentMethod: credit_card, cardData: $cardData) {
+        orderId
+        status
+        payment { provider transactionId status amount }
+        card { brand last4 }
+      }
+    }
+  `;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    token = testHelper.generateValidToken();
+  });
+
+  function checkoutWithCard(number) {
+    return request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ query: checkoutMutation, variables: { cardData: { ...testHelper.sampleCheckoutWithCard.cardData, number } } })
+      .expect(200);
+  }
+
+  it('should charge approved cards', async () => {
+    const response = await checkoutWithCard('4111111111111111');
+
+    expect(response.body.data.checkout.status).to.equal('paid');
+    expect(response.body.data.checkout.payment).to.include({ provider: 'mock', status: 'captured' });
+  });
+
+  it('should return the card summary', async () => {
+    const response = await checkoutWithCard('6362970000457013');
+
+    expect(response.body.data.checkout.card).to.deep.equal({ brand: 'elo', last4: '7013' });
+  });
+
+  it('should reject cards that fail the Luhn check', async () => {
+    const response = await checkoutWithCard('1234432112344322');
+
+    expect(response.body.errors[0].extensions).to.deep.include({
+      code: 'VALIDATION_ERROR',
+      fields: [{ field: 'cardData.number', code: 'INVALID_CARD_NUMBER', message: 'Número do cartão inválido' }]
+    });
+    expect(orders.count()).to.equal(0);
+  });
+
+  it('should expose the refusal codes', async () => {
+    const declined = await checkoutWithCard('4000000000000002');
+    const noFunds = await checkoutWithCard('4000000000009995');
+    const timeout = await checkoutWithCard('4000000000000119');
+
+    expect(declined.body.errors[0].extensions.code).to.equal('PAYMENT_DECLINED');
+    expect(noFunds.body.errors[0].extensions.code).to.equal('PAYMENT_INSUFFICIENT_FUNDS');
+    expect(timeout.body.errors[0].extensions.code).to.equal('PAYMENT_GATEWAY_TIMEOUT');
+    expect(orders.count()).to.equal(0);
+  });
+
+  it('should refund the payment when the order is cancelled', async () => {
+    const checkout = await checkoutWithCard('4111111111111111');
+
+    const response = await request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ query: `mutation { cancelOrder(id: ${checkout.body.data.checkout.orderId}) { status payment { status } } }` })
+      .expect(200);
+
+    expect(response.body.data.cancelOrder).to.deep.equal({ status: 'cancelled', payment: { status: 'refunded' } });
+  });
+});
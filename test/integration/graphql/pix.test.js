@@ -0,0 +1,59 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../graphql/app');
+const testHelper = require('../../helpers/testHelper');
+
+describe('GraphQL API - Pix', () => {
+  let token;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    token = testHelper.generateValidToken();
+  });
+
+  it('should return the Pix charge in the checkout result', async () => {
+    const response = await request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        query: `
+          mutation Checkout($paymentMethod: PaymentMethod!) {
+            checkout(items: [{ productId: 1, quantity: 1 }], postalCode: "01310-100", paymentMethod: $paymentMethod) {
+              orderId
+              paymentMethod
+              status
+              valorFinal
+              pix { txid orderId status amount brCode expiresAt paidAt }
+            }
+          }
+        `,
+        variables: { paymentMethod: 'pix' }
+      })
+      .expect(200);
+
+    expect(response.body).to.not.have.property('errors');
+    const checkout = response.body.data.checkout;
+    expect(checkout).to.include({ paymentMethod: 'pix', status: 'pending' });
+    expect(checkout.pix).to.include({ orderId: String(checkout.orderId), status: 'pending', amount: checkout.valorFinal, paidAt: null });
+    expect(checkout.pix.brCode).to.match(/^000201.*6304[0-9A-F]{4}$/);
+  });
+
+  it('should reject payment methods outside the enum', async () => {
+    const response = await request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        query: `
+          mutation Checkout($paymentMethod: PaymentMethod!) {
+            checkout(items: [{ productId: 1, quantity: 1 }], postalCode: "01310-100", paymentMethod: $paymentMethod) {
+              orderId
+            }
+          }
+        `,
+        variables: { paymentMethod: 'cheque' }
+      })
+      .expect(400);
+
+    expect(response.body.errors[0].message).to.include('PaymentMethod');
+  });
+});
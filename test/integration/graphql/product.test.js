@@ -0,0 +1,177 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../graphql/app');
+const testHelper = require('../../helpers/testHelper');
+
+describe('GraphQL API - Product Operations', () => {
+  let adminToken, userToken;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    adminToken = testHelper.generateAdminToken();
+    userToken = testHelper.generateValidToken({ id: 2, email: 'bob@email.com', role: 'user' });
+  });
+
+  describe('products query', () => {
+    const query = `
+      query Products($page: Int, $limit: Int, $sort: String, $order: String, $search: String) {
+        products(page: $page, limit: $limit, sort: $sort, order: $order, search: $search) {
+          products { id name price }
+          page
+          limit
+          total
+          totalPages
+        }
+      }
+    `;
+
+    it('should list products with defaults', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query })
+        .expect(200);
+
+      expect(response.body).to.not.have.property('errors');
+      const { products } = response.body.data;
+      expect(products.products).to.have.length(2);
+      expect(products).to.include({ page: 1, limit: 10, total: 2, totalPages: 1 });
+    });
+
+    it('should sort and search', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query, variables: { sort: 'name', order: 'desc', search: 'Produto' } })
+        .expect(200);
+
+      expect(response.body).to.not.have.property('errors');
+      expect(response.body.data.products.products.map(p => p.id)).to.deep.equal([2, 1]);
+    });
+
+    it('should return error for invalid page', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query, variables: { page: 0 } })
+        .expect(200);
+
+      expect(response.body).to.have.property('errors');
+      expect(response.body.errors[0].message).to.equal('Página inválida');
+    });
+  });
+
+  describe('product query', () => {
+    const query = `
+      query Product($id: Int!) {
+        product(id: $id) { id name price stock }
+      }
+    `;
+
+    it('should return a single product', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query, variables: { id: 2 } })
+        .expect(200);
+
+      expect(response.body).to.not.have.property('errors');
+      expect(response.body.data.product).to.deep.equal({ id: 2, name: 'Produto B', price: 200, stock: 100 });
+    });
+
+    it('should return error for non-existent product', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query, variables: { id: 999 } })
+        .expect(200);
+
+      expect(response.body).to.have.property('errors');
+      expect(response.body.errors[0].message).to.equal('Produto não encontrado');
+    });
+  });
+
+  describe('product management mutations', () => {
+    const createMutation = `
+      mutation CreateProduct($name: String!, $price: Float!) {
+        createProduct(name: $name, price: $price) { id name price stock }
+      }
+    `;
+
+    it('should create product as admin', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ query: createMutation, variables: { name: 'Produto C', price: 300 } })
+        .expect(200);
+
+      expect(response.body).to.not.have.property('errors');
+      expect(response.body.data.createProduct).to.deep.equal({ id: 3, name: 'Produto C', price: 300, stock: 0 });
+    });
+
+    it('should return FORBIDDEN for non-admin users', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ query: createMutation, variables: { name: 'Produto C', price: 300 } })
+        .expect(200);
+
+      expect(response.body).to.have.property('errors');
+      expect(response.body.errors[0].extensions).to.have.property('code', 'FORBIDDEN');
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query: createMutation, variables: { name: 'Produto C', price: 300 } })
+        .expect(200);
+
+      expect(response.body.errors[0].message).to.equal('Token inválido');
+    });
+
+    it('should update product as admin', async () => {
+      const mutation = `
+        mutation {
+          updateProduct(id: 2, name: "Produto B+") { id name price stock }
+        }
+      `;
+
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ query: mutation })
+        .expect(200);
+
+      expect(response.body).to.not.have.property('errors');
+      expect(response.body.data.updateProduct).to.deep.equal({ id: 2, name: 'Produto B+', price: 200, stock: 100 });
+    });
+
+    it('should delete product as admin', async () => {
+      const mutation = `
+        mutation {
+          deleteProduct(id: 1) { id }
+        }
+      `;
+
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ query: mutation })
+        .expect(200);
+
+      expect(response.body).to.not.have.property('errors');
+      expect(response.body.data.deleteProduct).to.deep.equal({ id: 1 });
+    });
+
+    it('should return FORBIDDEN when non-admin deletes a product', async () => {
+      const mutation = `
+        mutation {
+          deleteProduct(id: 1) { id }
+        }
+      `;
+
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ query: mutation })
+        .expect(200);
+
+      expect(response.body.errors[0].extensions).to.have.property('code', 'FORBIDDEN');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../graphql/app');
+const testHelper = require('../../helpers/testHelper');
+
+describe('GraphQL API - User Profile', () => {
+  let bobToken;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    bobToken = testHelper.generateValidToken({ id: 2, email: 'bob@email.com', role: 'user' });
+  });
+
+  function send(query, token = bobToken) {
+    return request(app)
+      .post('/graphql')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ query })
+      .expect(200);
+  }
+
+  it('should return the profile in the me query', async () => {
+    const response = await send('query { me { id name email role } }');
+
+    expect(response.body.data.me).to.deep.equal({ id: 2, name: 'Bob', email: 'bob@email.com', role: 'user' });
+  });
+
+  it('should require authentication for me', async () => {
+    const response = await request(app)
+      .post('/graphql')
+      .send({ query: 'query { me { id } }' })
+      .expect(200);
+
+    expect(response.body.errors[0].extensions.code).to.equal('TOKEN_MISSING');
+  });
+
+  it('should update the profile', async () => {
+    const response = await send(`
+      mutation {
+        updateProfile(name: "Roberto", email: "roberto@email.com", currentPassword: "123456") { name email }
+      }
+    `);
+
+    expect(response.body.data.updateProfile).to.deep.equal({ name: 'Roberto', email: 'roberto@email.com' });
+  });
+
+  it('should expose validation fields when the email is taken', async () => {
+    const response = await send(`
+      mutation {
+        updateProfile(email: "alice@email.com", currentPassword: "123456") { email }
+      }
+    `);
+
+    expect(response.body.errors[0].extensions).to.deep.include({
+      code: 'VALIDATION_ERROR',
+      fields: [{ field: 'email', code: 'EMAIL_ALREADY_REGISTERED', message: 'Email já cadastrado' }]
+    });
+  });
+
+  it('should change the password', async () => {
+    const response = await send('mutation { changePassword(currentPassword: "123456", newPassword: "novaSenha1") }');
+
+    expect(response.body.data.changePassword).to.be.true;
+
+    const login = await send('mutation { login(email: "bob@email.com", password: "novaSenha1") { token } }');
+    expect(login.body.data.login.token).to.be.a('string');
+  });
+
+  it('should reject a wrong current password', async () => {
+    const response = await send('mutation { changePassword(currentPassword: "errada", newPassword: "novaSenha1") }');
+
+    expect(response.body.errors[0].extensions.fields).to.deep.equal([
+      { field: 'currentPassword', code: 'INCORRECT_CURRENT_PASSWORD', message: 'Senha atual incorreta' }
+    ]);
+  });
+
+  it('should delete the account', async () => {
+    const response = await send('mutation { deleteAccount(password: "123456") }');
+
+    expect(response.body.data.deleteAccount).to.be.true;
+
+    const me = await send('query { me { id } }');
+    expect(me.body.errors[0].message).to.equal('Usuário não encontrado');
+  });
+});
@@ -0,0 +1,80 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../graphql/app');
+const testHelper = require('../../helpers/testHelper');
+
+describe('GraphQL API - Shipping Operations', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  describe('shippingQuote query', () => {
+    const query = `
+      query ShippingQuote($postalCode: String!, $items: [CheckoutItemInput!]!) {
+        shippingQuote(postalCode: $postalCode, items: $items) {
+          postalCode
+          zone
+          weight
+          freight
+          deliveryDays
+        }
+      }
+    `;
+
+    it('should quote freight for destination and items', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query, variables: { postalCode: '80010-000', items: [{ productId: 1, quantity: 4 }] } })
+        .expect(200);
+
+      expect(response.body).to.not.have.property('errors');
+      expect(response.body.data.shippingQuote).to.deep.equal({
+        postalCode: '80010000',
+        zone: 'Sul',
+        weight: 2,
+        freight: 42, // 28 + 7 * 2 kg
+        deliveryDays: 5
+      });
+    });
+
+    it('should return error for CEP outside delivery area', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query, variables: { postalCode: '00100-000', items: [{ productId: 1, quantity: 1 }] } })
+        .expect(200);
+
+      expect(response.body).to.have.property('errors');
+      expect(response.body.errors[0].message).to.equal('CEP fora da área de entrega');
+    });
+  });
+
+  describe('checkout mutation', () => {
+    it('should compute freight from the CEP', async () => {
+      const mutation = `
+        mutation Checkout($items: [CheckoutItemInput!]!, $postalCode: String!, $paymentMethod: PaymentMethod!) {
+          checkout(items: $items, postalCode: $postalCode, paymentMethod: $paymentMethod) {
+            freight
+            shipping { zone deliveryDays }
+            valorFinal
+          }
+        }
+      `;
+
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${testHelper.generateValidToken()}`)
+        .send({
+          query: mutation,
+          variables: { items: [{ productId: 1, quantity: 1 }], postalCode: '40010-000', paymentMethod: 'boleto' }
+        })
+        .expect(200);
+
+      expect(response.body).to.not.have.property('errors');
+      expect(response.body.data.checkout).to.deep.equal({
+        freight: 44, // 35 + 9 * 1 kg
+        shipping: { zone: 'Nordeste', deliveryDays: 7 },
+        valorFinal: 144
+      });
+    });
+  });
+});
@@ -69,6 +69,28 @@ describe('GraphQL API - User Operations', () => {
       expect(response.body.errors[0]).to.have.property('message');
     });
 
+    it('should return field errors when the password violates the policy', async () => {
+      const mutation = `
+        mutation Register($name: String!, $email: String!, $password: String!) {
+          register(name: $name, email: $email, password: $password) {
+            name
+          }
+        }
+      `;
+
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query: mutation, variables: { name: 'Test', email: 'weak@example.com', password: '12345678' } })
+        .expect(200);
+
+      const error = response.body.errors[0];
+      expect(error.message).to.equal('Dados inválidos');
+      expect(error.extensions).to.have.property('code', 'VALIDATION_ERROR');
+      expect(error.extensions.fields).to.deep.equal([
+        { field: 'password', code: 'PASSWORD_MISSING_LETTER', message: 'A senha deve conter pelo menos uma letra' },
+        { field: 'password', code: 'PASSWORD_TOO_COMMON', message: 'A senha é muito comum' }
+      ]);
+    });
   });
 
   describe('login mutation', () => {
@@ -185,77 +207,237 @@ describe('GraphQL API - User Operations', () => {
     });
   });
 
+  describe('refresh and logout mutations', () => {
+    const loginMutation = `
+      mutation {
+        login(email: "bob@email.com", password: "123456") {
+          token
+          refreshToken
+        }
+      }
+    `;
+    const refreshMutation = `
+      mutation Refresh($refreshToken: String!) {
+        refresh(refreshToken: $refreshToken) {
+          token
+          refreshToken
+        }
+      }
+    `;
+
+    async function login() {
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query: loginMutation })
+        .expect(200);
+      return response.body.data.login;
+    }
+
+    it('should rotate the refresh token', async () => {
+      const session = await login();
+
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query: refreshMutation, variables: { refreshToken: session.refreshToken } })
+        .expect(200);
+
+      expect(response.body.data.refresh.refreshToken).to.be.a('string').and.not.equal(session.refreshToken);
+
+      const reuse = await request(app)
+        .post('/graphql')
+        .send({ query: refreshMutation, variables: { refreshToken: session.refreshToken } })
+        .expect(200);
+      expect(reuse.body.errors[0].message).to.equal('Refresh token inválido');
+    });
+
+    it('should revoke the session on logout', async () => {
+      const session = await login();
+
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({ query: 'mutation { logout }' })
+        .expect(200);
+      expect(response.body.data.logout).to.be.true;
+
+      const orders = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({ query: 'query { orders { id } }' })
+        .expect(200);
+      expect(orders.body.errors[0].message).to.equal('Token inválido');
+    });
+
+    it('should require authentication to logout', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query: 'mutation { logout }' })
+        .expect(200);
+
+      expect(response.body.errors[0].message).to.equal('Token inválido');
+    });
+  });
+
+  describe('login brute-force protection', () => {
+    it('should return RATE_LIMITED with retryAfter after repeated failures', async () => {
+      const mutation = 'mutation Login($password: String!) { login(email: "bob@email.com", password: $password) { token } }';
+      for (let i = 0; i < 3; i++) {
+        const failed = await request(app)
+          .post('/graphql')
+          .send({ query: mutation, variables: { password: 'errada' } })
+          .expect(200);
+        expect(failed.body.errors[0].message).to.equal('Credenciais inválidas');
+      }
+
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query: mutation, variables: { password: '123456' } })
+        .expect(200);
+
+      expect(response.headers['retry-after']).to.equal('1');
+      expect(response.body.errors[0].extensions).to.include({ code: 'RATE_LIMITED', retryAfter: 1 });
+    });
+  });
+
   describe('users query', () => {
-    it('should return all users', async () => {
+    const adminToken = () => testHelper.generateValidToken({ id: 1, email: 'alice@email.com', role: 'admin' });
+    const userToken = () => testHelper.generateValidToken({ id: 2, email: 'bob@email.com', role: 'user' });
+
+    it('should return a page of users to admins', async () => {
       const query = `
         query Users {
           users {
-            name
-            email
+            users { id name email role }
+            page
+            total
+            totalPages
           }
         }
       `;
 
       const response = await request(app)
         .post('/graphql')
+        .set('Authorization', `Bearer ${adminToken()}`)
         .send({ query })
         .expect(200);
 
       expect(response.body).to.not.have.property('errors');
-      expect(response.body).to.have.property('data');
-      expect(response.body.data.users).to.be.an('array');
-      expect(response.body.data.users).to.have.length.greaterThan(0);
-      
-      const firstUser = response.body.data.users[0];
-      expect(firstUser).to.have.property('name');
-      expect(firstUser).to.have.property('email');
-      expect(firstUser).to.not.have.property('password');
+      expect(response.body.data.users).to.include({ page: 1, total: 2, totalPages: 1 });
+      expect(response.body.data.users.users).to.deep.equal([
+        { id: 1, name: 'Alice', email: 'alice@email.com', role: 'admin' },
+        { id: 2, name: 'Bob', email: 'bob@email.com', role: 'user' }
+      ]);
     });
 
-    it('should return users in correct format', async () => {
+    it('should filter and paginate users', async () => {
       const query = `
         query Users {
-          users {
-            name
-            email
-          }
+          byName: users(name: "bo") { users { name } total }
+          byEmail: users(email: "ALICE@") { users { name } total }
+          secondPage: users(page: 2, limit: 1) { users { name } totalPages }
         }
       `;
 
       const response = await request(app)
         .post('/graphql')
+        .set('Authorization', `Bearer ${adminToken()}`)
         .send({ query })
         .expect(200);
 
-      const users = response.body.data.users;
-      expect(users).to.include.deep.members([
-        { name: 'Alice', email: 'alice@email.com' },
-        { name: 'Bob', email: 'bob@email.com' }
-      ]);
+      expect(response.body.data.byName).to.deep.equal({ users: [{ name: 'Bob' }], total: 1 });
+      expect(response.body.data.byEmail).to.deep.equal({ users: [{ name: 'Alice' }], total: 1 });
+      expect(response.body.data.secondPage).to.deep.equal({ users: [{ name: 'Bob' }], totalPages: 2 });
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .send({ query: 'query { users { users { name email } } }' })
+        .expect(200);
+
+      expect(response.body.data).to.be.null;
+      expect(response.body.errors[0].extensions.code).to.equal('TOKEN_MISSING');
+    });
+
+    it('should forbid non-admin users', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${userToken()}`)
+        .send({ query: 'query { users { users { name email } } }' })
+        .expect(200);
+
+      expect(response.body.errors[0].extensions.code).to.equal('FORBIDDEN');
     });
 
     it('should handle empty user list gracefully', async () => {
       // Clear all users
-      const users = require('../../../src/models/user');
-      users.splice(0, users.length);
-
-      const query = `
-        query Users {
-          users {
-            name
-            email
-          }
-        }
-      `;
+      const { users } = require('../../../src/repositories');
+      users.reset([]);
 
       const response = await request(app)
         .post('/graphql')
-        .send({ query })
+        .set('Authorization', `Bearer ${adminToken()}`)
+        .send({ query: 'query { users { users { name } total totalPages } }' })
         .expect(200);
 
       expect(response.body).to.not.have.property('errors');
-      expect(response.body.data.users).to.be.an('array');
-      expect(response.body.data.users).to.have.length(0);
+      expect(response.body.data.users).to.deep.equal({ users: [], total: 0, totalPages: 0 });
+    });
+
+    it('should reject invalid pagination', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${adminToken()}`)
+        .send({ query: 'query { users(page: 0) { total } }' })
+        .expect(200);
+
+      expect(response.body.errors[0].message).to.equal('Página inválida');
+    });
+  });
+
+  describe('user query', () => {
+    const userToken = () => testHelper.generateValidToken({ id: 2, email: 'bob@email.com', role: 'user' });
+
+    it('should let a user read their own record', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${userToken()}`)
+        .send({ query: 'query { user(id: 2) { id name email role } }' })
+        .expect(200);
+
+      expect(response.body.data.user).to.deep.equal({ id: 2, name: 'Bob', email: 'bob@email.com', role: 'user' });
+    });
+
+    it("should forbid reading another user's record", async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${userToken()}`)
+        .send({ query: 'query { user(id: 1) { name email } }' })
+        .expect(200);
+
+      expect(response.body.data).to.be.null;
+      expect(response.body.errors[0].extensions.code).to.equal('FORBIDDEN');
+    });
+
+    it('should let admins read any record', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .set('Authorization', `Bearer ${testHelper.generateValidToken({ id: 1, email: 'alice@email.com', role: 'admin' })}`)
+        .send({ query: 'query { user(id: 2) { email } }' })
+        .expect(200);
+
+      expect(response.body.data.user).to.deep.equal({ email: 'bob@email.com' });
+    });
+  });
+
+  describe('User field authorization', () => {
+    it('should guard personal fields independently of the query', async () => {
+      const resolvers = require('../../../graphql/resolvers');
+      const context = { userData: { id: 2, role: 'user' } };
+
+      expect(resolvers.User.email({ id: 2, email: 'bob@email.com' }, {}, context)).to.equal('bob@email.com');
+      expect(() => resolvers.User.email({ id: 1, email: 'alice@email.com' }, {}, context)).to.throw('Acesso negado');
+      expect(() => resolvers.User.role({ id: 1, role: 'admin' }, {}, context)).to.throw('Acesso negado');
     });
   });
 
@@ -0,0 +1,50 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../rest/app');
+const testHelper = require('../../helpers/testHelper');
+
+describe('REST API - Authentication', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  it('should challenge requests without token', async () => {
+    const response = await request(app)
+      .get('/api/orders')
+      .expect(401);
+
+    expect(response.headers['www-authenticate']).to.equal('Bearer realm="api"');
+    expect(response.body).to.deep.equal({ error: 'Token inválido', code: 'TOKEN_MISSING' });
+  });
+
+  it('should report malformed authorization headers', async () => {
+    const response = await request(app)
+      .get('/api/cart')
+      .set('Authorization', 'Token abc')
+      .expect(401);
+
+    expect(response.headers['www-authenticate']).to.include('error="invalid_token"');
+    expect(response.body).to.deep.equal({ error: 'Token inválido', code: 'TOKEN_MALFORMED' });
+  });
+
+  it('should report expired tokens', async () => {
+    const response = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${testHelper.generateExpiredToken()}`)
+      .send(testHelper.sampleCheckoutData)
+      .expect(401);
+
+    expect(response.headers['www-authenticate']).to.include('error_description="The access token expired"');
+    expect(response.body).to.have.property('code', 'TOKEN_EXPIRED');
+  });
+
+  it('should answer 403 with insufficient_scope for missing roles', async () => {
+    const response = await request(app)
+      .delete('/api/products/1')
+      .set('Authorization', `Bearer ${testHelper.generateValidToken({ id: 2, email: 'bob@email.com', role: 'user' })}`)
+      .expect(403);
+
+    expect(response.headers['www-authenticate']).to.equal('Bearer realm="api", error="insufficient_scope"');
+    expect(response.body).to.deep.equal({ error: 'Acesso negado', code: 'FORBIDDEN' });
+  });
+});
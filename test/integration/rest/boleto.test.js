@@ -0,0 +1,111 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../rest/app');
+const testHelper = require('../../helpers/testHelper');
+const { products, orders } = require('../../../src/repositories');
+
+describe('REST API - Boletos', () => {
+  let token;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    token = testHelper.generateValidToken();
+  });
+
+  function checkout(data) {
+    return request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .send(data)
+      .expect(200);
+  }
+
+  it('should issue a boleto for boleto checkouts', async () => {
+    const response = await checkout(testHelper.sampleCheckoutData);
+
+    const { boleto } = response.body;
+    expect(boleto).to.include({ orderId: response.body.orderId, status: 'pending', amount: response.body.total });
+    expect(boleto.barcode).to.match(/^\d{44}$/);
+    expect(boleto.digitableLine).to.match(/^\d{47}$/);
+    expect(boleto.dueDate > boleto.issueDate).to.be.true;
+    expect(boleto.payer).to.deep.equal({ name: 'Alice', email: 'alice@email.com' });
+  });
+
+  it('should not issue a boleto for card checkouts', async () => {
+    const response = await checkout(testHelper.sampleCheckoutWithCard);
+
+    expect(response.body.boleto).to.equal(null);
+  });
+
+  it('should return the boleto as JSON', async () => {
+    const { body } = await checkout(testHelper.sampleCheckoutData);
+
+    const response = await request(app)
+      .get(`/api/boletos/${body.boleto.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect('Content-Type', /json/)
+      .expect(200);
+
+    expect(response.body).to.deep.equal(body.boleto);
+  });
+
+  it('should render a printable HTML page', async () => {
+    const { body } = await checkout(testHelper.sampleCheckoutData);
+    const line = body.boleto.digitableLine;
+
+    const response = await request(app)
+      .get(`/api/boletos/${body.boleto.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Accept', 'text/html')
+      .expect('Content-Type', /html/)
+      .expect(200);
+
+    expect(response.text).to.include(`${line.slice(0, 5)}.${line.slice(5, 10)}`);
+    expect(response.text).to.include('Alice — alice@email.com');
+    expect(response.text).to.include('<svg');
+  });
+
+  it('should refuse amounts above the boleto limit without creating the order', async () => {
+    products.update(2, { price: 10000000 });
+
+    const response = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...testHelper.sampleCheckoutData, items: [{ productId: 2, quantity: 10 }] })
+      .expect(400);
+
+    expect(response.body).to.deep.equal({ error: 'Valor acima do limite do boleto', code: 'BOLETO_AMOUNT_TOO_HIGH', maxAmount: 99999999.99 });
+    expect(orders.count()).to.equal(0);
+    expect(products.findById(2).stock).to.equal(100);
+  });
+
+  it('should mark the boleto as cancelled when the order is cancelled', async () => {
+    const { body } = await checkout(testHelper.sampleCheckoutData);
+
+    await request(app)
+      .post(`/api/orders/${body.orderId}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    const response = await request(app)
+      .get(`/api/boletos/${body.boleto.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.status).to.equal('cancelled');
+  });
+
+  it('should not show boletos of other users', async () => {
+    const { body } = await checkout(testHelper.sampleCheckoutData);
+
+    const response = await request(app)
+      .get(`/api/boletos/${body.boleto.id}`)
+      .set('Authorization', `Bearer ${testHelper.generateValidToken({ id: 2, email: 'bob@email.com' })}`)
+      .expect(404);
+
+    expect(response.body).to.deep.equal({ error: 'Boleto não encontrado', code: 'BOLETO_NOT_FOUND' });
+  });
+
+  it('should require authentication', async () => {
+    await request(app).get('/api/boletos/1').expect(401);
+  });
+});
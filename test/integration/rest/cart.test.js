@@ -0,0 +1,161 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../rest/app');
+const { products } = require('../../../src/repositories');
+const testHelper = require('../../helpers/testHelper');
+
+describe('REST API - Cart Endpoints', () => {
+  let aliceToken, bobToken;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    aliceToken = testHelper.generateValidToken({ id: 1, email: 'alice@email.com' });
+    bobToken = testHelper.generateValidToken({ id: 2, email: 'bob@email.com' });
+  });
+
+  function addItem(token, productId, quantity) {
+    return request(app)
+      .post('/api/cart/items')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ productId, quantity });
+  }
+
+  it('should require authentication token', async () => {
+    const response = await request(app)
+      .get('/api/cart')
+      .expect(401);
+
+    expect(response.body).to.have.property('error', 'Token inválido');
+  });
+
+  it('should add items and return the cart with totals', async () => {
+    await addItem(aliceToken, 1, 2).expect(201);
+    const response = await addItem(aliceToken, 2, 1).expect(201);
+
+    expect(response.body).to.include({ userId: 1, itemCount: 3, subtotal: 400 });
+    expect(response.body.items).to.have.length(2);
+  });
+
+  it('should reject unknown products', async () => {
+    const response = await addItem(aliceToken, 999, 1).expect(400);
+
+    expect(response.body).to.have.property('error', 'Produto não encontrado');
+  });
+
+  it('should quote freight when postalCode is given', async () => {
+    await addItem(aliceToken, 1, 2).expect(201);
+
+    const response = await request(app)
+      .get('/api/cart')
+      .query({ postalCode: testHelper.samplePostalCode })
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(200);
+
+    expect(response.body.shipping).to.have.property('freight', 20);
+    expect(response.body).to.have.property('total', 220);
+  });
+
+  it('should update and remove items', async () => {
+    await addItem(aliceToken, 1, 1).expect(201);
+    await addItem(aliceToken, 2, 1).expect(201);
+
+    const updated = await request(app)
+      .put('/api/cart/items/1')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ quantity: 3 })
+      .expect(200);
+    expect(updated.body.items[0]).to.include({ productId: 1, quantity: 3 });
+
+    const removed = await request(app)
+      .delete('/api/cart/items/2')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(200);
+    expect(removed.body.items.map(i => i.productId)).to.deep.equal([1]);
+  });
+
+  it('should return 404 for items not in the cart', async () => {
+    const response = await request(app)
+      .delete('/api/cart/items/1')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(404);
+
+    expect(response.body).to.have.property('error', 'Item não encontrado no carrinho');
+  });
+
+  it('should clear the cart', async () => {
+    await addItem(aliceToken, 1, 1).expect(201);
+
+    await request(app)
+      .delete('/api/cart')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(204);
+
+    const response = await request(app)
+      .get('/api/cart')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(200);
+    expect(response.body.items).to.deep.equal([]);
+  });
+
+  it('should keep the cart across sessions of the same user', async () => {
+    await addItem(aliceToken, 1, 1).expect(201);
+    const newToken = testHelper.generateValidToken({ id: 1, email: 'alice@email.com' });
+
+    const response = await request(app)
+      .get('/api/cart')
+      .set('Authorization', `Bearer ${newToken}`)
+      .expect(200);
+
+    expect(response.body.itemCount).to.equal(1);
+  });
+
+  describe('POST /api/checkout/cart', () => {
+    it('should checkout the cart items and empty the cart', async () => {
+      await addItem(aliceToken, 1, 2).expect(201);
+
+      const response = await request(app)
+        .post('/api/checkout/cart')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ postalCode: testHelper.samplePostalCode, paymentMethod: 'boleto' })
+        .expect(200);
+
+      expect(response.body).to.include({ valorFinal: 220, status: 'pending' });
+      expect(response.body.items).to.deep.equal([{ productId: 1, quantity: 2 }]);
+      expect(products.findById(1).stock).to.equal(98);
+
+      const cart = await request(app)
+        .get('/api/cart')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+      expect(cart.body.items).to.deep.equal([]);
+    });
+
+    it('should reject an empty cart', async () => {
+      const response = await request(app)
+        .post('/api/checkout/cart')
+        .set('Authorization', `Bearer ${bobToken}`)
+        .send({ postalCode: testHelper.samplePostalCode, paymentMethod: 'boleto' })
+        .expect(400);
+
+      expect(response.body).to.have.property('error', 'Carrinho vazio');
+    });
+
+    it('should keep the cart when stock is insufficient', async () => {
+      await addItem(aliceToken, 1, 2).expect(201);
+      products.update(1, { stock: 1 });
+
+      const response = await request(app)
+        .post('/api/checkout/cart')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .send({ postalCode: testHelper.samplePostalCode, paymentMethod: 'boleto' })
+        .expect(409);
+
+      expect(response.body).to.have.property('code', 'INSUFFICIENT_STOCK');
+      const cart = await request(app)
+        .get('/api/cart')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+      expect(cart.body.itemCount).to.equal(2);
+    });
+  });
+});
@@ -2,6 +2,7 @@ const request = require('supertest');
 const { expect } = require('chai');
 const app = require('../../../rest/app');
 const testHelper = require('../../helpers/testHelper');
+const { orders } = require('../../../src/repositories');
 
 describe('REST API - Checkout Endpoints', () => {
   let validToken;
@@ -57,7 +58,7 @@ describe('REST API - Checkout Endpoints', () => {
             { productId: 1, quantity: 2 }, // 2 * 100 = 200
             { productId: 2, quantity: 1 }  // 1 * 200 = 200
           ],
-          freight: 20,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
@@ -69,15 +70,15 @@ describe('REST API - Checkout Endpoints', () => {
 
         expect(response.body).to.have.property('userId', 1);
         expect(response.body).to.have.property('items').that.is.an('array');
-        expect(response.body).to.have.property('freight', 20);
+        expect(response.body).to.have.property('freight', 30); // 15 + 5 * 3 kg
         expect(response.body).to.have.property('paymentMethod', 'boleto');
-        expect(response.body).to.have.property('total', 420); // 200 + 200 + 20 = 420
+        expect(response.body).to.have.property('total', 430); // 200 + 200 + 30 = 430
       });
 
       it('should calculate total correctly for single item', async () => {
         const checkoutData = {
           items: [{ productId: 1, quantity: 1 }], // 1 * 100 = 100
-          freight: 10,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
@@ -87,7 +88,7 @@ describe('REST API - Checkout Endpoints', () => {
           .send(checkoutData)
           .expect(200);
 
-        expect(response.body).to.have.property('total', 110); // 100 + 10 = 110
+        expect(response.body).to.have.property('total', 120); // 100 + 20 = 120
       });
     });
 
@@ -95,12 +96,12 @@ describe('REST API - Checkout Endpoints', () => {
       it('should process credit card payment with 5% discount', async () => {
         const checkoutData = {
           items: [{ productId: 1, quantity: 1 }], // 1 * 100 = 100
-          freight: 20,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'credit_card',
           cardData: {
             number: '4111111111111111',
             name: 'Test User',
-            expiry: '12/30',
+            expiry: testHelper.validCardExpiry,
             cvv: '123'
           }
         };
@@ -118,7 +119,7 @@ describe('REST API - Checkout Endpoints', () => {
       it('should require card data for credit card payment', async () => {
         const checkoutData = {
           items: [{ productId: 1, quantity: 1 }],
-          freight: 15,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'credit_card'
           // Missing cardData
         };
@@ -136,7 +137,7 @@ describe('REST API - Checkout Endpoints', () => {
       it('should validate all required card fields', async () => {
         const checkoutData = {
           items: [{ productId: 1, quantity: 1 }],
-          freight: 15,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'credit_card',
           cardData: {
             number: '4111111111111111',
@@ -145,14 +146,14 @@ describe('REST API - Checkout Endpoints', () => {
           }
         };
 
-        // Note: Current implementation may not validate all card fields
-        // This test documents expected behavior
         const response = await request(app)
           .post('/api/checkout')
           .set('Authorization', `Bearer ${validToken}`)
-          .send(checkoutData);
+          .send(checkoutData)
+          .expect(400);
 
-        expect(response.status).to.be.oneOf([200, 400]);
+        expect(response.body).to.have.property('code', 'VALIDATION_ERROR');
+        expect(response.body.fields.map(f => f.field)).to.have.members(['cardData.expiry', 'cardData.cvv']);
       });
     });
 
@@ -160,7 +161,7 @@ describe('REST API - Checkout Endpoints', () => {
       it('should return error for non-existent product', async () => {
         const checkoutData = {
           items: [{ productId: 999, quantity: 1 }], // Non-existent product
-          freight: 10,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
@@ -180,7 +181,7 @@ describe('REST API - Checkout Endpoints', () => {
             { productId: 1, quantity: 1 }, // Valid
             { productId: 999, quantity: 1 } // Invalid
           ],
-          freight: 10,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
@@ -194,10 +195,146 @@ describe('REST API - Checkout Endpoints', () => {
       });
     });
 
+    describe('Price Breakdown', () => {
+      it('should return an itemized receipt', async () => {
+        const checkoutData = {
+          items: [
+            { productId: 1, quantity: 3 },
+            { productId: 2, quantity: 1 }
+          ],
+          postalCode: testHelper.samplePostalCode,
+          paymentMethod: 'credit_card',
+          cardData: testHelper.sampleCheckoutWithCard.cardData
+        };
+
+        const response = await request(app)
+          .post('/api/checkout')
+          .set('Authorization', `Bearer ${validToken}`)
+          .send(checkoutData)
+          .expect(200);
+
+        expect(response.body.lines).to.deep.equal([
+          { productId: 1, name: 'Produto A', unitPrice: 100, quantity: 3, subtotal: 300 },
+          { productId: 2, name: 'Produto B', unitPrice: 200, quantity: 1, subtotal: 200 }
+        ]);
+        expect(response.body).to.include({
+          subtotal: 500,
+          freight: 30, // 15 + 5 * 3 kg
+          discountTotal: 26.5,
+          total: 503.5, // (500 + 30) * 0.95
+          valorFinal: 503.5
+        });
+      });
+    });
+
+    describe('Coupons', () => {
+      it('should apply coupon and break down every discount', async () => {
+        const checkoutData = {
+          items: [{ productId: 2, quantity: 1 }], // 200
+          postalCode: testHelper.samplePostalCode,
+          paymentMethod: 'credit_card',
+          cardData: testHelper.sampleCheckoutWithCard.cardData,
+          couponCode: 'DESCONTO10'
+        };
+
+        const response = await request(app)
+          .post('/api/checkout')
+          .set('Authorization', `Bearer ${validToken}`)
+          .send(checkoutData)
+          .expect(200);
+
+        // (200 - 20 + 25) * 0.95 = 194.75
+        expect(response.body).to.have.property('total', 194.75);
+        expect(response.body).to.have.property('couponCode', 'DESCONTO10');
+        expect(response.body.discounts).to.deep.equal([
+          { code: 'DESCONTO10', type: 'percentage', description: '10% de desconto nos produtos', amount: 20 },
+          { code: 'CARTAO5', type: 'payment_method', description: '5% de desconto no cartão de crédito', amount: 10.25 }
+        ]);
+      });
+
+      it('should reject unknown coupon', async () => {
+        const response = await request(app)
+          .post('/api/checkout')
+          .set('Authorization', `Bearer ${validToken}`)
+          .send({ ...testHelper.sampleCheckoutData, couponCode: 'INEXISTENTE' })
+          .expect(400);
+
+        expect(response.body).to.have.property('error', 'Cupom inválido');
+      });
+
+      it('should reject coupon beyond its per-user usage limit', async () => {
+        const checkoutData = { ...testHelper.sampleCheckoutData, couponCode: 'MENOS50' };
+
+        await request(app)
+          .post('/api/checkout')
+          .set('Authorization', `Bearer ${validToken}`)
+          .send(checkoutData)
+          .expect(200);
+
+        const response = await request(app)
+          .post('/api/checkout')
+          .set('Authorization', `Bearer ${validToken}`)
+          .send(checkoutData)
+          .expect(400);
+
+        expect(response.body).to.have.property('error', 'Limite de uso do cupom atingido');
+      });
+
+      it('should return empty discounts when nothing applies', async () => {
+        const response = await request(app)
+          .post('/api/checkout')
+          .set('Authorization', `Bearer ${validToken}`)
+          .send(testHelper.sampleCheckoutData)
+          .expect(200);
+
+        expect(response.body).to.have.property('couponCode', null);
+        expect(response.body.discounts).to.deep.equal([]);
+      });
+    });
+
+    describe('Stock Validation', () => {
+      it('should reject checkout exceeding available stock', async () => {
+        const checkoutData = {
+          items: [
+            { productId: 1, quantity: 101 },
+            { productId: 2, quantity: 1 }
+          ],
+          postalCode: testHelper.samplePostalCode,
+          paymentMethod: 'boleto'
+        };
+
+        const response = await request(app)
+          .post('/api/checkout')
+          .set('Authorization', `Bearer ${validToken}`)
+          .send(checkoutData)
+          .expect(409);
+
+        expect(response.body).to.deep.equal({
+          error: 'Estoque insuficiente',
+          code: 'INSUFFICIENT_STOCK',
+          items: [{ productId: 1, requested: 101, available: 100 }]
+        });
+      });
+
+      it('should decrement stock after a successful checkout', async () => {
+        await request(app)
+          .post('/api/checkout')
+          .set('Authorization', `Bearer ${validToken}`)
+          .send({ items: [{ productId: 2, quantity: 3 }], postalCode: testHelper.samplePostalCode, paymentMethod: 'boleto' })
+          .expect(200);
+
+        const response = await request(app)
+          .get('/api/products/2')
+          .expect(200);
+
+        expect(response.body).to.have.property('stock', 97);
+      });
+    });
+
     describe('Input Validation', () => {
       it('should handle missing items', async () => {
         const checkoutData = {
-          freight: 10,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
           // Missing items
         };
@@ -211,10 +348,23 @@ describe('REST API - Checkout Endpoints', () => {
         expect(response.body).to.have.property('error');
       });
 
+      it('should reject an empty item list without creating an order', async () => {
+        const response = await request(app)
+          .post('/api/checkout')
+          .set('Authorization', `Bearer ${validToken}`)
+          .send({ ...testHelper.sampleCheckoutData, items: [] })
+          .expect(400);
+
+        expect(response.body.fields).to.deep.equal([
+          { field: 'items', code: 'TOO_FEW_ITEMS', message: 'Deve ter pelo menos 1 item(ns)' }
+        ]);
+        expect(orders.count()).to.equal(0);
+      });
+
       it('should handle invalid payment method', async () => {
         const checkoutData = {
           items: [{ productId: 1, quantity: 1 }],
-          freight: 10,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'invalid_method'
         };
 
@@ -227,10 +377,10 @@ describe('REST API - Checkout Endpoints', () => {
         expect(response.status).to.be.oneOf([200, 400]);
       });
 
-      it('should handle zero quantity', async () => {
+      it('should reject zero quantity', async () => {
         const checkoutData = {
           items: [{ productId: 1, quantity: 0 }],
-          freight: 10,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
@@ -238,14 +388,15 @@ describe('REST API - Checkout Endpoints', () => {
           .post('/api/checkout')
           .set('Authorization', `Bearer ${validToken}`)
           .send(checkoutData)
-          .expect(200);
+          .expect(400);
 
-        expect(response.body).to.have.property('total', 10); // Only freight
+        expect(response.body).to.have.property('error', 'Quantidade inválida');
       });
 
-      it('should handle negative freight', async () => {
+      it('should ignore freight sent by the client', async () => {
         const checkoutData = {
           items: [{ productId: 1, quantity: 1 }],
+          postalCode: testHelper.samplePostalCode,
           freight: -5,
           paymentMethod: 'boleto'
         };
@@ -256,7 +407,8 @@ describe('REST API - Checkout Endpoints', () => {
           .send(checkoutData)
           .expect(200);
 
-        expect(response.body).to.have.property('total', 95); // 100 + (-5) = 95
+        expect(response.body).to.have.property('freight', 20); // 15 + 5 * 1 kg
+        expect(response.body).to.have.property('total', 120); // 100 + 20 = 120
       });
     });
 
@@ -267,7 +419,7 @@ describe('REST API - Checkout Endpoints', () => {
             { productId: 1, quantity: 3 }, // 3 * 100 = 300
             { productId: 2, quantity: 2 }  // 2 * 200 = 400
           ],
-          freight: 50,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'credit_card',
           cardData: testHelper.sampleCheckoutWithCard.cardData
         };
@@ -278,8 +430,8 @@ describe('REST API - Checkout Endpoints', () => {
           .send(checkoutData)
           .expect(200);
 
-        // (300 + 400 + 50) * 0.95 = 712.5
-        expect(response.body).to.have.property('total', 712.5);
+        // (300 + 400 + 40) * 0.95 = 703
+        expect(response.body).to.have.property('total', 703);
       });
 
       it('should preserve item details in response', async () => {
@@ -288,7 +440,7 @@ describe('REST API - Checkout Endpoints', () => {
             { productId: 1, quantity: 2 },
             { productId: 2, quantity: 1 }
           ],
-          freight: 15,
+          postalCode: testHelper.samplePostalCode,
           paymentMethod: 'boleto'
         };
 
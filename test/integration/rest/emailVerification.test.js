@@ -0,0 +1,74 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../rest/app');
+const mailService = require('../../../src/services/mailService');
+const testHelper = require('../../helpers/testHelper');
+
+describe('REST API - Email Verification', () => {
+  let token;
+
+  beforeEach(async () => {
+    testHelper.resetTestData();
+    await request(app)
+      .post('/api/users/register')
+      .send({ name: 'Carol', email: 'carol@email.com', password: 'minhaSenha9' })
+      .expect(201);
+    token = (await request(app).post('/api/users/login').send({ email: 'carol@email.com', password: 'minhaSenha9' })).body.token;
+  });
+
+  it('should refuse checkout until the email is verified', async () => {
+    const refused = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .send(testHelper.sampleCheckoutData)
+      .expect(403);
+    expect(refused.body).to.deep.equal({ error: 'Email não verificado', code: 'EMAIL_NOT_VERIFIED' });
+
+    await request(app)
+      .post('/api/users/verify-email')
+      .send({ token: testHelper.tokenFromOutbox() })
+      .expect(204);
+
+    await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .send(testHelper.sampleCheckoutData)
+      .expect(200);
+  });
+
+  it('should report the verification state in the profile', async () => {
+    const response = await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.user).to.have.property('verified', false);
+  });
+
+  it('should reject invalid verification tokens', async () => {
+    const response = await request(app)
+      .post('/api/users/verify-email')
+      .send({ token: 'abc' })
+      .expect(400);
+
+    expect(response.body).to.deep.equal({ error: 'Token de verificação inválido', code: 'INVALID_VERIFICATION_TOKEN' });
+  });
+
+  it('should resend the verification email', async () => {
+    await request(app)
+      .post('/api/users/me/verification')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(202);
+
+    expect(mailService.outbox()).to.have.length(2);
+  });
+
+  it('should not resend to verified accounts', async () => {
+    const response = await request(app)
+      .post('/api/users/me/verification')
+      .set('Authorization', `Bearer ${testHelper.generateValidToken()}`)
+      .expect(400);
+
+    expect(response.body).to.deep.equal({ error: 'Email já verificado', code: 'EMAIL_ALREADY_VERIFIED' });
+  });
+});
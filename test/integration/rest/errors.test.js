@@ -0,0 +1,64 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../rest/app');
+const testHelper = require('../../helpers/testHelper');
+
+describe('REST API - Error Codes', () => {
+  let token;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    token = testHelper.generateValidToken();
+  });
+
+  it('should return the code of a missing resource', async () => {
+    const response = await request(app)
+      .get('/api/products/999')
+      .expect(404);
+
+    expect(response.body).to.deep.equal({ error: 'Produto não encontrado', code: 'PRODUCT_NOT_FOUND' });
+  });
+
+  it('should return the code of a business rule violation', async () => {
+    const response = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...testHelper.sampleCheckoutData, couponCode: 'NAOEXISTE' })
+      .expect(400);
+
+    expect(response.body).to.deep.equal({ error: 'Cupom inválido', code: 'INVALID_COUPON' });
+  });
+
+  it('should return the code of a cart item that is not in the cart', async () => {
+    const response = await request(app)
+      .delete('/api/cart/items/1')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404);
+
+    expect(response.body).to.deep.equal({ error: 'Item não encontrado no carrinho', code: 'CART_ITEM_NOT_FOUND' });
+  });
+
+  it('should return the codes of credential and refresh token errors', async () => {
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'alice@email.com', password: 'errada123' })
+      .expect(401);
+    const refresh = await request(app)
+      .post('/api/users/refresh')
+      .send({ refreshToken: 'desconhecido' })
+      .expect(401);
+
+    expect(login.body).to.deep.equal({ error: 'Credenciais inválidas', code: 'INVALID_CREDENTIALS' });
+    expect(refresh.body).to.deep.equal({ error: 'Refresh token inválido', code: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  it('should answer malformed JSON with a structured error', async () => {
+    const response = await request(app)
+      .post('/api/users/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":')
+      .expect(400);
+
+    expect(response.body).to.deep.equal({ error: 'JSON inválido', code: 'INVALID_JSON' });
+  });
+});
@@ -0,0 +1,93 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../rest/app');
+const testHelper = require('../../helpers/testHelper');
+
+describe('REST API - Localized Messages', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  it('should answer in Portuguese by default', async () => {
+    const response = await request(app)
+      .get('/api/products/999')
+      .expect(404);
+
+    expect(response.headers['content-language']).to.equal('pt-BR');
+    expect(response.body).to.deep.equal({ error: 'Produto não encontrado', code: 'PRODUCT_NOT_FOUND' });
+  });
+
+  it('should answer in English when the client accepts it', async () => {
+    const response = await request(app)
+      .get('/api/products/999')
+      .set('Accept-Language', 'en-US,en;q=0.9')
+      .expect(404);
+
+    expect(response.headers['content-language']).to.equal('en-US');
+    expect(response.body).to.deep.equal({ error: 'Product not found', code: 'PRODUCT_NOT_FOUND' });
+  });
+
+  it('should translate validation fields', async () => {
+    const response = await request(app)
+      .post('/api/users/register')
+      .set('Accept-Language', 'en')
+      .send({ name: 'Bob', email: 'bob', password: 'abc' })
+      .expect(400);
+
+    expect(response.body).to.deep.equal({
+      error: 'Invalid data',
+      code: 'VALIDATION_ERROR',
+      fields: [
+        { field: 'email', code: 'INVALID_EMAIL', message: 'Invalid email' },
+        { field: 'password', code: 'PASSWORD_TOO_SHORT', message: 'Password must be at least 8 characters long' },
+        { field: 'password', code: 'PASSWORD_MISSING_DIGIT', message: 'Password must contain at least one number' }
+      ]
+    });
+  });
+
+  it('should translate authentication errors and plain messages', async () => {
+    const auth = await request(app)
+      .get('/api/orders')
+      .set('Accept-Language', 'en-US')
+      .expect(401);
+    const forgot = await request(app)
+      .post('/api/users/forgot-password')
+      .set('Accept-Language', 'en-US')
+      .send({ email: 'alice@email.com' })
+      .expect(202);
+
+    expect(auth.body).to.deep.equal({ error: 'Invalid token', code: 'TOKEN_MISSING' });
+    expect(forgot.body.message).to.equal('If the email is registered, we will send instructions to reset the password');
+  });
+
+  it('should describe discounts in the requested language at checkout and in orders', async () => {
+    const token = testHelper.generateValidToken();
+    const checkout = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Accept-Language', 'en-US')
+      .send({ ...testHelper.sampleCheckoutWithCard, items: [{ productId: 2, quantity: 1 }], couponCode: 'DESCONTO10' })
+      .expect(200);
+    const order = await request(app)
+      .get(`/api/orders/${checkout.body.orderId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Accept-Language', 'en-US')
+      .expect(200);
+
+    const expected = [
+      { code: 'DESCONTO10', description: '10% off products' },
+      { code: 'CARTAO5', description: '5% off when paying by credit card' }
+    ];
+    expect(checkout.body.discounts.map(({ code, description }) => ({ code, description }))).to.deep.equal(expected);
+    expect(order.body.discounts.map(({ code, description }) => ({ code, description }))).to.deep.equal(expected);
+  });
+
+  it('should fall back to Portuguese for unsupported languages', async () => {
+    const response = await request(app)
+      .get('/api/products/999')
+      .set('Accept-Language', 'fr-FR')
+      .expect(404);
+
+    expect(response.body.error).to.equal('Produto não encontrado');
+  });
+});
@@ -0,0 +1,14 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../rest/app');
+
+describe('REST API - JWKS Endpoint', () => {
+  it('should serve the JSON Web Key Set without exposing HS256 secrets', async () => {
+    const response = await request(app)
+      .get('/.well-known/jwks.json')
+      .expect('Content-Type', /json/)
+      .expect(200);
+
+    expect(response.body).to.deep.equal({ keys: [] });
+  });
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../rest/app');
+const testHelper = require('../../helpers/testHelper');
+
+describe('REST API - Order Endpoints', () => {
+  let aliceToken, bobToken;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    aliceToken = testHelper.generateValidToken({ id: 1, email: 'alice@email.com' });
+    bobToken = testHelper.generateValidToken({ id: 2, email: 'bob@email.com' });
+  });
+
+  async function placeOrder(token, checkoutData = testHelper.sampleCheckoutData) {
+    const response = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .send(checkoutData)
+      .expect(200);
+    return response.body;
+  }
+
+  describe('GET /api/orders', () => {
+    it('should require authentication token', async () => {
+      const response = await request(app)
+        .get('/api/orders')
+        .expect(401);
+
+      expect(response.body).to.have.property('error', 'Token inválido');
+    });
+
+    it('should return empty list when user has no orders', async () => {
+      const response = await request(app)
+        .get('/api/orders')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      expect(response.body).to.deep.equal([]);
+    });
+
+    it('should list only orders of the authenticated user', async () => {
+      await placeOrder(aliceToken);
+      await placeOrder(bobToken);
+      await placeOrder(aliceToken, testHelper.sampleCheckoutWithCard);
+
+      const response = await request(app)
+        .get('/api/orders')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      expect(response.body).to.have.length(2);
+      expect(response.body.map(o => o.userId)).to.deep.equal([1, 1]);
+      expect(response.body[0]).to.include.all.keys('id', 'items', 'freight', 'paymentMethod', 'total', 'status', 'createdAt', 'updatedAt');
+      expect(response.body[1]).to.have.property('status', 'paid');
+    });
+  });
+
+  describe('GET /api/orders/:id', () => {
+    it('should return the order created by checkout', async () => {
+      const checkout = await placeOrder(aliceToken);
+
+      const response = await request(app)
+        .get(`/api/orders/${checkout.orderId}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      expect(response.body).to.have.property('id', checkout.orderId);
+      expect(response.body).to.have.property('total', checkout.total);
+      expect(response.body).to.have.property('status', 'pending');
+      expect(response.body.items).to.deep.equal(testHelper.sampleCheckoutData.items);
+      expect(response.body.lines).to.deep.equal(checkout.lines);
+      expect(response.body).to.have.property('subtotal', checkout.subtotal);
+    });
+
+    it('should return 404 for order of another user', async () => {
+      const checkout = await placeOrder(bobToken);
+
+      const response = await request(app)
+        .get(`/api/orders/${checkout.orderId}`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(404);
+
+      expect(response.body).to.have.property('error', 'Pedido não encontrado');
+    });
+
+    it('should return 404 for non-existent order', async () => {
+      await request(app)
+        .get('/api/orders/999')
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(404);
+    });
+
+    it('should require authentication token', async () => {
+      await request(app)
+        .get('/api/orders/1')
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/orders/:id/cancel', () => {
+    it('should cancel the order and restore stock', async () => {
+      const checkout = await placeOrder(aliceToken);
+
+      const response = await request(app)
+        .post(`/api/orders/${checkout.orderId}/cancel`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      expect(response.body).to.have.property('status', 'cancelled');
+
+      const product = await request(app).get('/api/products/1').expect(200);
+      expect(product.body).to.have.property('stock', 100);
+    });
+
+    it('should return 400 when order is already cancelled', async () => {
+      const checkout = await placeOrder(aliceToken);
+      await request(app)
+        .post(`/api/orders/${checkout.orderId}/cancel`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/orders/${checkout.orderId}/cancel`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(400);
+
+      expect(response.body).to.have.property('error', 'Pedido já cancelado');
+    });
+
+    it('should return 404 for order of another user', async () => {
+      const checkout = await placeOrder(bobToken);
+
+      await request(app)
+        .post(`/api/orders/${checkout.orderId}/cancel`)
+        .set('Authorization', `Bearer ${aliceToken}`)
+        .expect(404);
+    });
+  });
+});
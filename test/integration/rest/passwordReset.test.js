@@ -0,0 +1,84 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../rest/app');
+const mailService = require('../../../src/services/mailService');
+const testHelper = require('../../helpers/testHelper');
+
+describe('REST API - Password Reset', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  it('should answer the same way for known and unknown emails', async () => {
+    const known = await request(app)
+      .post('/api/users/forgot-password')
+      .send({ email: 'bob@email.com' })
+      .expect(202);
+    const unknown = await request(app)
+      .post('/api/users/forgot-password')
+      .send({ email: 'ninguem@email.com' })
+      .expect(202);
+
+    expect(known.body).to.deep.equal(unknown.body);
+    expect(mailService.outbox()).to.have.length(1);
+  });
+
+  it('should send the email in the language of the request', async () => {
+    await request(app)
+      .post('/api/users/forgot-password')
+      .set('Accept-Language', 'en-US,en;q=0.9')
+      .send({ email: 'bob@email.com' })
+      .expect(202);
+
+    const [message] = mailService.outbox();
+    expect(message.subject).to.equal('Password reset');
+    expect(message.text).to.match(/^Hello, Bob\./);
+  });
+
+  it('should require the email', async () => {
+    const response = await request(app)
+      .post('/api/users/forgot-password')
+      .send({ email: '' })
+      .expect(400);
+
+    expect(response.body.fields).to.deep.equal([{ field: 'email', code: 'EMAIL_REQUIRED', message: 'Email obrigatório' }]);
+  });
+
+  it('should reset the password once and end existing sessions', async () => {
+    const session = (await request(app).post('/api/users/login').send({ email: 'bob@email.com', password: '123456' })).body;
+    await request(app).post('/api/users/forgot-password').send({ email: 'bob@email.com' });
+    const token = testHelper.tokenFromOutbox();
+
+    await request(app)
+      .post('/api/users/reset-password')
+      .send({ token, newPassword: 'novaSenha1' })
+      .expect(204);
+
+    await request(app)
+      .get('/api/orders')
+      .set('Authorization', `Bearer ${session.token}`)
+      .expect(401);
+    await request(app)
+      .post('/api/users/login')
+      .send({ email: 'bob@email.com', password: 'novaSenha1' })
+      .expect(200);
+
+    const reused = await request(app)
+      .post('/api/users/reset-password')
+      .send({ token, newPassword: 'outraSenha2' })
+      .expect(400);
+    expect(reused.body).to.deep.equal({ error: 'Token de redefinição inválido', code: 'INVALID_RESET_TOKEN' });
+  });
+
+  it('should list password policy violations', async () => {
+    await request(app).post('/api/users/forgot-password').send({ email: 'bob@email.com' });
+
+    const response = await request(app)
+      .post('/api/users/reset-password')
+      .send({ token: testHelper.tokenFromOutbox(), newPassword: 'senha123' })
+      .expect(400);
+
+    expect(response.body).to.have.property('code', 'VALIDATION_ERROR');
+    expect(response.body.fields).to.deep.include({ field: 'newPassword', code: 'PASSWORD_TOO_COMMON', message: 'A senha é muito comum' });
+  });
+});
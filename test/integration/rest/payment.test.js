@@ -0,0 +1,132 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../rest/app');
+const testHelper = require('../../helpers/testHelper');
+const { products, orders } = require('../../../src/repositories');
+const config = require('../../../src/config');
+const { createGateway } = require('../../../src/payments');
+const paymentService = require('../../../src/services/paymentService');
+
+describe('REST API - Card Payments', () => {
+  let token;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    token = testHelper.generateValidToken();
+  });
+
+  function checkoutWithCard(number) {
+    const data = testHelper.sampleCheckoutWithCard;
+    return request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...data, cardData: { ...data.cardData, number } });
+  }
+
+  it('should charge approved cards', async () => {
+    const response = await checkoutWithCard('4111111111111111').expect(200);
+
+    expect(response.body.status).to.equal('paid');
+    expect(response.body.payment).to.include({ provider: 'mock', status: 'captured', amount: response.body.total });
+    expect(paymentService.transactions()).to.have.lengthOf(1);
+  });
+
+  const refusals = [
+    ['4000000000000002', 402, 'PAYMENT_DECLINED', 'Pagamento recusado'],
+    ['4000000000009995', 402, 'PAYMENT_INSUFFICIENT_FUNDS', 'Pagamento recusado por saldo insuficiente'],
+    ['4000000000000119', 504, 'PAYMENT_GATEWAY_TIMEOUT', 'O processador de pagamento não respondeu. Tente novamente']
+  ];
+
+  for (const [number, status, code, error] of refusals) {
+    it(`should answer ${status} ${code} without creating the order`, async () => {
+      const response = await checkoutWithCard(number).expect(status);
+
+      expect(response.body).to.include({ error, code });
+      expect(response.body.transactionId).to.be.a('string');
+      expect(orders.count()).to.equal(0);
+      expect(products.findById(1).stock).to.equal(100);
+    });
+  }
+
+  it('should refund the payment when the order is cancelled', async () => {
+    const checkout = await checkoutWithCard('4111111111111111').expect(200);
+
+    const response = await request(app)
+      .post(`/api/orders/${checkout.body.orderId}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.status).to.equal('cancelled');
+    expect(response.body.payment).to.include({ transactionId: checkout.body.payment.transactionId, status: 'refunded' });
+    expect(paymentService.transactions()[0].status).to.equal('refunded');
+  });
+
+  it('should refund through a new gateway instance, as after a restart', async () => {
+    const checkout = await checkoutWithCard('4111111111111111').expect(200);
+    paymentService.setGateway(createGateway(config.payment));
+
+    const response = await request(app)
+      .post(`/api/orders/${checkout.body.orderId}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.payment.status).to.equal('refunded');
+  });
+
+  it('should answer 409 when the gateway no longer knows the transaction', async () => {
+    const checkout = await checkoutWithCard('4111111111111111').expect(200);
+    paymentService.clearTransactions();
+
+    const response = await request(app)
+      .post(`/api/orders/${checkout.body.orderId}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(409);
+
+    expect(response.body).to.include({
+      code: 'PAYMENT_TRANSACTION_NOT_FOUND',
+      transactionId: checkout.body.payment.transactionId
+    });
+    expect(orders.findById(checkout.body.orderId).status).to.equal('paid');
+  });
+
+  it('should return the card brand and last four digits but never the full number', async () => {
+    const response = await checkoutWithCard('5555555555554444').expect(200);
+
+    expect(response.body.card).to.deep.equal({ brand: 'mastercard', last4: '4444' });
+    expect(JSON.stringify(response.body)).to.not.include('5555555555554444');
+    expect(orders.findById(response.body.orderId).card).to.deep.equal({ brand: 'mastercard', last4: '4444' });
+  });
+
+  it('should reject invalid cards with localized field messages before charging', async () => {
+    const data = testHelper.sampleCheckoutWithCard;
+    const response = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Accept-Language', 'en-US')
+      .send({ ...data, cardData: { ...data.cardData, number: '378282246310005', expiry: '10/04' } })
+      .expect(400);
+
+    expect(response.body).to.deep.equal({
+      error: 'Invalid data',
+      code: 'VALIDATION_ERROR',
+      fields: [
+        { field: 'cardData.expiry', code: 'CARD_EXPIRED', message: 'Card has expired' },
+        { field: 'cardData.cvv', code: 'INVALID_CVV_LENGTH', message: 'CVV must have 4 digits' }
+      ]
+    });
+    expect(paymentService.transactions()).to.have.lengthOf(0);
+    expect(products.findById(1).stock).to.equal(100);
+  });
+
+  it('should not charge boleto orders', async () => {
+    const response = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .send(testHelper.sampleCheckoutData)
+      .expect(200);
+
+    expect(response.body.payment).to.equal(null);
+    expect(response.body.card).to.equal(null);
+    expect(paymentService.transactions()).to.have.lengthOf(0);
+  });
+});
@@ -0,0 +1,135 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const app = require('../../../rest/app');
+const config = require('../../../src/config');
+const testHelper = require('../../helpers/testHelper');
+const { orders, products, pixCharges } = require('../../../src/repositories');
+const { parseBrCode } = require('../../../src/payments/pix');
+
+describe('REST API - Pix', () => {
+  let token;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    token = testHelper.generateValidToken();
+  });
+
+  function checkoutWithPix() {
+    return request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...testHelper.sampleCheckoutData, paymentMethod: 'pix' })
+      .expect(200);
+  }
+
+  function notify(payments, secret = config.pix.webhookSecret) {
+    return request(app)
+      .post('/api/pix/webhook')
+      .set('X-Webhook-Secret', secret)
+      .send({ pix: payments });
+  }
+
+  it('should create a pending order with a BR Code', async () => {
+    const response = await checkoutWithPix();
+
+    expect(response.body).to.include({ paymentMethod: 'pix', status: 'pending' });
+    expect(response.body.pix).to.include({ orderId: response.body.orderId, amount: response.body.total, status: 'pending' });
+    expect(parseBrCode(response.body.pix.brCode).valid).to.be.true;
+    expect(response.body.pix.expiresAt).to.be.a('string');
+    expect(response.body.boleto).to.equal(null);
+  });
+
+  it('should mark the order as paid when the provider confirms the payment', async () => {
+    const { body } = await checkoutWithPix();
+
+    const response = await notify([{ endToEndId: 'E1', txid: body.pix.txid, valor: body.total.toFixed(2) }]).expect(200);
+
+    expect(response.body.charges[0]).to.include({ txid: body.pix.txid, status: 'paid', endToEndId: 'E1' });
+    const order = await request(app)
+      .get(`/api/orders/${body.orderId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(order.body.status).to.equal('paid');
+  });
+
+  it('should accept repeated notifications of the same payment', async () => {
+    const { body } = await checkoutWithPix();
+    const payment = { endToEndId: 'E1', txid: body.pix.txid, valor: body.total.toFixed(2) };
+
+    await notify([payment]).expect(200);
+    await notify([payment]).expect(200);
+
+    expect(pixCharges.findById(body.pix.txid).status).to.equal('paid');
+  });
+
+  it('should reject a wrong webhook secret', async () => {
+    const { body } = await checkoutWithPix();
+
+    const response = await notify([{ endToEndId: 'E1', txid: body.pix.txid, valor: body.total.toFixed(2) }], 'wrong').expect(401);
+
+    expect(response.body).to.deep.equal({ error: 'Segredo do webhook inválido', code: 'INVALID_WEBHOOK_SECRET' });
+    expect(orders.findById(body.orderId).status).to.equal('pending');
+  });
+
+  it('should reject payments that do not match the charge', async () => {
+    const { body } = await checkoutWithPix();
+
+    const wrongAmount = await notify([{ endToEndId: 'E1', txid: body.pix.txid, valor: '1.00' }]).expect(400);
+    const unknown = await notify([{ endToEndId: 'E1', txid: 'unknown', valor: '1.00' }]).expect(404);
+    const badTime = await notify([{ endToEndId: 'E1', txid: body.pix.txid, valor: String(body.total), horario: 'amanhã' }]).expect(400);
+
+    expect(wrongAmount.body.code).to.equal('PIX_AMOUNT_MISMATCH');
+    expect(badTime.body.code).to.equal('PIX_INVALID_PAID_AT');
+    expect(unknown.body.code).to.equal('PIX_CHARGE_NOT_FOUND');
+    expect(orders.findById(body.orderId).status).to.equal('pending');
+  });
+
+  it('should validate the webhook body', async () => {
+    const response = await notify([{ txid: 'abc' }]).expect(400);
+
+    expect(response.body.fields.map(f => f.field)).to.deep.equal(['pix[0].endToEndId', 'pix[0].valor']);
+  });
+
+  describe('expiry', () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it('should cancel the order and release the stock once the charge expires', async () => {
+      const { body } = await checkoutWithPix();
+      expect(products.findById(1).stock).to.equal(98);
+
+      clock.tick((config.pix.expirationMinutes + 1) * 60 * 1000);
+      const order = await request(app)
+        .get(`/api/orders/${body.orderId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      const late = await notify([{ endToEndId: 'E1', txid: body.pix.txid, valor: body.total.toFixed(2) }]).expect(400);
+
+      expect(order.body.status).to.equal('cancelled');
+      expect(products.findById(1).stock).to.equal(100);
+      expect(pixCharges.findById(body.pix.txid).status).to.equal('expired');
+      expect(late.body.code).to.equal('PIX_CHARGE_EXPIRED');
+    });
+  });
+
+  it('should not accept payment for a cancelled order', async () => {
+    const { body } = await checkoutWithPix();
+    await request(app)
+      .post(`/api/orders/${body.orderId}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const response = await notify([{ endToEndId: 'E1', txid: body.pix.txid, valor: body.total.toFixed(2) }]).expect(409);
+
+    expect(response.body.code).to.equal('PIX_CHARGE_NOT_PENDING');
+    expect(orders.findById(body.orderId).status).to.equal('cancelled');
+  });
+});
@@ -0,0 +1,157 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../rest/app');
+const testHelper = require('../../helpers/testHelper');
+
+describe('REST API - Product Endpoints', () => {
+  let adminToken, userToken;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    adminToken = testHelper.generateAdminToken();
+    userToken = testHelper.generateValidToken({ id: 2, email: 'bob@email.com', role: 'user' });
+  });
+
+  describe('GET /api/products', () => {
+    it('should list products without authentication', async () => {
+      const response = await request(app)
+        .get('/api/products')
+        .expect(200);
+
+      expect(response.body.products).to.have.length(2);
+      expect(response.body).to.include({ page: 1, limit: 10, total: 2, totalPages: 1 });
+    });
+
+    it('should paginate, sort and search', async () => {
+      const response = await request(app)
+        .get('/api/products')
+        .query({ sort: 'price', order: 'desc', limit: 1, page: 1, search: 'produto' })
+        .expect(200);
+
+      expect(response.body.products).to.have.length(1);
+      expect(response.body.products[0]).to.have.property('id', 2);
+      expect(response.body).to.have.property('totalPages', 2);
+    });
+
+    it('should return 400 for invalid sort field', async () => {
+      const response = await request(app)
+        .get('/api/products')
+        .query({ sort: 'stock' })
+        .expect(400);
+
+      expect(response.body).to.have.property('error', 'Campo de ordenação inválido');
+    });
+  });
+
+  describe('GET /api/products/:id', () => {
+    it('should return a single product', async () => {
+      const response = await request(app)
+        .get('/api/products/1')
+        .expect(200);
+
+      expect(response.body).to.deep.equal({ id: 1, name: 'Produto A', price: 100, stock: 100, weight: 0.5, dimensions: { length: 20, width: 15, height: 10 } });
+    });
+
+    it('should return 404 for non-existent product', async () => {
+      const response = await request(app)
+        .get('/api/products/999')
+        .expect(404);
+
+      expect(response.body).to.have.property('error', 'Produto não encontrado');
+    });
+  });
+
+  describe('POST /api/products', () => {
+    it('should create product as admin', async () => {
+      const response = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Produto C', price: 300 })
+        .expect(201);
+
+      expect(response.body).to.deep.equal({ id: 3, name: 'Produto C', price: 300, stock: 0, weight: 0, dimensions: { length: 0, width: 0, height: 0 } });
+
+      await request(app).get('/api/products/3').expect(200);
+    });
+
+    it('should return 403 for non-admin users', async () => {
+      const response = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Produto C', price: 300 })
+        .expect(403);
+
+      expect(response.body).to.have.property('error', 'Acesso negado');
+    });
+
+    it('should return 401 without token', async () => {
+      await request(app)
+        .post('/api/products')
+        .send({ name: 'Produto C', price: 300 })
+        .expect(401);
+    });
+
+    it('should return 400 for invalid data', async () => {
+      const response = await request(app)
+        .post('/api/products')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Produto C', price: -1 })
+        .expect(400);
+
+      expect(response.body).to.have.property('error', 'Preço do produto inválido');
+    });
+  });
+
+  describe('PUT /api/products/:id', () => {
+    it('should update product as admin', async () => {
+      const response = await request(app)
+        .put('/api/products/1')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ price: 120 })
+        .expect(200);
+
+      expect(response.body).to.deep.equal({ id: 1, name: 'Produto A', price: 120, stock: 100, weight: 0.5, dimensions: { length: 20, width: 15, height: 10 } });
+    });
+
+    it('should return 403 for non-admin users', async () => {
+      await request(app)
+        .put('/api/products/1')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ price: 1 })
+        .expect(403);
+    });
+
+    it('should return 404 for non-existent product', async () => {
+      await request(app)
+        .put('/api/products/999')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ price: 1 })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/products/:id', () => {
+    it('should delete product as admin', async () => {
+      await request(app)
+        .delete('/api/products/2')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(204);
+
+      await request(app).get('/api/products/2').expect(404);
+    });
+
+    it('should return 403 for non-admin users', async () => {
+      await request(app)
+        .delete('/api/products/2')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+
+    it('should return 404 for non-existent product', async () => {
+      await request(app)
+        .delete('/api/products/999')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+});
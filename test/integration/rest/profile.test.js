@@ -0,0 +1,151 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../rest/app');
+const testHelper = require('../../helpers/testHelper');
+const { users } = require('../../../src/repositories');
+
+describe('REST API - User Profile', () => {
+  let bobToken;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    bobToken = testHelper.generateValidToken({ id: 2, email: 'bob@email.com', role: 'user' });
+  });
+
+  it('should return the profile of the authenticated user', async () => {
+    const response = await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .expect(200);
+
+    expect(response.body.user).to.deep.equal({ id: 2, name: 'Bob', email: 'bob@email.com', role: 'user', verified: true });
+  });
+
+  it('should require authentication', async () => {
+    await request(app)
+      .get('/api/users/me')
+      .expect(401);
+  });
+
+  it('should update name and email', async () => {
+    const response = await request(app)
+      .patch('/api/users/me')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .send({ name: 'Roberto', email: 'roberto@email.com', currentPassword: '123456' })
+      .expect(200);
+
+    expect(response.body.user).to.include({ name: 'Roberto', email: 'roberto@email.com' });
+
+    await request(app)
+      .post('/api/users/login')
+      .send({ email: 'roberto@email.com', password: '123456' })
+      .expect(200);
+  });
+
+  it('should reject an email already in use', async () => {
+    const response = await request(app)
+      .patch('/api/users/me')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .send({ email: 'alice@email.com', currentPassword: '123456' })
+      .expect(400);
+
+    expect(response.body).to.deep.equal({
+      error: 'Dados inválidos',
+      code: 'VALIDATION_ERROR',
+      fields: [{ field: 'email', code: 'EMAIL_ALREADY_REGISTERED', message: 'Email já cadastrado' }]
+    });
+  });
+
+  it('should change the password and keep only the current session', async () => {
+    const current = (await request(app).post('/api/users/login').send({ email: 'bob@email.com', password: '123456' })).body;
+    const other = (await request(app).post('/api/users/login').send({ email: 'bob@email.com', password: '123456' })).body;
+
+    await request(app)
+      .put('/api/users/me/password')
+      .set('Authorization', `Bearer ${current.token}`)
+      .send({ currentPassword: '123456', newPassword: 'novaSenha1' })
+      .expect(204);
+
+    await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${current.token}`)
+      .expect(200);
+    await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${other.token}`)
+      .expect(401);
+    await request(app)
+      .post('/api/users/login')
+      .send({ email: 'bob@email.com', password: 'novaSenha1' })
+      .expect(200);
+  });
+
+  it('should reject a wrong current password', async () => {
+    const response = await request(app)
+      .put('/api/users/me/password')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .send({ currentPassword: 'errada', newPassword: 'novaSenha1' })
+      .expect(400);
+
+    expect(response.body.fields).to.deep.equal([{ field: 'currentPassword', code: 'INCORRECT_CURRENT_PASSWORD', message: 'Senha atual incorreta' }]);
+  });
+
+  it('should delete the account and revoke its sessions', async () => {
+    const session = (await request(app).post('/api/users/login').send({ email: 'bob@email.com', password: '123456' })).body;
+
+    await request(app)
+      .delete('/api/users/me')
+      .set('Authorization', `Bearer ${session.token}`)
+      .send({ password: '123456' })
+      .expect(204);
+
+    await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${session.token}`)
+      .expect(401);
+    await request(app)
+      .post('/api/users/login')
+      .send({ email: 'bob@email.com', password: '123456' })
+      .expect(401);
+  });
+
+  it('should not hand the orders and boletos of a deleted account to the next user', async () => {
+    const checkout = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .send(testHelper.sampleCheckoutData)
+      .expect(200);
+    await request(app)
+      .delete('/api/users/me')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .send({ password: '123456' })
+      .expect(204);
+
+    await request(app)
+      .post('/api/users/register')
+      .send({ name: 'Dave', email: 'dave@email.com', password: 'Dave2026x' })
+      .expect(201);
+    const dave = users.find(u => u.email === 'dave@email.com');
+    const daveToken = testHelper.generateValidToken({ id: dave.id, email: dave.email, role: 'user' });
+
+    expect(dave.id).to.equal(3);
+    const orders = await request(app).get('/api/orders').set('Authorization', `Bearer ${daveToken}`).expect(200);
+    expect(orders.body).to.deep.equal([]);
+    await request(app)
+      .get(`/api/boletos/${checkout.body.boleto.id}`)
+      .set('Authorization', `Bearer ${daveToken}`)
+      .expect(404);
+  });
+
+  it('should not delete the account without the password', async () => {
+    await request(app)
+      .delete('/api/users/me')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .expect(400);
+
+    await request(app)
+      .get('/api/users/me')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .expect(200);
+  });
+});
@@ -0,0 +1,80 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../rest/app');
+const testHelper = require('../../helpers/testHelper');
+
+describe('REST API - Shipping Endpoints', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  describe('POST /api/shipping/quote', () => {
+    it('should quote freight for destination and items', async () => {
+      const response = await request(app)
+        .post('/api/shipping/quote')
+        .send({ postalCode: '30130-010', items: [{ productId: 2, quantity: 1 }] })
+        .expect(200);
+
+      expect(response.body).to.deep.equal({
+        postalCode: '30130010',
+        zone: 'Sudeste',
+        weight: 1.5,
+        freight: 39, // 25 + 7 * 2 kg
+        deliveryDays: 4
+      });
+    });
+
+    it('should return 400 for invalid CEP', async () => {
+      const response = await request(app)
+        .post('/api/shipping/quote')
+        .send({ postalCode: '123', items: [{ productId: 1, quantity: 1 }] })
+        .expect(400);
+
+      expect(response.body).to.have.property('error', 'CEP inválido');
+    });
+
+    it('should return 400 for non-existent product', async () => {
+      const response = await request(app)
+        .post('/api/shipping/quote')
+        .send({ postalCode: '01310-100', items: [{ productId: 999, quantity: 1 }] })
+        .expect(400);
+
+      expect(response.body).to.have.property('error', 'Produto não encontrado');
+    });
+  });
+
+  describe('checkout freight', () => {
+    it('should charge the quoted freight at checkout', async () => {
+      const token = testHelper.generateValidToken();
+      const items = [{ productId: 2, quantity: 1 }];
+
+      const quote = await request(app)
+        .post('/api/shipping/quote')
+        .send({ postalCode: '30130-010', items })
+        .expect(200);
+
+      const checkout = await request(app)
+        .post('/api/checkout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ items, postalCode: '30130-010', freight: 0, paymentMethod: 'boleto' })
+        .expect(200);
+
+      expect(checkout.body).to.have.property('freight', quote.body.freight);
+      expect(checkout.body.shipping).to.deep.equal(quote.body);
+      expect(checkout.body).to.have.property('total', 239); // 200 + 39
+    });
+
+    it('should reject checkout without CEP', async () => {
+      const token = testHelper.generateValidToken();
+
+      const response = await request(app)
+        .post('/api/checkout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ items: [{ productId: 1, quantity: 1 }], freight: 10, paymentMethod: 'boleto' })
+        .expect(400);
+
+      expect(response.body).to.have.property('code', 'VALIDATION_ERROR');
+      expect(response.body.fields).to.deep.equal([{ field: 'postalCode', code: 'REQUIRED', message: 'Campo obrigatório' }]);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../../rest/app');
+const swaggerDocument = require('../../../rest/swagger');
+const { assertRoutesDocumented } = require('../../../rest/middlewares/validateRequest');
+const testHelper = require('../../helpers/testHelper');
+
+describe('REST API - Request Validation', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  it('should reject a checkout with malformed items before reaching the service', async () => {
+    const response = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${testHelper.generateValidToken()}`)
+      .send({ items: 'abc', postalCode: 1310100, paymentMethod: 'cheque' })
+      .expect(400);
+
+    expect(response.body).to.deep.equal({
+      error: 'Dados inválidos',
+      code: 'VALIDATION_ERROR',
+      fields: [
+        { field: 'items', code: 'MUST_BE_ARRAY', message: 'Deve ser uma lista' },
+        { field: 'postalCode', code: 'MUST_BE_STRING', message: 'Deve ser um texto' },
+        { field: 'paymentMethod', code: 'NOT_IN_ENUM', message: 'Deve ser um dos valores: boleto, credit_card, pix' }
+      ]
+    });
+  });
+
+  it('should point at the failing item', async () => {
+    const response = await request(app)
+      .post('/api/shipping/quote')
+      .send({ postalCode: '01310-100', items: [{ productId: 1, quantity: 1 }, { productId: 2, quantity: '2' }] })
+      .expect(400);
+
+    expect(response.body.fields).to.deep.equal([{ field: 'items[1].quantity', code: 'MUST_BE_INTEGER', message: 'Deve ser um número inteiro' }]);
+  });
+
+  it('should still answer 401 to protected routes without token', async () => {
+    await request(app)
+      .post('/api/cart/items')
+      .send({})
+      .expect(401);
+  });
+
+  it('should answer 401 to an expired or revoked token before looking at the body', async () => {
+    const expired = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${testHelper.generateExpiredToken()}`)
+      .send({ items: 'abc' })
+      .expect(401);
+    const revoked = await request(app)
+      .post('/api/checkout')
+      .set('Authorization', `Bearer ${testHelper.generateValidToken({ id: 1, email: 'alice@email.com', sid: 'encerrada' })}`)
+      .send({ items: 'abc' })
+      .expect(401);
+
+    expect(expired.body.code).to.equal('TOKEN_EXPIRED');
+    expect(revoked.body.code).to.equal('TOKEN_REVOKED');
+  });
+
+  it('should answer 403 to non-admins before validating the admin body', async () => {
+    const response = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${testHelper.generateValidToken({ id: 2, email: 'bob@email.com', role: 'user' })}`)
+      .send({ name: 42 })
+      .expect(403);
+
+    expect(response.body.code).to.equal('FORBIDDEN');
+  });
+
+  it('should reject a wrong webhook secret before validating the body', async () => {
+    const response = await request(app)
+      .post('/api/pix/webhook')
+      .set('X-Webhook-Secret', 'errado')
+      .send({ pix: 'abc' })
+      .expect(401);
+
+    expect(response.body.code).to.equal('INVALID_WEBHOOK_SECRET');
+  });
+
+  it('should have every REST route documented', () => {
+    const routes = {
+      '/api/users': require('../../../rest/routes/userRoutes'),
+      '/api/checkout': require('../../../rest/routes/checkoutRoutes'),
+      '/api/orders': require('../../../rest/routes/orderRoutes'),
+      '/api/products': require('../../../rest/routes/productRoutes'),
+      '/api/shipping': require('../../../rest/routes/shippingRoutes'),
+      '/api/cart': require('../../../rest/routes/cartRoutes'),
+      '/.well-known': require('../../../rest/routes/wellKnownRoutes')
+    };
+
+    expect(() => assertRoutesDocumented(swaggerDocument, routes)).to.not.throw();
+  });
+});
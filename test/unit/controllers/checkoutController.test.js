@@ -2,7 +2,9 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const checkoutController = require('../../../rest/controllers/checkoutController');
 const checkoutService = require('../../../src/services/checkoutService');
-const userService = require('../../../src/services/userService');
+const InsufficientStockError = require('../../../src/errors/InsufficientStockError');
+const DomainError = require('../../../src/errors/DomainError');
+const testHelper = require('../../helpers/testHelper');
 
 describe('Checkout Controller Unit Tests', () => {
   let req, res, sandbox;
@@ -12,7 +14,8 @@ describe('Checkout Controller Unit Tests', () => {
     
     req = {
       body: {},
-      headers: {}
+      headers: {},
+      user: null
     };
     
     res = {
@@ -28,47 +31,43 @@ describe('Checkout Controller Unit Tests', () => {
   describe('checkout', () => {
     it('should return 400 when checkout service throws an error', async () => {
       // Arrange
-      req.headers.authorization = 'Bearer valid.jwt.token';
       req.body = {
         items: [{ productId: 999, quantity: 1 }], // Non-existent product
-        freight: 10,
+        postalCode: '01310-100',
         paymentMethod: 'boleto'
       };
 
       const mockUserData = { id: 1, email: 'alice@email.com' };
-      const verifyTokenStub = sandbox.stub(userService, 'verifyToken').returns(mockUserData);
-      const checkoutStub = sandbox.stub(checkoutService, 'checkout').throws(new Error('Produto não encontrado'));
+      req.user = mockUserData;
+      const checkoutStub = sandbox.stub(checkoutService, 'checkout').throws(new DomainError('PRODUCT_NOT_FOUND'));
 
       // Act
       checkoutController.checkout(req, res);
 
       // Assert
-      expect(verifyTokenStub).to.have.been.calledOnce;
       expect(checkoutStub).to.have.been.calledOnce;
       expect(res.status).to.have.been.calledWith(400);
-      expect(res.json).to.have.been.calledWith({ error: 'Produto não encontrado' });
+      expect(res.json).to.have.been.calledWith({ error: 'Produto não encontrado', code: 'PRODUCT_NOT_FOUND' });
     });
 
     it('should handle missing required fields in request body', async () => {
       // Arrange
-      req.headers.authorization = 'Bearer valid.jwt.token';
       req.body = {
         items: [{ productId: 1, quantity: 1 }]
-        // Missing freight and paymentMethod
+        // Missing postalCode and paymentMethod
       };
 
       const mockUserData = { id: 1, email: 'alice@email.com' };
-      const verifyTokenStub = sandbox.stub(userService, 'verifyToken').returns(mockUserData);
-      const checkoutStub = sandbox.stub(checkoutService, 'checkout').throws(new Error('Missing required fields'));
+      req.user = mockUserData;
+      const checkoutStub = sandbox.stub(checkoutService, 'checkout').throws(new DomainError('INVALID_POSTAL_CODE'));
 
       // Act
       checkoutController.checkout(req, res);
 
       // Assert
-      expect(verifyTokenStub).to.have.been.calledOnce;
       expect(checkoutStub).to.have.been.calledOnceWith(1, req.body.items, undefined, undefined, undefined);
       expect(res.status).to.have.been.calledWith(400);
-      expect(res.json).to.have.been.calledWith({ error: 'Missing required fields' });
+      expect(res.json).to.have.been.calledWith({ error: 'CEP inválido', code: 'INVALID_POSTAL_CODE' });
     });
 
     it('should pass cardData when provided for credit card payment', async () => {
@@ -76,14 +75,13 @@ describe('Checkout Controller Unit Tests', () => {
       const cardData = {
         number: '4111111111111111',
         name: 'Test User',
-        expiry: '12/30',
+        expiry: testHelper.validCardExpiry,
         cvv: '123'
       };
 
-      req.headers.authorization = 'Bearer valid.jwt.token';
       req.body = {
         items: [{ productId: 1, quantity: 1 }],
-        freight: 15,
+        postalCode: '01310-100',
         paymentMethod: 'credit_card',
         cardData: cardData
       };
@@ -91,86 +89,105 @@ describe('Checkout Controller Unit Tests', () => {
       const mockUserData = { id: 1, email: 'alice@email.com' };
       const mockResult = { userId: 1, total: 109.25 };
 
-      const verifyTokenStub = sandbox.stub(userService, 'verifyToken').returns(mockUserData);
+      req.user = mockUserData;
       const checkoutStub = sandbox.stub(checkoutService, 'checkout').returns(mockResult);
 
       // Act
       checkoutController.checkout(req, res);
 
       // Assert
-      expect(checkoutStub).to.have.been.calledOnceWith(1, req.body.items, 15, 'credit_card', cardData);
+      expect(checkoutStub).to.have.been.calledOnceWith(1, req.body.items, '01310-100', 'credit_card', cardData);
     });
 
     it('should handle different error types from checkout service', async () => {
       // Arrange
-      req.headers.authorization = 'Bearer valid.jwt.token';
       req.body = {
         items: [{ productId: 1, quantity: 1 }],
-        freight: 10,
+        postalCode: '01310-100',
         paymentMethod: 'credit_card'
         // Missing cardData
       };
 
       const mockUserData = { id: 1, email: 'alice@email.com' };
-      const verifyTokenStub = sandbox.stub(userService, 'verifyToken').returns(mockUserData);
-      const checkoutStub = sandbox.stub(checkoutService, 'checkout').throws(new Error('Dados do cartão obrigatórios para pagamento com cartão'));
+      req.user = mockUserData;
+      const checkoutStub = sandbox.stub(checkoutService, 'checkout').throws(new DomainError('CARD_DATA_REQUIRED'));
 
       // Act
       checkoutController.checkout(req, res);
 
       // Assert
       expect(res.status).to.have.been.calledWith(400);
-      expect(res.json).to.have.been.calledWith({ error: 'Dados do cartão obrigatórios para pagamento com cartão' });
+      expect(res.json).to.have.been.calledWith({ error: 'Dados do cartão obrigatórios para pagamento com cartão', code: 'CARD_DATA_REQUIRED' });
     });
 
     it('should preserve user ID from token in checkout service call', async () => {
       // Arrange
-      req.headers.authorization = 'Bearer valid.jwt.token';
       req.body = {
         items: [{ productId: 1, quantity: 1 }],
-        freight: 10,
+        postalCode: '01310-100',
         paymentMethod: 'boleto'
       };
 
       const mockUserData = { id: 42, email: 'test@email.com', role: 'admin' };
       const mockResult = { userId: 42, total: 110 };
 
-      const verifyTokenStub = sandbox.stub(userService, 'verifyToken').returns(mockUserData);
+      req.user = mockUserData;
       const checkoutStub = sandbox.stub(checkoutService, 'checkout').returns(mockResult);
 
       // Act
       checkoutController.checkout(req, res);
 
       // Assert
-      expect(checkoutStub).to.have.been.calledOnceWith(42, req.body.items, 10, 'boleto', undefined);
+      expect(checkoutStub).to.have.been.calledOnceWith(42, req.body.items, '01310-100', 'boleto', undefined);
     });
   });
 
   describe('Error Handling', () => {
-    it('should handle userService.verifyToken throwing an error', async () => {
+    it('should return 409 with offending items when stock is insufficient', async () => {
       // Arrange
-      req.headers.authorization = 'Bearer malformed.token';
-      req.body = { items: [{ productId: 1, quantity: 1 }], freight: 10, paymentMethod: 'boleto' };
+      req.body = { items: [{ productId: 1, quantity: 500 }], postalCode: '01310-100', paymentMethod: 'boleto' };
 
-      const verifyTokenStub = sandbox.stub(userService, 'verifyToken').throws(new Error('Token parsing error'));
+      const shortage = [{ productId: 1, requested: 500, available: 100 }];
+      req.user = { id: 1, email: 'alice@email.com' };
+      sandbox.stub(checkoutService, 'checkout').throws(new InsufficientStockError(shortage));
 
-      // Act & Assert
-      expect(() => checkoutController.checkout(req, res)).to.throw('Token parsing error');
-      expect(verifyTokenStub).to.have.been.calledOnce;
+      // Act
+      checkoutController.checkout(req, res);
+
+      // Assert
+      expect(res.status).to.have.been.calledWith(409);
+      expect(res.json).to.have.been.calledWith({
+        error: 'Estoque insuficiente',
+        code: 'INSUFFICIENT_STOCK',
+        items: shortage
+      });
     });
 
     it('should maintain consistent error response format', async () => {
-      req.headers.authorization = 'Bearer valid.jwt.token';
-      req.body = { items: [], freight: 10, paymentMethod: 'boleto' };
+      // Arrange
+      req.body = { items: [], postalCode: '01310-100', paymentMethod: 'boleto' };
 
       const mockUserData = { id: 1, email: 'alice@email.com' };
-      sandbox.stub(userService, 'verifyToken').returns(mockUserData);
-      sandbox.stub(checkoutService, 'checkout').throws(new Error('Empty cart'));
+      req.user = mockUserData;
+      sandbox.stub(checkoutService, 'checkout').throws(new DomainError('CART_EMPTY'));
 
+      // Act
       checkoutController.checkout(req, res);
 
+      // Assert
       expect(res.status).to.have.been.calledWith(400);
-      expect(res.json).to.have.been.calledWith({ error: 'Empty cart' });
+      expect(res.json).to.have.been.calledWith({ error: 'Carrinho vazio', code: 'CART_EMPTY' });
+    });
+
+    it('should let unexpected errors reach the error handler', async () => {
+      // Arrange
+      req.body = { items: [], postalCode: '01310-100', paymentMethod: 'boleto' };
+      req.user = { id: 1, email: 'alice@email.com' };
+      sandbox.stub(checkoutService, 'checkout').throws(new TypeError('boom'));
+
+      // Act & Assert
+      expect(() => checkoutController.checkout(req, res)).to.throw(TypeError, 'boom');
+      expect(res.status).to.not.have.been.called;
     });
   });
 });
@@ -2,6 +2,7 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const userController = require('../../../rest/controllers/userController');
 const userService = require('../../../src/services/userService');
+const ValidationError = require('../../../src/errors/ValidationError');
 
 describe('User Controller Unit Tests', () => {
   let req, res, sandbox;
@@ -64,7 +65,25 @@ describe('User Controller Unit Tests', () => {
       // Assert
       expect(registerUserStub).to.have.been.calledOnceWith('Test User', 'existing@example.com', 'password123');
       expect(res.status).to.have.been.calledWith(400);
-      expect(res.json).to.have.been.calledWith({ error: 'Email já cadastrado' });
+      expect(res.json).to.have.been.calledWith({ error: 'Email já cadastrado', code: 'EMAIL_ALREADY_REGISTERED' });
+    });
+
+    it('should return 400 with field errors when the password is rejected', async () => {
+      // Arrange
+      req.body = { name: 'Test User', email: 'test@example.com', password: 'abc' };
+      const fields = [{ field: 'password', code: 'PASSWORD_TOO_SHORT', params: { minLength: 8 } }];
+      sandbox.stub(userService, 'registerUser').throws(new ValidationError(fields));
+
+      // Act
+      userController.register(req, res);
+
+      // Assert
+      expect(res.status).to.have.been.calledWith(400);
+      expect(res.json).to.have.been.calledWith({
+        error: 'Dados inválidos',
+        code: 'VALIDATION_ERROR',
+        fields: [{ field: 'password', code: 'PASSWORD_TOO_SHORT', message: 'A senha deve ter pelo menos 8 caracteres' }]
+      });
     });
 
     it('should handle missing request body fields', async () => {
@@ -82,7 +101,7 @@ describe('User Controller Unit Tests', () => {
       // Assert
       expect(registerUserStub).to.have.been.calledOnceWith('Test User', undefined, undefined);
       expect(res.status).to.have.been.calledWith(400);
-      expect(res.json).to.have.been.calledWith({ error: 'Email já cadastrado' });
+      expect(res.json).to.have.been.calledWith({ error: 'Email já cadastrado', code: 'EMAIL_ALREADY_REGISTERED' });
     });
 
     it('should extract correct fields from request body', async () => {
@@ -160,7 +179,7 @@ describe('User Controller Unit Tests', () => {
       // Assert
       expect(authenticateStub).to.have.been.calledOnceWith('alice@email.com', 'wrongpassword');
       expect(res.status).to.have.been.calledWith(401);
-      expect(res.json).to.have.been.calledWith({ error: 'Credenciais inválidas' });
+      expect(res.json).to.have.been.calledWith({ error: 'Credenciais inválidas', code: 'INVALID_CREDENTIALS' });
     });
 
     it('should handle missing email', async () => {
@@ -178,7 +197,7 @@ describe('User Controller Unit Tests', () => {
       // Assert
       expect(authenticateStub).to.have.been.calledOnceWith(undefined, '123456');
       expect(res.status).to.have.been.calledWith(401);
-      expect(res.json).to.have.been.calledWith({ error: 'Credenciais inválidas' });
+      expect(res.json).to.have.been.calledWith({ error: 'Credenciais inválidas', code: 'INVALID_CREDENTIALS' });
     });
 
     it('should handle missing password', async () => {
@@ -196,7 +215,7 @@ describe('User Controller Unit Tests', () => {
       // Assert
       expect(authenticateStub).to.have.been.calledOnceWith('alice@email.com', undefined);
       expect(res.status).to.have.been.calledWith(401);
-      expect(res.json).to.have.been.calledWith({ error: 'Credenciais inválidas' });
+      expect(res.json).to.have.been.calledWith({ error: 'Credenciais inválidas', code: 'INVALID_CREDENTIALS' });
     });
 
     it('should handle empty request body', async () => {
@@ -211,7 +230,7 @@ describe('User Controller Unit Tests', () => {
       // Assert
       expect(authenticateStub).to.have.been.calledOnceWith(undefined, undefined);
       expect(res.status).to.have.been.calledWith(401);
-      expect(res.json).to.have.been.calledWith({ error: 'Credenciais inválidas' });
+      expect(res.json).to.have.been.calledWith({ error: 'Credenciais inválidas', code: 'INVALID_CREDENTIALS' });
     });
 
     it('should ignore extra fields in request body', async () => {
@@ -278,7 +297,7 @@ describe('User Controller Unit Tests', () => {
       userController.register(req, res);
 
       expect(res.status).to.have.been.calledWith(400);
-      expect(res.json).to.have.been.calledWith({ error: 'Email já cadastrado' });
+      expect(res.json).to.have.been.calledWith({ error: 'Email já cadastrado', code: 'EMAIL_ALREADY_REGISTERED' });
     });
 
     it('should maintain consistent error response format for login', async () => {
@@ -288,7 +307,7 @@ describe('User Controller Unit Tests', () => {
       userController.login(req, res);
 
       expect(res.status).to.have.been.calledWith(401);
-      expect(res.json).to.have.been.calledWith({ error: 'Credenciais inválidas' });
+      expect(res.json).to.have.been.calledWith({ error: 'Credenciais inválidas', code: 'INVALID_CREDENTIALS' });
     });
   });
 });
@@ -0,0 +1,91 @@
+const { expect } = require('chai');
+const { resolveLocale, translate, localizeDetails, localizeDiscounts } = require('../../../src/i18n');
+const ptBR = require('../../../src/i18n/pt-BR');
+const enUS = require('../../../src/i18n/en-US');
+
+describe('I18n Unit Tests', () => {
+  describe('resolveLocale', () => {
+    it('should fall back to pt-BR', () => {
+      // Act & Assert
+      expect(resolveLocale(undefined)).to.equal('pt-BR');
+      expect(resolveLocale('')).to.equal('pt-BR');
+      expect(resolveLocale('fr-FR, de;q=0.8')).to.equal('pt-BR');
+    });
+
+    it('should match exact tags and language prefixes', () => {
+      // Act & Assert
+      expect(resolveLocale('en-US')).to.equal('en-US');
+      expect(resolveLocale('en-gb')).to.equal('en-US');
+      expect(resolveLocale('en')).to.equal('en-US');
+      expect(resolveLocale('pt')).to.equal('pt-BR');
+    });
+
+    it('should respect the quality weights', () => {
+      // Act & Assert
+      expect(resolveLocale('pt-BR;q=0.5, en;q=0.9')).to.equal('en-US');
+      expect(resolveLocale('fr, en-US;q=0.7, pt-BR;q=0.8')).to.equal('pt-BR');
+      expect(resolveLocale('en;q=0, pt-BR;q=0.1')).to.equal('pt-BR');
+    });
+  });
+
+  describe('translate', () => {
+    it('should translate codes and fill parameters', () => {
+      // Act & Assert
+      expect(translate('en-US', 'errors.PRODUCT_NOT_FOUND')).to.equal('Product not found');
+      expect(translate('pt-BR', 'fields.TOO_SHORT', { minLength: 3 })).to.equal('Deve ter pelo menos 3 caracteres');
+      expect(translate('en-US', 'fields.TOO_SHORT', { minLength: 3 })).to.equal('Must be at least 3 characters long');
+    });
+
+    it('should fall back to pt-BR and then to the code', () => {
+      // Act & Assert
+      expect(translate('fr-FR', 'errors.CART_EMPTY')).to.equal('Carrinho vazio');
+      expect(translate('en-US', 'errors.UNKNOWN_CODE')).to.equal('UNKNOWN_CODE');
+    });
+  });
+
+  describe('localizeDetails', () => {
+    it('should add the message of each field in the requested language', () => {
+      // Arrange
+      const details = { fields: [{ field: 'password', code: 'PASSWORD_TOO_SHORT', params: { minLength: 8 } }] };
+
+      // Act
+      const localized = localizeDetails(details, 'en-US');
+
+      // Assert
+      expect(localized).to.deep.equal({
+        fields: [{ field: 'password', code: 'PASSWORD_TOO_SHORT', message: 'Password must be at least 8 characters long' }]
+      });
+    });
+
+    it('should keep details without fields untouched', () => {
+      // Act & Assert
+      expect(localizeDetails({ retryAfter: 5 }, 'en-US')).to.deep.equal({ retryAfter: 5 });
+    });
+  });
+
+  describe('localizeDiscounts', () => {
+    it('should describe each discount by its code in the requested language', () => {
+      // Arrange
+      const discounts = [
+        { code: 'CARTAO5', type: 'payment_method', description: '5% de desconto no cartão de crédito', amount: 5 },
+        { code: 'METADE', type: 'half_freight', description: 'Metade do frete', amount: 10 },
+        { code: 'SEMTEXTO', type: 'fixed', amount: 1 }
+      ];
+
+      // Act
+      const localized = localizeDiscounts(discounts, 'en-US');
+
+      // Assert
+      expect(localized.map(d => d.description)).to.deep.equal(['5% off when paying by credit card', 'Metade do frete', 'SEMTEXTO']);
+    });
+  });
+
+  describe('bundles', () => {
+    it('should translate every key of the default bundle', () => {
+      // Act & Assert
+      for (const section of Object.keys(ptBR)) {
+        expect(Object.keys(enUS[section]), section).to.have.members(Object.keys(ptBR[section]));
+      }
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileTransport } = require('../../../src/mail/fileTransport');
+const { createTransport } = require('../../../src/mail');
+
+describe('File Mail Transport Unit Tests', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-')), 'nested');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+  });
+
+  function message(id, sentAt) {
+    return { id, from: 'loja@local', to: 'bob@email.com', subject: 'Teste', text: 'Olá', sentAt };
+  }
+
+  it('should write one JSON file per message', () => {
+    // Arrange
+    const transport = createFileTransport(dir);
+
+    // Act
+    transport.send(message('a', '2026-01-01T10:00:00.000Z'));
+
+    // Assert
+    const files = fs.readdirSync(dir);
+    expect(files).to.deep.equal(['2026-01-01T10-00-00-000Z-a.json']);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf8'))).to.include({ to: 'bob@email.com' });
+  });
+
+  it('should list messages in the order they were sent and clear them', () => {
+    // Arrange
+    const transport = createFileTransport(dir);
+    transport.send(message('b', '2026-01-01T10:00:01.000Z'));
+    transport.send(message('a', '2026-01-01T10:00:00.000Z'));
+
+    // Act & Assert
+    expect(transport.messages().map(m => m.id)).to.deep.equal(['a', 'b']);
+    transport.clear();
+    expect(transport.messages()).to.be.empty;
+  });
+
+  it('should return an empty outbox when the directory does not exist', () => {
+    // Act & Assert
+    expect(createFileTransport(dir).messages()).to.deep.equal([]);
+  });
+
+  it('should reject unknown drivers', () => {
+    // Act & Assert
+    expect(() => createTransport({ driver: 'smtp' })).to.throw('Driver de email desconhecido: smtp');
+  });
+});
@@ -0,0 +1,122 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { requireAuth, optionalAuth } = require('../../../rest/middlewares/auth');
+const authService = require('../../../src/services/authService');
+const testHelper = require('../../helpers/testHelper');
+
+describe('Auth Middleware Unit Tests', () => {
+  let req, res, next, sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+    req = { headers: {} };
+    res = {
+      set: sandbox.stub().returnsThis(),
+      status: sandbox.stub().returnsThis(),
+      json: sandbox.stub().returnsThis()
+    };
+    next = sandbox.stub();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('requireAuth', () => {
+    it('should set req.user and call next for a valid token', () => {
+      // Arrange
+      req.headers.authorization = `Bearer ${testHelper.generateValidToken()}`;
+
+      // Act
+      requireAuth()(req, res, next);
+
+      // Assert
+      expect(req.user).to.have.property('id', 1);
+      expect(next).to.have.been.calledOnceWithExactly();
+    });
+
+    it('should respond 401 with code and challenge when the token is missing', () => {
+      // Act
+      requireAuth()(req, res, next);
+
+      // Assert
+      expect(next).to.not.have.been.called;
+      expect(res.set).to.have.been.calledWith('WWW-Authenticate', 'Bearer realm="api"');
+      expect(res.status).to.have.been.calledWith(401);
+      expect(res.json).to.have.been.calledWith({ error: 'Token inválido', code: 'TOKEN_MISSING' });
+    });
+
+    it('should respond 403 when the role is not allowed', () => {
+      // Arrange
+      req.headers.authorization = `Bearer ${testHelper.generateValidToken({ id: 2, email: 'bob@email.com', role: 'user' })}`;
+
+      // Act
+      requireAuth({ roles: ['admin'] })(req, res, next);
+
+      // Assert
+      expect(res.status).to.have.been.calledWith(403);
+      expect(res.json).to.have.been.calledWith({ error: 'Acesso negado', code: 'FORBIDDEN' });
+    });
+
+    it('should let the owner named by ownerParam through without the role', () => {
+      // Arrange
+      req.headers.authorization = `Bearer ${testHelper.generateValidToken({ id: 2, email: 'bob@email.com', role: 'user' })}`;
+      req.params = { id: '2' };
+
+      // Act
+      requireAuth({ roles: ['admin'], ownerParam: 'id' })(req, res, next);
+
+      // Assert
+      expect(next).to.have.been.calledOnceWithExactly();
+    });
+
+    it('should respond 403 when ownerParam names another user', () => {
+      // Arrange
+      req.headers.authorization = `Bearer ${testHelper.generateValidToken({ id: 2, email: 'bob@email.com', role: 'user' })}`;
+      req.params = { id: '1' };
+
+      // Act
+      requireAuth({ roles: ['admin'], ownerParam: 'id' })(req, res, next);
+
+      // Assert
+      expect(res.status).to.have.been.calledWith(403);
+      expect(next).to.not.have.been.called;
+    });
+
+    it('should pass unexpected errors to next', () => {
+      // Arrange
+      const failure = new Error('Falha inesperada');
+      sandbox.stub(authService, 'authenticateHeader').throws(failure);
+
+      // Act
+      requireAuth()(req, res, next);
+
+      // Assert
+      expect(next).to.have.been.calledOnceWith(failure);
+      expect(res.status).to.not.have.been.called;
+    });
+  });
+
+  describe('optionalAuth', () => {
+    it('should continue with a null user when no token is sent', () => {
+      // Act
+      optionalAuth()(req, res, next);
+
+      // Assert
+      expect(req.user).to.be.null;
+      expect(next).to.have.been.calledOnce;
+    });
+
+    it('should still reject invalid tokens', () => {
+      // Arrange
+      req.headers.authorization = `Bearer ${testHelper.generateExpiredToken()}`;
+
+      // Act
+      optionalAuth()(req, res, next);
+
+      // Assert
+      expect(next).to.not.have.been.called;
+      expect(res.json).to.have.been.calledWith({ error: 'Token inválido', code: 'TOKEN_EXPIRED' });
+    });
+  });
+});
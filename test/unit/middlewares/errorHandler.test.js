@@ -0,0 +1,88 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { sendError, errorHandler } = require('../../../rest/middlewares/errorHandler');
+const DomainError = require('../../../src/errors/DomainError');
+const NotFoundError = require('../../../src/errors/NotFoundError');
+const RateLimitedError = require('../../../src/errors/RateLimitedError');
+
+describe('Error Handler Middleware Unit Tests', () => {
+  let res;
+
+  beforeEach(() => {
+    res = {
+      status: sinon.stub().returnsThis(),
+      json: sinon.stub().returnsThis(),
+      set: sinon.stub().returnsThis()
+    };
+  });
+
+  describe('sendError', () => {
+    it('should answer with the status, message and code of the error', () => {
+      // Act
+      sendError(res, new NotFoundError('PRODUCT_NOT_FOUND'));
+
+      // Assert
+      expect(res.status).to.have.been.calledWith(404);
+      expect(res.json).to.have.been.calledWith({ error: 'Produto não encontrado', code: 'PRODUCT_NOT_FOUND' });
+    });
+
+    it('should include the error details and the Retry-After header', () => {
+      // Act
+      sendError(res, new RateLimitedError(8));
+
+      // Assert
+      expect(res.set).to.have.been.calledWith('Retry-After', '8');
+      expect(res.status).to.have.been.calledWith(429);
+      expect(res.json).to.have.been.calledWith({
+        error: 'Muitas tentativas de login. Tente novamente mais tarde',
+        code: 'RATE_LIMITED',
+        retryAfter: 8
+      });
+    });
+
+    it('should rethrow errors that are not domain errors', () => {
+      // Act & Assert
+      expect(() => sendError(res, new TypeError('boom'))).to.throw(TypeError, 'boom');
+      expect(res.status).to.not.have.been.called;
+    });
+  });
+
+  describe('errorHandler', () => {
+    it('should format domain errors thrown outside the controllers', () => {
+      // Act
+      errorHandler(new DomainError('INVALID_QUANTITY'), {}, res, sinon.stub());
+
+      // Assert
+      expect(res.status).to.have.been.calledWith(400);
+      expect(res.json).to.have.been.calledWith({ error: 'Quantidade inválida', code: 'INVALID_QUANTITY' });
+    });
+
+    it('should answer 400 for malformed JSON bodies', () => {
+      // Arrange
+      const err = Object.assign(new SyntaxError('Unexpected token'), { type: 'entity.parse.failed' });
+
+      // Act
+      errorHandler(err, {}, res, sinon.stub());
+
+      // Assert
+      expect(res.status).to.have.been.calledWith(400);
+      expect(res.json).to.have.been.calledWith({ error: 'JSON inválido', code: 'INVALID_JSON' });
+    });
+
+    it('should hide unexpected errors behind a 500', () => {
+      // Arrange
+      sinon.stub(console, 'error');
+
+      // Act
+      try {
+        errorHandler(new Error('detalhe interno'), {}, res, sinon.stub());
+      } finally {
+        console.error.restore();
+      }
+
+      // Assert
+      expect(res.status).to.have.been.calledWith(500);
+      expect(res.json).to.have.been.calledWith({ error: 'Erro interno', code: 'INTERNAL_ERROR' });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const express = require('express');
+const request = require('supertest');
+const { validateRequest, validateBeforeControllers, assertRoutesDocumented } = require('../../../rest/middlewares/validateRequest');
+
+describe('Validate Request Middleware Unit Tests', () => {
+  const body = {
+    required: true,
+    content: {
+      'application/json': {
+        schema: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] }
+      }
+    }
+  };
+  const document = {
+    paths: {
+      '/api/things': { post: { requestBody: body } },
+      '/api/things/{id}': { put: { requestBody: body, security: [{ bearerAuth: [] }] } },
+      '/api/things/special': { put: {} }
+    }
+  };
+  let res, next;
+
+  beforeEach(() => {
+    res = { status: sinon.stub().returnsThis(), json: sinon.stub().returnsThis() };
+    next = sinon.stub();
+  });
+
+  describe('validateRequest', () => {
+    it('should answer 400 with the failing fields', () => {
+      // Act
+      validateRequest(document)({ method: 'POST', path: '/api/things', headers: {}, body: {} }, res, next);
+
+      // Assert
+      expect(res.status).to.have.been.calledWith(400);
+      expect(res.json).to.have.been.calledWith({
+        error: 'Dados inválidos',
+        code: 'VALIDATION_ERROR',
+        fields: [{ field: 'name', code: 'REQUIRED', message: 'Campo obrigatório' }]
+      });
+      expect(next).to.not.have.been.called;
+    });
+
+    it('should call next for valid bodies and undocumented paths', () => {
+      // Act
+      validateRequest(document)({ method: 'POST', path: '/api/things/', headers: {}, body: { name: 'x' } }, res, next);
+      validateRequest(document)({ method: 'POST', path: '/api/other', headers: {}, body: {} }, res, next);
+
+      // Assert
+      expect(next).to.have.been.calledTwice;
+    });
+
+    it('should prefer literal paths over path parameters', () => {
+      // Act
+      validateRequest(document)({ method: 'PUT', path: '/api/things/special', headers: { authorization: 'Bearer x' }, body: {} }, res, next);
+
+      // Assert
+      expect(next).to.have.been.calledOnce;
+    });
+
+    it('should match paths of routers mounted under a prefix', () => {
+      // Act
+      validateRequest(document)({ method: 'PUT', baseUrl: '/api/things', path: '/1', headers: {}, body: {} }, res, next);
+
+      // Assert
+      expect(res.status).to.have.been.calledWith(400);
+      expect(next).to.not.have.been.called;
+    });
+  });
+
+  describe('validateBeforeControllers', () => {
+    function appWith(guard) {
+      const router = express.Router();
+      router.put('/:id', guard, (req, res) => res.json({ ok: true }));
+      validateBeforeControllers(document, { '/api/things': router });
+      const app = express();
+      app.use(express.json());
+      app.use('/api/things', router);
+      return app;
+    }
+
+    it('should let the route guards answer before the body is validated', async () => {
+      // Arrange
+      const app = appWith((req, res) => res.status(403).json({ code: 'FORBIDDEN' }));
+
+      // Act
+      const response = await request(app).put('/api/things/1').send({});
+
+      // Assert
+      expect(response.status).to.equal(403);
+      expect(response.body).to.deep.equal({ code: 'FORBIDDEN' });
+    });
+
+    it('should validate the body once the guards let the request through', async () => {
+      // Arrange
+      const app = appWith((req, res, next) => next());
+
+      // Act
+      const invalid = await request(app).put('/api/things/1').send({});
+      const valid = await request(app).put('/api/things/1').send({ name: 'x' });
+
+      // Assert
+      expect(invalid.status).to.equal(400);
+      expect(invalid.body.code).to.equal('VALIDATION_ERROR');
+      expect(valid.body).to.deep.equal({ ok: true });
+    });
+  });
+
+  describe('assertRoutesDocumented', () => {
+    it('should accept routers whose routes are all documented', () => {
+      // Arrange
+      const router = express.Router();
+      router.post('/', () => {});
+      router.put('/:id', () => {});
+
+      // Act & Assert
+      expect(() => assertRoutesDocumented(document, { '/api/things': router })).to.not.throw();
+    });
+
+    it('should list every undocumented route', () => {
+      // Arrange
+      const router = express.Router();
+      router.get('/', () => {});
+      router.delete('/:id', () => {});
+
+      // Act & Assert
+      expect(() => assertRoutesDocumented(document, { '/api/things': router }))
+        .to.throw('Rotas sem esquema na documentação OpenAPI: GET /api/things, DELETE /api/things/{id}');
+    });
+  });
+});
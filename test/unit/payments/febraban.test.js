@@ -0,0 +1,113 @@
+const { expect } = require('chai');
+const febraban = require('../../../src/payments/febraban');
+const DomainError = require('../../../src/errors/DomainError');
+
+describe('FEBRABAN Boleto Unit Tests', () => {
+  // Example published by Banco do Brasil
+  const barcode = '00193373700000001000500940144816060680935031';
+  const line = '00190500954014481606906809350314337370000000100';
+
+  describe('check digits', () => {
+    it('should compute the module 10 digit of each typeable line field', () => {
+      // Act & Assert
+      expect(febraban.mod10('001905009')).to.equal(5);
+      expect(febraban.mod10('4014481606')).to.equal(9);
+      expect(febraban.mod10('0680935031')).to.equal(4);
+    });
+
+    it('should compute the module 11 general digit', () => {
+      // Act & Assert
+      expect(febraban.mod11(barcode.slice(0, 4) + barcode.slice(5))).to.equal(3);
+    });
+
+    it('should turn module 11 results 0, 10 and 11 into 1', () => {
+      // Act & Assert
+      expect(febraban.mod11('0')).to.equal(1);
+      expect(febraban.mod11('6')).to.equal(1); // 6 * 2 = 12; 11 - 12 % 11 = 10, and results above 9 become 1
+    });
+  });
+
+  describe('bankCheckDigit', () => {
+    it('should compute the check digit printed next to the bank code', () => {
+      // Act & Assert
+      expect(febraban.bankCheckDigit('237')).to.equal(2);
+      expect(febraban.bankCheckDigit('001')).to.equal(9);
+      expect(febraban.bankCheckDigit('341')).to.equal(7);
+      expect(febraban.bankCheckDigit('104')).to.equal(0);
+    });
+  });
+
+  describe('dueDateFactor', () => {
+    it('should count days since 1997-10-07', () => {
+      // Act & Assert
+      expect(febraban.dueDateFactor('2000-07-03')).to.equal(1000);
+      expect(febraban.dueDateFactor('2025-02-21')).to.equal(9999);
+    });
+
+    it('should restart at 1000 after reaching 9999', () => {
+      // Act & Assert
+      expect(febraban.dueDateFactor('2025-02-22')).to.equal(1000);
+      expect(febraban.dueDateFactor('2026-10-19')).to.equal(1604);
+    });
+  });
+
+  describe('buildBarcode', () => {
+    it('should assemble the 44 digits with the general check digit', () => {
+      // Act
+      const result = febraban.buildBarcode({
+        bankCode: '001',
+        dueDate: '2007-12-31',
+        amount: 1,
+        freeField: '0500940144816060680935031'
+      });
+
+      // Assert
+      expect(result).to.equal(barcode);
+    });
+
+    it('should reject amounts that do not fit in ten digits of cents', () => {
+      // Act & Assert
+      expect(() => febraban.buildBarcode({ bankCode: '001', dueDate: '2026-10-19', amount: 99999999.99, freeField: '0500940144816060680935031' }))
+        .to.not.throw();
+      expect(() => febraban.buildBarcode({ bankCode: '001', dueDate: '2026-10-19', amount: 100000000, freeField: '0500940144816060680935031' }))
+        .to.throw(DomainError)
+        .with.property('code', 'BOLETO_AMOUNT_TOO_HIGH');
+    });
+
+    it('should reject a free field with the wrong length', () => {
+      // Act & Assert
+      expect(() => febraban.buildBarcode({ bankCode: '001', dueDate: '2026-10-19', amount: 1, freeField: '123' }))
+        .to.throw('O campo livre do boleto deve ter 25 dígitos');
+    });
+  });
+
+  describe('digitableLine', () => {
+    it('should build the 47-digit typeable line from the barcode', () => {
+      // Act
+      const result = febraban.digitableLine(barcode);
+
+      // Assert
+      expect(result).to.equal(line);
+      expect(febraban.formatDigitableLine(result)).to.equal('00190.50095 40144.816069 06809.350314 3 37370000000100');
+    });
+  });
+
+  describe('interleaved2of5', () => {
+    it('should encode digit pairs between the start and stop patterns', () => {
+      // Act
+      const pattern = febraban.interleaved2of5('12');
+
+      // Assert
+      // 1 = wnnnw in the bars, 2 = nwnnw in the spaces
+      expect(pattern).to.equal('nnnn' + 'wnnwnnnnww' + 'wnn');
+    });
+
+    it('should produce ten elements per digit pair', () => {
+      // Act
+      const pattern = febraban.interleaved2of5(barcode);
+
+      // Assert
+      expect(pattern).to.have.lengthOf(4 + 22 * 10 + 3);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const { expect } = require('chai');
+const { createMockGateway } = require('../../../src/payments/mockGateway');
+const { createGateway } = require('../../../src/payments');
+const { createRepository } = require('../../../src/repositories/repository');
+const { createMemoryStore } = require('../../../src/repositories/memoryStore');
+const DomainError = require('../../../src/errors/DomainError');
+
+describe('Mock Payment Gateway Unit Tests', () => {
+  let gateway;
+
+  beforeEach(() => {
+    gateway = createMockGateway();
+  });
+
+  describe('authorize', () => {
+    it('should approve ordinary card numbers', () => {
+      // Act
+      const transaction = gateway.authorize({ amount: 150, card: { number: '4111 1111 1111 1111' } });
+
+      // Assert
+      expect(transaction).to.include({ amount: 150, status: 'authorized' });
+      expect(transaction.id).to.be.a('string');
+    });
+
+    it('should follow the magic card numbers', () => {
+      // Act
+      const declined = gateway.authorize({ amount: 10, card: { number: '4000000000000002' } });
+      const noFunds = gateway.authorize({ amount: 10, card: { number: '4000 0000 0000 9995' } });
+      const timeout = gateway.authorize({ amount: 10, card: { number: '4000000000000119' } });
+
+      // Assert
+      expect(declined).to.include({ status: 'declined', reason: 'card_declined' });
+      expect(noFunds).to.include({ status: 'declined', reason: 'insufficient_funds' });
+      expect(timeout).to.include({ status: 'failed', reason: 'timeout' });
+    });
+  });
+
+  describe('capture, void and refund', () => {
+    it('should capture and refund an authorization', () => {
+      // Arrange
+      const { id } = gateway.authorize({ amount: 50, card: { number: '4111111111111111' } });
+
+      // Act
+      const captured = gateway.capture(id);
+      const refunded = gateway.refund(id);
+
+      // Assert
+      expect(captured.status).to.equal('captured');
+      expect(refunded.status).to.equal('refunded');
+      expect(gateway.transactions()).to.have.lengthOf(1);
+    });
+
+    it('should void an authorization that was not captured', () => {
+      // Arrange
+      const { id } = gateway.authorize({ amount: 50, card: { number: '4111111111111111' } });
+
+      // Act & Assert
+      expect(gateway.void(id).status).to.equal('voided');
+      expect(() => gateway.capture(id)).to.throw(DomainError, 'A transação de pagamento não permite esta operação');
+    });
+
+    it('should reject operations out of order or on unknown transactions', () => {
+      // Arrange
+      const { id } = gateway.authorize({ amount: 50, card: { number: '4000000000000002' } });
+
+      // Act & Assert
+      expect(() => gateway.capture(id)).to.throw(DomainError).with.property('details')
+        .that.deep.equals({ transactionId: id, transactionStatus: 'declined' });
+      expect(() => gateway.refund('desconhecida')).to.throw(DomainError).that.includes({
+        code: 'PAYMENT_TRANSACTION_NOT_FOUND',
+        status: 409
+      });
+    });
+  });
+
+  describe('storage', () => {
+    it('should keep transactions in the given repository across gateway instances', () => {
+      // Arrange
+      const transactions = createRepository(createMemoryStore(), 'paymentTransactions');
+      const { id } = createMockGateway(transactions).authorize({ amount: 50, card: { number: '4111111111111111' } });
+
+      // Act
+      const captured = createMockGateway(transactions).capture(id);
+
+      // Assert
+      expect(captured.status).to.equal('captured');
+      expect(transactions.findById(id).status).to.equal('captured');
+    });
+  });
+
+  describe('createGateway', () => {
+    it('should reject unknown drivers', () => {
+      // Act & Assert
+      expect(createGateway({ driver: 'mock' }).name).to.equal('mock');
+      expect(() => createGateway({ driver: 'stripe' })).to.throw('Gateway de pagamento desconhecido: stripe');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const { expect } = require('chai');
+const pix = require('../../../src/payments/pix');
+
+describe('Pix BR Code Unit Tests', () => {
+  // Example from the Central Bank's BR Code manual
+  const example = '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-4266554400005204000053039865802BR' +
+    '5913Fulano de Tal6008BRASILIA62070503***63041D3D';
+
+  describe('crc16', () => {
+    it('should compute CRC-16/CCITT-FALSE in uppercase hex', () => {
+      // Act & Assert
+      expect(pix.crc16('123456789')).to.equal('29B1');
+      expect(pix.crc16(example.slice(0, -4))).to.equal('1D3D');
+    });
+
+    it('should pad the checksum to four digits', () => {
+      // Act & Assert
+      expect(pix.crc16('11')).to.equal('0DD9');
+      expect(pix.crc16('')).to.equal('FFFF');
+    });
+  });
+
+  describe('buildBrCode', () => {
+    it('should reproduce the Central Bank example', () => {
+      // Act
+      const brCode = pix.buildBrCode({
+        key: '123e4567-e12b-12d1-a456-426655440000',
+        merchantName: 'Fulano de Tal',
+        merchantCity: 'BRASILIA'
+      });
+
+      // Assert
+      expect(brCode).to.equal(example);
+    });
+
+    it('should include amount and txid', () => {
+      // Act
+      const brCode = pix.buildBrCode({
+        key: 'pagamentos@loja.local',
+        merchantName: 'Loja',
+        merchantCity: 'Sao Paulo',
+        amount: 114,
+        txid: 'abc123'
+      });
+      const { fields, valid } = pix.parseBrCode(brCode);
+
+      // Assert
+      expect(valid).to.be.true;
+      expect(fields['54']).to.equal('114.00');
+      expect(fields['62']).to.equal('0506abc123');
+      expect(fields['26']).to.equal('0014br.gov.bcb.pix0121pagamentos@loja.local');
+    });
+
+    it('should strip accents and truncate merchant name and city', () => {
+      // Act
+      const { fields } = pix.parseBrCode(pix.buildBrCode({
+        key: 'chave',
+        merchantName: 'Padaria e Confeitaria São João Ltda',
+        merchantCity: 'São José dos Campos'
+      }));
+
+      // Assert
+      expect(fields['59']).to.equal('Padaria e Confeitaria Sao');
+      expect(fields['60']).to.equal('Sao Jose dos Ca');
+    });
+  });
+
+  describe('parseBrCode', () => {
+    it('should flag a payload whose checksum does not match', () => {
+      // Act & Assert
+      expect(pix.parseBrCode(example.replace('Fulano', 'Ciclano')).valid).to.be.false;
+    });
+  });
+});
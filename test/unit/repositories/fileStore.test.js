@@ -0,0 +1,61 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../../../src/repositories/fileStore');
+const { createRepository } = require('../../../src/repositories/repository');
+
+describe('File Store Unit Tests', () => {
+  let dir, filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+    filePath = path.join(dir, 'nested', 'store.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should create the file with seeded collections', () => {
+    // Act
+    createRepository(createFileStore(filePath), 'products', { seed: [{ id: 1, name: 'A' }] });
+
+    // Assert
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    expect(data).to.deep.equal({ products: [{ id: 1, name: 'A' }] });
+  });
+
+  it('should keep data across store instances', () => {
+    // Arrange
+    const first = createRepository(createFileStore(filePath), 'products', { seed: [{ id: 1, name: 'A' }] });
+    first.update(1, { name: 'Alterado' });
+
+    // Act
+    const second = createRepository(createFileStore(filePath), 'products', { seed: [{ id: 1, name: 'A' }] });
+
+    // Assert
+    expect(second.findById(1)).to.deep.equal({ id: 1, name: 'Alterado' });
+  });
+
+  it('should see writes made by another store on the same file', () => {
+    // Arrange
+    const rest = createRepository(createFileStore(filePath), 'orders');
+    const graphql = createRepository(createFileStore(filePath), 'orders');
+    expect(graphql.count()).to.equal(0);
+
+    // Act
+    rest.insert({ id: 1, total: 10 });
+
+    // Assert
+    expect(graphql.findById(1)).to.deep.equal({ id: 1, total: 10 });
+  });
+
+  it('should not leave temporary files behind', () => {
+    // Act
+    createRepository(createFileStore(filePath), 'orders').insert({ id: 1 });
+
+    // Assert
+    expect(fs.readdirSync(path.dirname(filePath))).to.deep.equal(['store.json']);
+  });
+});
@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const { createRepository } = require('../../../src/repositories/repository');
+const { createMemoryStore } = require('../../../src/repositories/memoryStore');
+const { createStore } = require('../../../src/repositories');
+
+describe('Repository Unit Tests', () => {
+  let store, repository;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    repository = createRepository(store, 'items', { seed: [{ id: 1, name: 'A', tags: ['x'] }] });
+  });
+
+  it('should seed an empty collection', () => {
+    expect(repository.findAll()).to.deep.equal([{ id: 1, name: 'A', tags: ['x'] }]);
+  });
+
+  it('should not reseed a collection that already exists', () => {
+    // Arrange
+    repository.insert({ id: 2, name: 'B' });
+
+    // Act
+    const other = createRepository(store, 'items', { seed: [] });
+
+    // Assert
+    expect(other.count()).to.equal(2);
+  });
+
+  it('should return copies that do not change stored records', () => {
+    // Act
+    const record = repository.findById(1);
+    record.name = 'Alterado';
+    record.tags.push('y');
+
+    // Assert
+    expect(repository.findById(1)).to.deep.equal({ id: 1, name: 'A', tags: ['x'] });
+  });
+
+  it('should insert, update and remove records', () => {
+    // Act
+    repository.insert({ id: repository.nextId(), name: 'B' });
+    const updated = repository.update(2, { name: 'B2' });
+    const removed = repository.remove(1);
+
+    // Assert
+    expect(updated).to.deep.equal({ id: 2, name: 'B2' });
+    expect(removed).to.have.property('name', 'A');
+    expect(repository.findAll()).to.deep.equal([{ id: 2, name: 'B2' }]);
+  });
+
+  it('should drop fields updated to undefined', () => {
+    // Act
+    const updated = repository.update(1, { name: undefined, active: true });
+
+    // Assert
+    expect(updated).to.deep.equal({ id: 1, tags: ['x'], active: true });
+    expect(repository.findById(1)).to.not.have.property('name');
+  });
+
+  it('should return null when updating or removing unknown records', () => {
+    expect(repository.update(99, { name: 'X' })).to.be.null;
+    expect(repository.remove(99)).to.be.null;
+  });
+
+  it('should compute next id from the highest id', () => {
+    // Arrange
+    repository.insert({ id: 7, name: 'B' });
+
+    // Act & Assert
+    expect(repository.nextId()).to.equal(8);
+  });
+
+  it('should never reuse the id of a removed record', () => {
+    // Arrange
+    repository.insert({ id: 2, name: 'B' });
+    repository.remove(2);
+
+    // Act & Assert
+    expect(repository.nextId()).to.equal(3);
+    expect(createRepository(store, 'items').nextId()).to.equal(3);
+  });
+
+  it('should restart the id sequence on reset', () => {
+    // Arrange
+    repository.insert({ id: 5, name: 'E' });
+
+    // Act
+    repository.reset([]);
+
+    // Assert
+    expect(repository.nextId()).to.equal(1);
+  });
+
+  it('should support a custom key field', () => {
+    // Arrange
+    const carts = createRepository(store, 'carts', { key: 'userId' });
+
+    // Act
+    carts.insert({ userId: 5, items: [] });
+    carts.update(5, { items: [{ productId: 1 }] });
+
+    // Assert
+    expect(carts.findById(5)).to.deep.equal({ userId: 5, items: [{ productId: 1 }] });
+  });
+
+  it('should reject unknown store drivers', () => {
+    expect(() => createStore({ driver: 'mongo' })).to.throw('Driver de armazenamento desconhecido: mongo');
+  });
+});
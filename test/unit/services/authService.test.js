@@ -0,0 +1,91 @@
+const { expect } = require('chai');
+const authService = require('../../../src/services/authService');
+const tokenService = require('../../../src/services/tokenService');
+const AuthenticationError = require('../../../src/errors/AuthenticationError');
+const AuthorizationError = require('../../../src/errors/AuthorizationError');
+const testHelper = require('../../helpers/testHelper');
+
+describe('Auth Service Unit Tests', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  function authError(header, options) {
+    try {
+      authService.authenticateHeader(header, options);
+    } catch (err) {
+      return err;
+    }
+    return null;
+  }
+
+  describe('authenticateHeader', () => {
+    it('should return the token payload for a valid bearer token', () => {
+      // Arrange
+      const token = testHelper.generateValidToken({ id: 2, email: 'bob@email.com', role: 'user' });
+
+      // Act
+      const userData = authService.authenticateHeader(`Bearer ${token}`);
+
+      // Assert
+      expect(userData).to.include({ id: 2, role: 'user' });
+    });
+
+    it('should accept the scheme in any case', () => {
+      expect(authService.authenticateHeader(`bearer ${testHelper.generateValidToken()}`)).to.have.property('id', 1);
+    });
+
+    it('should classify missing, malformed, expired and invalid tokens', () => {
+      expect(authError(undefined)).to.be.instanceOf(AuthenticationError).with.property('code', 'TOKEN_MISSING');
+      expect(authError('Basic dXNlcjpzZW5oYQ==')).to.have.property('code', 'TOKEN_MALFORMED');
+      expect(authError('Bearer')).to.have.property('code', 'TOKEN_MALFORMED');
+      expect(authError('Bearer nao-e-jwt')).to.have.property('code', 'TOKEN_MALFORMED');
+      expect(authError(`Bearer ${testHelper.generateExpiredToken()}`)).to.have.property('code', 'TOKEN_EXPIRED');
+      expect(authError(`Bearer ${testHelper.generateValidToken()}x`)).to.have.property('code', 'TOKEN_INVALID');
+    });
+
+    it('should report revoked tokens', () => {
+      // Arrange
+      const { token } = tokenService.createSession({ id: 1, email: 'alice@email.com', role: 'admin' });
+      tokenService.logout(tokenService.verifyAccessToken(token));
+
+      // Act & Assert
+      expect(authError(`Bearer ${token}`)).to.have.property('code', 'TOKEN_REVOKED');
+    });
+
+    it('should return null without a token only when optional', () => {
+      expect(authService.authenticateHeader(undefined, { optional: true })).to.be.null;
+      expect(authError('Bearer nao-e-jwt', { optional: true })).to.have.property('code', 'TOKEN_MALFORMED');
+    });
+  });
+
+  describe('authorize', () => {
+    it('should check roles', () => {
+      expect(authService.authorize({ id: 1, role: 'admin' }, { roles: ['admin'] })).to.have.property('id', 1);
+      expect(() => authService.authorize({ id: 2, role: 'user' }, { roles: ['admin'] })).to.throw(AuthorizationError, 'Acesso negado');
+    });
+
+    it('should let the owner through without the role', () => {
+      expect(authService.authorize({ id: 2, role: 'user' }, { roles: ['admin'], owner: 2 })).to.have.property('id', 2);
+      expect(() => authService.authorize({ id: 2, role: 'user' }, { roles: ['admin'], owner: 1 })).to.throw(AuthorizationError);
+    });
+
+    it('should require every scope', () => {
+      expect(() => authService.authorize({ id: 1, scope: 'orders:read orders:write' }, { scopes: ['orders:read'] })).to.not.throw();
+      expect(() => authService.authorize({ id: 1, scope: 'orders:read' }, { scopes: ['orders:read', 'orders:write'] }))
+        .to.throw(AuthorizationError)
+        .with.property('scopes')
+        .that.deep.equals(['orders:read', 'orders:write']);
+    });
+  });
+
+  describe('wwwAuthenticate', () => {
+    it('should build RFC 6750 challenges', () => {
+      expect(authService.wwwAuthenticate(new AuthenticationError('TOKEN_MISSING'))).to.equal('Bearer realm="api"');
+      expect(authService.wwwAuthenticate(new AuthenticationError('TOKEN_EXPIRED')))
+        .to.equal('Bearer realm="api", error="invalid_token", error_description="The access token expired"');
+      expect(authService.wwwAuthenticate(new AuthorizationError(['orders:write'])))
+        .to.equal('Bearer realm="api", error="insufficient_scope", scope="orders:write"');
+    });
+  });
+});
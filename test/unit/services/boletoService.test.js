@@ -0,0 +1,94 @@
+const { expect } = require('chai');
+const boletoService = require('../../../src/services/boletoService');
+const config = require('../../../src/config');
+const { boletos } = require('../../../src/repositories');
+const { digitableLine } = require('../../../src/payments/febraban');
+const testHelper = require('../../helpers/testHelper');
+
+describe('Boleto Service Unit Tests', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  describe('addBusinessDays', () => {
+    it('should skip weekends', () => {
+      // Arrange
+      const friday = new Date(2026, 9, 16);
+
+      // Act & Assert
+      expect(boletoService.addBusinessDays(friday, 1)).to.equal('2026-10-19');
+      expect(boletoService.addBusinessDays(friday, 3)).to.equal('2026-10-21');
+    });
+
+    it('should skip national holidays', () => {
+      // Arrange
+      const wednesday = new Date(2026, 11, 23);
+
+      // Act & Assert
+      expect(boletoService.addBusinessDays(wednesday, 2)).to.equal('2026-12-28'); // December 25 is a holiday
+    });
+
+    it('should accept a custom holiday list', () => {
+      // Arrange
+      const monday = new Date(2026, 9, 19);
+
+      // Act & Assert
+      expect(boletoService.addBusinessDays(monday, 1, ['10-20'])).to.equal('2026-10-21');
+      expect(boletoService.addBusinessDays(monday, 1, [])).to.equal('2026-10-20');
+    });
+  });
+
+  describe('issueBoleto', () => {
+    it('should store a boleto due in the configured number of business days', () => {
+      // Arrange
+      const friday = new Date(2026, 9, 16, 15, 30);
+
+      // Act
+      const boleto = boletoService.issueBoleto({ orderId: 7, userId: 1, amount: 120.5, payer: { name: 'Alice', email: 'alice@email.com' } }, friday);
+
+      // Assert
+      expect(boleto).to.include({ id: 1, orderId: 7, userId: 1, status: 'pending', amount: 120.5, issueDate: '2026-10-16' });
+      expect(boleto.dueDate).to.equal(boletoService.addBusinessDays(friday, config.boleto.dueBusinessDays));
+      expect(boleto.nossoNumero).to.equal('00000000001');
+      expect(boletos.findById(1)).to.deep.equal(boleto);
+    });
+
+    it('should encode bank, amount and nosso número in the barcode', () => {
+      // Act
+      const boleto = boletoService.issueBoleto({ orderId: 1, userId: 1, amount: 120.5 }, new Date(2026, 9, 16));
+
+      // Assert
+      expect(boleto.barcode).to.match(/^\d{44}$/);
+      expect(boleto.barcode.slice(0, 4)).to.equal(`${config.boleto.bankCode}9`);
+      expect(boleto.barcode.slice(9, 19)).to.equal('0000012050');
+      expect(boleto.barcode.slice(25, 36)).to.equal('00000000001');
+      expect(boleto.digitableLine).to.have.lengthOf(47);
+      expect(boleto.digitableLine).to.equal(digitableLine(boleto.barcode));
+    });
+  });
+
+  describe('findBoleto', () => {
+    it('should only return boletos of the given user', () => {
+      // Arrange
+      const boleto = boletoService.issueBoleto({ orderId: 1, userId: 2, amount: 10 });
+
+      // Act & Assert
+      expect(boletoService.findBoleto(2, String(boleto.id))).to.deep.equal(boleto);
+      expect(boletoService.findBoleto(1, boleto.id)).to.be.undefined;
+    });
+  });
+
+  describe('cancelOrderBoleto', () => {
+    it('should cancel the pending boleto of the order', () => {
+      // Arrange
+      const boleto = boletoService.issueBoleto({ orderId: 3, userId: 2, amount: 10 });
+
+      // Act
+      const cancelled = boletoService.cancelOrderBoleto(3);
+
+      // Assert
+      expect(cancelled).to.include({ id: boleto.id, status: 'cancelled' });
+      expect(boletoService.cancelOrderBoleto(3)).to.be.null;
+    });
+  });
+});
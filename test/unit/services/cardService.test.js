@@ -0,0 +1,155 @@
+const { expect } = require('chai');
+const cardService = require('../../../src/services/cardService');
+
+describe('Card Service Unit Tests', () => {
+  const now = new Date(2026, 5, 15);
+  const validCard = { number: '4111111111111111', name: 'Test User', expiry: '12/30', cvv: '123' };
+
+  describe('isValidLuhn', () => {
+    it('should accept numbers with a valid check digit', () => {
+      // Act & Assert
+      expect(cardService.isValidLuhn('4111111111111111')).to.be.true;
+      expect(cardService.isValidLuhn('378282246310005')).to.be.true;
+    });
+
+    it('should reject a wrong check digit or non-digits', () => {
+      // Act & Assert
+      expect(cardService.isValidLuhn('4111111111111112')).to.be.false;
+      expect(cardService.isValidLuhn('4111-1111')).to.be.false;
+      expect(cardService.isValidLuhn('')).to.be.false;
+    });
+  });
+
+  describe('detectBrand', () => {
+    it('should detect each accepted brand from the BIN', () => {
+      // Arrange
+      const numbers = {
+        visa: '4111111111111111',
+        mastercard: '5555555555554444',
+        amex: '378282246310005',
+        elo: '6362970000457013',
+        hipercard: '6062825624254001'
+      };
+
+      for (const [brand, number] of Object.entries(numbers)) {
+        // Act & Assert
+        expect(cardService.detectBrand(number)).to.equal(brand);
+      }
+    });
+
+    it('should detect Mastercard 2-series and Elo BINs inside the Visa range', () => {
+      // Act & Assert
+      expect(cardService.detectBrand('2223003122003222')).to.equal('mastercard');
+      expect(cardService.detectBrand('4011780000000000')).to.equal('elo');
+    });
+
+    it('should return null for unknown brands', () => {
+      // Act & Assert
+      expect(cardService.detectBrand('6011111111111117')).to.be.null;
+    });
+  });
+
+  describe('checkCard', () => {
+    it('should accept a valid card', () => {
+      // Act & Assert
+      expect(cardService.checkCard(validCard, now)).to.be.empty;
+    });
+
+    it('should accept numbers grouped with spaces or hyphens', () => {
+      // Act & Assert
+      expect(cardService.checkCard({ ...validCard, number: '4111 1111-1111 1111' }, now)).to.be.empty;
+    });
+
+    it('should reject a number that fails the Luhn check', () => {
+      // Act
+      const violations = cardService.checkCard({ ...validCard, number: '1234432112344322' }, now);
+
+      // Assert
+      expect(violations).to.deep.equal([{ field: 'cardData.number', code: 'INVALID_CARD_NUMBER' }]);
+    });
+
+    it('should reject a valid number from a brand that is not accepted', () => {
+      // Act
+      const violations = cardService.checkCard({ ...validCard, number: '6011111111111117' }, now);
+
+      // Assert
+      expect(violations).to.deep.equal([{ field: 'cardData.number', code: 'UNSUPPORTED_CARD_BRAND' }]);
+    });
+
+    it('should reject a length the brand does not issue', () => {
+      // Act
+      const violations = cardService.checkCard({ ...validCard, number: '5105105105102' }, now);
+
+      // Assert
+      expect(violations).to.deep.equal([{ field: 'cardData.number', code: 'INVALID_CARD_NUMBER' }]);
+    });
+
+    it('should require the cardholder name', () => {
+      // Act
+      const violations = cardService.checkCard({ ...validCard, name: '  ' }, now);
+
+      // Assert
+      expect(violations).to.deep.equal([{ field: 'cardData.name', code: 'CARD_HOLDER_REQUIRED' }]);
+    });
+
+    it('should reject malformed expiry dates', () => {
+      for (const expiry of ['13/30', '00/30', '1/30', '12/2030', undefined]) {
+        // Act
+        const violations = cardService.checkCard({ ...validCard, expiry }, now);
+
+        // Assert
+        expect(violations).to.deep.equal([{ field: 'cardData.expiry', code: 'INVALID_CARD_EXPIRY' }]);
+      }
+    });
+
+    it('should keep the card valid until the end of the expiry month', () => {
+      // Act & Assert
+      expect(cardService.checkCard({ ...validCard, expiry: '06/26' }, now)).to.be.empty;
+      expect(cardService.checkCard({ ...validCard, expiry: '05/26' }, now)).to.deep.equal([
+        { field: 'cardData.expiry', code: 'CARD_EXPIRED' }
+      ]);
+    });
+
+    it('should compare the expiry with the current date by default', () => {
+      // Act
+      const violations = cardService.checkCard({ ...validCard, expiry: '10/04' });
+
+      // Assert
+      expect(violations).to.deep.equal([{ field: 'cardData.expiry', code: 'CARD_EXPIRED' }]);
+    });
+
+    it('should require a 4-digit CVV for Amex and 3 digits for the other brands', () => {
+      // Act
+      const amex = cardService.checkCard({ ...validCard, number: '378282246310005', cvv: '123' }, now);
+      const visa = cardService.checkCard({ ...validCard, cvv: '1234' }, now);
+
+      // Assert
+      expect(amex).to.deep.equal([{ field: 'cardData.cvv', code: 'INVALID_CVV_LENGTH', params: { length: 4 } }]);
+      expect(visa).to.deep.equal([{ field: 'cardData.cvv', code: 'INVALID_CVV_LENGTH', params: { length: 3 } }]);
+      expect(cardService.checkCard({ ...validCard, number: '378282246310005', cvv: '1234' }, now)).to.be.empty;
+    });
+
+    it('should report every invalid field at once', () => {
+      // Act
+      const violations = cardService.checkCard({ number: 'abc', expiry: '01/20', cvv: 'x' }, now);
+
+      // Assert
+      expect(violations).to.deep.equal([
+        { field: 'cardData.number', code: 'INVALID_CARD_NUMBER' },
+        { field: 'cardData.name', code: 'CARD_HOLDER_REQUIRED' },
+        { field: 'cardData.expiry', code: 'CARD_EXPIRED' },
+        { field: 'cardData.cvv', code: 'INVALID_CVV' }
+      ]);
+    });
+  });
+
+  describe('summarizeCard', () => {
+    it('should keep only the brand and the last four digits', () => {
+      // Act
+      const card = cardService.summarizeCard({ ...validCard, number: '3782 822463 10005' });
+
+      // Assert
+      expect(card).to.deep.equal({ brand: 'amex', last4: '0005' });
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const { expect } = require('chai');
+const cartService = require('../../../src/services/cartService');
+const { products } = require('../../../src/repositories');
+const testHelper = require('../../helpers/testHelper');
+
+describe('Cart Service Unit Tests', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  describe('getCart', () => {
+    it('should return an empty cart for a new user', () => {
+      // Act
+      const cart = cartService.getCart(1);
+
+      // Assert
+      expect(cart).to.include({ userId: 1, itemCount: 0, subtotal: 0 });
+      expect(cart.items).to.deep.equal([]);
+      expect(cart).to.not.have.property('total');
+    });
+
+    it('should price items with current catalog prices', () => {
+      // Arrange
+      cartService.addItem(1, 1, 2);
+      products.update(1, { price: 150 });
+
+      // Act
+      const cart = cartService.getCart(1);
+
+      // Assert
+      expect(cart.items[0]).to.deep.equal({ productId: 1, name: 'Produto A', unitPrice: 150, quantity: 2, subtotal: 300 });
+      expect(cart.subtotal).to.equal(300);
+    });
+
+    it('should include freight and total when a postal code is given', () => {
+      // Arrange
+      cartService.addItem(1, 1, 2);
+
+      // Act
+      const cart = cartService.getCart(1, testHelper.samplePostalCode);
+
+      // Assert
+      expect(cart.shipping).to.include({ zone: 'SP - Capital', freight: 20 });
+      expect(cart.total).to.equal(220);
+    });
+
+    it('should drop items whose product was removed from the catalog', () => {
+      // Arrange
+      cartService.addItem(1, 1, 1);
+      cartService.addItem(1, 2, 1);
+      products.remove(2);
+
+      // Act
+      const cart = cartService.getCart(1);
+
+      // Assert
+      expect(cart.items.map(i => i.productId)).to.deep.equal([1]);
+      expect(cart.subtotal).to.equal(100);
+    });
+  });
+
+  describe('addItem', () => {
+    it('should sum quantities when the product is already in the cart', () => {
+      // Act
+      cartService.addItem(1, 1, 1);
+      const cart = cartService.addItem(1, 1, 2);
+
+      // Assert
+      expect(cart.items).to.have.length(1);
+      expect(cart.itemCount).to.equal(3);
+    });
+
+    it('should keep carts separate per user', () => {
+      // Act
+      cartService.addItem(1, 1, 1);
+
+      // Assert
+      expect(cartService.getCart(2).items).to.deep.equal([]);
+    });
+
+    it('should reject unknown products', () => {
+      expect(() => cartService.addItem(1, 999, 1)).to.throw('Produto não encontrado');
+    });
+
+    it('should reject invalid quantities', () => {
+      expect(() => cartService.addItem(1, 1, 0)).to.throw('Quantidade inválida');
+      expect(() => cartService.addItem(1, 1, 1.5)).to.throw('Quantidade inválida');
+    });
+  });
+
+  describe('updateItem', () => {
+    it('should replace the quantity of an item', () => {
+      // Arrange
+      cartService.addItem(1, 1, 1);
+
+      // Act
+      const cart = cartService.updateItem(1, '1', 4);
+
+      // Assert
+      expect(cart.items[0].quantity).to.equal(4);
+    });
+
+    it('should fail when the item is not in the cart', () => {
+      expect(() => cartService.updateItem(1, 2, 1)).to.throw('Item não encontrado no carrinho');
+    });
+  });
+
+  describe('removeItem and clearCart', () => {
+    it('should remove a single item', () => {
+      // Arrange
+      cartService.addItem(1, 1, 1);
+      cartService.addItem(1, 2, 1);
+
+      // Act
+      const cart = cartService.removeItem(1, 1);
+
+      // Assert
+      expect(cart.items.map(i => i.productId)).to.deep.equal([2]);
+    });
+
+    it('should fail when removing an item that is not in the cart', () => {
+      expect(() => cartService.removeItem(1, 1)).to.throw('Item não encontrado no carrinho');
+    });
+
+    it('should empty the cart', () => {
+      // Arrange
+      cartService.addItem(1, 1, 1);
+
+      // Act
+      const cart = cartService.clearCart(1);
+
+      // Assert
+      expect(cart.items).to.deep.equal([]);
+    });
+  });
+});
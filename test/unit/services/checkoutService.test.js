@@ -1,6 +1,11 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
 const checkoutService = require('../../../src/services/checkoutService');
+const paymentService = require('../../../src/services/paymentService');
+const { users, products, orders } = require('../../../src/repositories');
+const EmailNotVerifiedError = require('../../../src/errors/EmailNotVerifiedError');
+const ValidationError = require('../../../src/errors/ValidationError');
+const DomainError = require('../../../src/errors/DomainError');
 const testHelper = require('../../helpers/testHelper');
 
 describe('Checkout Service Unit Tests', () => {
@@ -87,17 +92,26 @@ describe('Checkout Service Unit Tests', () => {
       expect(total).to.equal(126.66); // (100 + 33.33) * 0.95 = 126.6635, rounded to 126.66
     });
 
-    it('should handle zero quantity items', () => {
+    it('should reject zero quantity items', () => {
       // Arrange
-      const items = [{ productId: 1, quantity: 0 }]; // 0 * 100 = 0
+      const items = [{ productId: 1, quantity: 0 }];
       const freight = 15;
       const paymentMethod = 'boleto';
 
-      // Act
-      const total = checkoutService.calculateTotal(items, freight, paymentMethod);
+      // Act & Assert
+      expect(() => {
+        checkoutService.calculateTotal(items, freight, paymentMethod);
+      }).to.throw('Quantidade inválida');
+    });
 
-      // Assert
-      expect(total).to.equal(15); // 0 + 15 = 15
+    it('should reject negative and fractional quantities', () => {
+      // Act & Assert
+      expect(() => {
+        checkoutService.calculateTotal([{ productId: 1, quantity: -1 }], 10, 'boleto');
+      }).to.throw('Quantidade inválida');
+      expect(() => {
+        checkoutService.calculateTotal([{ productId: 1, quantity: 1.5 }], 10, 'boleto');
+      }).to.throw('Quantidade inválida');
     });
 
     it('should handle negative freight', () => {
@@ -213,11 +227,10 @@ describe('Checkout Service Unit Tests', () => {
 
     it('should handle decimal prices correctly', () => {
       // Note: Current products have integer prices, but testing the logic
-      const products = require('../../../src/models/product');
-      const originalProduct = { ...products[0] };
-      
+      const { products } = require('../../../src/repositories');
+
       // Temporarily modify product price for testing
-      products[0].price = 99.99;
+      products.update(1, { price: 99.99 });
 
       try {
         // Arrange
@@ -232,27 +245,80 @@ describe('Checkout Service Unit Tests', () => {
         expect(total).to.equal(104.97); // (99.99 + 10.50) * 0.95 = 104.9655, rounded to 104.97
       } finally {
         // Restore original product price
-        products[0] = originalProduct;
+        products.update(1, { price: 100 });
       }
     });
   });
 
+  describe('calculatePricing', () => {
+    it('should itemize every line with product name and unit price', () => {
+      // Arrange
+      const items = [
+        { productId: 1, quantity: 2 },
+        { productId: 2, quantity: 1 }
+      ];
+
+      // Act
+      const pricing = checkoutService.calculatePricing(items, 20, 'boleto');
+
+      // Assert
+      expect(pricing.lines).to.deep.equal([
+        { productId: 1, name: 'Produto A', unitPrice: 100, quantity: 2, subtotal: 200 },
+        { productId: 2, name: 'Produto B', unitPrice: 200, quantity: 1, subtotal: 200 }
+      ]);
+      expect(pricing).to.include({ subtotal: 400, freight: 20, discountTotal: 0, total: 420 });
+    });
+
+    it('should keep subtotal + freight - discountTotal equal to total', () => {
+      // Arrange
+      const items = [{ productId: 1, quantity: 1 }];
+
+      // Act
+      const pricing = checkoutService.calculatePricing(items, 33.33, 'credit_card');
+
+      // Assert
+      expect(pricing).to.include({ subtotal: 100, freight: 33.33, discountTotal: 6.67, total: 126.66 });
+      expect(parseFloat((pricing.subtotal + pricing.freight - pricing.discountTotal).toFixed(2))).to.equal(pricing.total);
+    });
+  });
+
   describe('checkout', () => {
+    it('should refuse accounts with an unverified email', () => {
+      // Arrange
+      users.update(2, { verified: false });
+      const items = [{ productId: 1, quantity: 1 }];
+
+      // Act & Assert
+      expect(() => checkoutService.checkout(2, items, testHelper.samplePostalCode, 'boleto'))
+        .to.throw(EmailNotVerifiedError)
+        .with.property('code', 'EMAIL_NOT_VERIFIED');
+      expect(products.findById(1).stock).to.equal(100);
+    });
+
+    it('should treat users stored without the verified flag as verified', () => {
+      // Arrange
+      users.update(2, { verified: undefined });
+
+      // Act & Assert
+      expect(() => checkoutService.checkout(2, [{ productId: 1, quantity: 1 }], testHelper.samplePostalCode, 'boleto'))
+        .to.not.throw();
+    });
+
     it('should process boleto checkout successfully', () => {
       // Arrange
       const userId = 1;
       const items = [{ productId: 1, quantity: 2 }];
-      const freight = 20;
+      const postalCode = testHelper.samplePostalCode;
       const paymentMethod = 'boleto';
       const cardData = undefined;
 
       // Act
-      const result = checkoutService.checkout(userId, items, freight, paymentMethod, cardData);
+      const result = checkoutService.checkout(userId, items, postalCode, paymentMethod, cardData);
 
       // Assert
       expect(result).to.have.property('userId', userId);
       expect(result).to.have.property('items').that.deep.equals(items);
-      expect(result).to.have.property('freight', freight);
+      expect(result).to.have.property('freight', 20); // 15 + 5 * 1 kg
       expect(result).to.have.property('paymentMethod', paymentMethod);
       expect(result).to.have.property('total', 220); // 2 * 100 + 20 = 220
     });
@@ -261,37 +327,38 @@ describe('Checkout Service Unit Tests', () => {
       // Arrange
       const userId = 2;
       const items = [{ productId: 2, quantity: 1 }];
-      const freight = 15;
+      const postalCode = testHelper.samplePostalCode;
       const paymentMethod = 'credit_card';
       const cardData = {
         number: '4111111111111111',
         name: 'Test User',
-        expiry: '12/30',
+        expiry: testHelper.validCardExpiry,
         cvv: '123'
       };
 
       // Act
-      const result = checkoutService.checkout(userId, items, freight, paymentMethod, cardData);
+      const result = checkoutService.checkout(userId, items, postalCode, paymentMethod, cardData);
 
       // Assert
       expect(result).to.have.property('userId', userId);
       expect(result).to.have.property('items').that.deep.equals(items);
-      expect(result).to.have.property('freight', freight);
+      expect(result).to.have.property('freight', 25); // 15 + 5 * 2 kg
       expect(result).to.have.property('paymentMethod', paymentMethod);
-      expect(result).to.have.property('total', 204.25); // (200 + 15) * 0.95 = 204.25
+      expect(result).to.have.property('total', 213.75); // (200 + 25) * 0.95 = 213.75
+      expect(result).to.have.property('card').that.deep.equals({ brand: 'visa', last4: '1111' });
     });
 
     it('should throw error when credit card payment has no card data', () => {
       // Arrange
       const userId = 1;
       const items = [{ productId: 1, quantity: 1 }];
-      const freight = 10;
+      const postalCode = testHelper.samplePostalCode;
       const paymentMethod = 'credit_card';
       const cardData = undefined;
 
       // Act & Assert
       expect(() => {
-        checkoutService.checkout(userId, items, freight, paymentMethod, cardData);
+        checkoutService.checkout(userId, items, postalCode, paymentMethod, cardData);
       }).to.throw('Dados do cartão obrigatórios para pagamento com cartão');
     });
 
@@ -299,30 +366,80 @@ describe('Checkout Service Unit Tests', () => {
       // Arrange
       const userId = 1;
       const items = [{ productId: 1, quantity: 1 }];
-      const freight = 10;
+      const postalCode = testHelper.samplePostalCode;
       const paymentMethod = 'credit_card';
       const cardData = null;
 
       // Act & Assert
       expect(() => {
-        checkoutService.checkout(userId, items, freight, paymentMethod, cardData);
+        checkoutService.checkout(userId, items, postalCode, paymentMethod, cardData);
       }).to.throw('Dados do cartão obrigatórios para pagamento com cartão');
     });
 
+    it('should reject an invalid card before reserving stock or charging', () => {
+      // Arrange
+      const stockBefore = products.findById(1).stock;
+      const cardData = { number: '4111111111111112', name: 'Test User', expiry: '01/20', cvv: '123' };
+
+      // Act
+      let error;
+      try {
+        checkoutService.checkout(1, [{ productId: 1, quantity: 1 }], testHelper.samplePostalCode, 'credit_card', cardData);
+      } catch (err) {
+        error = err;
+      }
+
+      // Assert
+      expect(error).to.be.instanceOf(ValidationError);
+      expect(error.fields).to.deep.equal([
+        { field: 'cardData.number', code: 'INVALID_CARD_NUMBER' },
+        { field: 'cardData.expiry', code: 'CARD_EXPIRED' }
+      ]);
+      expect(products.findById(1).stock).to.equal(stockBefore);
+      expect(paymentService.transactions()).to.be.empty;
+      expect(orders.count()).to.equal(0);
+    });
+
+    it('should refuse boleto amounts above the barcode limit before reserving stock', () => {
+      // Arrange
+      products.update(2, { price: 10000000 });
+
+      // Act & Assert
+      expect(() => checkoutService.checkout(1, [{ productId: 2, quantity: 10 }], testHelper.samplePostalCode, 'boleto'))
+        .to.throw(DomainError)
+        .with.property('code', 'BOLETO_AMOUNT_TOO_HIGH');
+      expect(products.findById(2).stock).to.equal(100);
+      expect(orders.count()).to.equal(0);
+    });
+
+    it('should not echo the full card number back', () => {
+      // Arrange
+      const cardData = { number: '5555 5555 5555 4444', name: 'Test User', expiry: testHelper.validCardExpiry, cvv: '123' };
+
+      // Act
+      const result = checkoutService.checkout(1, [{ productId: 1, quantity: 1 }], testHelper.samplePostalCode, 'credit_card', cardData);
+
+      // Assert
+      expect(result.card).to.deep.equal({ brand: 'mastercard', last4: '4444' });
+      expect(orders.findById(result.orderId).card).to.deep.equal({ brand: 'mastercard', last4: '4444' });
+      expect(JSON.stringify(result)).to.not.include('5555555555554444');
+    });
+
     it('should accept empty card data for boleto payment', () => {
       // Arrange
       const userId = 1;
       const items = [{ productId: 1, quantity: 1 }];
-      const freight = 10;
+      const postalCode = testHelper.samplePostalCode;
       const paymentMethod = 'boleto';
       const cardData = null;
 
       // Act
-      const result = checkoutService.checkout(userId, items, freight, paymentMethod, cardData);
+      const result = checkoutService.checkout(userId, items, postalCode, paymentMethod, cardData);
 
       // Assert
       expect(result).to.not.be.null;
-      expect(result).to.have.property('total', 110);
+      expect(result).to.have.property('total', 120); // 100 + 20 = 120
+      expect(result).to.have.property('card', null);
     });
 
     it('should handle complex checkout scenario', () => {
@@ -332,36 +449,37 @@ describe('Checkout Service Unit Tests', () => {
         { productId: 1, quantity: 3 }, // 3 * 100 = 300
         { productId: 2, quantity: 2 }  // 2 * 200 = 400
       ];
-      const freight = 50;
+      const postalCode = testHelper.samplePostalCode;
       const paymentMethod = 'credit_card';
       const cardData = {
         number: '5555555555554444',
         name: 'John Doe',
-        expiry: '06/25',
+        expiry: testHelper.validCardExpiry,
         cvv: '456'
       };
 
       // Act
-      const result = checkoutService.checkout(userId, items, freight, paymentMethod, cardData);
+      const result = checkoutService.checkout(userId, items, postalCode, paymentMethod, cardData);
 
       // Assert
       expect(result).to.have.property('userId', 42);
       expect(result).to.have.property('items').that.deep.equals(items);
-      expect(result).to.have.property('freight', 50);
+      expect(result).to.have.property('freight', 40); // 15 + 5 * 5 kg
       expect(result).to.have.property('paymentMethod', 'credit_card');
-      expect(result).to.have.property('total', 712.5); // (300 + 400 + 50) * 0.95 = 712.5
+      expect(result).to.have.property('total', 703); // (300 + 400 + 40) * 0.95 = 703
+      expect(result).to.have.property('card').that.deep.equals({ brand: 'mastercard', last4: '4444' });
     });
 
     it('should propagate calculateTotal errors', () => {
       // Arrange
       const userId = 1;
       const items = [{ productId: 999, quantity: 1 }]; // Non-existent product
-      const freight = 10;
+      const postalCode = testHelper.samplePostalCode;
       const paymentMethod = 'boleto';
 
       // Act & Assert
       expect(() => {
-        checkoutService.checkout(userId, items, freight, paymentMethod);
+        checkoutService.checkout(userId, items, postalCode, paymentMethod);
       }).to.throw('Produto não encontrado');
     });
 
@@ -369,30 +487,30 @@ describe('Checkout Service Unit Tests', () => {
       // Arrange
       const userId = 0;
       const items = [{ productId: 1, quantity: 1 }];
-      const freight = 10;
+      const postalCode = testHelper.samplePostalCode;
       const paymentMethod = 'boleto';
 
       // Act
-      const result = checkoutService.checkout(userId, items, freight, paymentMethod);
+      const result = checkoutService.checkout(userId, items, postalCode, paymentMethod);
 
       // Assert
       expect(result).to.have.property('userId', 0);
-      expect(result).to.have.property('total', 110);
+      expect(result).to.have.property('total', 120);
     });
 
     it('should handle negative userId', () => {
       // Arrange
       const userId = -1;
       const items = [{ productId: 1, quantity: 1 }];
-      const freight = 10;
+      const postalCode = testHelper.samplePostalCode;
       const paymentMethod = 'boleto';
 
       // Act
-      const result = checkoutService.checkout(userId, items, freight, paymentMethod);
+      const result = checkoutService.checkout(userId, items, postalCode, paymentMethod);
 
       // Assert
       expect(result).to.have.property('userId', -1);
-      expect(result).to.have.property('total', 110);
+      expect(result).to.have.property('total', 120);
     });
 
     it('should preserve all input data in result', () => {
@@ -402,11 +520,11 @@ describe('Checkout Service Unit Tests', () => {
         { productId: 1, quantity: 1, extraField: 'should be preserved' },
         { productId: 2, quantity: 2 }
       ];
-      const freight = 25;
+      const postalCode = testHelper.samplePostalCode;
       const paymentMethod = 'boleto';
 
       // Act
-      const result = checkoutService.checkout(userId, items, freight, paymentMethod);
+      const result = checkoutService.checkout(userId, items, postalCode, paymentMethod);
 
       // Assert
       expect(result.items).to.deep.equal(items); // Should preserve extra fields
@@ -417,52 +535,54 @@ describe('Checkout Service Unit Tests', () => {
       // Arrange
       const userId = 1;
       const items = [];
-      const freight = 20;
+      const postalCode = testHelper.samplePostalCode;
       const paymentMethod = 'boleto';
 
-      // Act
-      const result = checkoutService.checkout(userId, items, freight, paymentMethod);
-
-      // Assert
-      expect(result).to.have.property('userId', 1);
-      expect(result).to.have.property('items').that.is.an('array').with.length(0);
-      expect(result).to.have.property('total', 20); // Only freight
+      // Act & Assert
+      expect(() => checkoutService.checkout(userId, items, postalCode, paymentMethod))
+        .to.throw('Itens obrigatórios')
+        .with.property('code', 'ITEMS_REQUIRED');
+      expect(orders.count()).to.equal(0);
     });
 
     it('should handle different payment method cases', () => {
       // Arrange
       const userId = 1;
       const items = [{ productId: 1, quantity: 1 }];
-      const freight = 10;
+      const postalCode = testHelper.samplePostalCode;
 
       // Act
-      const resultBoleto = checkoutService.checkout(userId, items, freight, 'boleto');
-      const resultPix = checkoutService.checkout(userId, items, freight, 'pix');
-      const resultDebit = checkoutService.checkout(userId, items, freight, 'debit_card');
+      const resultBoleto = checkoutService.checkout(userId, items, postalCode, 'boleto');
+      const resultPix = checkoutService.checkout(userId, items, postalCode, 'pix');
+      const resultDebit = checkoutService.checkout(userId, items, postalCode, 'debit_card');
 
       // Assert
-      expect(resultBoleto).to.have.property('total', 110); // No discount
-      expect(resultPix).to.have.property('total', 110); // No discount
-      expect(resultDebit).to.have.property('total', 110); // No discount
+      expect(resultBoleto).to.have.property('total', 120); // No discount
+      expect(resultPix).to.have.property('total', 120); // No discount
+      expect(resultDebit).to.have.property('total', 120); // No discount
     });
 
     it('should validate card data structure for credit card payments', () => {
       // Arrange
       const userId = 1;
       const items = [{ productId: 1, quantity: 1 }];
-      const freight = 10;
+      const postalCode = testHelper.samplePostalCode;
       const paymentMethod = 'credit_card';
 
       // Test with empty object
       const emptyCardData = {};
-      
-      // Act - Current implementation doesn't validate card data structure
-      // This test documents the current behavior
-      const result = checkoutService.checkout(userId, items, freight, paymentMethod, emptyCardData);
+
+      // Act
+      let error;
+      try {
+        checkoutService.checkout(userId, items, postalCode, paymentMethod, emptyCardData);
+      } catch (err) {
+        error = err;
+      }
 
       // Assert
-      expect(result).to.not.be.null;
-      expect(result).to.have.property('total', 104.5); // (100 + 10) * 0.95 = 104.5
+      expect(error).to.be.instanceOf(ValidationError);
+      expect(error.fields.map(f => f.field)).to.deep.equal(['cardData.number', 'cardData.name', 'cardData.expiry', 'cardData.cvv']);
     });
   });
 
@@ -475,20 +595,21 @@ describe('Checkout Service Unit Tests', () => {
           { productId: 1, quantity: 2 },
           { productId: 2, quantity: 1 }
         ],
-        freight: 30,
+        postalCode: testHelper.samplePostalCode,
         paymentMethod: 'boleto'
       };
 
       // Act
-      const total = checkoutService.calculateTotal(checkoutData.items, checkoutData.freight, checkoutData.paymentMethod);
       const result = checkoutService.checkout(
         checkoutData.userId,
         checkoutData.items,
-        checkoutData.freight,
+        checkoutData.postalCode,
         checkoutData.paymentMethod
       );
+      const total = checkoutService.calculateTotal(checkoutData.items, result.freight, checkoutData.paymentMethod);
 
       // Assert
+      expect(result.freight).to.equal(30); // 15 + 5 * 3 kg (2.5 kg rounded up)
       expect(total).to.equal(430); // 200 + 200 + 30 = 430
       expect(result.total).to.equal(total);
       expect(result).to.have.property('userId', checkoutData.userId);
@@ -500,28 +621,29 @@ describe('Checkout Service Unit Tests', () => {
       const checkoutData = {
         userId: 2,
         items: [{ productId: 2, quantity: 2 }], // 2 * 200 = 400
-        freight: 25,
+        postalCode: testHelper.samplePostalCode,
         paymentMethod: 'credit_card',
         cardData: {
           number: '4111111111111111',
           name: 'Integration Test',
-          expiry: '12/25',
+          expiry: testHelper.validCardExpiry,
           cvv: '789'
         }
       };
 
       // Act
-      const total = checkoutService.calculateTotal(checkoutData.items, checkoutData.freight, checkoutData.paymentMethod);
       const result = checkoutService.checkout(
         checkoutData.userId,
         checkoutData.items,
-        checkoutData.freight,
+        checkoutData.postalCode,
         checkoutData.paymentMethod,
         checkoutData.cardData
       );
+      const total = checkoutService.calculateTotal(checkoutData.items, result.freight, checkoutData.paymentMethod);
 
       // Assert
-      expect(total).to.equal(403.75); // (400 + 25) * 0.95 = 403.75
+      expect(result.freight).to.equal(30); // 15 + 5 * 3 kg
+      expect(total).to.equal(408.5); // (400 + 30) * 0.95 = 408.5
       expect(result.total).to.equal(total);
       expect(result).to.have.property('userId', checkoutData.userId);
       expect(result).to.have.property('paymentMethod', checkoutData.paymentMethod);
@@ -532,12 +654,10 @@ describe('Checkout Service Unit Tests', () => {
       const testCases = [
         {
           items: [{ productId: 1, quantity: 1 }],
-          freight: 10,
           paymentMethod: 'boleto'
         },
         {
           items: [{ productId: 1, quantity: 1 }],
-          freight: 10,
           paymentMethod: 'credit_card'
         },
         {
@@ -545,16 +665,15 @@ describe('Checkout Service Unit Tests', () => {
             { productId: 1, quantity: 2 },
             { productId: 2, quantity: 1 }
           ],
-          freight: 20,
           paymentMethod: 'boleto'
         }
       ];
 
       testCases.forEach((testCase, index) => {
         // Act
-        const calculatedTotal = checkoutService.calculateTotal(testCase.items, testCase.freight, testCase.paymentMethod);
-        const cardData = testCase.paymentMethod === 'credit_card' ? { number: '4111111111111111', name: 'Test', expiry: '12/30', cvv: '123' } : undefined;
-        const checkoutResult = checkoutService.checkout(1, testCase.items, testCase.freight, testCase.paymentMethod, cardData);
+        const cardData = testCase.paymentMethod === 'credit_card' ? { number: '4111111111111111', name: 'Test', expiry: testHelper.validCardExpiry, cvv: '123' } : undefined;
+        const checkoutResult = checkoutService.checkout(1, testCase.items, testHelper.samplePostalCode, testCase.paymentMethod, cardData);
+        const calculatedTotal = checkoutService.calculateTotal(testCase.items, checkoutResult.freight, testCase.paymentMethod);
 
         // Assert
         expect(checkoutResult.total).to.equal(calculatedTotal, `Test case ${index} failed: checkout total should match calculateTotal result`);
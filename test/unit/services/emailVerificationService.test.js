@@ -0,0 +1,107 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const emailVerificationService = require('../../../src/services/emailVerificationService');
+const mailService = require('../../../src/services/mailService');
+const { users } = require('../../../src/repositories');
+const testHelper = require('../../helpers/testHelper');
+
+describe('Email Verification Service Unit Tests', () => {
+  let clock;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    users.update(2, { verified: false });
+  });
+
+  afterEach(() => {
+    if (clock) clock.restore();
+    clock = null;
+  });
+
+  describe('isValidEmail', () => {
+    it('should accept common addresses and reject malformed ones', () => {
+      // Act & Assert
+      expect(emailVerificationService.isValidEmail('bob@email.com')).to.be.true;
+      expect(emailVerificationService.isValidEmail('josé@empresa.com.br')).to.be.true;
+      expect(emailVerificationService.isValidEmail('bob@email')).to.be.false;
+      expect(emailVerificationService.isValidEmail('bob email@x.com')).to.be.false;
+      expect(emailVerificationService.isValidEmail('')).to.be.false;
+      expect(emailVerificationService.isValidEmail(undefined)).to.be.false;
+    });
+  });
+
+  describe('verifyEmail', () => {
+    it('should mark the user as verified and consume the token', () => {
+      // Arrange
+      emailVerificationService.sendVerification(users.findById(2));
+      const token = testHelper.tokenFromOutbox();
+
+      // Act
+      emailVerificationService.verifyEmail(token);
+
+      // Assert
+      expect(users.findById(2)).to.have.property('verified', true);
+      expect(() => emailVerificationService.verifyEmail(token)).to.throw('Token de verificação inválido');
+    });
+
+    it('should reject expired tokens', () => {
+      // Arrange
+      clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+      emailVerificationService.sendVerification(users.findById(2));
+      const token = testHelper.tokenFromOutbox();
+      clock.tick(25 * 60 * 60 * 1000);
+
+      // Act & Assert
+      expect(() => emailVerificationService.verifyEmail(token)).to.throw('Token de verificação expirado');
+    });
+
+    it('should reject tokens sent to a previous email', () => {
+      // Arrange
+      emailVerificationService.sendVerification(users.findById(2));
+      const token = testHelper.tokenFromOutbox();
+      users.update(2, { email: 'roberto@email.com' });
+
+      // Act & Assert
+      expect(() => emailVerificationService.verifyEmail(token)).to.throw('Token de verificação inválido');
+      expect(users.findById(2)).to.have.property('verified', false);
+    });
+  });
+
+  describe('sendVerification', () => {
+    it('should write the email in the requested locale', () => {
+      // Act
+      emailVerificationService.sendVerification(users.findById(2), 'en-US');
+
+      // Assert
+      const [message] = mailService.outbox();
+      expect(message.subject).to.equal('Confirm your email');
+      expect(message.text).to.match(/^Hello, Bob\./);
+      expect(message.text).to.include('Use the code below to confirm your email');
+      expect(testHelper.tokenFromOutbox()).to.match(/^[\w-]{43}$/);
+    });
+  });
+
+  describe('resendVerification', () => {
+    it('should send a new token and invalidate the previous one', () => {
+      // Arrange
+      emailVerificationService.sendVerification(users.findById(2));
+      const first = testHelper.tokenFromOutbox();
+
+      // Act
+      const sent = emailVerificationService.resendVerification(2);
+
+      // Assert
+      expect(sent).to.be.true;
+      expect(mailService.outbox()).to.have.length(2);
+      expect(() => emailVerificationService.verifyEmail(first)).to.throw('Token de verificação inválido');
+      expect(() => emailVerificationService.verifyEmail(testHelper.tokenFromOutbox())).to.not.throw();
+    });
+
+    it('should not resend to verified or unknown users', () => {
+      // Act & Assert
+      expect(emailVerificationService.resendVerification(1)).to.be.false;
+      expect(emailVerificationService.resendVerification(99)).to.be.false;
+      expect(mailService.outbox()).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { expect } = require('chai');
+const inventoryService = require('../../../src/services/inventoryService');
+const InsufficientStockError = require('../../../src/errors/InsufficientStockError');
+const { products } = require('../../../src/repositories');
+const testHelper = require('../../helpers/testHelper');
+
+describe('Inventory Service Unit Tests', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  describe('reserveStock', () => {
+    it('should decrement stock of every item', () => {
+      // Act
+      inventoryService.reserveStock([
+        { productId: 1, quantity: 10 },
+        { productId: 2, quantity: 1 }
+      ]);
+
+      // Assert
+      expect(products.findById(1).stock).to.equal(90);
+      expect(products.findById(2).stock).to.equal(99);
+    });
+
+    it('should sum quantities of repeated products', () => {
+      // Arrange
+      products.update(1, { stock: 5 });
+
+      // Act & Assert
+      expect(() => inventoryService.reserveStock([
+        { productId: 1, quantity: 3 },
+        { productId: 1, quantity: 3 }
+      ])).to.throw(InsufficientStockError);
+      expect(products.findById(1).stock).to.equal(5);
+    });
+
+    it('should list every offending item and leave stock untouched', () => {
+      // Arrange
+      products.update(1, { stock: 1 });
+      products.update(2, { stock: 0 });
+
+      // Act
+      let error;
+      try {
+        inventoryService.reserveStock([
+          { productId: 1, quantity: 2 },
+          { productId: 2, quantity: 1 }
+        ]);
+      } catch (err) {
+        error = err;
+      }
+
+      // Assert
+      expect(error).to.be.instanceOf(InsufficientStockError);
+      expect(error.message).to.equal('Estoque insuficiente');
+      expect(error.code).to.equal('INSUFFICIENT_STOCK');
+      expect(error.items).to.deep.equal([
+        { productId: 1, requested: 2, available: 1 },
+        { productId: 2, requested: 1, available: 0 }
+      ]);
+      expect(products.findById(1).stock).to.equal(1);
+      expect(products.findById(2).stock).to.equal(0);
+    });
+  });
+
+  describe('releaseStock', () => {
+    it('should restore stock of every item', () => {
+      // Arrange
+      const items = [{ productId: 1, quantity: 4 }];
+      inventoryService.reserveStock(items);
+
+      // Act
+      inventoryService.releaseStock(items);
+
+      // Assert
+      expect(products.findById(1).stock).to.equal(100);
+    });
+
+    it('should ignore products no longer in the catalog', () => {
+      // Act & Assert
+      expect(() => inventoryService.releaseStock([{ productId: 999, quantity: 1 }])).to.not.throw();
+    });
+  });
+});
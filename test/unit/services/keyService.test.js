@@ -0,0 +1,121 @@
+const { expect } = require('chai');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createKeyStore } = require('../../../src/services/keyService');
+
+function pemPair(type, options) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+  return {
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+}
+
+describe('Key Service Unit Tests', () => {
+  const rsa = pemPair('rsa', { modulusLength: 2048 });
+  const ec = pemPair('ec', { namedCurve: 'prime256v1' });
+
+  it('should stamp the kid and algorithm of the signing key', () => {
+    // Arrange
+    const store = createKeyStore({ keys: [{ kid: 'k1', alg: 'HS256', secret: 's1' }] });
+
+    // Act
+    const token = store.sign({ id: 1 }, { expiresIn: '1h' });
+
+    // Assert
+    expect(jwt.decode(token, { complete: true }).header).to.include({ kid: 'k1', alg: 'HS256' });
+    expect(store.verify(token)).to.have.property('id', 1);
+  });
+
+  it('should sign and verify with RS256 and ES256 keys', () => {
+    // Arrange
+    const rsStore = createKeyStore({ keys: [{ kid: 'rs', alg: 'RS256', privateKey: rsa.privateKey }] });
+    const esStore = createKeyStore({ keys: [{ kid: 'es', alg: 'ES256', privateKey: ec.privateKey }] });
+
+    // Act & Assert
+    expect(rsStore.verify(rsStore.sign({ id: 1 }))).to.have.property('id', 1);
+    expect(esStore.verify(esStore.sign({ id: 2 }))).to.have.property('id', 2);
+  });
+
+  it('should accept tokens from every active key during rotation', () => {
+    // Arrange
+    const before = createKeyStore({ keys: [{ kid: 'old', alg: 'HS256', secret: 's-old' }] });
+    const oldToken = before.sign({ id: 1 });
+    const during = createKeyStore({
+      keys: [
+        { kid: 'old', alg: 'HS256', secret: 's-old' },
+        { kid: 'new', alg: 'RS256', privateKey: rsa.privateKey }
+      ],
+      signingKeyId: 'new'
+    });
+
+    // Act
+    const newToken = during.sign({ id: 2 });
+
+    // Assert
+    expect(jwt.decode(newToken, { complete: true }).header.kid).to.equal('new');
+    expect(during.verify(oldToken)).to.have.property('id', 1);
+    expect(during.verify(newToken)).to.have.property('id', 2);
+  });
+
+  it('should reject tokens signed by a retired key', () => {
+    // Arrange
+    const before = createKeyStore({ keys: [{ kid: 'old', alg: 'HS256', secret: 's-old' }] });
+    const after = createKeyStore({ keys: [{ kid: 'new', alg: 'HS256', secret: 's-new' }] });
+
+    // Act & Assert
+    expect(() => after.verify(before.sign({ id: 1 }))).to.throw('Chave do token desconhecida');
+  });
+
+  it('should verify with public key only keys', () => {
+    // Arrange
+    const issuer = createKeyStore({ keys: [{ kid: 'rs', alg: 'RS256', privateKey: rsa.privateKey }] });
+    const verifier = createKeyStore({
+      keys: [
+        { kid: 'local', alg: 'HS256', secret: 's' },
+        { kid: 'rs', alg: 'RS256', publicKey: rsa.publicKey }
+      ]
+    });
+
+    // Act & Assert
+    expect(verifier.verify(issuer.sign({ id: 1 }))).to.have.property('id', 1);
+  });
+
+  it('should not accept an HS256 token forged with a public key', () => {
+    // Arrange
+    const store = createKeyStore({ keys: [{ kid: 'rs', alg: 'RS256', privateKey: rsa.privateKey }] });
+    const forged = jwt.sign({ id: 1, role: 'admin' }, 'qualquer', { algorithm: 'HS256', keyid: 'rs' });
+
+    // Act & Assert
+    expect(() => store.verify(forged)).to.throw();
+  });
+
+  it('should publish only asymmetric public keys in the JWKS', () => {
+    // Arrange
+    const store = createKeyStore({
+      keys: [
+        { kid: 'hs', alg: 'HS256', secret: 's' },
+        { kid: 'rs', alg: 'RS256', privateKey: rsa.privateKey },
+        { kid: 'es', alg: 'ES256', publicKey: ec.publicKey }
+      ]
+    });
+
+    // Act
+    const { keys } = store.jwks();
+
+    // Assert
+    expect(keys.map(k => k.kid)).to.deep.equal(['rs', 'es']);
+    expect(keys[0]).to.include({ kty: 'RSA', alg: 'RS256', use: 'sig' });
+    expect(keys[0]).to.not.have.property('d');
+    expect(keys[1]).to.include({ kty: 'EC', crv: 'P-256', alg: 'ES256' });
+  });
+
+  it('should reject invalid key configurations', () => {
+    expect(() => createKeyStore({ keys: [{ alg: 'HS256', secret: 's' }] })).to.throw('Chave JWT sem kid');
+    expect(() => createKeyStore({ keys: [{ kid: 'a', alg: 'none' }] })).to.throw('Algoritmo de chave JWT não suportado: none');
+    expect(() => createKeyStore({ keys: [{ kid: 'a', alg: 'HS256' }] })).to.throw('Chave JWT a sem segredo');
+    expect(() => createKeyStore({ keys: [{ kid: 'a', alg: 'ES256', privateKey: rsa.privateKey }] })).to.throw('Chave JWT a não é EC P-256');
+    expect(() => createKeyStore({ keys: [{ kid: 'a', alg: 'HS256', secret: 's' }], signingKeyId: 'b' })).to.throw('Chave de assinatura JWT não encontrada: b');
+    expect(() => createKeyStore({ keys: [{ kid: 'a', alg: 'RS256', publicKey: rsa.publicKey }] })).to.throw('Chave JWT a sem chave privada');
+  });
+});
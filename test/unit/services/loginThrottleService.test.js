@@ -0,0 +1,128 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const loginThrottleService = require('../../../src/services/loginThrottleService');
+const RateLimitedError = require('../../../src/errors/RateLimitedError');
+const testHelper = require('../../helpers/testHelper');
+
+describe('Login Throttle Service Unit Tests', () => {
+  let clock;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    clock = sinon.useFakeTimers({ now: Date.parse('2026-03-01T12:00:00Z'), toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  function fail(times, email = 'bob@email.com', ip = '10.0.0.1') {
+    for (let i = 0; i < times; i++) loginThrottleService.recordFailure(email, ip);
+  }
+
+  function retryAfter(email = 'bob@email.com', ip = '10.0.0.1') {
+    try {
+      loginThrottleService.assertCanAttempt(email, ip);
+      return 0;
+    } catch (err) {
+      expect(err).to.be.instanceOf(RateLimitedError);
+      return err.retryAfter;
+    }
+  }
+
+  it('should allow the free attempts without delay', () => {
+    // Act
+    fail(2);
+
+    // Assert
+    expect(retryAfter()).to.equal(0);
+  });
+
+  it('should double the delay after each extra failure', () => {
+    // Act & Assert
+    fail(3);
+    expect(retryAfter()).to.equal(1);
+    fail(1);
+    expect(retryAfter()).to.equal(2);
+    fail(1);
+    expect(retryAfter()).to.equal(4);
+    clock.tick(4000);
+    expect(retryAfter()).to.equal(0);
+  });
+
+  it('should count emails without case differences', () => {
+    // Act
+    fail(3, 'BOB@email.com');
+
+    // Assert
+    expect(retryAfter('bob@email.com', '10.0.0.2')).to.equal(1);
+  });
+
+  it('should lock the email after the threshold and record lock and unlock events', () => {
+    // Act
+    fail(10);
+
+    // Assert
+    expect(retryAfter('bob@email.com', '10.0.0.2')).to.equal(15 * 60);
+    expect(loginThrottleService.listEvents()).to.deep.include({
+      id: 1,
+      type: 'login_locked',
+      key: 'email:bob@email.com',
+      at: '2026-03-01T12:00:00.000Z',
+      failures: 10,
+      lockedUntil: '2026-03-01T12:15:00.000Z'
+    });
+
+    clock.tick(15 * 60 * 1000);
+    expect(retryAfter('bob@email.com', '10.0.0.2')).to.equal(0);
+    expect(loginThrottleService.listEvents().map(e => e.type)).to.deep.equal(['login_locked', 'login_unlocked']);
+  });
+
+  it('should lock an IP that fails across many emails', () => {
+    // Act
+    for (let i = 0; i < 50; i++) {
+      loginThrottleService.recordFailure(`user${i}@email.com`, '10.0.0.9');
+    }
+
+    // Assert
+    expect(retryAfter('nova@email.com', '10.0.0.9')).to.equal(15 * 60);
+    expect(retryAfter('nova@email.com', '10.0.0.1')).to.equal(0);
+  });
+
+  it('should forget failures outside the window', () => {
+    // Arrange
+    fail(9);
+    clock.tick(16 * 60 * 1000);
+
+    // Act
+    fail(1);
+
+    // Assert
+    expect(retryAfter()).to.equal(0);
+  });
+
+  it('should reset the email counter on success but keep the IP counter', () => {
+    // Arrange
+    fail(10, 'alice@email.com', '10.0.0.3');
+    fail(2, 'bob@email.com', '10.0.0.3');
+
+    // Act
+    loginThrottleService.recordSuccess('bob@email.com');
+
+    // Assert
+    expect(retryAfter('bob@email.com', '10.0.0.4')).to.equal(0);
+    expect(retryAfter('bob@email.com', '10.0.0.3')).to.equal(4);
+  });
+
+  it('should unlock an email on demand', () => {
+    // Arrange
+    fail(10);
+
+    // Act
+    loginThrottleService.unlock('bob@email.com', 'password_reset');
+
+    // Assert
+    expect(retryAfter('bob@email.com', '10.0.0.2')).to.equal(0);
+    expect(loginThrottleService.listEvents().slice(-1)[0]).to.include({ type: 'login_unlocked', reason: 'password_reset' });
+  });
+});
@@ -0,0 +1,150 @@
+const { expect } = require('chai');
+const orderService = require('../../../src/services/orderService');
+const checkoutService = require('../../../src/services/checkoutService');
+const { orders, products } = require('../../../src/repositories');
+const testHelper = require('../../helpers/testHelper');
+
+describe('Order Service Unit Tests', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  describe('createOrder', () => {
+    it('should store order with generated id, status and timestamps', () => {
+      // Arrange
+      const data = { items: [{ productId: 1, quantity: 1 }], freight: 10, paymentMethod: 'boleto', total: 110 };
+
+      // Act
+      const order = orderService.createOrder(1, data);
+
+      // Assert
+      expect(order).to.have.property('id', 1);
+      expect(order).to.have.property('userId', 1);
+      expect(order).to.have.property('total', 110);
+      expect(order).to.have.property('status', 'pending');
+      expect(new Date(order.createdAt).toISOString()).to.equal(order.createdAt);
+      expect(order.updatedAt).to.equal(order.createdAt);
+      expect(orders.count()).to.equal(1);
+    });
+
+    it('should generate sequential ids', () => {
+      // Act
+      const first = orderService.createOrder(1, { items: [], freight: 0, paymentMethod: 'boleto', total: 0 });
+      const second = orderService.createOrder(2, { items: [], freight: 0, paymentMethod: 'boleto', total: 0 });
+
+      // Assert
+      expect(first.id).to.equal(1);
+      expect(second.id).to.equal(2);
+    });
+
+    it('should mark credit card orders as paid', () => {
+      // Act
+      const order = orderService.createOrder(1, { items: [], freight: 0, paymentMethod: 'credit_card', total: 0 });
+
+      // Assert
+      expect(order).to.have.property('status', 'paid');
+    });
+  });
+
+  describe('listOrders', () => {
+    it('should only return orders of the given user', () => {
+      // Arrange
+      orderService.createOrder(1, { items: [], freight: 0, paymentMethod: 'boleto', total: 0 });
+      orderService.createOrder(2, { items: [], freight: 0, paymentMethod: 'boleto', total: 0 });
+      orderService.createOrder(1, { items: [], freight: 0, paymentMethod: 'boleto', total: 0 });
+
+      // Act
+      const result = orderService.listOrders(1);
+
+      // Assert
+      expect(result).to.have.length(2);
+      expect(result.every(o => o.userId === 1)).to.be.true;
+    });
+
+    it('should return empty array for user without orders', () => {
+      // Act & Assert
+      expect(orderService.listOrders(1)).to.deep.equal([]);
+    });
+  });
+
+  describe('findOrder', () => {
+    it('should find order by numeric or string id', () => {
+      // Arrange
+      const order = orderService.createOrder(1, { items: [], freight: 0, paymentMethod: 'boleto', total: 0 });
+
+      // Act & Assert
+      expect(orderService.findOrder(1, order.id)).to.deep.equal(order);
+      expect(orderService.findOrder(1, String(order.id))).to.deep.equal(order);
+    });
+
+    it('should not return orders owned by another user', () => {
+      // Arrange
+      const order = orderService.createOrder(2, { items: [], freight: 0, paymentMethod: 'boleto', total: 0 });
+
+      // Act & Assert
+      expect(orderService.findOrder(1, order.id)).to.be.undefined;
+    });
+  });
+
+  describe('cancelOrder', () => {
+    it('should cancel order and restore stock', () => {
+      // Arrange
+      const result = checkoutService.checkout(1, [{ productId: 1, quantity: 5 }], testHelper.samplePostalCode, 'boleto');
+      expect(products.findById(1).stock).to.equal(95);
+
+      // Act
+      const order = orderService.cancelOrder(1, result.orderId);
+
+      // Assert
+      expect(order).to.have.property('status', 'cancelled');
+      expect(products.findById(1).stock).to.equal(100);
+    });
+
+    it('should not cancel the same order twice', () => {
+      // Arrange
+      const result = checkoutService.checkout(1, [{ productId: 1, quantity: 5 }], testHelper.samplePostalCode, 'boleto');
+      orderService.cancelOrder(1, result.orderId);
+
+      // Act & Assert
+      expect(() => orderService.cancelOrder(1, result.orderId)).to.throw('Pedido já cancelado');
+      expect(products.findById(1).stock).to.equal(100);
+    });
+
+    it('should return null for orders of another user', () => {
+      // Arrange
+      const result = checkoutService.checkout(2, [{ productId: 1, quantity: 1 }], testHelper.samplePostalCode, 'boleto');
+
+      // Act & Assert
+      expect(orderService.cancelOrder(1, result.orderId)).to.be.null;
+    });
+  });
+
+  describe('checkout integration', () => {
+    it('should persist an order for every successful checkout', () => {
+      // Act
+      const result = checkoutService.checkout(1, [{ productId: 1, quantity: 2 }], testHelper.samplePostalCode, 'boleto');
+
+      // Assert
+      expect(result).to.have.property('orderId', 1);
+      expect(result).to.have.property('status', 'pending');
+      expect(orderService.findOrder(1, result.orderId)).to.have.property('total', 220);
+    });
+
+    it('should not persist an order when stock is insufficient', () => {
+      // Act
+      expect(() => checkoutService.checkout(1, [{ productId: 1, quantity: 101 }], testHelper.samplePostalCode, 'boleto')).to.throw('Estoque insuficiente');
+
+      // Assert
+      expect(orders.count()).to.equal(0);
+      expect(products.findById(1).stock).to.equal(100);
+    });
+
+    it('should not persist an order when checkout fails', () => {
+      // Act
+      expect(() => checkoutService.checkout(1, [{ productId: 999, quantity: 1 }], testHelper.samplePostalCode, 'boleto')).to.throw();
+
+      // Assert
+      expect(orders.count()).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const passwordResetService = require('../../../src/services/passwordResetService');
+const mailService = require('../../../src/services/mailService');
+const tokenService = require('../../../src/services/tokenService');
+const userService = require('../../../src/services/userService');
+const loginThrottleService = require('../../../src/services/loginThrottleService');
+const ValidationError = require('../../../src/errors/ValidationError');
+const testHelper = require('../../helpers/testHelper');
+
+describe('Password Reset Service Unit Tests', () => {
+  let clock;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  afterEach(() => {
+    if (clock) clock.restore();
+    clock = null;
+  });
+
+  describe('requestPasswordReset', () => {
+    it('should email a reset token to the user', () => {
+      // Act
+      passwordResetService.requestPasswordReset('bob@email.com');
+
+      // Assert
+      const outbox = mailService.outbox();
+      expect(outbox).to.have.length(1);
+      expect(outbox[0]).to.include({ to: 'bob@email.com', subject: 'Redefinição de senha' });
+      expect(testHelper.tokenFromOutbox()).to.match(/^[\w-]{43}$/);
+    });
+
+    it('should write the email in the requested locale', () => {
+      // Act
+      passwordResetService.requestPasswordReset('bob@email.com', 'en-US');
+
+      // Assert
+      const [message] = mailService.outbox();
+      expect(message.subject).to.equal('Password reset');
+      expect(message.text).to.match(/^Hello, Bob\./);
+      expect(message.text).to.include('Use the code below to reset your password');
+      expect(testHelper.tokenFromOutbox()).to.match(/^[\w-]{43}$/);
+    });
+
+    it('should not send anything for unknown emails', () => {
+      // Act
+      passwordResetService.requestPasswordReset('ninguem@email.com');
+
+      // Assert
+      expect(mailService.outbox()).to.be.empty;
+    });
+
+    it('should invalidate tokens requested before', () => {
+      // Arrange
+      passwordResetService.requestPasswordReset('bob@email.com');
+      const first = testHelper.tokenFromOutbox();
+      passwordResetService.requestPasswordReset('bob@email.com');
+      const second = testHelper.tokenFromOutbox();
+
+      // Act & Assert
+      expect(() => passwordResetService.resetPassword(first, 'novaSenha1')).to.throw('Token de redefinição inválido');
+      expect(() => passwordResetService.resetPassword(second, 'novaSenha1')).to.not.throw();
+    });
+  });
+
+  describe('resetPassword', () => {
+    it('should replace the password and revoke every session', () => {
+      // Arrange
+      const session = userService.authenticate('bob@email.com', '123456');
+      passwordResetService.requestPasswordReset('bob@email.com');
+
+      // Act
+      passwordResetService.resetPassword(testHelper.tokenFromOutbox(), 'novaSenha1');
+
+      // Assert
+      expect(userService.authenticate('bob@email.com', '123456')).to.be.null;
+      expect(userService.authenticate('bob@email.com', 'novaSenha1')).to.not.be.null;
+      expect(tokenService.verifyAccessToken(session.token)).to.be.null;
+    });
+
+    it('should lift a login lockout of the email', () => {
+      // Arrange
+      for (let i = 0; i < 10; i++) loginThrottleService.recordFailure('bob@email.com');
+      passwordResetService.requestPasswordReset('bob@email.com');
+
+      // Act
+      passwordResetService.resetPassword(testHelper.tokenFromOutbox(), 'novaSenha1');
+
+      // Assert
+      expect(() => loginThrottleService.assertCanAttempt('bob@email.com')).to.not.throw();
+    });
+
+    it('should accept each token only once', () => {
+      // Arrange
+      passwordResetService.requestPasswordReset('bob@email.com');
+      const token = testHelper.tokenFromOutbox();
+      passwordResetService.resetPassword(token, 'novaSenha1');
+
+      // Act & Assert
+      expect(() => passwordResetService.resetPassword(token, 'outraSenha2')).to.throw('Token de redefinição inválido');
+    });
+
+    it('should reject expired tokens', () => {
+      // Arrange
+      clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+      passwordResetService.requestPasswordReset('bob@email.com');
+      const token = testHelper.tokenFromOutbox();
+      clock.tick(31 * 60 * 1000);
+
+      // Act & Assert
+      expect(() => passwordResetService.resetPassword(token, 'novaSenha1')).to.throw('Token de redefinição expirado');
+    });
+
+    it('should reject unknown tokens', () => {
+      // Act & Assert
+      expect(() => passwordResetService.resetPassword('abc', 'novaSenha1')).to.throw('Token de redefinição inválido');
+      expect(() => passwordResetService.resetPassword(undefined, 'novaSenha1')).to.throw('Token de redefinição inválido');
+    });
+
+    it('should apply the password policy without consuming the token', () => {
+      // Arrange
+      passwordResetService.requestPasswordReset('bob@email.com');
+      const token = testHelper.tokenFromOutbox();
+
+      // Act & Assert
+      expect(() => passwordResetService.resetPassword(token, 'curta'))
+        .to.throw(ValidationError)
+        .with.property('fields').that.deep.includes({ field: 'newPassword', code: 'PASSWORD_TOO_SHORT', params: { minLength: 8 } });
+      expect(() => passwordResetService.resetPassword(token, 'novaSenha1')).to.not.throw();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { expect } = require('chai');
+const passwordService = require('../../../src/services/passwordService');
+
+describe('Password Service Unit Tests', () => {
+  describe('hashPassword and verifyPassword', () => {
+    it('should verify the original password only', () => {
+      // Act
+      const hash = passwordService.hashPassword('segredo123');
+
+      // Assert
+      expect(passwordService.verifyPassword('segredo123', hash)).to.be.true;
+      expect(passwordService.verifyPassword('segredo124', hash)).to.be.false;
+    });
+
+    it('should use a random salt for every hash', () => {
+      // Act
+      const first = passwordService.hashPassword('segredo123');
+      const second = passwordService.hashPassword('segredo123');
+
+      // Assert
+      expect(first).to.not.equal(second);
+      expect(first.split('$').slice(0, 4)).to.deep.equal(['scrypt', '16384', '8', '1']);
+    });
+
+    it('should verify hashes created with other parameters', () => {
+      // Arrange
+      const hash = passwordService.hashPassword('segredo123', { cost: 1024, blockSize: 8, parallelization: 1, keyLength: 32 });
+
+      // Act & Assert
+      expect(passwordService.verifyPassword('segredo123', hash)).to.be.true;
+    });
+
+    it('should reject malformed hashes and missing values', () => {
+      expect(passwordService.verifyPassword('segredo123', 'texto-puro')).to.be.false;
+      expect(passwordService.verifyPassword(undefined, passwordService.hashPassword('segredo123'))).to.be.false;
+      expect(passwordService.verifyPassword('segredo123', undefined)).to.be.false;
+    });
+  });
+
+  describe('checkPasswordPolicy', () => {
+    const policy = {
+      minLength: 10,
+      requireLetter: true,
+      requireDigit: true,
+      requireUppercase: true,
+      requireSymbol: true,
+      bannedPasswords: ['senha12345']
+    };
+
+    it('should accept passwords that follow the default policy', () => {
+      expect(passwordService.checkPasswordPolicy('pass1234')).to.deep.equal([]);
+    });
+
+    it('should report every violated rule on the password field', () => {
+      // Act
+      const violations = passwordService.checkPasswordPolicy('abc', policy);
+
+      // Assert
+      expect(violations).to.deep.equal([
+        { field: 'password', code: 'PASSWORD_TOO_SHORT', params: { minLength: 10 } },
+        { field: 'password', code: 'PASSWORD_MISSING_DIGIT' },
+        { field: 'password', code: 'PASSWORD_MISSING_UPPERCASE' },
+        { field: 'password', code: 'PASSWORD_MISSING_SYMBOL' }
+      ]);
+    });
+
+    it('should reject banned passwords regardless of case', () => {
+      // Act
+      const violations = passwordService.checkPasswordPolicy('SENHA12345', { ...policy, requireSymbol: false });
+
+      // Assert
+      expect(violations).to.deep.equal([{ field: 'password', code: 'PASSWORD_TOO_COMMON' }]);
+    });
+
+    it('should require a password', () => {
+      expect(passwordService.checkPasswordPolicy(undefined)).to.deep.equal([
+        { field: 'password', code: 'PASSWORD_REQUIRED' }
+      ]);
+    });
+  });
+});
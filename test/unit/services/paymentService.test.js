@@ -0,0 +1,79 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const paymentService = require('../../../src/services/paymentService');
+const config = require('../../../src/config');
+const { createGateway } = require('../../../src/payments');
+const { createMockGateway } = require('../../../src/payments/mockGateway');
+const DomainError = require('../../../src/errors/DomainError');
+
+describe('Payment Service Unit Tests', () => {
+  let gateway;
+
+  beforeEach(() => {
+    gateway = createMockGateway();
+    paymentService.setGateway(gateway);
+  });
+
+  afterEach(() => {
+    paymentService.setGateway(createGateway(config.payment));
+  });
+
+  describe('charge', () => {
+    it('should authorize and capture the amount', () => {
+      // Act
+      const payment = paymentService.charge({ amount: 120, card: { number: '4111111111111111' } });
+
+      // Assert
+      expect(payment).to.include({ provider: 'mock', status: 'captured', amount: 120 });
+      expect(gateway.transactions()[0]).to.include({ id: payment.transactionId, status: 'captured' });
+    });
+
+    it('should translate each refusal into an error code', () => {
+      // Arrange
+      const outcomes = [
+        ['4000000000000002', 'PAYMENT_DECLINED', 402],
+        ['4000000000009995', 'PAYMENT_INSUFFICIENT_FUNDS', 402],
+        ['4000000000000119', 'PAYMENT_GATEWAY_TIMEOUT', 504]
+      ];
+
+      for (const [number, code, status] of outcomes) {
+        // Act
+        let error;
+        try {
+          paymentService.charge({ amount: 10, card: { number } });
+        } catch (err) {
+          error = err;
+        }
+
+        // Assert
+        expect(error).to.be.instanceOf(DomainError);
+        expect(error).to.include({ code, status });
+        expect(error.details.transactionId).to.be.a('string');
+      }
+    });
+
+    it('should void the authorization when the capture fails', () => {
+      // Arrange
+      sinon.stub(gateway, 'capture').throws(new Error('falha na captura'));
+      const voidSpy = sinon.spy(gateway, 'void');
+
+      // Act & Assert
+      expect(() => paymentService.charge({ amount: 10, card: { number: '4111111111111111' } })).to.throw('falha na captura');
+      expect(voidSpy).to.have.been.calledOnce;
+      expect(gateway.transactions()[0].status).to.equal('voided');
+    });
+  });
+
+  describe('refund', () => {
+    it('should refund a captured payment', () => {
+      // Arrange
+      const payment = paymentService.charge({ amount: 80, card: { number: '4111111111111111' } });
+
+      // Act
+      const refunded = paymentService.refund(payment);
+
+      // Assert
+      expect(refunded).to.deep.equal({ ...payment, status: 'refunded' });
+    });
+  });
+});
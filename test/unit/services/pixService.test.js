@@ -0,0 +1,163 @@
+const { expect } = require('chai');
+const pixService = require('../../../src/services/pixService');
+const config = require('../../../src/config');
+const { orders, products, pixCharges } = require('../../../src/repositories');
+const { parseBrCode } = require('../../../src/payments/pix');
+const DomainError = require('../../../src/errors/DomainError');
+const testHelper = require('../../helpers/testHelper');
+
+describe('Pix Service Unit Tests', () => {
+  const now = new Date('2026-10-19T12:00:00.000Z');
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+    orders.reset([{ id: 1, userId: 1, items: [], paymentMethod: 'pix', total: 120, status: 'pending' }]);
+  });
+
+  function captureError(fn) {
+    try {
+      fn();
+    } catch (err) {
+      return err;
+    }
+    return null;
+  }
+
+  describe('createCharge', () => {
+    it('should store a pending charge with a BR Code and an expiry', () => {
+      // Act
+      const charge = pixService.createCharge({ orderId: 1, userId: 1, amount: 120 }, now);
+
+      // Assert
+      expect(charge).to.include({ orderId: 1, userId: 1, amount: 120, status: 'pending', createdAt: now.toISOString() });
+      expect(charge.txid).to.match(/^[a-z0-9]{25}$/);
+      expect(Date.parse(charge.expiresAt) - now.getTime()).to.equal(config.pix.expirationMinutes * 60 * 1000);
+      expect(pixCharges.findById(charge.txid)).to.deep.equal(charge);
+    });
+
+    it('should put the amount, key and txid in the BR Code', () => {
+      // Act
+      const charge = pixService.createCharge({ orderId: 1, userId: 1, amount: 120 }, now);
+      const { fields, valid } = parseBrCode(charge.brCode);
+
+      // Assert
+      expect(valid).to.be.true;
+      expect(fields['54']).to.equal('120.00');
+      expect(fields['26']).to.include(config.pix.key);
+      expect(fields['62']).to.equal(`0525${charge.txid}`);
+    });
+  });
+
+  describe('confirmPayment', () => {
+    let charge;
+
+    beforeEach(() => {
+      charge = pixService.createCharge({ orderId: 1, userId: 1, amount: 120 }, now);
+    });
+
+    it('should mark the charge and the order as paid', () => {
+      // Act
+      const paid = pixService.confirmPayment({ txid: charge.txid, endToEndId: 'E1', amount: 120, paidAt: '2026-10-19T12:10:00.000Z' });
+
+      // Assert
+      expect(paid).to.include({ status: 'paid', endToEndId: 'E1', paidAt: '2026-10-19T12:10:00.000Z' });
+      expect(orders.findById(1).status).to.equal('paid');
+    });
+
+    it('should ignore a repeated notification of the same payment', () => {
+      // Arrange
+      const payment = { txid: charge.txid, endToEndId: 'E1', amount: 120, paidAt: '2026-10-19T12:10:00.000Z' };
+      pixService.confirmPayment(payment);
+
+      // Act
+      const again = pixService.confirmPayment(payment);
+
+      // Assert
+      expect(again).to.include({ status: 'paid', endToEndId: 'E1' });
+    });
+
+    it('should reject unknown and mismatched charges', () => {
+      // Arrange
+      const cases = [
+        [{ txid: 'unknown', endToEndId: 'E1', amount: 120 }, 'PIX_CHARGE_NOT_FOUND', 404],
+        [{ txid: charge.txid, endToEndId: 'E1', amount: 120, paidAt: 'ontem' }, 'PIX_INVALID_PAID_AT', 400],
+        [{ txid: charge.txid, endToEndId: 'E1', amount: 119.99, paidAt: '2026-10-19T12:10:00.000Z' }, 'PIX_AMOUNT_MISMATCH', 400]
+      ];
+
+      for (const [payment, code, status] of cases) {
+        // Act
+        const error = captureError(() => pixService.confirmPayment(payment));
+
+        // Assert
+        expect(error).to.be.instanceOf(DomainError);
+        expect(error).to.include({ code, status });
+      }
+      expect(orders.findById(1).status).to.equal('pending');
+    });
+
+    it('should reject a payment made after the expiry and expire the charge', () => {
+      // Act
+      const error = captureError(() => pixService.confirmPayment({ txid: charge.txid, endToEndId: 'E1', amount: 120, paidAt: '2026-10-19T12:31:00.000Z' }));
+
+      // Assert
+      expect(error).to.include({ code: 'PIX_CHARGE_EXPIRED', status: 400 });
+      expect(pixCharges.findById(charge.txid).status).to.equal('expired');
+      expect(orders.findById(1).status).to.equal('cancelled');
+    });
+
+    it('should reject a second payment with another endToEndId', () => {
+      // Arrange
+      pixService.confirmPayment({ txid: charge.txid, endToEndId: 'E1', amount: 120, paidAt: '2026-10-19T12:10:00.000Z' });
+
+      // Act
+      const error = captureError(() => pixService.confirmPayment({ txid: charge.txid, endToEndId: 'E2', amount: 120, paidAt: '2026-10-19T12:11:00.000Z' }));
+
+      // Assert
+      expect(error).to.include({ code: 'PIX_CHARGE_NOT_PENDING', status: 409 });
+    });
+  });
+
+  describe('assertWebhookSecret', () => {
+    it('should accept only the configured secret', () => {
+      // Act & Assert
+      expect(() => pixService.assertWebhookSecret(config.pix.webhookSecret)).to.not.throw();
+      expect(captureError(() => pixService.assertWebhookSecret('wrong'))).to.include({ code: 'INVALID_WEBHOOK_SECRET', status: 401 });
+      expect(captureError(() => pixService.assertWebhookSecret(undefined))).to.include({ code: 'INVALID_WEBHOOK_SECRET' });
+    });
+  });
+
+  describe('expireCharges', () => {
+    it('should cancel orders of overdue charges and release their stock', () => {
+      // Arrange
+      orders.reset([{ id: 1, userId: 1, items: [{ productId: 1, quantity: 2 }], paymentMethod: 'pix', total: 200, status: 'pending' }]);
+      products.update(1, { stock: 98 });
+      const charge = pixService.createCharge({ orderId: 1, userId: 1, amount: 200 }, now);
+
+      // Act
+      const beforeExpiry = pixService.expireCharges(new Date('2026-10-19T12:29:00.000Z'));
+      const afterExpiry = pixService.expireCharges(new Date('2026-10-19T12:31:00.000Z'));
+
+      // Assert
+      expect(beforeExpiry).to.be.empty;
+      expect(afterExpiry.map(c => [c.txid, c.status])).to.deep.equal([[charge.txid, 'expired']]);
+      expect(orders.findById(1).status).to.equal('cancelled');
+      expect(products.findById(1).stock).to.equal(100);
+      expect(pixService.expireCharges(new Date('2026-10-19T13:00:00.000Z'))).to.be.empty;
+      expect(products.findById(1).stock).to.equal(100);
+    });
+  });
+
+  describe('cancelOrderCharge', () => {
+    it('should cancel a pending charge and leave the refund of a paid one pending', () => {
+      // Arrange
+      const pending = pixService.createCharge({ orderId: 1, userId: 1, amount: 120 }, now);
+      const paid = pixService.createCharge({ orderId: 2, userId: 1, amount: 50 }, now);
+      pixService.confirmPayment({ txid: paid.txid, endToEndId: 'E1', amount: 50, paidAt: '2026-10-19T12:10:00.000Z' });
+
+      // Act & Assert
+      expect(pixService.cancelOrderCharge(1)).to.include({ txid: pending.txid, status: 'cancelled' });
+      expect(pixService.cancelOrderCharge(2)).to.include({ txid: paid.txid, status: 'refund_pending' });
+      expect(pixService.cancelOrderCharge(1)).to.be.null;
+    });
+  });
+});
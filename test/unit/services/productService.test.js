@@ -0,0 +1,152 @@
+const { expect } = require('chai');
+const productService = require('../../../src/services/productService');
+const { products } = require('../../../src/repositories');
+const testHelper = require('../../helpers/testHelper');
+
+describe('Product Service Unit Tests', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  describe('listProducts', () => {
+    it('should return first page with defaults', () => {
+      // Act
+      const result = productService.listProducts();
+
+      // Assert
+      expect(result.products).to.deep.equal(products.findAll());
+      expect(result).to.include({ page: 1, limit: 10, total: 2, totalPages: 1 });
+    });
+
+    it('should paginate results', () => {
+      // Act
+      const first = productService.listProducts({ page: 1, limit: 1 });
+      const second = productService.listProducts({ page: '2', limit: '1' });
+      const beyond = productService.listProducts({ page: 3, limit: 1 });
+
+      // Assert
+      expect(first.products.map(p => p.id)).to.deep.equal([1]);
+      expect(second.products.map(p => p.id)).to.deep.equal([2]);
+      expect(beyond.products).to.deep.equal([]);
+      expect(first.totalPages).to.equal(2);
+    });
+
+    it('should cap limit at 100', () => {
+      // Act & Assert
+      expect(productService.listProducts({ limit: 500 }).limit).to.equal(100);
+    });
+
+    it('should sort by price descending', () => {
+      // Act
+      const result = productService.listProducts({ sort: 'price', order: 'desc' });
+
+      // Assert
+      expect(result.products.map(p => p.price)).to.deep.equal([200, 100]);
+    });
+
+    it('should sort by name without mutating the catalog', () => {
+      // Act
+      const result = productService.listProducts({ sort: 'name', order: 'desc' });
+
+      // Assert
+      expect(result.products.map(p => p.name)).to.deep.equal(['Produto B', 'Produto A']);
+      expect(products.findAll()[0]).to.have.property('name', 'Produto A');
+    });
+
+    it('should search by name case-insensitively', () => {
+      // Act
+      const result = productService.listProducts({ search: 'produto b' });
+
+      // Assert
+      expect(result.products).to.have.length(1);
+      expect(result.products[0]).to.have.property('id', 2);
+      expect(result.total).to.equal(1);
+    });
+
+    it('should reject invalid parameters', () => {
+      // Act & Assert
+      expect(() => productService.listProducts({ page: 0 })).to.throw('Página inválida');
+      expect(() => productService.listProducts({ limit: 'abc' })).to.throw('Limite inválido');
+      expect(() => productService.listProducts({ sort: 'id' })).to.throw('Campo de ordenação inválido');
+      expect(() => productService.listProducts({ order: 'up' })).to.throw('Direção de ordenação inválida');
+    });
+  });
+
+  describe('findProductById', () => {
+    it('should find product by numeric or string id', () => {
+      // Act & Assert
+      expect(productService.findProductById(1)).to.have.property('name', 'Produto A');
+      expect(productService.findProductById('2')).to.have.property('name', 'Produto B');
+    });
+
+    it('should return undefined for non-existent product', () => {
+      // Act & Assert
+      expect(productService.findProductById(999)).to.be.undefined;
+    });
+  });
+
+  describe('createProduct', () => {
+    it('should add product with next id', () => {
+      // Act
+      const product = productService.createProduct({ name: ' Produto C ', price: 50 });
+
+      // Assert
+      expect(product).to.deep.equal({ id: 3, name: 'Produto C', price: 50, stock: 0, weight: 0, dimensions: { length: 0, width: 0, height: 0 } });
+      expect(products.count()).to.equal(3);
+    });
+
+    it('should not reuse ids after a deletion', () => {
+      // Arrange
+      productService.deleteProduct(1);
+
+      // Act
+      const product = productService.createProduct({ name: 'Produto C', price: 50 });
+
+      // Assert
+      expect(product).to.have.property('id', 3);
+    });
+
+    it('should reject invalid data', () => {
+      // Act & Assert
+      expect(() => productService.createProduct({ price: 10 })).to.throw('Nome do produto obrigatório');
+      expect(() => productService.createProduct({ name: 'X', price: 0 })).to.throw('Preço do produto inválido');
+      expect(() => productService.createProduct({ name: 'X', price: '10' })).to.throw('Preço do produto inválido');
+    });
+  });
+
+  describe('updateProduct', () => {
+    it('should update only given fields', () => {
+      // Act
+      const product = productService.updateProduct(1, { price: 150 });
+
+      // Assert
+      expect(product).to.deep.equal({ id: 1, name: 'Produto A', price: 150, stock: 100, weight: 0.5, dimensions: { length: 20, width: 15, height: 10 } });
+    });
+
+    it('should return null for non-existent product', () => {
+      // Act & Assert
+      expect(productService.updateProduct(999, { price: 1 })).to.be.null;
+    });
+
+    it('should reject invalid data', () => {
+      // Act & Assert
+      expect(() => productService.updateProduct(1, { name: '' })).to.throw('Nome do produto obrigatório');
+    });
+  });
+
+  describe('deleteProduct', () => {
+    it('should remove product from catalog', () => {
+      // Act
+      const product = productService.deleteProduct(2);
+
+      // Assert
+      expect(product).to.have.property('id', 2);
+      expect(productService.findProductById(2)).to.be.undefined;
+    });
+
+    it('should return null for non-existent product', () => {
+      // Act & Assert
+      expect(productService.deleteProduct(999)).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const { expect } = require('chai');
+const promotionService = require('../../../src/services/promotionService');
+const orderService = require('../../../src/services/orderService');
+const checkoutService = require('../../../src/services/checkoutService');
+const testHelper = require('../../helpers/testHelper');
+
+describe('Promotion Service Unit Tests', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  describe('validateCoupon', () => {
+    it('should return coupon regardless of code case', () => {
+      // Act
+      const coupon = promotionService.validateCoupon(1, 'desconto10', 100);
+
+      // Assert
+      expect(coupon).to.have.property('code', 'DESCONTO10');
+    });
+
+    it('should reject unknown coupons', () => {
+      // Act & Assert
+      expect(() => promotionService.validateCoupon(1, 'NAOEXISTE', 100)).to.throw('Cupom inválido');
+    });
+
+    it('should reject expired coupons', () => {
+      // Act & Assert
+      expect(() => promotionService.validateCoupon(1, 'BLACKFRIDAY', 100)).to.throw('Cupom expirado');
+      expect(promotionService.validateCoupon(1, 'BLACKFRIDAY', 100, new Date('2024-11-29T12:00:00Z')))
+        .to.have.property('code', 'BLACKFRIDAY');
+    });
+
+    it('should enforce minimum order value', () => {
+      // Act & Assert
+      expect(() => promotionService.validateCoupon(1, 'MENOS50', 199.99)).to.throw('Valor mínimo do pedido não atingido para o cupom');
+      expect(promotionService.validateCoupon(1, 'MENOS50', 200)).to.have.property('code', 'MENOS50');
+    });
+
+    it('should enforce per-user usage limit ignoring cancelled orders', () => {
+      // Arrange
+      const first = checkoutService.checkout(1, [{ productId: 2, quantity: 1 }], testHelper.samplePostalCode, 'boleto', undefined, 'MENOS50');
+
+      // Act & Assert
+      expect(() => promotionService.validateCoupon(1, 'MENOS50', 200)).to.throw('Limite de uso do cupom atingido');
+      expect(promotionService.validateCoupon(2, 'MENOS50', 200)).to.have.property('code', 'MENOS50');
+
+      orderService.cancelOrder(1, first.orderId);
+      expect(promotionService.validateCoupon(1, 'MENOS50', 200)).to.have.property('code', 'MENOS50');
+    });
+  });
+
+  describe('applyPromotions', () => {
+    it('should apply percentage coupons to products only', () => {
+      // Act
+      const result = promotionService.applyPromotions({
+        subtotal: 200,
+        freight: 20,
+        paymentMethod: 'boleto',
+        coupon: promotionService.findCoupon('DESCONTO10')
+      });
+
+      // Assert
+      expect(result.total).to.equal(200);
+      expect(result.discounts).to.deep.equal([
+        { code: 'DESCONTO10', type: 'percentage', amount: 20 }
+      ]);
+    });
+
+    it('should cap fixed coupons at the products subtotal', () => {
+      // Act
+      const result = promotionService.applyPromotions({
+        subtotal: 30,
+        freight: 10,
+        paymentMethod: 'boleto',
+        coupon: { code: 'X', type: 'fixed', value: 50 }
+      });
+
+      // Assert
+      expect(result.total).to.equal(10);
+      expect(result.discounts[0]).to.have.property('amount', 30);
+    });
+
+    it('should remove freight for free freight coupons', () => {
+      // Act
+      const result = promotionService.applyPromotions({
+        subtotal: 100,
+        freight: 25,
+        paymentMethod: 'boleto',
+        coupon: promotionService.findCoupon('FRETEGRATIS')
+      });
+
+      // Assert
+      expect(result.total).to.equal(100);
+      expect(result.discounts[0]).to.include({ code: 'FRETEGRATIS', amount: 25 });
+    });
+
+    it('should apply credit card discount after the coupon', () => {
+      // Act
+      const result = promotionService.applyPromotions({
+        subtotal: 200,
+        freight: 20,
+        paymentMethod: 'credit_card',
+        coupon: promotionService.findCoupon('DESCONTO10')
+      });
+
+      // Assert
+      expect(result.total).to.equal(190); // (200 - 20 + 20) * 0.95
+      expect(result.discounts.map(d => [d.code, d.amount])).to.deep.equal([['DESCONTO10', 20], ['CARTAO5', 10]]);
+    });
+
+    it('should return no discounts without coupon for boleto', () => {
+      // Act
+      const result = promotionService.applyPromotions({ subtotal: 100, freight: 10, paymentMethod: 'boleto' });
+
+      // Assert
+      expect(result).to.deep.equal({ total: 110, discounts: [] });
+    });
+  });
+
+  describe('registerPromotionType', () => {
+    it('should allow new promotion types to be plugged in', () => {
+      // Arrange
+      promotionService.registerPromotionType('test_half_freight', ({ total, freight }) => total - freight / 2);
+
+      // Act
+      const result = promotionService.applyPromotions({
+        subtotal: 100,
+        freight: 20,
+        paymentMethod: 'boleto',
+        coupon: { code: 'METADE', type: 'test_half_freight' }
+      });
+
+      // Assert
+      expect(result.total).to.equal(110);
+      expect(result.discounts[0]).to.include({ code: 'METADE', amount: 10 });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { expect } = require('chai');
+const shippingService = require('../../../src/services/shippingService');
+const { products } = require('../../../src/repositories');
+const testHelper = require('../../helpers/testHelper');
+
+describe('Shipping Service Unit Tests', () => {
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  describe('normalizePostalCode', () => {
+    it('should accept CEP with or without hyphen', () => {
+      // Act & Assert
+      expect(shippingService.normalizePostalCode('01310-100')).to.equal('01310100');
+      expect(shippingService.normalizePostalCode('01310100')).to.equal('01310100');
+    });
+
+    it('should reject malformed CEP', () => {
+      // Act & Assert
+      expect(() => shippingService.normalizePostalCode('1310-100')).to.throw('CEP inválido');
+      expect(() => shippingService.normalizePostalCode('abcde-fgh')).to.throw('CEP inválido');
+      expect(() => shippingService.normalizePostalCode(1310100)).to.throw('CEP inválido');
+      expect(() => shippingService.normalizePostalCode(undefined)).to.throw('CEP inválido');
+    });
+  });
+
+  describe('calculateWeight', () => {
+    it('should use the greater of real and volumetric weight', () => {
+      // Arrange
+      products.update(1, { weight: 2 }); // volumetric 0.5 kg
+
+      // Act & Assert
+      expect(shippingService.calculateWeight([{ productId: 1, quantity: 1 }])).to.equal(2);
+      expect(shippingService.calculateWeight([{ productId: 2, quantity: 1 }])).to.equal(1.5); // 30 * 20 * 15 / 6000
+    });
+
+    it('should multiply by quantity', () => {
+      // Act & Assert
+      expect(shippingService.calculateWeight([
+        { productId: 1, quantity: 3 },
+        { productId: 2, quantity: 2 }
+      ])).to.equal(4.5);
+    });
+
+    it('should reject unknown products and invalid quantities', () => {
+      // Act & Assert
+      expect(() => shippingService.calculateWeight([{ productId: 999, quantity: 1 }])).to.throw('Produto não encontrado');
+      expect(() => shippingService.calculateWeight([{ productId: 1, quantity: 0 }])).to.throw('Quantidade inválida');
+    });
+  });
+
+  describe('quote', () => {
+    it('should charge base rate plus rate per started kg of the zone', () => {
+      // Act
+      const quote = shippingService.quote('01310-100', [{ productId: 1, quantity: 2 }, { productId: 2, quantity: 1 }]);
+
+      // Assert
+      expect(quote).to.deep.equal({
+        postalCode: '01310100',
+        zone: 'SP - Capital',
+        weight: 2.5,
+        freight: 30, // 15 + 5 * 3 kg
+        deliveryDays: 2
+      });
+    });
+
+    it('should price by destination zone', () => {
+      // Arrange
+      const items = [{ productId: 1, quantity: 1 }];
+
+      // Act & Assert
+      expect(shippingService.quote('90010-000', items)).to.include({ zone: 'Sul', freight: 35 }); // 28 + 7
+      expect(shippingService.quote('69005-000', items)).to.include({ zone: 'Norte', freight: 56 }); // 45 + 11
+    });
+
+    it('should charge only the base rate for an empty item list', () => {
+      // Act & Assert
+      expect(shippingService.quote('01310-100', [])).to.include({ weight: 0, freight: 15 });
+    });
+
+    it('should reject CEP outside every zone', () => {
+      // Act & Assert
+      expect(() => shippingService.quote('00000-000', [])).to.throw('CEP fora da área de entrega');
+    });
+
+    it('should require an item list', () => {
+      // Act & Assert
+      expect(() => shippingService.quote('01310-100')).to.throw('Itens obrigatórios');
+    });
+  });
+});
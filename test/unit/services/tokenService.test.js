@@ -0,0 +1,158 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const jwt = require('jsonwebtoken');
+const tokenService = require('../../../src/services/tokenService');
+const { sessions, refreshTokens, revokedTokens } = require('../../../src/repositories');
+const testHelper = require('../../helpers/testHelper');
+
+describe('Token Service Unit Tests', () => {
+  const alice = { id: 1, email: 'alice@email.com', role: 'admin' };
+  let clock;
+
+  beforeEach(() => {
+    testHelper.resetTestData();
+  });
+
+  afterEach(() => {
+    if (clock) clock.restore();
+    clock = null;
+  });
+
+  describe('createSession', () => {
+    it('should issue an access token bound to a new session', () => {
+      // Act
+      const { token, refreshToken } = tokenService.createSession(alice);
+
+      // Assert
+      const payload = tokenService.verifyAccessToken(token);
+      expect(payload).to.include({ id: 1, email: 'alice@email.com', role: 'admin' });
+      expect(payload.jti).to.be.a('string');
+      expect(sessions.findById(payload.sid)).to.include({ userId: 1, revokedAt: null });
+      expect(refreshToken).to.be.a('string');
+    });
+
+    it('should store only the hash of the refresh token', () => {
+      // Act
+      const { refreshToken } = tokenService.createSession(alice);
+
+      // Assert
+      const [record] = refreshTokens.findAll();
+      expect(record.id).to.have.length(64);
+      expect(JSON.stringify(record)).to.not.include(refreshToken);
+    });
+  });
+
+  describe('refresh', () => {
+    it('should rotate the refresh token within the same session', () => {
+      // Arrange
+      const first = tokenService.createSession(alice);
+
+      // Act
+      const second = tokenService.refresh(first.refreshToken);
+
+      // Assert
+      expect(second.refreshToken).to.not.equal(first.refreshToken);
+      expect(jwt.decode(second.token).sid).to.equal(jwt.decode(first.token).sid);
+      expect(tokenService.verifyAccessToken(second.token)).to.not.be.null;
+    });
+
+    it('should revoke the whole session when a used refresh token is reused', () => {
+      // Arrange
+      const first = tokenService.createSession(alice);
+      const second = tokenService.refresh(first.refreshToken);
+
+      // Act & Assert
+      expect(() => tokenService.refresh(first.refreshToken)).to.throw('Refresh token inválido');
+      expect(() => tokenService.refresh(second.refreshToken)).to.throw('Refresh token inválido');
+      expect(tokenService.verifyAccessToken(second.token)).to.be.null;
+      expect(sessions.findById(jwt.decode(first.token).sid)).to.have.property('revokedReason', 'refresh_token_reuse');
+    });
+
+    it('should reject unknown refresh tokens', () => {
+      expect(() => tokenService.refresh('desconhecido')).to.throw('Refresh token inválido');
+      expect(() => tokenService.refresh(undefined)).to.throw('Refresh token inválido');
+    });
+
+    it('should reject expired refresh tokens', () => {
+      // Arrange
+      clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+      const { refreshToken } = tokenService.createSession(alice);
+      clock.tick(8 * 24 * 60 * 60 * 1000);
+
+      // Act & Assert
+      expect(() => tokenService.refresh(refreshToken)).to.throw('Refresh token expirado');
+    });
+
+    it('should pick up role changes of the user', () => {
+      // Arrange
+      const { users } = require('../../../src/repositories');
+      const { refreshToken } = tokenService.createSession(alice);
+      users.update(1, { role: 'user' });
+
+      // Act
+      const { token } = tokenService.refresh(refreshToken);
+
+      // Assert
+      expect(jwt.decode(token)).to.have.property('role', 'user');
+    });
+  });
+
+  describe('logout', () => {
+    it('should revoke the access token and the session', () => {
+      // Arrange
+      const { token, refreshToken } = tokenService.createSession(alice);
+      const payload = tokenService.verifyAccessToken(token);
+
+      // Act
+      tokenService.logout(payload);
+
+      // Assert
+      expect(tokenService.verifyAccessToken(token)).to.be.null;
+      expect(revokedTokens.findById(payload.jti)).to.have.property('expiresAt');
+      expect(() => tokenService.refresh(refreshToken)).to.throw('Refresh token inválido');
+    });
+
+    it('should leave other sessions of the same user active', () => {
+      // Arrange
+      const phone = tokenService.createSession(alice);
+      const laptop = tokenService.createSession(alice);
+
+      // Act
+      tokenService.logout(tokenService.verifyAccessToken(phone.token));
+
+      // Assert
+      expect(tokenService.verifyAccessToken(laptop.token)).to.not.be.null;
+    });
+  });
+
+  describe('revokeUserSessions', () => {
+    it('should revoke every active session of the user', () => {
+      // Arrange
+      const first = tokenService.createSession(alice);
+      const second = tokenService.createSession(alice);
+      const bob = tokenService.createSession({ id: 2, email: 'bob@email.com', role: 'user' });
+
+      // Act
+      tokenService.revokeUserSessions(1, 'password_reset');
+
+      // Assert
+      expect(tokenService.verifyAccessToken(first.token)).to.be.null;
+      expect(tokenService.verifyAccessToken(second.token)).to.be.null;
+      expect(tokenService.verifyAccessToken(bob.token)).to.not.be.null;
+    });
+
+    it('should keep the excepted session active', () => {
+      // Arrange
+      const current = tokenService.createSession(alice);
+      const other = tokenService.createSession(alice);
+      const sid = tokenService.verifyAccessToken(current.token).sid;
+
+      // Act
+      tokenService.revokeUserSessions(1, 'password_change', sid);
+
+      // Assert
+      expect(tokenService.verifyAccessToken(current.token)).to.not.be.null;
+      expect(tokenService.verifyAccessToken(other.token)).to.be.null;
+    });
+  });
+});
@@ -2,6 +2,11 @@ const { expect } = require('chai');
 const sinon = require('sinon');
 const jwt = require('jsonwebtoken');
 const userService = require('../../../src/services/userService');
+const cartService = require('../../../src/services/cartService');
+const passwordService = require('../../../src/services/passwordService');
+const mailService = require('../../../src/services/mailService');
+const { carts, orders, boletos, pixCharges } = require('../../../src/repositories');
+const ValidationError = require('../../../src/errors/ValidationError');
 const testHelper = require('../../helpers/testHelper');
 
 describe('User Service Unit Tests', () => {
@@ -26,7 +31,8 @@ describe('User Service Unit Tests', () => {
       expect(user).to.have.property('id', 1);
       expect(user).to.have.property('name', 'Alice');
       expect(user).to.have.property('email', 'alice@email.com');
-      expect(user).to.have.property('password', '123456');
+      expect(user).to.not.have.property('password');
+      expect(user.passwordHash).to.match(/^scrypt\$/);
     });
 
     it('should return undefined for non-existent email', () => {
@@ -102,7 +108,8 @@ describe('User Service Unit Tests', () => {
       const addedUser = userService.findUserByEmail(email);
       expect(addedUser).to.not.be.undefined;
       expect(addedUser).to.have.property('id', 3); // Should be next available ID
-      expect(addedUser).to.have.property('password', password);
+      expect(addedUser).to.not.have.property('password');
+      expect(addedUser.passwordHash).to.be.a('string').and.not.include(password);
     });
 
     it('should return null when email already exists', () => {
@@ -120,12 +127,12 @@ describe('User Service Unit Tests', () => {
 
     it('should generate correct user ID for new users', () => {
       // Arrange
-      const users = require('../../../src/models/user');
-      const initialLength = users.length;
+      const { users } = require('../../../src/repositories');
+      const initialLength = users.count();
 
       // Act
-      const result = userService.registerUser('User 1', 'user1@test.com', 'pass');
-      const result2 = userService.registerUser('User 2', 'user2@test.com', 'pass');
+      const result = userService.registerUser('User 1', 'user1@test.com', 'pass1234');
+      const result2 = userService.registerUser('User 2', 'user2@test.com', 'pass1234');
 
       // Assert
       const user1 = userService.findUserByEmail('user1@test.com');
@@ -137,7 +144,7 @@ describe('User Service Unit Tests', () => {
 
     it('should handle empty name', () => {
       // Act
-      const result = userService.registerUser('', 'empty@test.com', 'password');
+      const result = userService.registerUser('', 'empty@test.com', 'pass1234');
 
       // Assert
       expect(result).to.not.be.null;
@@ -145,35 +152,49 @@ describe('User Service Unit Tests', () => {
       expect(result).to.have.property('email', 'empty@test.com');
     });
 
-    it('should handle empty password', () => {
+    it('should reject empty password', () => {
+      // Act & Assert
+      expect(() => userService.registerUser('Test User', 'test@test.com', ''))
+        .to.throw(ValidationError)
+        .with.property('fields')
+        .that.deep.equals([{ field: 'password', code: 'PASSWORD_REQUIRED' }]);
+      expect(userService.findUserByEmail('test@test.com')).to.be.undefined;
+    });
+
+    it('should list every password policy violation', () => {
       // Act
-      const result = userService.registerUser('Test User', 'test@test.com', '');
+      let error;
+      try {
+        userService.registerUser('Test User', 'test@test.com', 'password');
+      } catch (err) {
+        error = err;
+      }
 
       // Assert
-      expect(result).to.not.be.null;
-      expect(result).to.have.property('name', 'Test User');
-      expect(result).to.have.property('email', 'test@test.com');
-
-      // Verify password is stored (even if empty)
-      const user = userService.findUserByEmail('test@test.com');
-      expect(user).to.have.property('password', '');
+      expect(error).to.be.instanceOf(ValidationError);
+      expect(error.code).to.equal('VALIDATION_ERROR');
+      expect(error.fields.map(f => f.code)).to.deep.equal([
+        'PASSWORD_MISSING_DIGIT',
+        'PASSWORD_TOO_COMMON'
+      ]);
     });
 
     it('should maintain user array integrity', () => {
       // Arrange
-      const users = require('../../../src/models/user');
-      const initialUsers = [...users];
+      const { users } = require('../../../src/repositories');
+      const initialUsers = users.findAll();
 
       // Act
-      userService.registerUser('Test User', 'test@example.com', 'password');
+      userService.registerUser('Test User', 'test@example.com', 'pass1234');
 
       // Assert
-      expect(users.length).to.equal(initialUsers.length + 1);
-      expect(users[users.length - 1]).to.have.property('email', 'test@example.com');
+      const currentUsers = users.findAll();
+      expect(currentUsers.length).to.equal(initialUsers.length + 1);
+      expect(currentUsers[currentUsers.length - 1]).to.have.property('email', 'test@example.com');
       
       // Original users should remain unchanged
       for (let i = 0; i < initialUsers.length; i++) {
-        expect(users[i]).to.deep.equal(initialUsers[i]);
+        expect(currentUsers[i]).to.deep.equal(initialUsers[i]);
       }
     });
 
@@ -186,12 +207,72 @@ describe('User Service Unit Tests', () => {
       expect(result).to.have.property('name', 'José María');
       expect(result).to.have.property('email', 'josé@test.com');
 
-      const user = userService.findUserByEmail('josé@test.com');
-      expect(user).to.have.property('password', 'páss123!@#');
+      const result2 = userService.authenticate('josé@test.com', 'páss123!@#');
+      expect(result2).to.have.property('token');
+    });
+
+    it('should register new users with user role', () => {
+      // Act
+      userService.registerUser('New User', 'new@test.com', 'pass1234');
+
+      // Assert
+      expect(userService.findUserByEmail('new@test.com')).to.have.property('role', 'user');
+    });
+  });
+
+  describe('email verification on register', () => {
+    it('should reject malformed emails together with password violations', () => {
+      // Act & Assert
+      expect(() => userService.registerUser('Test User', 'sem-arroba', 'curta'))
+        .to.throw(ValidationError)
+        .with.property('fields').that.deep.includes({ field: 'email', code: 'INVALID_EMAIL' })
+        .and.deep.includes({ field: 'password', code: 'PASSWORD_TOO_SHORT', params: { minLength: 8 } });
+    });
+
+    it('should create unverified users and email them a verification token', () => {
+      // Act
+      userService.registerUser('New User', 'new@test.com', 'pass1234');
+
+      // Assert
+      expect(userService.findUserByEmail('new@test.com')).to.have.property('verified', false);
+      const [message] = mailService.outbox();
+      expect(message).to.include({ to: 'new@test.com', subject: 'Confirme seu email' });
+    });
+
+    it('should require a new verification when the email changes', () => {
+      // Act
+      const profile = userService.updateProfile(2, { email: 'roberto@email.com', currentPassword: '123456' });
+
+      // Assert
+      expect(profile).to.have.property('verified', false);
+      expect(mailService.outbox()[0]).to.have.property('to', 'roberto@email.com');
+    });
+
+    it('should reject malformed emails on profile update', () => {
+      // Act & Assert
+      expect(() => userService.updateProfile(2, { email: 'bob@', currentPassword: '123456' }))
+        .to.throw(ValidationError)
+        .with.property('fields').that.deep.equals([{ field: 'email', code: 'INVALID_EMAIL' }]);
     });
   });
 
   describe('authenticate', () => {
+    it('should hash legacy plaintext passwords on first login', () => {
+      // Arrange
+      const { users } = require('../../../src/repositories');
+      users.insert({ id: 3, name: 'Legacy', email: 'legacy@test.com', password: 'antiga123', role: 'user' });
+
+      // Act
+      const result = userService.authenticate('legacy@test.com', 'antiga123');
+
+      // Assert
+      expect(result).to.have.property('token');
+      const user = userService.findUserByEmail('legacy@test.com');
+      expect(user.password).to.be.undefined;
+      expect(user.passwordHash).to.match(/^scrypt\$/);
+      expect(userService.authenticate('legacy@test.com', 'antiga123')).to.have.property('token');
+    });
+
     it('should authenticate user with correct credentials', () => {
       // Act
       const result = userService.authenticate('alice@email.com', '123456');
@@ -211,6 +292,19 @@ describe('User Service Unit Tests', () => {
       expect(result).to.be.null;
     });
 
+    it('should still verify a password hash for unknown emails', () => {
+      // Arrange
+      const verifySpy = sandbox.spy(passwordService, 'verifyPassword');
+
+      // Act
+      const result = userService.authenticate('nonexistent@email.com', '123456');
+
+      // Assert
+      expect(result).to.be.null;
+      expect(verifySpy).to.have.been.calledOnceWith('123456', sinon.match(/^scrypt\$/));
+      expect(verifySpy.firstCall.returnValue).to.be.false;
+    });
+
     it('should return null for incorrect password', () => {
       // Act
       const result = userService.authenticate('alice@email.com', 'wrongpassword');
@@ -241,6 +335,7 @@ describe('User Service Unit Tests', () => {
       const decoded = jwt.decode(result.token);
       expect(decoded).to.have.property('id', 2);
       expect(decoded).to.have.property('email', 'bob@email.com');
+      expect(decoded).to.have.property('role', 'user');
       expect(decoded).to.have.property('exp');
       expect(decoded).to.have.property('iat');
       
@@ -258,11 +353,12 @@ describe('User Service Unit Tests', () => {
 
       // Assert
       expect(jwtStub).to.have.been.calledOnceWith(
-        { id: 1, email: 'alice@email.com' },
+        sinon.match({ id: 1, email: 'alice@email.com', role: 'admin', sid: sinon.match.string }),
         'supersecret',
-        { expiresIn: '1h' }
+        sinon.match({ expiresIn: '1h', jwtid: sinon.match.string, algorithm: 'HS256', keyid: 'dev' })
       );
-      expect(result).to.deep.equal({ token: 'mocked.jwt.token' });
+      expect(result).to.have.property('token', 'mocked.jwt.token');
+      expect(result.refreshToken).to.be.a('string');
     });
 
     it('should be case sensitive for password', () => {
@@ -346,13 +442,14 @@ describe('User Service Unit Tests', () => {
 
     it('should use correct secret for token verification', () => {
       // Arrange
+      const token = testHelper.generateValidToken({ id: 1, email: 'test@test.com' });
       const jwtStub = sandbox.stub(jwt, 'verify').returns({ id: 1, email: 'test@test.com' });
 
       // Act
-      const result = userService.verifyToken('some.jwt.token');
+      const result = userService.verifyToken(token);
 
       // Assert
-      expect(jwtStub).to.have.been.calledOnceWith('some.jwt.token', 'supersecret');
+      expect(jwtStub).to.have.been.calledOnceWith(token, 'supersecret', { algorithms: ['HS256'] });
       expect(result).to.deep.equal({ id: 1, email: 'test@test.com' });
     });
 
@@ -361,7 +458,7 @@ describe('User Service Unit Tests', () => {
       const jwtStub = sandbox.stub(jwt, 'verify').throws(new Error('Token verification failed'));
 
       // Act
-      const result = userService.verifyToken('malformed.token');
+      const result = userService.verifyToken(testHelper.generateValidToken());
 
       // Assert
       expect(result).to.be.null;
@@ -400,6 +497,198 @@ describe('User Service Unit Tests', () => {
     });
   });
 
+  describe('listUsers', () => {
+    it('should return a page of profiles without password hashes', () => {
+      // Act
+      const result = userService.listUsers();
+
+      // Assert
+      expect(result).to.include({ page: 1, limit: 10, total: 2, totalPages: 1 });
+      expect(result.users).to.deep.equal([
+        { id: 1, name: 'Alice', email: 'alice@email.com', role: 'admin', verified: true },
+        { id: 2, name: 'Bob', email: 'bob@email.com', role: 'user', verified: true }
+      ]);
+    });
+
+    it('should filter by name and email ignoring case', () => {
+      // Act & Assert
+      expect(userService.listUsers({ name: 'ALI' }).users.map(u => u.id)).to.deep.equal([1]);
+      expect(userService.listUsers({ email: 'bob@' }).users.map(u => u.id)).to.deep.equal([2]);
+      expect(userService.listUsers({ name: 'alice', email: 'bob' }).total).to.equal(0);
+    });
+
+    it('should paginate', () => {
+      // Act
+      const result = userService.listUsers({ page: '2', limit: '1' });
+
+      // Assert
+      expect(result.users.map(u => u.id)).to.deep.equal([2]);
+      expect(result).to.include({ page: 2, limit: 1, total: 2, totalPages: 2 });
+    });
+
+    it('should reject invalid pagination', () => {
+      // Act & Assert
+      expect(() => userService.listUsers({ page: 0 })).to.throw('Página inválida');
+      expect(() => userService.listUsers({ limit: 'abc' })).to.throw('Limite inválido');
+    });
+  });
+
+  describe('getProfile', () => {
+    it('should return the public profile without the password hash', () => {
+      // Act
+      const profile = userService.getProfile(1);
+
+      // Assert
+      expect(profile).to.deep.equal({ id: 1, name: 'Alice', email: 'alice@email.com', role: 'admin', verified: true });
+    });
+
+    it('should return null for unknown users', () => {
+      // Act & Assert
+      expect(userService.getProfile(999)).to.be.null;
+    });
+  });
+
+  describe('updateProfile', () => {
+    it('should update the name', () => {
+      // Act
+      const profile = userService.updateProfile(2, { name: '  Roberto ' });
+
+      // Assert
+      expect(profile).to.include({ id: 2, name: 'Roberto', email: 'bob@email.com' });
+      expect(userService.getProfile(2).name).to.equal('Roberto');
+    });
+
+    it('should reject an empty name', () => {
+      // Act & Assert
+      expect(() => userService.updateProfile(2, { name: ' ' }))
+        .to.throw(ValidationError)
+        .with.property('fields').that.deep.equals([{ field: 'name', code: 'NAME_REQUIRED' }]);
+    });
+
+    it('should change the email when the current password is correct', () => {
+      // Act
+      const profile = userService.updateProfile(2, { email: 'roberto@email.com', currentPassword: '123456' });
+
+      // Assert
+      expect(profile.email).to.equal('roberto@email.com');
+      expect(userService.findUserByEmail('bob@email.com')).to.be.undefined;
+      expect(userService.authenticate('roberto@email.com', '123456')).to.not.be.null;
+    });
+
+    it('should require the current password to change the email', () => {
+      // Act & Assert
+      expect(() => userService.updateProfile(2, { email: 'roberto@email.com', currentPassword: 'errada' }))
+        .to.throw(ValidationError)
+        .with.property('fields').that.deep.equals([{ field: 'currentPassword', code: 'INCORRECT_CURRENT_PASSWORD' }]);
+      expect(userService.getProfile(2).email).to.equal('bob@email.com');
+    });
+
+    it('should reject an email that belongs to another user', () => {
+      // Act & Assert
+      expect(() => userService.updateProfile(2, { email: 'alice@email.com', currentPassword: '123456' }))
+        .to.throw(ValidationError)
+        .with.property('fields').that.deep.equals([{ field: 'email', code: 'EMAIL_ALREADY_REGISTERED' }]);
+    });
+
+    it('should ignore an unchanged email', () => {
+      // Act
+      const profile = userService.updateProfile(2, { email: 'bob@email.com' });
+
+      // Assert
+      expect(profile.email).to.equal('bob@email.com');
+    });
+
+    it('should return null for unknown users', () => {
+      // Act & Assert
+      expect(userService.updateProfile(999, { name: 'X' })).to.be.null;
+    });
+  });
+
+  describe('changePassword', () => {
+    it('should replace the password hash', () => {
+      // Act
+      const changed = userService.changePassword(2, '123456', 'novaSenha1');
+
+      // Assert
+      expect(changed).to.be.true;
+      expect(userService.authenticate('bob@email.com', '123456')).to.be.null;
+      expect(userService.authenticate('bob@email.com', 'novaSenha1')).to.not.be.null;
+    });
+
+    it('should reject a wrong current password', () => {
+      // Act & Assert
+      expect(() => userService.changePassword(2, 'errada', 'novaSenha1'))
+        .to.throw(ValidationError)
+        .with.property('fields').that.deep.equals([{ field: 'currentPassword', code: 'INCORRECT_CURRENT_PASSWORD' }]);
+    });
+
+    it('should apply the password policy to the new password', () => {
+      // Act & Assert
+      expect(() => userService.changePassword(2, '123456', 'curta'))
+        .to.throw(ValidationError)
+        .with.property('fields').that.deep.includes({ field: 'newPassword', code: 'PASSWORD_TOO_SHORT', params: { minLength: 8 } });
+    });
+
+    it('should revoke the other sessions of the user', () => {
+      // Arrange
+      const current = userService.authenticate('bob@email.com', '123456');
+      const other = userService.authenticate('bob@email.com', '123456');
+      const { sid } = userService.verifyToken(current.token);
+
+      // Act
+      userService.changePassword(2, '123456', 'novaSenha1', sid);
+
+      // Assert
+      expect(userService.verifyToken(current.token)).to.not.be.null;
+      expect(userService.verifyToken(other.token)).to.be.null;
+    });
+  });
+
+  describe('deleteAccount', () => {
+    it('should remove the user, the cart and every session', () => {
+      // Arrange
+      const session = userService.authenticate('bob@email.com', '123456');
+      cartService.addItem(2, 1, 1);
+
+      // Act
+      const deleted = userService.deleteAccount(2, '123456');
+
+      // Assert
+      expect(deleted).to.be.true;
+      expect(userService.getProfile(2)).to.be.null;
+      expect(carts.findById(2)).to.be.undefined;
+      expect(userService.verifyToken(session.token)).to.be.null;
+    });
+
+    it('should keep orders, boletos and Pix charges without linking them to the deleted user', () => {
+      // Arrange
+      orders.insert({ id: 1, userId: 2, items: [], paymentMethod: 'boleto', total: 10, status: 'pending' });
+      boletos.insert({ id: 1, orderId: 1, userId: 2, payer: { name: 'Bob', email: 'bob@email.com' } });
+      pixCharges.insert({ txid: 'abc', orderId: 1, userId: 2 });
+
+      // Act
+      userService.deleteAccount(2, '123456');
+
+      // Assert
+      expect(orders.findById(1)).to.include({ userId: null, total: 10 });
+      expect(boletos.findById(1)).to.include({ userId: null, payer: null });
+      expect(pixCharges.findById('abc')).to.include({ userId: null });
+    });
+
+    it('should require the account password', () => {
+      // Act & Assert
+      expect(() => userService.deleteAccount(2, 'errada'))
+        .to.throw(ValidationError)
+        .with.property('fields').that.deep.equals([{ field: 'password', code: 'INCORRECT_PASSWORD' }]);
+      expect(userService.getProfile(2)).to.not.be.null;
+    });
+
+    it('should return false for unknown users', () => {
+      // Act & Assert
+      expect(userService.deleteAccount(999, '123456')).to.be.false;
+    });
+  });
+
   describe('Integration Tests', () => {
     it('should complete full user registration and authentication flow', () => {
       // Arrange
@@ -0,0 +1,86 @@
+const { expect } = require('chai');
+const { validateSchema } = require('../../../rest/validation/schemaValidator');
+
+describe('Schema Validator Unit Tests', () => {
+  const document = {
+    components: {
+      schemas: {
+        Dimensions: {
+          type: 'object',
+          properties: { length: { type: 'number' } },
+          required: ['length']
+        }
+      }
+    }
+  };
+  const schema = {
+    type: 'object',
+    properties: {
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: { productId: { type: 'integer' }, quantity: { type: 'integer', minimum: 1 } },
+          required: ['productId', 'quantity']
+        }
+      },
+      paymentMethod: { type: 'string', enum: ['boleto', 'credit_card'] },
+      couponCode: { type: 'string', nullable: true },
+      dimensions: { $ref: '#/components/schemas/Dimensions' }
+    },
+    required: ['items', 'paymentMethod']
+  };
+
+  it('should accept a valid value', () => {
+    // Act
+    const errors = validateSchema(schema, {
+      items: [{ productId: 1, quantity: 2 }],
+      paymentMethod: 'boleto',
+      couponCode: null,
+      dimensions: { length: 10 }
+    }, document);
+
+    // Assert
+    expect(errors).to.deep.equal([]);
+  });
+
+  it('should list every failing field path', () => {
+    // Act
+    const errors = validateSchema(schema, {
+      items: [{ productId: '1', quantity: 0 }, { quantity: 1.5 }],
+      paymentMethod: 'pix',
+      dimensions: {}
+    }, document);
+
+    // Assert
+    expect(errors).to.deep.equal([
+      { field: 'items[0].productId', code: 'MUST_BE_INTEGER' },
+      { field: 'items[0].quantity', code: 'BELOW_MINIMUM', params: { minimum: 1 } },
+      { field: 'items[1].productId', code: 'REQUIRED' },
+      { field: 'items[1].quantity', code: 'MUST_BE_INTEGER' },
+      { field: 'paymentMethod', code: 'NOT_IN_ENUM', params: { values: 'boleto, credit_card' } },
+      { field: 'dimensions.length', code: 'REQUIRED' }
+    ]);
+  });
+
+  it('should report wrong types without descending into the value', () => {
+    // Act & Assert
+    expect(validateSchema(schema, { items: 'abc', paymentMethod: 'boleto' }, document))
+      .to.deep.equal([{ field: 'items', code: 'MUST_BE_ARRAY' }]);
+    expect(validateSchema(schema, [], document))
+      .to.deep.equal([{ field: 'body', code: 'MUST_BE_OBJECT' }]);
+  });
+
+  it('should require the minimum number of array items', () => {
+    // Act & Assert
+    expect(validateSchema(schema, { items: [], paymentMethod: 'boleto' }, document))
+      .to.deep.equal([{ field: 'items', code: 'TOO_FEW_ITEMS', params: { minItems: 1 } }]);
+  });
+
+  it('should fail on unknown references', () => {
+    // Act & Assert
+    expect(() => validateSchema({ $ref: '#/components/schemas/Nada' }, {}, document))
+      .to.throw('Referência de esquema não encontrada: #/components/schemas/Nada');
+  });
+});
@@ -0,0 +1,37 @@
+const { expect } = require('chai');
+const { renderBoletoPage } = require('../../../rest/views/boletoPage');
+const febraban = require('../../../src/payments/febraban');
+
+describe('Boleto Page Unit Tests', () => {
+  function boletoFor(bankCode) {
+    const barcode = febraban.buildBarcode({
+      bankCode,
+      dueDate: '2026-10-22',
+      amount: 220,
+      freeField: '1234090000000000100123450'
+    });
+    return {
+      bankCode,
+      barcode,
+      digitableLine: febraban.digitableLine(barcode),
+      nossoNumero: '00000000001',
+      orderId: 1,
+      status: 'pending',
+      amount: 220,
+      issueDate: '2026-10-19',
+      dueDate: '2026-10-22',
+      beneficiary: { name: 'Loja PGATS Ltda', document: '12.345.678/0001-95', agency: '1234', account: '0012345' },
+      payer: null
+    };
+  }
+
+  it('should print the bank code with its own check digit, not the currency code', () => {
+    // Act
+    const bradesco = renderBoletoPage(boletoFor('237'));
+    const bancoDoBrasil = renderBoletoPage(boletoFor('001'));
+
+    // Assert
+    expect(bradesco).to.include('<span class="bank">237-2</span>');
+    expect(bancoDoBrasil).to.include('<span class="bank">001-9</span>');
+  });
+});